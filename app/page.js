@@ -1,16 +1,30 @@
 'use client'
 
-import { useState, useEffect, useMemo } from 'react'
-import { Smile, Film, Edit3 } from 'lucide-react'
-import { HAPPINESS_LEVELS, formatDate, getTodayDate } from '../lib/happiness.js'
+import { useState, useEffect, useMemo, useRef } from 'react'
+import { Smile, Film, Library, Lightbulb, LineChart, CalendarDays, Edit3, Download, Upload, FileSpreadsheet, Settings } from 'lucide-react'
+import { HAPPINESS_LEVELS, sortHappinessEntries, groupCheckInsByDate, formatMean } from '../lib/happiness.js'
+import { formatDate, getTodayDate } from '../lib/dates.js'
+import { DEFAULT_SETTINGS, loadSettings, saveSettings, applySettings } from '../lib/settings.js'
+import { getEnabledDimensions } from '../lib/wellbeing.js'
+import { createBackup, getBackupFilename, mergeBackup } from '../lib/backup.js'
+import { linkSessionsToCatalog, syncSessionsWithCatalogItem } from '../lib/catalog.js'
+import { downloadFile } from '../lib/download.js'
 import HappinessForm from '../components/HappinessForm.js'
 import HappinessTable from '../components/HappinessTable.js'
 import MediaForm from '../components/MediaForm.js'
 import MediaTable from '../components/MediaTable.js'
+import LibraryTable from '../components/LibraryTable.js'
+import InsightsPanel from '../components/InsightsPanel.js'
+import Dashboard from '../components/Dashboard.js'
+import CalendarView from '../components/CalendarView.js'
+import CatalogItemDialog from '../components/CatalogItemDialog.js'
 import HappinessDetailView from '../components/HappinessDetailView.js'
-
-const STORAGE_KEY = 'media-consumption-tracker-entries'
-const MEDIA_STORAGE_KEY = 'media-consumption-tracker-media-entries'
+import ImportDialog from '../components/ImportDialog.js'
+import CsvImportWizard from '../components/CsvImportWizard.js'
+import SettingsPanel from '../components/SettingsPanel.js'
+import TimerPanel from '../components/TimerPanel.js'
+import QuickAddBar from '../components/QuickAddBar.js'
+import { getRepository, countRejectedRecords } from '../lib/storage/index.js'
 
 /**
  * Home page component showing happiness tracking
@@ -19,51 +33,131 @@ const MEDIA_STORAGE_KEY = 'media-consumption-tracker-media-entries'
 export default function Home() {
   const [entries, setEntries] = useState([])
   const [mediaEntries, setMediaEntries] = useState([])
-  const [isLoaded, setIsLoaded] = useState(false)
+  const [catalog, setCatalog] = useState([])
+  const [editingCatalogItem, setEditingCatalogItem] = useState(null)
+  const [storageError, setStorageError] = useState('')
   const [showFormModal, setShowFormModal] = useState(false)
   const [editingEntry, setEditingEntry] = useState(null)
   const [showMediaFormModal, setShowMediaFormModal] = useState(false)
   const [editingMediaEntry, setEditingMediaEntry] = useState(null)
   const [activeTab, setActiveTab] = useState('happiness')
+  // Date the happiness or media form starts on when backfilling from the calendar
+  const [logDate, setLogDate] = useState(null)
+  // Days brushed on the Insights scatter plot, which also filter the happiness table
+  const [scatterSelection, setScatterSelection] = useState(null)
   const [showDetailView, setShowDetailView] = useState(false)
-  const [detailEntry, setDetailEntry] = useState(null)
+  const [detailDate, setDetailDate] = useState(null)
+  const [showImportDialog, setShowImportDialog] = useState(false)
+  const [showCsvWizard, setShowCsvWizard] = useState(false)
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS)
+  const [showSettings, setShowSettings] = useState(false)
 
-  // Find today's entry
-  const todayEntry = useMemo(() => {
+  // Find today's check-ins, latest first; depends on settings because they decide which day today is
+  const todayCheckIns = useMemo(() => {
     const today = getTodayDate()
-    return entries.find(entry => entry.date === today)
-  }, [entries])
+    return entries.filter(entry => entry.date === today)
+  }, [entries, settings])
+  const todayEntry = todayCheckIns[0]
+
+  // The detail view follows the live entries so edits and deletes show up immediately
+  const detailDay = useMemo(
+    () => (detailDate ? groupCheckInsByDate(entries.filter(entry => entry.date === detailDate))[0] : null),
+    [entries, detailDate]
+  )
 
-  // Load entries from localStorage on mount
+  const enabledDimensions = useMemo(() => getEnabledDimensions(settings.dimensions), [settings])
+
+  // Apply saved settings on mount, before anything asks for today's date
   useEffect(() => {
+    const storedSettings = loadSettings()
+    applySettings(storedSettings)
+    setSettings(storedSettings)
+  }, [])
+
+  // Load entries from the repository on mount
+  useEffect(() => {
+    const repository = getRepository()
+    Promise.all([repository.happiness.list(), repository.media.list(), repository.catalog.list(), repository.ready])
+      .then(([storedEntries, storedMediaEntries, storedCatalog, loadReport]) => {
+        // Sessions saved before the library existed are linked to catalog items once
+        const { sessions, created, linked } = linkSessionsToCatalog(storedMediaEntries, storedCatalog)
+        setEntries(storedEntries)
+        setMediaEntries(sessions)
+        setCatalog([...storedCatalog, ...created])
+        if (linked.length > 0) {
+          persist(repository => repository.batch((writes) => {
+            created.forEach(item => writes.put('catalog', item))
+            linked.forEach(session => writes.put('media', session))
+          }))
+        }
+
+        // Invalid records are set aside rather than failing the whole load
+        const rejectedCount = countRejectedRecords(loadReport)
+        if (rejectedCount > 0) {
+          setStorageError(
+            `${rejectedCount} saved ${rejectedCount === 1 ? 'entry' : 'entries'} failed validation after upgrading and ${rejectedCount === 1 ? 'was' : 'were'} set aside.`
+          )
+        }
+      })
+      .catch((error) => {
+        console.error('Failed to load entries:', error)
+        setStorageError('Your saved entries could not be loaded.')
+      })
+  }, [])
+
+  /**
+   * Saves and applies new settings
+   * @param {Object} newSettings - Settings from the settings panel
+   */
+  const handleSaveSettings = (newSettings) => {
+    applySettings(newSettings)
+    setSettings(newSettings)
+    setShowSettings(false)
     try {
-      const storedEntries = localStorage.getItem(STORAGE_KEY)
-      if (storedEntries) {
-        setEntries(JSON.parse(storedEntries))
-      }
-      
-      const storedMediaEntries = localStorage.getItem(MEDIA_STORAGE_KEY)
-      if (storedMediaEntries) {
-        setMediaEntries(JSON.parse(storedMediaEntries))
-      }
+      saveSettings(newSettings)
     } catch (error) {
-      console.error('Failed to load entries from localStorage:', error)
-    } finally {
-      setIsLoaded(true)
+      console.error('Failed to save settings:', error)
+      setStorageError('Your settings could not be saved and will reset when the page reloads.')
     }
-  }, [])
+  }
 
-  // Save entries to localStorage whenever they change
-  useEffect(() => {
-    if (isLoaded) {
-      try {
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(entries))
-        localStorage.setItem(MEDIA_STORAGE_KEY, JSON.stringify(mediaEntries))
-      } catch (error) {
-        console.error('Failed to save entries to localStorage:', error)
-      }
+  /**
+   * Runs a repository write and reports failures instead of swallowing them
+   * @param {Function} operation - Receives the repository and returns a promise
+   */
+  const persist = async (operation) => {
+    try {
+      await operation(getRepository())
+    } catch (error) {
+      console.error('Failed to save entries:', error)
+      setStorageError('Your latest change could not be saved and will be lost when the page reloads.')
     }
-  }, [entries, mediaEntries, isLoaded])
+  }
+
+  const latestCatalog = useRef(catalog)
+  latestCatalog.current = catalog
+
+  /**
+   * Points media sessions at their catalog items and saves them, along with any items that had to be created
+   * The sessions and new items are written in one batch, so a session is never stored without its item
+   * @param {Array<Object>} sessions - Sessions about to be saved
+   * @param {Function} [collect] - Adds further writes to the same batch, e.g. a check-in
+   * @returns {Array<Object>} The sessions with catalogId set
+   */
+  const saveLinkedMedia = (sessions, collect) => {
+    const { sessions: linkedSessions, created } = linkSessionsToCatalog(sessions, latestCatalog.current)
+    if (created.length > 0) {
+      // Later calls in the same event must see these items too, or a title would be created twice
+      latestCatalog.current = [...latestCatalog.current, ...created]
+      setCatalog(prevCatalog => [...prevCatalog, ...created])
+    }
+    persist(repository => repository.batch((writes) => {
+      created.forEach(item => writes.put('catalog', item))
+      linkedSessions.forEach(session => writes.put('media', session))
+      collect?.(writes)
+    }))
+    return linkedSessions
+  }
 
   // Handle modal keyboard events and body scroll lock
   useEffect(() => {
@@ -92,7 +186,8 @@ export default function Home() {
    * Handles adding media entries
    * @param {Array} newMediaEntries - Array of new media entries
    */
-  const handleMediaEntriesAdded = (newMediaEntries) => {
+  const handleMediaEntriesAdded = (addedMediaEntries) => {
+    const newMediaEntries = saveLinkedMedia(addedMediaEntries)
     setMediaEntries(prevMedia => {
       // Add new entries and sort by date (newest first)
       return [...newMediaEntries, ...prevMedia].sort((a, b) => new Date(b.date) - new Date(a.date))
@@ -100,74 +195,61 @@ export default function Home() {
   }
 
   /**
-   * Handles deleting a media entry
-   * @param {Object} mediaEntry - The media entry to delete
+   * Handles saving a check-in from the happiness form together with the day's media changes
+   * Everything is written in one batch, so a failed write leaves none of it saved
+   * @param {Object} changes - From HappinessForm's onSave
+   * @param {Object} changes.entry - New or edited check-in
+   * @param {Array<Object>} changes.addedMedia - New media entries
+   * @param {Array<Object>} changes.updatedMedia - Changed media entries, matched to the stored ones by id
+   * @param {Array<Object>} changes.removedMedia - Media entries to delete
    */
-  const handleMediaEntryDeleted = (mediaEntry) => {
+  const handleSaveCheckIn = ({ entry, addedMedia, updatedMedia, removedMedia }) => {
+    const savedMedia = saveLinkedMedia([...addedMedia, ...updatedMedia], (writes) => {
+      writes.put('happiness', entry)
+      removedMedia.forEach(media => writes.delete('media', media.id))
+    })
+    const replacedIds = new Set([...savedMedia, ...removedMedia].map(media => media.id))
+
+    setEntries(prevEntries => sortHappinessEntries([entry, ...prevEntries.filter(existing => existing.id !== entry.id)]))
     setMediaEntries(prevMedia => {
-      return prevMedia.filter(media => media.id !== mediaEntry.id)
+      return [...savedMedia, ...prevMedia.filter(media => !replacedIds.has(media.id))]
+        .sort((a, b) => new Date(b.date) - new Date(a.date))
     })
+    setShowFormModal(false)
+    setEditingEntry(null)
   }
 
   /**
-   * Handles adding a new happiness entry
-   * @param {Object} newEntry - The new happiness entry
+   * Handles adding a new happiness check-in
+   * @param {Object} newEntry - The new check-in; other check-ins on the same day are kept
    */
   const handleEntryAdded = (newEntry) => {
-    setEntries(prevEntries => {
-      // Remove any existing entry for the same date
-      const filtered = prevEntries.filter(entry => entry.date !== newEntry.date)
-      // Add the new entry and sort by date (newest first)
-      return [newEntry, ...filtered].sort((a, b) => new Date(b.date) - new Date(a.date))
-    })
+    setEntries(prevEntries => sortHappinessEntries([newEntry, ...prevEntries]))
+    persist(repository => repository.happiness.put(newEntry))
   }
 
   /**
-   * Handles deleting selected entries
-   * @param {Array} entriesToDelete - Array of entries to delete
+   * Handles deleting selected check-ins
+   * @param {Array} entriesToDelete - Array of check-ins to delete
    */
   const handleDeleteEntries = (entriesToDelete) => {
     setEntries(prevEntries => {
-      const deleteSet = new Set(entriesToDelete.map(entry => `${entry.date}-${entry.happiness}`))
-      return prevEntries.filter(entry => !deleteSet.has(`${entry.date}-${entry.happiness}`))
+      const deleteSet = new Set(entriesToDelete.map(entry => entry.id))
+      return prevEntries.filter(entry => !deleteSet.has(entry.id))
     })
+    persist(repository => repository.happiness.deleteMany(entriesToDelete.map(entry => entry.id)))
   }
 
   /**
-   * Handles updating an existing entry
-   * @param {Object} oldEntry - The original entry
-   * @param {Object} newEntry - The updated entry
+   * Handles updating an existing check-in
+   * @param {Object} oldEntry - The original check-in
+   * @param {Object} newEntry - The updated check-in, with the same id
    */
   const handleUpdateEntry = (oldEntry, newEntry) => {
-    setEntries(prevEntries => {
-      // Remove the old entry
-      const filtered = prevEntries.filter(entry => 
-        !(entry.date === oldEntry.date && entry.happiness === oldEntry.happiness)
-      )
-      // If date changed, also remove any existing entry with the new date
-      const filteredByNewDate = newEntry.date !== oldEntry.date
-        ? filtered.filter(entry => entry.date !== newEntry.date)
-        : filtered
-      // Add the new entry and sort by date (newest first)
-      return [newEntry, ...filteredByNewDate].sort((a, b) => new Date(b.date) - new Date(a.date))
-    })
-  }
-
-  /**
-   * Handles editing today's entry
-   */
-  const handleEditToday = () => {
-    setEditingEntry(todayEntry)
-    setShowFormModal(true)
-  }
-
-  /**
-   * Handles deleting today's entry
-   */
-  const handleDeleteToday = () => {
-    if (todayEntry) {
-      handleDeleteEntries([todayEntry])
-    }
+    setEntries(prevEntries => sortHappinessEntries(
+      prevEntries.map(entry => (entry.id === oldEntry.id ? newEntry : entry))
+    ))
+    persist(repository => repository.happiness.put(newEntry))
   }
 
   /**
@@ -175,6 +257,7 @@ export default function Home() {
    */
   const handleOpenForm = () => {
     setEditingEntry(null)
+    setLogDate(null)
     setShowFormModal(true)
   }
 
@@ -197,7 +280,8 @@ export default function Home() {
   /**
    * Handles adding a media entry
    */
-  const handleMediaEntryAdded = (newEntry) => {
+  const handleMediaEntryAdded = (addedEntry) => {
+    const [newEntry] = saveLinkedMedia([addedEntry])
     setMediaEntries(prevMedia => {
       // Add new entry and sort by date (newest first)
       return [newEntry, ...prevMedia].sort((a, b) => new Date(b.date) - new Date(a.date))
@@ -207,7 +291,9 @@ export default function Home() {
   /**
    * Handles updating a media entry
    */
-  const handleMediaEntryUpdated = (oldEntry, newEntry) => {
+  const handleMediaEntryUpdated = (oldEntry, updatedEntry) => {
+    // The form does not carry catalogId, so an edited title is matched afresh
+    const [newEntry] = saveLinkedMedia([updatedEntry])
     setMediaEntries(prevMedia => {
       return prevMedia.map(media => 
         media.id === oldEntry.id ? newEntry : media
@@ -223,6 +309,7 @@ export default function Home() {
       const deleteSet = new Set(entriesToDelete.map(entry => entry.id))
       return prevMedia.filter(entry => !deleteSet.has(entry.id))
     })
+    persist(repository => repository.media.deleteMany(entriesToDelete.map(entry => entry.id)))
   }
 
   /**
@@ -230,6 +317,7 @@ export default function Home() {
    */
   const handleOpenMediaForm = () => {
     setEditingMediaEntry(null)
+    setLogDate(null)
     setShowMediaFormModal(true)
   }
 
@@ -250,10 +338,31 @@ export default function Home() {
   }
 
   /**
-   * Handles viewing details of a happiness entry
+   * Opens the happiness form on a past date, for backfilling
+   * @param {string} date - Date in YYYY-MM-DD format
    */
-  const handleViewDetails = (entry) => {
-    setDetailEntry(entry)
+  const handleLogHappinessForDate = (date) => {
+    setEditingEntry(null)
+    setLogDate(date)
+    setShowFormModal(true)
+  }
+
+  /**
+   * Opens the media form on a past date, for backfilling
+   * @param {string} date - Date in YYYY-MM-DD format
+   */
+  const handleLogMediaForDate = (date) => {
+    setEditingMediaEntry(null)
+    setLogDate(date)
+    setShowMediaFormModal(true)
+  }
+
+  /**
+   * Handles viewing details of a day
+   * @param {Object} day - Day summary from groupCheckInsByDate
+   */
+  const handleViewDetails = (day) => {
+    setDetailDate(day.date)
     setShowDetailView(true)
   }
 
@@ -262,7 +371,79 @@ export default function Home() {
    */
   const handleCloseDetailView = () => {
     setShowDetailView(false)
-    setDetailEntry(null)
+    setDetailDate(null)
+  }
+
+  /**
+   * Handles editing a single check-in from the detail view
+   * @param {Object} entry - The check-in to edit
+   */
+  const handleEditCheckIn = (entry) => {
+    handleCloseDetailView()
+    handleEditEntry(entry)
+  }
+
+  /**
+   * Downloads every entry as a JSON backup
+   */
+  const handleExport = () => {
+    const backup = createBackup(entries, mediaEntries, catalog)
+    downloadFile(getBackupFilename(getTodayDate()), JSON.stringify(backup, null, 2), 'application/json')
+  }
+
+  /**
+   * Applies validated entries from a backup
+   * @param {Object} incoming - Validated { happiness, media, catalog? } records
+   * @param {string} mode - 'merge' or 'replace'
+   */
+  const handleImport = (incoming, mode) => {
+    const result = mergeBackup({ happiness: entries, media: mediaEntries, catalog }, incoming, mode)
+    // CSV rows and older backups bring sessions without catalog items
+    const { sessions, created } = linkSessionsToCatalog(result.media, result.catalog)
+    const newCatalog = [...result.catalog, ...created]
+    setEntries(result.happiness)
+    setMediaEntries(sessions)
+    setCatalog(newCatalog)
+    setShowImportDialog(false)
+    setShowCsvWizard(false)
+    // One batch, so a failed write cannot leave some stores imported and others not
+    persist(repository => repository.batch((writes) => {
+      const stores = { happiness: result.happiness, media: sessions, catalog: newCatalog }
+      for (const [storeName, records] of Object.entries(stores)) {
+        writes.clear(storeName)
+        records.forEach(record => writes.put(storeName, record))
+      }
+    }))
+  }
+
+  /**
+   * Saves an edited catalog item and renames the sessions linked to it
+   * @param {Object} item - The updated catalog item
+   */
+  const handleSaveCatalogItem = (item) => {
+    const renamedSessions = syncSessionsWithCatalogItem(item, mediaEntries)
+    const renamedIds = new Set(renamedSessions.map(session => session.id))
+    setCatalog(prevCatalog => prevCatalog.map(existing => (existing.id === item.id ? item : existing)))
+    setMediaEntries(prevMedia => [
+      ...prevMedia.filter(media => !renamedIds.has(media.id)),
+      ...renamedSessions
+    ].sort((a, b) => new Date(b.date) - new Date(a.date)))
+    setEditingCatalogItem(null)
+    // Together, so sessions never point at an item that was not saved or renamed
+    persist(repository => repository.batch((writes) => {
+      writes.put('catalog', item)
+      renamedSessions.forEach(session => writes.put('media', session))
+    }))
+  }
+
+  /**
+   * Removes a catalog item that no sessions use
+   * @param {Object} item - The catalog item to delete
+   */
+  const handleDeleteCatalogItem = (item) => {
+    setCatalog(prevCatalog => prevCatalog.filter(existing => existing.id !== item.id))
+    setEditingCatalogItem(null)
+    persist(repository => repository.catalog.delete(item.id))
   }
 
   return (
@@ -288,6 +469,41 @@ export default function Home() {
         </p>
       </header>
 
+      <QuickAddBar
+        onMediaEntriesAdded={handleMediaEntriesAdded}
+        onEntryAdded={handleEntryAdded}
+      />
+
+      {/* Storage error banner */}
+      {storageError && (
+        <div style={{
+          padding: '0.75rem',
+          backgroundColor: '#fee',
+          border: '1px solid #fcc',
+          borderRadius: '4px',
+          marginBottom: '1rem',
+          color: '#c33',
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          gap: '1rem'
+        }}>
+          <span>{storageError}</span>
+          <button
+            onClick={() => setStorageError('')}
+            style={{
+              background: 'none',
+              border: 'none',
+              fontSize: '1.25rem',
+              cursor: 'pointer',
+              color: '#c33'
+            }}
+          >
+            ×
+          </button>
+        </div>
+      )}
+
       {/* Form Modal */}
       {showFormModal && (
         <div
@@ -366,26 +582,57 @@ export default function Home() {
             <div style={{ padding: '1.5rem' }}>
               <HappinessForm 
                 initialEntry={editingEntry}
+                initialDate={logDate}
                 allMediaEntries={mediaEntries}
-                onEntryAdded={(entry) => {
-                  handleEntryAdded(entry)
-                  setShowFormModal(false)
-                  setEditingEntry(null)
-                }}
-                onEntryUpdated={(oldEntry, newEntry) => {
-                  handleUpdateEntry(oldEntry, newEntry)
-                  setShowFormModal(false)
-                  setEditingEntry(null)
-                }}
-                onMediaEntriesAdded={handleMediaEntriesAdded}
-                onMediaEntryDeleted={handleMediaEntryDeleted}
+                dimensions={enabledDimensions}
+                onSave={handleSaveCheckIn}
               />
             </div>
           </div>
         </div>
       )}
 
-      {/* Log Happiness Button or Today's Entry Card */}
+      {/* Today's check-ins */}
+      {todayCheckIns.length > 0 && (
+        <div style={{
+          padding: '1rem 1.5rem',
+          border: '1px solid #ddd',
+          borderRadius: '8px',
+          backgroundColor: '#f9f9f9',
+          marginBottom: '2rem',
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          gap: '1rem'
+        }}>
+          <div style={{ color: '#333' }}>
+            <strong>Today:</strong>{' '}
+            {todayCheckIns.length} {todayCheckIns.length === 1 ? 'check-in' : 'check-ins'}, average happiness{' '}
+            <strong>{formatMean(groupCheckInsByDate(todayCheckIns)[0].mean)}</strong>
+          </div>
+          <button
+            onClick={handleOpenForm}
+            style={{
+              padding: '0.5rem 1rem',
+              backgroundColor: '#007cba',
+              color: 'white',
+              border: 'none',
+              borderRadius: '4px',
+              fontSize: '0.9rem',
+              fontWeight: 'bold',
+              cursor: 'pointer',
+              display: 'flex',
+              alignItems: 'center',
+              gap: '0.5rem'
+            }}
+          >
+            <Edit3 size={16} />
+            Add Check-in
+          </button>
+        </div>
+      )}
+
+      {/* Log Happiness Button */}
       {!todayEntry && (
         <div style={{
           padding: '2rem',
@@ -433,6 +680,97 @@ export default function Home() {
         </div>
       )}
 
+      {/* Data export and import */}
+      <div style={{
+        display: 'flex',
+        justifyContent: 'flex-end',
+        gap: '0.75rem',
+        marginBottom: '1rem'
+      }}>
+        <button
+          onClick={handleExport}
+          style={{
+            padding: '0.5rem 1rem',
+            backgroundColor: 'white',
+            color: '#007cba',
+            border: '1px solid #007cba',
+            borderRadius: '4px',
+            fontSize: '0.9rem',
+            fontWeight: 'bold',
+            cursor: 'pointer',
+            display: 'flex',
+            alignItems: 'center',
+            gap: '0.5rem'
+          }}
+        >
+          <Download size={16} />
+          Export JSON
+        </button>
+        <button
+          onClick={() => setShowImportDialog(true)}
+          style={{
+            padding: '0.5rem 1rem',
+            backgroundColor: 'white',
+            color: '#007cba',
+            border: '1px solid #007cba',
+            borderRadius: '4px',
+            fontSize: '0.9rem',
+            fontWeight: 'bold',
+            cursor: 'pointer',
+            display: 'flex',
+            alignItems: 'center',
+            gap: '0.5rem'
+          }}
+        >
+          <Upload size={16} />
+          Import JSON
+        </button>
+        <button
+          onClick={() => setShowCsvWizard(true)}
+          style={{
+            padding: '0.5rem 1rem',
+            backgroundColor: 'white',
+            color: '#007cba',
+            border: '1px solid #007cba',
+            borderRadius: '4px',
+            fontSize: '0.9rem',
+            fontWeight: 'bold',
+            cursor: 'pointer',
+            display: 'flex',
+            alignItems: 'center',
+            gap: '0.5rem'
+          }}
+        >
+          <FileSpreadsheet size={16} />
+          Import CSV
+        </button>
+        <button
+          onClick={() => setShowSettings(true)}
+          style={{
+            padding: '0.5rem 1rem',
+            backgroundColor: 'white',
+            color: '#007cba',
+            border: '1px solid #007cba',
+            borderRadius: '4px',
+            fontSize: '0.9rem',
+            fontWeight: 'bold',
+            cursor: 'pointer',
+            display: 'flex',
+            alignItems: 'center',
+            gap: '0.5rem'
+          }}
+        >
+          <Settings size={16} />
+          Settings
+        </button>
+      </div>
+
+      <TimerPanel
+        onEntriesCreated={handleMediaEntriesAdded}
+        onStorageError={setStorageError}
+        allMediaEntries={mediaEntries}
+      />
+
       {/* Tabbed Container for Tables */}
       <section>
         <div style={{
@@ -445,7 +783,8 @@ export default function Home() {
           <div style={{
             display: 'flex',
             borderBottom: '2px solid #e0e0e0',
-            backgroundColor: '#f8f9fa'
+            backgroundColor: '#f8f9fa',
+            overflowX: 'auto'
           }}>
             <button
               onClick={() => setActiveTab('happiness')}
@@ -513,6 +852,138 @@ export default function Home() {
               <Film size={20} />
               Media Entries ({mediaEntries.length})
             </button>
+            <button
+              onClick={() => setActiveTab('library')}
+              style={{
+                flex: 1,
+                padding: '1rem 2rem',
+                border: 'none',
+                backgroundColor: activeTab === 'library' ? 'white' : 'transparent',
+                borderBottom: activeTab === 'library' ? '3px solid #007cba' : '3px solid transparent',
+                color: activeTab === 'library' ? '#007cba' : '#666',
+                fontWeight: activeTab === 'library' ? 'bold' : 'normal',
+                fontSize: '1rem',
+                cursor: 'pointer',
+                transition: 'all 0.2s',
+                marginBottom: '-2px',
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                gap: '0.5rem'
+              }}
+              onMouseOver={(e) => {
+                if (activeTab !== 'library') {
+                  e.target.style.backgroundColor = '#e9ecef'
+                }
+              }}
+              onMouseOut={(e) => {
+                if (activeTab !== 'library') {
+                  e.target.style.backgroundColor = 'transparent'
+                }
+              }}
+            >
+              <Library size={20} />
+              Library ({catalog.length})
+            </button>
+            <button
+              onClick={() => setActiveTab('insights')}
+              style={{
+                flex: 1,
+                padding: '1rem 2rem',
+                border: 'none',
+                backgroundColor: activeTab === 'insights' ? 'white' : 'transparent',
+                borderBottom: activeTab === 'insights' ? '3px solid #007cba' : '3px solid transparent',
+                color: activeTab === 'insights' ? '#007cba' : '#666',
+                fontWeight: activeTab === 'insights' ? 'bold' : 'normal',
+                fontSize: '1rem',
+                cursor: 'pointer',
+                transition: 'all 0.2s',
+                marginBottom: '-2px',
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                gap: '0.5rem'
+              }}
+              onMouseOver={(e) => {
+                if (activeTab !== 'insights') {
+                  e.target.style.backgroundColor = '#e9ecef'
+                }
+              }}
+              onMouseOut={(e) => {
+                if (activeTab !== 'insights') {
+                  e.target.style.backgroundColor = 'transparent'
+                }
+              }}
+            >
+              <Lightbulb size={20} />
+              Insights
+            </button>
+            <button
+              onClick={() => setActiveTab('dashboard')}
+              style={{
+                flex: 1,
+                padding: '1rem 2rem',
+                border: 'none',
+                backgroundColor: activeTab === 'dashboard' ? 'white' : 'transparent',
+                borderBottom: activeTab === 'dashboard' ? '3px solid #007cba' : '3px solid transparent',
+                color: activeTab === 'dashboard' ? '#007cba' : '#666',
+                fontWeight: activeTab === 'dashboard' ? 'bold' : 'normal',
+                fontSize: '1rem',
+                cursor: 'pointer',
+                transition: 'all 0.2s',
+                marginBottom: '-2px',
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                gap: '0.5rem'
+              }}
+              onMouseOver={(e) => {
+                if (activeTab !== 'dashboard') {
+                  e.target.style.backgroundColor = '#e9ecef'
+                }
+              }}
+              onMouseOut={(e) => {
+                if (activeTab !== 'dashboard') {
+                  e.target.style.backgroundColor = 'transparent'
+                }
+              }}
+            >
+              <LineChart size={20} />
+              Dashboard
+            </button>
+            <button
+              onClick={() => setActiveTab('calendar')}
+              style={{
+                flex: 1,
+                padding: '1rem 2rem',
+                border: 'none',
+                backgroundColor: activeTab === 'calendar' ? 'white' : 'transparent',
+                borderBottom: activeTab === 'calendar' ? '3px solid #007cba' : '3px solid transparent',
+                color: activeTab === 'calendar' ? '#007cba' : '#666',
+                fontWeight: activeTab === 'calendar' ? 'bold' : 'normal',
+                fontSize: '1rem',
+                cursor: 'pointer',
+                transition: 'all 0.2s',
+                marginBottom: '-2px',
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                gap: '0.5rem'
+              }}
+              onMouseOver={(e) => {
+                if (activeTab !== 'calendar') {
+                  e.target.style.backgroundColor = '#e9ecef'
+                }
+              }}
+              onMouseOut={(e) => {
+                if (activeTab !== 'calendar') {
+                  e.target.style.backgroundColor = 'transparent'
+                }
+              }}
+            >
+              <CalendarDays size={20} />
+              Calendar
+            </button>
           </div>
 
           {/* Tab Content */}
@@ -521,10 +992,13 @@ export default function Home() {
               <HappinessTable 
                 data={entries}
                 mediaData={mediaEntries}
+                dimensions={enabledDimensions}
                 onDeleteEntries={handleDeleteEntries}
                 onUpdateEntry={handleUpdateEntry}
                 onEditEntry={handleEditEntry}
                 onViewDetails={handleViewDetails}
+                dateFilter={scatterSelection}
+                onClearDateFilter={() => setScatterSelection(null)}
               />
             )}
 
@@ -534,6 +1008,47 @@ export default function Home() {
                 onDeleteEntries={handleDeleteMediaEntries}
                 onEditEntry={handleEditMediaEntry}
                 onAddEntry={handleOpenMediaForm}
+                onLogAgain={handleMediaEntryAdded}
+              />
+            )}
+
+            {activeTab === 'insights' && (
+              <InsightsPanel
+                happinessData={entries}
+                mediaData={mediaEntries}
+                catalog={catalog}
+                selectedDates={scatterSelection}
+                onSelectDates={setScatterSelection}
+                onShowSelectedDates={() => setActiveTab('happiness')}
+              />
+            )}
+
+            {activeTab === 'dashboard' && (
+              <Dashboard
+                happinessData={entries}
+                mediaData={mediaEntries}
+                onSelectDate={(date) => handleViewDetails({ date })}
+                onLogAgain={handleMediaEntryAdded}
+              />
+            )}
+
+            {activeTab === 'calendar' && (
+              <CalendarView
+                happinessData={entries}
+                mediaData={mediaEntries}
+                onViewDetails={(date) => handleViewDetails({ date })}
+                onLogHappiness={handleLogHappinessForDate}
+                onLogMedia={handleLogMediaForDate}
+                onLogAgain={handleMediaEntryAdded}
+              />
+            )}
+
+            {activeTab === 'library' && (
+              <LibraryTable
+                catalog={catalog}
+                mediaData={mediaEntries}
+                happinessData={entries}
+                onEditItem={(item, summary) => setEditingCatalogItem({ item, sessionCount: summary.sessionCount })}
               />
             )}
           </div>
@@ -618,6 +1133,8 @@ export default function Home() {
             <div style={{ padding: '1.5rem' }}>
               <MediaForm 
                 initialEntry={editingMediaEntry}
+                initialDate={logDate}
+                allMediaEntries={mediaEntries}
                 onEntryAdded={(entry) => {
                   handleMediaEntryAdded(entry)
                   setShowMediaFormModal(false)
@@ -634,14 +1151,54 @@ export default function Home() {
         </div>
       )}
 
+      {/* Catalog Item Dialog */}
+      {editingCatalogItem && (
+        <CatalogItemDialog
+          item={editingCatalogItem.item}
+          sessionCount={editingCatalogItem.sessionCount}
+          onSave={handleSaveCatalogItem}
+          onDelete={handleDeleteCatalogItem}
+          onClose={() => setEditingCatalogItem(null)}
+        />
+      )}
+
       {/* Detail View Modal */}
-      {showDetailView && detailEntry && (
+      {showDetailView && detailDay && (
         <HappinessDetailView
-          entry={detailEntry}
-          mediaEntries={mediaEntries.filter(media => media.date === detailEntry.date)}
+          day={detailDay}
+          mediaEntries={mediaEntries.filter(media => media.date === detailDay.date)}
+          onEditCheckIn={handleEditCheckIn}
+          onDeleteCheckIn={(entry) => handleDeleteEntries([entry])}
           onClose={handleCloseDetailView}
         />
       )}
+
+      {/* Import Dialog */}
+      {showImportDialog && (
+        <ImportDialog
+          onImport={handleImport}
+          onClose={() => setShowImportDialog(false)}
+        />
+      )}
+
+      {/* CSV Import Wizard */}
+      {showCsvWizard && (
+        <CsvImportWizard
+          defaultCollection={activeTab === 'media' ? 'media' : 'happiness'}
+          onImport={(incoming) => handleImport(incoming, 'merge')}
+          onClose={() => setShowCsvWizard(false)}
+        />
+      )}
+
+      {/* Settings Panel */}
+      {showSettings && (
+        <SettingsPanel
+          settings={settings}
+          usedMediaTypes={[...new Set(mediaEntries.map(media => media.type))]}
+          onSave={handleSaveSettings}
+          onClose={() => setShowSettings(false)}
+        />
+      )}
     </main>
   )
 }
\ No newline at end of file
@@ -0,0 +1,386 @@
+/**
+ * @fileoverview Calendar tab: year heatmap of happiness and a month grid for opening and backfilling days
+ */
+
+'use client'
+
+import { useState, useMemo } from 'react'
+import { ChevronLeft, ChevronRight, Plus, AlertTriangle } from 'lucide-react'
+import {
+  HAPPINESS_LEVEL_COLORS, WEEKDAY_LABELS, buildCalendarDays, getYearWeeks, getMonthWeeks, getMonthStart, findMissingDays
+} from '../lib/calendar.js'
+import { HAPPINESS_LEVELS, formatMean } from '../lib/happiness.js'
+import { addDays, formatDate, getTodayDate } from '../lib/dates.js'
+import { formatDuration } from '../lib/media.js'
+import { getMediaType } from '../lib/mediaTypes.js'
+import MediaDetailModal from './MediaDetailModal.js'
+
+// Heatmap geometry in viewBox units
+const CELL = 12
+const GAP = 3
+const LEFT = 30
+const TOP = 16
+
+// Colours for days with nothing to show
+const MISSING_COLOR = '#dc3545'
+const UNTRACKED_COLOR = '#f1f3f5'
+
+/**
+ * Formats the month and year of a date
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ * @param {'long'|'short'} [month='long'] - Month name style
+ * @returns {string} e.g. "October 2024"
+ */
+function formatMonth(dateString, month = 'long') {
+  const [year, monthIndex] = dateString.split('-').map(Number)
+  return new Date(year, monthIndex - 1, 1).toLocaleDateString('en-US', month === 'long' ? { month, year: 'numeric' } : { month })
+}
+
+/**
+ * Small button for logging on a day without a check-in
+ * @param {Object} props - Component props
+ * @param {string} props.label - Button text
+ * @param {string} props.title - Accessible description
+ * @param {Function} props.onClick - Click handler
+ * @returns {JSX.Element} The button
+ */
+function LogButton({ label, title, onClick }) {
+  return (
+    <button
+      onClick={onClick}
+      title={title}
+      aria-label={title}
+      style={{
+        display: 'flex',
+        alignItems: 'center',
+        gap: '0.15rem',
+        padding: '0.1rem 0.35rem',
+        backgroundColor: 'white',
+        color: '#007cba',
+        border: '1px solid #007cba',
+        borderRadius: '4px',
+        fontSize: '0.75rem',
+        cursor: 'pointer'
+      }}
+    >
+      <Plus size={12} />
+      {label}
+    </button>
+  )
+}
+
+/**
+ * Calendar tab content
+ * Days are coloured by their mean happiness level; dots mark media. Days since the first
+ * check-in that have none are outlined in red so they can be backfilled.
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.happinessData - Happiness check-ins
+ * @param {Array<Object>} props.mediaData - Media sessions
+ * @param {Function} props.onViewDetails - Called with a date that has check-ins to open its details
+ * @param {Function} props.onLogHappiness - Called with a date to log a check-in on it
+ * @param {Function} props.onLogMedia - Called with a date to log media on it
+ * @param {Function} [props.onLogAgain] - Passed to the media detail view
+ * @returns {JSX.Element} The calendar
+ */
+export default function CalendarView({ happinessData, mediaData, onViewDetails, onLogHappiness, onLogMedia, onLogAgain }) {
+  const today = getTodayDate()
+  const [month, setMonth] = useState(() => getMonthStart(today))
+  const [mediaDetailDate, setMediaDetailDate] = useState(null)
+
+  const days = useMemo(() => buildCalendarDays(happinessData, mediaData), [happinessData, mediaData])
+  const yearWeeks = useMemo(() => getYearWeeks(today), [today])
+
+  // Gaps are counted from the first check-in, within the year shown, up to yesterday
+  const trackedFrom = useMemo(
+    () => happinessData.reduce((earliest, entry) => (earliest === null || entry.date < earliest ? entry.date : earliest), null),
+    [happinessData]
+  )
+  const gaps = useMemo(() => {
+    if (!trackedFrom || trackedFrom >= today) return []
+    const yearStart = yearWeeks[0][0]
+    const checkInDates = [...days.values()].filter(day => day.level !== null).map(day => day.date)
+    return findMissingDays(checkInDates, trackedFrom > yearStart ? trackedFrom : yearStart, addDays(today, -1))
+  }, [days, trackedFrom, today, yearWeeks])
+  const missingDayCount = gaps.reduce((total, gap) => total + gap.days, 0)
+
+  /**
+   * Whether a day should have a check-in but has none
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @returns {boolean} True for days since the first check-in, before today, without one
+   */
+  const isMissing = (date) => trackedFrom !== null && date >= trackedFrom && date < today && !days.get(date)?.level
+
+  /**
+   * Describes a day for tooltips and screen readers
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @returns {string} Date, happiness and media summary
+   */
+  const describeDay = (date) => {
+    const day = days.get(date)
+    const parts = [formatDate(date)]
+    if (day?.level) parts.push(`${HAPPINESS_LEVELS[day.level]} (${formatMean(day.mean)})`)
+    else if (isMissing(date)) parts.push('no check-in')
+    if (day?.mediaMinutes) parts.push(`${formatDuration(day.mediaMinutes)} of media`)
+    return parts.join(' • ')
+  }
+
+  /**
+   * Opens whatever a day has: its check-ins, or its media when there are none
+   * @param {string} date - Date in YYYY-MM-DD format
+   */
+  const handleOpenDay = (date) => {
+    const day = days.get(date)
+    if (day?.level) onViewDetails(date)
+    else if (day?.mediaEntries.length) setMediaDetailDate(date)
+  }
+
+  const currentMonth = getMonthStart(today)
+  const mediaDetailDay = mediaDetailDate ? days.get(mediaDetailDate) : null
+
+  return (
+    <div style={{ width: '100%' }}>
+      {/* Year heatmap */}
+      <div style={{ overflowX: 'auto' }}>
+        <svg
+          viewBox={`0 0 ${LEFT + yearWeeks.length * (CELL + GAP)} ${TOP + 7 * (CELL + GAP)}`}
+          role="img"
+          aria-label={`Happiness over the last year, ${missingDayCount} ${missingDayCount === 1 ? 'day' : 'days'} without a check-in`}
+          style={{ width: '100%', minWidth: '640px', height: 'auto', display: 'block' }}
+        >
+          {yearWeeks.map((week, weekIndex) => {
+            // Label the week in which each month starts
+            const monthStart = week.find(date => date?.endsWith('-01'))
+            return monthStart && (
+              <text key={monthStart} x={LEFT + weekIndex * (CELL + GAP)} y={TOP - 5} fontSize="10" fill="#666">
+                {formatMonth(monthStart, 'short')}
+              </text>
+            )
+          })}
+          {[1, 3, 5].map(weekday => (
+            <text key={weekday} x={LEFT - 6} y={TOP + weekday * (CELL + GAP) + CELL / 2} textAnchor="end" dominantBaseline="middle" fontSize="10" fill="#666">
+              {WEEKDAY_LABELS[weekday]}
+            </text>
+          ))}
+
+          {yearWeeks.map((week, weekIndex) => week.map((date, weekday) => {
+            if (!date) return null
+            const day = days.get(date)
+            const missing = isMissing(date)
+            const x = LEFT + weekIndex * (CELL + GAP)
+            const y = TOP + weekday * (CELL + GAP)
+            return (
+              <g
+                key={date}
+                onClick={() => setMonth(getMonthStart(date))}
+                style={{ cursor: 'pointer' }}
+              >
+                <title>{describeDay(date)}</title>
+                <rect
+                  x={x}
+                  y={y}
+                  width={CELL}
+                  height={CELL}
+                  rx="2"
+                  fill={day?.level ? HAPPINESS_LEVEL_COLORS[day.level] : missing ? 'white' : UNTRACKED_COLOR}
+                  stroke={missing ? MISSING_COLOR : date === today ? '#333' : 'none'}
+                  strokeWidth="1"
+                  strokeDasharray={missing ? '2 1.5' : undefined}
+                />
+                {day?.mediaMinutes > 0 && (
+                  <circle cx={x + CELL / 2} cy={y + CELL / 2} r="2" fill="#333" />
+                )}
+              </g>
+            )
+          }))}
+        </svg>
+      </div>
+
+      {/* Legend */}
+      <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '0.75rem', margin: '0.75rem 0 1rem', fontSize: '0.85rem', color: '#666' }}>
+        {Object.entries(HAPPINESS_LEVELS).map(([level, label]) => (
+          <span key={level} style={{ display: 'flex', alignItems: 'center', gap: '0.35rem' }}>
+            <span style={{ width: '12px', height: '12px', borderRadius: '2px', backgroundColor: HAPPINESS_LEVEL_COLORS[level] }} />
+            {label}
+          </span>
+        ))}
+        <span style={{ display: 'flex', alignItems: 'center', gap: '0.35rem' }}>
+          <span style={{ width: '10px', height: '10px', borderRadius: '2px', border: `1px dashed ${MISSING_COLOR}` }} />
+          No check-in
+        </span>
+        <span style={{ display: 'flex', alignItems: 'center', gap: '0.35rem' }}>
+          <span style={{ width: '6px', height: '6px', borderRadius: '50%', backgroundColor: '#333' }} />
+          Media logged
+        </span>
+      </div>
+
+      {/* Gaps to backfill */}
+      {gaps.length > 0 && (
+        <div style={{
+          marginBottom: '1rem',
+          padding: '0.75rem',
+          backgroundColor: '#fff8e1',
+          border: '1px solid #ffe08a',
+          borderRadius: '4px',
+          color: '#8a6100'
+        }}>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+            <AlertTriangle size={18} />
+            <span>
+              {missingDayCount} {missingDayCount === 1 ? 'day has' : 'days have'} no check-in since you started. Pick a gap to fill it in:
+            </span>
+          </div>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem', marginTop: '0.5rem' }}>
+            {gaps.slice(0, 6).map(gap => (
+              <button
+                key={gap.from}
+                onClick={() => setMonth(getMonthStart(gap.to))}
+                style={{
+                  padding: '0.25rem 0.6rem',
+                  backgroundColor: 'white',
+                  color: '#8a6100',
+                  border: '1px solid #ffe08a',
+                  borderRadius: '4px',
+                  fontSize: '0.85rem',
+                  cursor: 'pointer'
+                }}
+              >
+                {gap.days === 1 ? formatDate(gap.from) : `${formatDate(gap.from)} – ${formatDate(gap.to)} (${gap.days} days)`}
+              </button>
+            ))}
+            {gaps.length > 6 && (
+              <span style={{ alignSelf: 'center', fontSize: '0.85rem' }}>and {gaps.length - 6} more</span>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Month grid */}
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '0.75rem' }}>
+        <button
+          onClick={() => setMonth(getMonthStart(month, -1))}
+          aria-label="Previous month"
+          style={{ background: 'none', border: '1px solid #ccc', borderRadius: '4px', padding: '0.25rem', cursor: 'pointer', display: 'flex' }}
+        >
+          <ChevronLeft size={20} />
+        </button>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem' }}>
+          <h3 style={{ margin: 0, color: '#333', fontSize: '1.1rem' }}>{formatMonth(month)}</h3>
+          {month !== currentMonth && (
+            <button
+              onClick={() => setMonth(currentMonth)}
+              style={{ background: 'none', border: 'none', color: '#007cba', fontSize: '0.85rem', cursor: 'pointer' }}
+            >
+              This month
+            </button>
+          )}
+        </div>
+        <button
+          onClick={() => setMonth(getMonthStart(month, 1))}
+          disabled={month >= currentMonth}
+          aria-label="Next month"
+          style={{
+            background: 'none',
+            border: '1px solid #ccc',
+            borderRadius: '4px',
+            padding: '0.25rem',
+            cursor: month >= currentMonth ? 'not-allowed' : 'pointer',
+            opacity: month >= currentMonth ? 0.4 : 1,
+            display: 'flex'
+          }}
+        >
+          <ChevronRight size={20} />
+        </button>
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(7, minmax(0, 1fr))', gap: '0.35rem' }}>
+        {WEEKDAY_LABELS.map(label => (
+          <div key={label} style={{ textAlign: 'center', fontSize: '0.8rem', fontWeight: 'bold', color: '#666' }}>{label}</div>
+        ))}
+
+        {getMonthWeeks(month).flat().map((date, index) => {
+          if (!date) return <div key={`blank-${index}`} />
+
+          const day = days.get(date)
+          const missing = isMissing(date)
+          const future = date > today
+          const openable = Boolean(day?.level || day?.mediaEntries.length)
+
+          return (
+            <div
+              key={date}
+              style={{
+                minHeight: '84px',
+                padding: '0.35rem',
+                display: 'flex',
+                flexDirection: 'column',
+                gap: '0.25rem',
+                borderRadius: '6px',
+                border: missing ? `1px dashed ${MISSING_COLOR}` : date === today ? '2px solid #333' : '1px solid #e0e0e0',
+                backgroundColor: day?.level ? `${HAPPINESS_LEVEL_COLORS[day.level]}55` : future ? '#fafafa' : 'white',
+                opacity: future ? 0.5 : 1
+              }}
+            >
+              <button
+                onClick={() => handleOpenDay(date)}
+                disabled={!openable}
+                title={describeDay(date)}
+                aria-label={describeDay(date)}
+                style={{
+                  flex: 1,
+                  display: 'flex',
+                  flexDirection: 'column',
+                  alignItems: 'flex-start',
+                  gap: '0.2rem',
+                  padding: 0,
+                  background: 'none',
+                  border: 'none',
+                  textAlign: 'left',
+                  color: '#333',
+                  cursor: openable ? 'pointer' : 'default'
+                }}
+              >
+                <span style={{ fontWeight: 'bold', fontSize: '0.9rem' }}>{Number(date.slice(8))}</span>
+                {day?.level && (
+                  <span style={{ fontSize: '0.75rem' }}>{formatMean(day.mean)}</span>
+                )}
+                {missing && (
+                  <span style={{ fontSize: '0.7rem', color: MISSING_COLOR }}>Missing</span>
+                )}
+                {day?.mediaTypes.length > 0 && (
+                  <span style={{ display: 'flex', flexWrap: 'wrap', gap: '0.2rem' }}>
+                    {day.mediaTypes.map(type => (
+                      <span
+                        key={type}
+                        title={getMediaType(type).label}
+                        style={{ width: '8px', height: '8px', borderRadius: '50%', backgroundColor: getMediaType(type).color }}
+                      />
+                    ))}
+                  </span>
+                )}
+              </button>
+
+              {!future && !day?.level && (
+                <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.25rem' }}>
+                  <LogButton label="Mood" title={`Log happiness for ${formatDate(date)}`} onClick={() => onLogHappiness(date)} />
+                  {!day?.mediaEntries.length && (
+                    <LogButton label="Media" title={`Log media for ${formatDate(date)}`} onClick={() => onLogMedia(date)} />
+                  )}
+                </div>
+              )}
+            </div>
+          )
+        })}
+      </div>
+
+      {/* Media Detail Modal */}
+      {mediaDetailDay && (
+        <MediaDetailModal
+          date={mediaDetailDay.date}
+          mediaEntries={mediaDetailDay.mediaEntries}
+          onLogAgain={onLogAgain}
+          onClose={() => setMediaDetailDate(null)}
+        />
+      )}
+    </div>
+  )
+}
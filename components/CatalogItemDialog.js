@@ -0,0 +1,294 @@
+/**
+ * @fileoverview Dialog for editing a media library title
+ */
+
+'use client'
+
+import { useState } from 'react'
+import { Library } from 'lucide-react'
+import { createCatalogItem, getFieldErrors } from '../schemas/index.js'
+import FieldError from './FieldError.js'
+import MediaTypeBadge from './MediaTypeBadge.js'
+
+/**
+ * Fields that show their validation messages inline
+ * @type {Array<string>}
+ */
+const FORM_FIELDS = ['title', 'creator', 'cover', 'totalLength']
+
+/**
+ * Dialog for editing a catalog item's title, creator, cover and total length
+ * Renaming a title also renames the sessions logged against it
+ * @param {Object} props - Component props
+ * @param {Object} props.item - Catalog item being edited
+ * @param {number} props.sessionCount - Sessions linked to the item; only unused titles can be deleted
+ * @param {Function} props.onSave - Called with the updated catalog item
+ * @param {Function} props.onDelete - Called with the item when it is deleted
+ * @param {Function} props.onClose - Callback when the dialog is closed
+ * @returns {JSX.Element} The dialog
+ */
+export default function CatalogItemDialog({ item, sessionCount, onSave, onDelete, onClose }) {
+  const [title, setTitle] = useState(item.title)
+  const [creator, setCreator] = useState(item.creator || '')
+  const [cover, setCover] = useState(item.cover || '')
+  const [totalLength, setTotalLength] = useState(item.totalLength ?? '')
+  const [errors, setErrors] = useState([])
+  const [fieldErrors, setFieldErrors] = useState({})
+
+  /**
+   * Validates and saves the edited item
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    const result = createCatalogItem(item.type, title.trim(), {
+      id: item.id,
+      creator: creator.trim() || undefined,
+      cover: cover.trim() || undefined,
+      totalLength: totalLength === '' ? undefined : Number(totalLength)
+    })
+
+    if (result.success) {
+      onSave(result.data)
+    } else {
+      const grouped = getFieldErrors(result.details)
+      setFieldErrors(grouped)
+      setErrors(
+        Object.entries(grouped)
+          .filter(([field]) => !FORM_FIELDS.includes(field))
+          .flatMap(([, messages]) => messages)
+      )
+    }
+  }
+
+  const labelStyle = {
+    display: 'block',
+    fontWeight: 'bold',
+    marginBottom: '0.5rem',
+    color: '#333'
+  }
+
+  /**
+   * Input style, outlined in red when the field has errors
+   * @param {string} field - Field name
+   * @returns {Object} Style object
+   */
+  const inputStyle = (field) => ({
+    padding: '0.5rem',
+    border: fieldErrors[field] ? '1px solid #c33' : '1px solid #ccc',
+    borderRadius: '4px',
+    fontSize: '1rem',
+    width: '100%',
+    boxSizing: 'border-box'
+  })
+
+  return (
+    <div
+      style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        backgroundColor: 'rgba(0, 0, 0, 0.5)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 1000,
+        padding: '1rem'
+      }}
+      onClick={onClose}
+    >
+      <div
+        style={{
+          backgroundColor: 'white',
+          borderRadius: '12px',
+          maxWidth: '500px',
+          width: '100%',
+          maxHeight: '90vh',
+          overflow: 'auto',
+          boxShadow: '0 20px 25px -5px rgba(0, 0, 0, 0.1), 0 10px 10px -5px rgba(0, 0, 0, 0.04)'
+        }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Header */}
+        <div style={{
+          padding: '1.5rem',
+          borderBottom: '1px solid #e0e0e0',
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center'
+        }}>
+          <h2 style={{
+            margin: 0,
+            color: '#333',
+            fontSize: '1.5rem',
+            display: 'flex',
+            alignItems: 'center',
+            gap: '0.5rem'
+          }}>
+            <Library size={24} />
+            Edit Title
+          </h2>
+          <button
+            onClick={onClose}
+            style={{
+              background: 'none',
+              border: 'none',
+              fontSize: '1.5rem',
+              cursor: 'pointer',
+              color: '#666',
+              padding: '0',
+              width: '32px',
+              height: '32px',
+              display: 'flex',
+              alignItems: 'center',
+              justifyContent: 'center',
+              borderRadius: '4px'
+            }}
+          >
+            ×
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit}>
+          {/* Content */}
+          <div style={{ padding: '1.5rem' }}>
+            <div style={{ marginBottom: '1rem', display: 'flex', alignItems: 'center', gap: '0.5rem', color: '#666' }}>
+              <MediaTypeBadge type={item.type} />
+              {sessionCount} {sessionCount === 1 ? 'session' : 'sessions'} logged
+            </div>
+
+            <div style={{ marginBottom: '1rem' }}>
+              <label htmlFor="catalog-title" style={labelStyle}>Title:</label>
+              <input
+                type="text"
+                id="catalog-title"
+                value={title}
+                onChange={(e) => setTitle(e.target.value)}
+                minLength="3"
+                required
+                aria-invalid={Boolean(fieldErrors.title)}
+                style={inputStyle('title')}
+              />
+              <FieldError messages={fieldErrors.title} />
+            </div>
+
+            <div style={{ marginBottom: '1rem' }}>
+              <label htmlFor="catalog-creator" style={labelStyle}>Creator:</label>
+              <input
+                type="text"
+                id="catalog-creator"
+                value={creator}
+                onChange={(e) => setCreator(e.target.value)}
+                placeholder="Author, director, host or artist"
+                aria-invalid={Boolean(fieldErrors.creator)}
+                style={inputStyle('creator')}
+              />
+              <FieldError messages={fieldErrors.creator} />
+            </div>
+
+            <div style={{ marginBottom: '1rem' }}>
+              <label htmlFor="catalog-cover" style={labelStyle}>Cover image URL:</label>
+              <input
+                type="url"
+                id="catalog-cover"
+                value={cover}
+                onChange={(e) => setCover(e.target.value)}
+                placeholder="https://..."
+                aria-invalid={Boolean(fieldErrors.cover)}
+                style={inputStyle('cover')}
+              />
+              <FieldError messages={fieldErrors.cover} />
+            </div>
+
+            <div style={{ marginBottom: '1rem' }}>
+              <label htmlFor="catalog-total-length" style={labelStyle}>Total length (minutes):</label>
+              <input
+                type="number"
+                id="catalog-total-length"
+                min="1"
+                value={totalLength}
+                onChange={(e) => setTotalLength(e.target.value)}
+                aria-invalid={Boolean(fieldErrors.totalLength)}
+                style={{ ...inputStyle('totalLength'), maxWidth: '200px' }}
+              />
+              <FieldError messages={fieldErrors.totalLength} />
+            </div>
+
+            {errors.length > 0 && (
+              <div style={{
+                padding: '0.75rem',
+                backgroundColor: '#fee',
+                border: '1px solid #fcc',
+                borderRadius: '4px',
+                color: '#c33'
+              }}>
+                {errors.join('. ')}
+              </div>
+            )}
+          </div>
+
+          {/* Footer */}
+          <div style={{
+            padding: '1.5rem',
+            borderTop: '1px solid #e0e0e0',
+            display: 'flex',
+            justifyContent: 'space-between',
+            gap: '0.75rem'
+          }}>
+            <button
+              type="button"
+              onClick={() => onDelete(item)}
+              disabled={sessionCount > 0}
+              title={sessionCount > 0 ? 'Delete its sessions first' : 'Remove this title from the library'}
+              style={{
+                padding: '0.75rem 1.5rem',
+                backgroundColor: 'transparent',
+                color: sessionCount > 0 ? '#ccc' : '#dc3545',
+                border: `1px solid ${sessionCount > 0 ? '#dee2e6' : '#dc3545'}`,
+                borderRadius: '4px',
+                fontSize: '1rem',
+                cursor: sessionCount > 0 ? 'not-allowed' : 'pointer'
+              }}
+            >
+              Delete
+            </button>
+            <div style={{ display: 'flex', gap: '0.75rem' }}>
+              <button
+                type="button"
+                onClick={onClose}
+                style={{
+                  padding: '0.75rem 1.5rem',
+                  backgroundColor: 'transparent',
+                  color: '#6c757d',
+                  border: '1px solid #dee2e6',
+                  borderRadius: '4px',
+                  fontSize: '1rem',
+                  cursor: 'pointer'
+                }}
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                style={{
+                  padding: '0.75rem 1.5rem',
+                  backgroundColor: '#007cba',
+                  color: 'white',
+                  border: 'none',
+                  borderRadius: '4px',
+                  fontSize: '1rem',
+                  fontWeight: 'bold',
+                  cursor: 'pointer'
+                }}
+              >
+                Save
+              </button>
+            </div>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,442 @@
+/**
+ * @fileoverview Wizard for importing entries from a CSV file
+ */
+
+'use client'
+
+import { useState, useMemo } from 'react'
+import { FileSpreadsheet, AlertTriangle } from 'lucide-react'
+import {
+  CSV_FIELDS,
+  isCsvFieldRequired,
+  DATE_FORMATS,
+  parseCSV,
+  detectDateFormats,
+  guessColumnMapping,
+  mapCsvRows
+} from '../lib/csv.js'
+
+const labelStyle = {
+  display: 'block',
+  fontWeight: 'bold',
+  marginBottom: '0.5rem',
+  color: '#333'
+}
+
+const selectStyle = {
+  padding: '0.5rem',
+  border: '1px solid #ccc',
+  borderRadius: '4px',
+  fontSize: '1rem',
+  width: '100%',
+  maxWidth: '300px',
+  cursor: 'pointer'
+}
+
+/**
+ * Three-step CSV import: choose a file, map columns, preview and import
+ * @param {Object} props - Component props
+ * @param {string} [props.defaultCollection='happiness'] - Collection selected initially
+ * @param {Function} props.onImport - Called with { happiness, media } arrays of validated entries
+ * @param {Function} props.onClose - Callback when the wizard is closed
+ * @returns {JSX.Element} The import wizard
+ */
+export default function CsvImportWizard({ defaultCollection = 'happiness', onImport, onClose }) {
+  const [step, setStep] = useState('upload')
+  const [collection, setCollection] = useState(defaultCollection)
+  const [fileName, setFileName] = useState('')
+  const [rows, setRows] = useState([])
+  const [hasHeader, setHasHeader] = useState(true)
+  const [mapping, setMapping] = useState({})
+  const [dateFormat, setDateFormat] = useState('YYYY-MM-DD')
+  const [error, setError] = useState('')
+
+  const headers = hasHeader ? rows[0] ?? [] : []
+  const dataRows = hasHeader ? rows.slice(1) : rows
+  const columnCount = rows.reduce((max, row) => Math.max(max, row.length), 0)
+
+  // Date formats that can read every value in the mapped date column
+  const detectedDateFormats = useMemo(() => {
+    if (mapping.date === undefined || mapping.date < 0) return []
+    return detectDateFormats(dataRows.map(row => row[mapping.date] ?? ''))
+  }, [rows, hasHeader, mapping.date])
+
+  // Dry run of the import with the current mapping
+  const preview = useMemo(() => {
+    if (step !== 'preview') return null
+    return mapCsvRows(dataRows, {
+      collection,
+      mapping,
+      dateFormat,
+      firstRowNumber: hasHeader ? 2 : 1
+    })
+  }, [step, rows, hasHeader, collection, mapping, dateFormat])
+
+  /**
+   * Re-guesses the mapping and date format for the current file and collection
+   * @param {Array<Array<string>>} parsedRows - All parsed rows
+   * @param {string} targetCollection - 'happiness' or 'media'
+   * @param {boolean} headerRow - Whether the first row holds column names
+   */
+  const applyGuesses = (parsedRows, targetCollection, headerRow) => {
+    const guessed = headerRow
+      ? guessColumnMapping(parsedRows[0] ?? [], targetCollection)
+      : Object.fromEntries(CSV_FIELDS[targetCollection].map(field => [field, -1]))
+    setMapping(guessed)
+
+    if (guessed.date >= 0) {
+      const body = headerRow ? parsedRows.slice(1) : parsedRows
+      const formats = detectDateFormats(body.map(row => row[guessed.date] ?? ''))
+      if (formats.length > 0) setDateFormat(formats[0])
+    }
+  }
+
+  /**
+   * Reads the chosen file and moves to the mapping step
+   * @param {Event} e - File input change event
+   */
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0]
+    if (!file) return
+
+    setFileName(file.name)
+    const parsedRows = parseCSV(await file.text())
+    if (parsedRows.length === 0) {
+      setError(`${file.name} has no rows`)
+      return
+    }
+
+    setError('')
+    setRows(parsedRows)
+    applyGuesses(parsedRows, collection, hasHeader)
+    setStep('map')
+  }
+
+  /**
+   * Updates the column mapped to a field
+   * @param {string} field - Schema field
+   * @param {string} value - Column index as a string
+   */
+  const handleMappingChange = (field, value) => {
+    const next = { ...mapping, [field]: parseInt(value, 10) }
+    setMapping(next)
+
+    if (field === 'date' && next.date >= 0) {
+      const formats = detectDateFormats(dataRows.map(row => row[next.date] ?? ''))
+      if (formats.length > 0) setDateFormat(formats[0])
+    }
+  }
+
+  /**
+   * Sends the valid rows to the parent
+   */
+  const handleImport = () => {
+    if (!preview || preview.valid.length === 0) return
+    const entries = preview.valid.map(({ entry }) => entry)
+    onImport({
+      happiness: collection === 'happiness' ? entries : [],
+      media: collection === 'media' ? entries : []
+    })
+  }
+
+  const columnLabel = (index) => {
+    const header = headers[index]
+    return header ? `Column ${index + 1}: ${header}` : `Column ${index + 1}`
+  }
+
+  const requiredFieldsMapped = CSV_FIELDS[collection]
+    .filter(field => isCsvFieldRequired(collection, field))
+    .every(field => mapping[field] >= 0)
+
+  return (
+    <div
+      style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        backgroundColor: 'rgba(0, 0, 0, 0.5)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 1000,
+        padding: '1rem'
+      }}
+      onClick={onClose}
+    >
+      <div
+        style={{
+          backgroundColor: 'white',
+          borderRadius: '12px',
+          maxWidth: '700px',
+          width: '100%',
+          maxHeight: '90vh',
+          overflow: 'auto',
+          boxShadow: '0 20px 25px -5px rgba(0, 0, 0, 0.1), 0 10px 10px -5px rgba(0, 0, 0, 0.04)'
+        }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Header */}
+        <div style={{
+          padding: '1.5rem',
+          borderBottom: '1px solid #e0e0e0',
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center'
+        }}>
+          <h2 style={{
+            margin: 0,
+            color: '#333',
+            fontSize: '1.5rem',
+            display: 'flex',
+            alignItems: 'center',
+            gap: '0.5rem'
+          }}>
+            <FileSpreadsheet size={24} />
+            Import CSV
+            <span style={{ fontSize: '0.9rem', color: '#999', fontWeight: 'normal' }}>
+              Step {{ upload: 1, map: 2, preview: 3 }[step]} of 3
+            </span>
+          </h2>
+          <button
+            onClick={onClose}
+            style={{
+              background: 'none',
+              border: 'none',
+              fontSize: '1.5rem',
+              cursor: 'pointer',
+              color: '#666',
+              padding: '0',
+              width: '32px',
+              height: '32px',
+              display: 'flex',
+              alignItems: 'center',
+              justifyContent: 'center',
+              borderRadius: '4px'
+            }}
+          >
+            ×
+          </button>
+        </div>
+
+        <div style={{ padding: '1.5rem' }}>
+          {/* Step 1: target and file */}
+          {step === 'upload' && (
+            <>
+              <div style={{ marginBottom: '1rem' }}>
+                <label htmlFor="csv-collection" style={labelStyle}>Import into:</label>
+                <select
+                  id="csv-collection"
+                  value={collection}
+                  onChange={(e) => setCollection(e.target.value)}
+                  style={selectStyle}
+                >
+                  <option value="happiness">Happiness entries</option>
+                  <option value="media">Media entries</option>
+                </select>
+              </div>
+              <div style={{ marginBottom: '1rem' }}>
+                <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', cursor: 'pointer' }}>
+                  <input
+                    type="checkbox"
+                    checked={hasHeader}
+                    onChange={(e) => setHasHeader(e.target.checked)}
+                  />
+                  First row contains column names
+                </label>
+              </div>
+              <div>
+                <label htmlFor="csv-file" style={labelStyle}>CSV file:</label>
+                <input
+                  type="file"
+                  id="csv-file"
+                  accept=".csv,text/csv,text/plain"
+                  onChange={handleFileChange}
+                />
+              </div>
+            </>
+          )}
+
+          {/* Step 2: column mapping */}
+          {step === 'map' && (
+            <>
+              <p style={{ marginTop: 0, color: '#666' }}>
+                {fileName}: {dataRows.length} data {dataRows.length === 1 ? 'row' : 'rows'}. Choose the column for each field.
+              </p>
+              {CSV_FIELDS[collection].map(field => (
+                <div key={field} style={{ marginBottom: '1rem' }}>
+                  <label htmlFor={`csv-map-${field}`} style={labelStyle}>
+                    {field}{isCsvFieldRequired(collection, field) ? '' : ' (optional)'}:
+                  </label>
+                  <select
+                    id={`csv-map-${field}`}
+                    value={mapping[field] ?? -1}
+                    onChange={(e) => handleMappingChange(field, e.target.value)}
+                    style={selectStyle}
+                  >
+                    <option value={-1}>— not mapped —</option>
+                    {Array.from({ length: columnCount }, (_, index) => (
+                      <option key={index} value={index}>{columnLabel(index)}</option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+              <div style={{ marginBottom: '1rem' }}>
+                <label htmlFor="csv-date-format" style={labelStyle}>Date format:</label>
+                <select
+                  id="csv-date-format"
+                  value={dateFormat}
+                  onChange={(e) => setDateFormat(e.target.value)}
+                  style={selectStyle}
+                >
+                  {Object.keys(DATE_FORMATS).map(format => (
+                    <option key={format} value={format}>
+                      {format}{detectedDateFormats.includes(format) ? ' (detected)' : ''}
+                    </option>
+                  ))}
+                </select>
+                {detectedDateFormats.length > 1 && (
+                  <div style={{ fontSize: '0.85rem', color: '#7a5c00', marginTop: '0.25rem' }}>
+                    Several formats fit these dates. Check that {dateFormat} is right.
+                  </div>
+                )}
+              </div>
+            </>
+          )}
+
+          {/* Step 3: dry-run preview */}
+          {step === 'preview' && preview && (
+            <>
+              <div style={{
+                padding: '0.75rem',
+                backgroundColor: '#f8f9fa',
+                border: '1px solid #e9ecef',
+                borderRadius: '4px',
+                marginBottom: '1rem',
+                color: '#333'
+              }}>
+                {preview.valid.length} of {dataRows.length} rows will be imported as {collection} entries.
+                {collection === 'happiness' && ' Rows for a date that already has an entry replace it.'}
+              </div>
+              {preview.rejected.length > 0 && (
+                <div style={{
+                  padding: '0.75rem',
+                  backgroundColor: '#fff8e1',
+                  border: '1px solid #ffe08a',
+                  borderRadius: '4px',
+                  color: '#7a5c00'
+                }}>
+                  <strong style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                    <AlertTriangle size={16} />
+                    {preview.rejected.length} {preview.rejected.length === 1 ? 'row' : 'rows'} would be rejected:
+                  </strong>
+                  <ul style={{ margin: '0.5rem 0 0 0', maxHeight: '240px', overflow: 'auto' }}>
+                    {preview.rejected.map(({ rowNumber, errors }) => (
+                      <li key={rowNumber}>Row {rowNumber}: {errors.join(', ')}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </>
+          )}
+
+          {error && (
+            <div style={{
+              padding: '0.75rem',
+              backgroundColor: '#fee',
+              border: '1px solid #fcc',
+              borderRadius: '4px',
+              marginTop: '1rem',
+              color: '#c33'
+            }}>
+              {error}
+            </div>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div style={{
+          padding: '1.5rem',
+          borderTop: '1px solid #e0e0e0',
+          display: 'flex',
+          justifyContent: 'flex-end',
+          gap: '0.75rem'
+        }}>
+          {step !== 'upload' && (
+            <button
+              onClick={() => setStep(step === 'preview' ? 'map' : 'upload')}
+              style={{
+                padding: '0.75rem 1.5rem',
+                backgroundColor: 'transparent',
+                color: '#6c757d',
+                border: '1px solid #dee2e6',
+                borderRadius: '4px',
+                fontSize: '1rem',
+                cursor: 'pointer'
+              }}
+            >
+              Back
+            </button>
+          )}
+          {step === 'upload' && rows.length > 0 && (
+            <button
+              onClick={() => {
+                applyGuesses(rows, collection, hasHeader)
+                setStep('map')
+              }}
+              style={{
+                padding: '0.75rem 1.5rem',
+                backgroundColor: '#007cba',
+                color: 'white',
+                border: 'none',
+                borderRadius: '4px',
+                fontSize: '1rem',
+                fontWeight: 'bold',
+                cursor: 'pointer'
+              }}
+            >
+              Next
+            </button>
+          )}
+          {step === 'map' && (
+            <button
+              onClick={() => setStep('preview')}
+              disabled={!requiredFieldsMapped}
+              style={{
+                padding: '0.75rem 1.5rem',
+                backgroundColor: requiredFieldsMapped ? '#007cba' : '#ccc',
+                color: 'white',
+                border: 'none',
+                borderRadius: '4px',
+                fontSize: '1rem',
+                fontWeight: 'bold',
+                cursor: requiredFieldsMapped ? 'pointer' : 'not-allowed'
+              }}
+            >
+              Preview
+            </button>
+          )}
+          {step === 'preview' && (
+            <button
+              onClick={handleImport}
+              disabled={!preview || preview.valid.length === 0}
+              style={{
+                padding: '0.75rem 1.5rem',
+                backgroundColor: preview?.valid.length > 0 ? '#007cba' : '#ccc',
+                color: 'white',
+                border: 'none',
+                borderRadius: '4px',
+                fontSize: '1rem',
+                fontWeight: 'bold',
+                cursor: preview?.valid.length > 0 ? 'pointer' : 'not-allowed'
+              }}
+            >
+              Import {preview?.valid.length ?? 0} {preview?.valid.length === 1 ? 'Row' : 'Rows'}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,137 @@
+/**
+ * @fileoverview Dashboard tab: happiness and media over time
+ */
+
+'use client'
+
+import { useState, useMemo } from 'react'
+import { buildTimeline, MOVING_AVERAGE_DAYS } from '../lib/analytics.js'
+import { addDays, getTodayDate } from '../lib/dates.js'
+import { formatDuration } from '../lib/media.js'
+import { formatMean } from '../lib/happiness.js'
+import { getMediaTypes } from '../lib/mediaTypes.js'
+import MediaTypeBadge from './MediaTypeBadge.js'
+import MediaDetailModal from './MediaDetailModal.js'
+import TimelineChart from './TimelineChart.js'
+
+/**
+ * Zoom levels and the number of days each shows, ending today
+ * @type {Object<string, {label: string, days: number}>}
+ */
+const RANGES = {
+  week: { label: 'Week', days: 7 },
+  month: { label: 'Month', days: 30 },
+  year: { label: 'Year', days: 365 }
+}
+
+/**
+ * Dashboard tab content
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.happinessData - Happiness check-ins
+ * @param {Array<Object>} props.mediaData - Media sessions
+ * @param {Function} props.onSelectDate - Called with a date that has check-ins to open its details
+ * @param {Function} [props.onLogAgain] - Called with a new entry logged again from a day's media
+ * @returns {JSX.Element} The dashboard
+ */
+export default function Dashboard({ happinessData, mediaData, onSelectDate, onLogAgain }) {
+  const [range, setRange] = useState('month')
+  const [mediaDetailDate, setMediaDetailDate] = useState(null)
+
+  const today = getTodayDate()
+  const from = addDays(today, -(RANGES[range].days - 1))
+  const timeline = useMemo(
+    () => buildTimeline(happinessData, mediaData, from, today),
+    [happinessData, mediaData, from, today]
+  )
+
+  // Registered types in their settings order, then any others still present in old entries
+  const types = useMemo(() => {
+    const present = new Set(timeline.flatMap(day => Object.keys(day.durationByType)))
+    const registered = getMediaTypes().map(type => type.key)
+    return [...registered.filter(key => present.has(key)), ...[...present].filter(key => !registered.includes(key))]
+  }, [timeline])
+
+  const checkInDays = timeline.filter(day => day.happiness !== null)
+
+  /**
+   * Opens whatever a day has: its check-ins, or its media when there are none
+   * @param {string} date - Date in YYYY-MM-DD format
+   */
+  const handleSelectDate = (date) => {
+    if (timeline.find(day => day.date === date)?.happiness !== null) onSelectDate(date)
+    else setMediaDetailDate(date)
+  }
+  const totalMinutes = timeline.reduce((total, day) => total + day.totalDuration, 0)
+
+  return (
+    <div style={{ width: '100%' }}>
+      <div style={{
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        flexWrap: 'wrap',
+        gap: '1rem',
+        marginBottom: '1rem',
+        padding: '1rem',
+        backgroundColor: '#f8f9fa',
+        borderRadius: '8px',
+        border: '1px solid #e9ecef',
+        fontSize: '0.9rem',
+        color: '#666'
+      }}>
+        <span>
+          {checkInDays.length} {checkInDays.length === 1 ? 'day' : 'days'} with check-ins
+          {checkInDays.length > 0 && `, averaging ${formatMean(checkInDays.reduce((total, day) => total + day.happiness, 0) / checkInDays.length)}`}
+          {' '}• {formatDuration(totalMinutes)} of media
+        </span>
+        <div role="group" aria-label="Time range" style={{ display: 'flex', gap: '0.25rem' }}>
+          {Object.entries(RANGES).map(([key, { label }]) => (
+            <button
+              key={key}
+              onClick={() => setRange(key)}
+              aria-pressed={range === key}
+              style={{
+                padding: '0.4rem 0.9rem',
+                backgroundColor: range === key ? '#007cba' : 'white',
+                color: range === key ? 'white' : '#007cba',
+                border: '1px solid #007cba',
+                borderRadius: '4px',
+                fontSize: '0.85rem',
+                cursor: 'pointer'
+              }}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <TimelineChart timeline={timeline} types={types} onSelectDate={handleSelectDate} />
+
+      {/* Legend */}
+      <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '0.75rem', marginTop: '0.75rem', fontSize: '0.85rem', color: '#666' }}>
+        <span style={{ display: 'flex', alignItems: 'center', gap: '0.35rem' }}>
+          <svg width="24" height="10" aria-hidden="true"><line x1="0" x2="24" y1="5" y2="5" stroke="#007cba" strokeWidth="2.5" /></svg>
+          {MOVING_AVERAGE_DAYS}-day happiness average
+        </span>
+        <span style={{ display: 'flex', alignItems: 'center', gap: '0.35rem' }}>
+          <svg width="10" height="10" aria-hidden="true"><circle cx="5" cy="5" r="3.5" fill="white" stroke="#007cba" strokeWidth="2" /></svg>
+          Daily happiness
+        </span>
+        {types.map(type => (
+          <MediaTypeBadge key={type} type={type} />
+        ))}
+      </div>
+
+      {/* Media Detail Modal */}
+      {mediaDetailDate && (
+        <MediaDetailModal
+          date={mediaDetailDate}
+          mediaEntries={mediaData.filter(media => media.date === mediaDetailDate)}
+          onLogAgain={onLogAgain}
+          onClose={() => setMediaDetailDate(null)}
+        />
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,28 @@
+/**
+ * @fileoverview Inline validation message shown under a form field
+ */
+
+'use client'
+
+/**
+ * Renders the validation messages for one field
+ * @param {Object} props - Component props
+ * @param {Array<string>} [props.messages] - Messages for the field, from getFieldErrors
+ * @returns {JSX.Element|null} The messages, or null when there are none
+ */
+export default function FieldError({ messages }) {
+  if (!messages || messages.length === 0) return null
+
+  return (
+    <div
+      role="alert"
+      style={{
+        color: '#c33',
+        fontSize: '0.85rem',
+        marginTop: '0.25rem'
+      }}
+    >
+      {messages.join('. ')}
+    </div>
+  )
+}
@@ -1,22 +1,46 @@
 /**
- * @fileoverview Detail view component for happiness entries
+ * @fileoverview Detail view component for a day of happiness check-ins
  */
 
 'use client'
 
-import { formatDate } from '../lib/happiness.js'
-import { MEDIA_TYPES, formatDuration } from '../lib/media.js'
+import { formatDate } from '../lib/dates.js'
+import { formatMean, getTimeOfDay } from '../lib/happiness.js'
+import { WELLBEING_DIMENSIONS } from '../lib/wellbeing.js'
+import { formatDuration } from '../lib/media.js'
+import Markdown from './Markdown.js'
+import MediaTypeBadge from './MediaTypeBadge.js'
 
 /**
- * Detail view component for displaying happiness entry details
+ * Style shared by the section labels
+ * @type {Object}
+ */
+const sectionLabelStyle = {
+  display: 'block',
+  fontSize: '0.85rem',
+  fontWeight: 'bold',
+  color: '#666',
+  textTransform: 'uppercase',
+  letterSpacing: '0.5px',
+  marginBottom: '0.5rem'
+}
+
+/**
+ * Detail view component for displaying a day's aggregate and its individual check-ins
  * @param {Object} props - Component props
- * @param {Object} props.entry - The happiness entry to display
+ * @param {Object} props.day - Day summary from groupCheckInsByDate
  * @param {Array} props.mediaEntries - Media entries for this date
+ * @param {Function} props.onEditCheckIn - Optional callback to edit a single check-in
+ * @param {Function} props.onDeleteCheckIn - Optional callback to delete a single check-in
  * @param {Function} props.onClose - Callback when modal is closed
  * @returns {JSX.Element} The detail view
  */
-export default function HappinessDetailView({ entry, mediaEntries = [], onClose }) {
-  if (!entry) return null
+export default function HappinessDetailView({ day, mediaEntries = [], onEditCheckIn, onDeleteCheckIn, onClose }) {
+  if (!day) return null
+
+  // Every dimension recorded on this day, including ones that are no longer enabled
+  const ratedDimensions = Object.entries(WELLBEING_DIMENSIONS)
+    .filter(([key]) => day.dimensions[key] !== null)
 
   return (
     <div
@@ -56,7 +80,7 @@ export default function HappinessDetailView({ entry, mediaEntries = [], onClose
           alignItems: 'center'
         }}>
           <h2 style={{ margin: 0, color: '#333', fontSize: '1.5rem' }}>
-            Happiness Entry Details
+            Happiness Details
           </h2>
           <button
             onClick={onClose}
@@ -106,28 +130,20 @@ export default function HappinessDetailView({ entry, mediaEntries = [], onClose
               fontWeight: 'bold',
               color: '#333'
             }}>
-              {formatDate(entry.date)}
+              {formatDate(day.date)}
             </div>
             <div style={{
               fontSize: '0.9rem',
               color: '#999',
               marginTop: '0.25rem'
             }}>
-              {entry.date}
+              {day.date}
             </div>
           </div>
 
-          {/* Happiness Level Section */}
+          {/* Daily Aggregate Section */}
           <div style={{ marginBottom: '2rem' }}>
-            <label style={{
-              display: 'block',
-              fontSize: '0.85rem',
-              fontWeight: 'bold',
-              color: '#666',
-              textTransform: 'uppercase',
-              letterSpacing: '0.5px',
-              marginBottom: '0.5rem'
-            }}>
+            <label style={sectionLabelStyle}>
               Happiness Level
             </label>
             <div style={{
@@ -135,22 +151,148 @@ export default function HappinessDetailView({ entry, mediaEntries = [], onClose
               alignItems: 'center',
               gap: '1rem',
               padding: '1rem',
-              backgroundColor: entry.happiness >= 0 ? '#e8f5e8' : '#ffeaea',
+              backgroundColor: day.mean >= 0 ? '#e8f5e8' : '#ffeaea',
               borderRadius: '8px',
-              border: `2px solid ${entry.happiness >= 0 ? '#c3e6c3' : '#ffcaca'}`
+              border: `2px solid ${day.mean >= 0 ? '#c3e6c3' : '#ffcaca'}`
             }}>
               <div style={{
                 fontSize: '2rem',
                 fontWeight: 'bold',
-                color: entry.happiness >= 0 ? '#2d5a2d' : '#8b2635',
+                color: day.mean >= 0 ? '#2d5a2d' : '#8b2635',
                 minWidth: '60px',
                 textAlign: 'center',
                 padding: '0.5rem',
                 backgroundColor: 'white',
                 borderRadius: '8px'
               }}>
-                {entry.happiness}
+                {formatMean(day.mean)}
               </div>
+              {day.checkIns.length > 1 && (
+                <div style={{ color: '#555' }}>
+                  Mean of {day.checkIns.length} check-ins · min {day.min} · max {day.max}
+                </div>
+              )}
+            </div>
+          </div>
+
+          {/* Wellbeing Section */}
+          {ratedDimensions.length > 0 && (
+            <div style={{ marginBottom: '2rem' }}>
+              <label style={sectionLabelStyle}>
+                Wellbeing
+              </label>
+              <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.75rem' }}>
+                {ratedDimensions.map(([key, dimension]) => (
+                  <div
+                    key={key}
+                    style={{
+                      padding: '0.75rem 1rem',
+                      backgroundColor: '#f8f9fa',
+                      border: '1px solid #e0e0e0',
+                      borderRadius: '8px',
+                      minWidth: '120px'
+                    }}
+                  >
+                    <div style={{ fontSize: '0.85rem', color: '#666' }}>{dimension.label}</div>
+                    <div style={{ fontSize: '1.5rem', fontWeight: 'bold', color: '#333' }}>
+                      {formatMean(day.dimensions[key])}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* Check-ins Section */}
+          <div style={{ marginBottom: '2rem' }}>
+            <label style={sectionLabelStyle}>
+              Check-ins
+            </label>
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '0.75rem' }}>
+              {day.checkIns.map(checkIn => (
+                <div
+                  key={checkIn.id}
+                  style={{
+                    padding: '0.75rem 1rem',
+                    backgroundColor: '#fafafa',
+                    border: '1px solid #e0e0e0',
+                    borderRadius: '8px'
+                  }}
+                >
+                  <div style={{
+                    display: 'flex',
+                    justifyContent: 'space-between',
+                    alignItems: 'center',
+                    gap: '1rem'
+                  }}>
+                    <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem' }}>
+                      <span style={{
+                        display: 'inline-block',
+                        minWidth: '30px',
+                        textAlign: 'center',
+                        padding: '0.25rem 0.5rem',
+                        backgroundColor: checkIn.happiness >= 0 ? '#e8f5e8' : '#ffeaea',
+                        color: checkIn.happiness >= 0 ? '#2d5a2d' : '#8b2635',
+                        borderRadius: '4px',
+                        fontWeight: 'bold'
+                      }}>
+                        {checkIn.happiness}
+                      </span>
+                      <span style={{ color: '#333' }}>
+                        {getTimeOfDay(checkIn.time)}
+                        {checkIn.time && <span style={{ color: '#999' }}> · {checkIn.time}</span>}
+                      </span>
+                    </div>
+                    <div style={{ display: 'flex', gap: '0.5rem' }}>
+                      {onEditCheckIn && (
+                        <button
+                          onClick={() => onEditCheckIn(checkIn)}
+                          style={{
+                            padding: '0.25rem 0.75rem',
+                            backgroundColor: 'white',
+                            color: '#007cba',
+                            border: '1px solid #007cba',
+                            borderRadius: '4px',
+                            fontSize: '0.85rem',
+                            cursor: 'pointer'
+                          }}
+                        >
+                          Edit
+                        </button>
+                      )}
+                      {onDeleteCheckIn && (
+                        <button
+                          onClick={() => onDeleteCheckIn(checkIn)}
+                          style={{
+                            padding: '0.25rem 0.75rem',
+                            backgroundColor: 'white',
+                            color: '#dc3545',
+                            border: '1px solid #dc3545',
+                            borderRadius: '4px',
+                            fontSize: '0.85rem',
+                            cursor: 'pointer'
+                          }}
+                        >
+                          Delete
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                  {ratedDimensions.some(([key]) => checkIn[key] !== undefined) && (
+                    <div style={{ marginTop: '0.5rem', fontSize: '0.85rem', color: '#555' }}>
+                      {ratedDimensions
+                        .filter(([key]) => checkIn[key] !== undefined)
+                        .map(([key, dimension]) => `${dimension.label} ${checkIn[key]}`)
+                        .join(' · ')}
+                    </div>
+                  )}
+                  {checkIn.notes && (
+                    <div style={{ marginTop: '0.5rem' }}>
+                      <Markdown text={checkIn.notes} />
+                    </div>
+                  )}
+                </div>
+              ))}
             </div>
           </div>
 
@@ -196,17 +338,7 @@ export default function HappinessDetailView({ entry, mediaEntries = [], onClose
                     }}
                   >
                     <div style={{ display: 'flex', alignItems: 'center', gap: '1rem' }}>
-                      <span style={{
-                        display: 'inline-block',
-                        padding: '0.5rem 0.75rem',
-                        backgroundColor: '#e3f2fd',
-                        color: '#1976d2',
-                        borderRadius: '6px',
-                        fontSize: '1rem',
-                        fontWeight: 'bold'
-                      }}>
-                        {MEDIA_TYPES[media.type]}
-                      </span>
+                      <MediaTypeBadge type={media.type} size="large" />
                       <div>
                         <div style={{
                           fontSize: '1rem',
@@ -1,39 +1,94 @@
 /**
- * @fileoverview Form component for creating happiness entries
+ * @fileoverview Form component for creating happiness check-ins
  */
 
 'use client'
 
-import { useState } from 'react'
-import { Check, Frown, Meh, Smile } from 'lucide-react'
-import { createHappinessEntry } from '../schemas/index.js'
-import { getTodayDate } from '../lib/happiness.js'
+import { useState, useRef } from 'react'
+import { Check, Frown, Meh, Smile, Plus, Trash2 } from 'lucide-react'
+import { createHappinessEntry, createMediaEntry, getDateBounds, getFieldErrors } from '../schemas/index.js'
+import { getMediaTypes } from '../lib/mediaTypes.js'
+import { getTodayDate, getCurrentTime } from '../lib/dates.js'
+import { CHECK_IN_PERIODS } from '../lib/happiness.js'
+import { WELLBEING_DIMENSIONS } from '../lib/wellbeing.js'
+import FieldError from './FieldError.js'
+import Markdown from './Markdown.js'
+import TitleAutocomplete from './TitleAutocomplete.js'
+
+/**
+ * Fields that show their validation messages inline
+ * @type {Array<string>}
+ */
+const FORM_FIELDS = ['date', 'time', 'happiness', ...Object.keys(WELLBEING_DIMENSIONS), 'notes']
 
 /**
  * Form component for logging happiness entries
  * @param {Object} props - Component props
- * @param {Function} props.onEntryAdded - Callback when entry is successfully added
+ * @param {Function} props.onSave - Called once per submit with { entry, addedMedia, updatedMedia, removedMedia },
+ *   so the check-in and its media can be saved together
  * @param {Object} props.initialEntry - Optional initial entry for editing
- * @param {Function} props.onEntryUpdated - Optional callback when entry is updated (passes old and new entry)
- * @param {Function} props.onMediaEntriesAdded - Optional callback when media entries are added
- * @param {Function} props.onMediaEntryDeleted - Optional callback when a media entry is deleted
+ * @param {string} [props.initialDate] - Date a new check-in starts on, for backfilling; defaults to today
  * @param {Array} props.allMediaEntries - All media entries to filter by date
+ * @param {Array} props.dimensions - Enabled wellbeing dimensions from getEnabledDimensions
  * @returns {JSX.Element} The happiness entry form
  */
-export default function HappinessForm({ onEntryAdded, initialEntry, onEntryUpdated, onMediaEntriesAdded, onMediaEntryDeleted, allMediaEntries = [] }) {
-  const [date, setDate] = useState(initialEntry?.date || getTodayDate())
+export default function HappinessForm({ onSave, initialEntry, initialDate, allMediaEntries = [], dimensions = [] }) {
+  const [date, setDate] = useState(initialEntry?.date || initialDate || getTodayDate())
+  // Existing check-ins keep their time, even when it was never recorded
+  const [time, setTime] = useState(initialEntry ? initialEntry.time ?? '' : getCurrentTime())
   const [happiness, setHappiness] = useState(initialEntry?.happiness ?? 0)
+  const [notes, setNotes] = useState(initialEntry?.notes ?? '')
+  // Scores the user has given; dimensions that were disabled later keep their recorded value
+  const [dimensionValues, setDimensionValues] = useState(() => Object.fromEntries(
+    Object.keys(WELLBEING_DIMENSIONS)
+      .filter(key => initialEntry?.[key] !== undefined)
+      .map(key => [key, initialEntry[key]])
+  ))
+  const [showNotesPreview, setShowNotesPreview] = useState(false)
   const [errors, setErrors] = useState([])
+  const [fieldErrors, setFieldErrors] = useState({})
   const [isSubmitting, setIsSubmitting] = useState(false)
   const [successMessage, setSuccessMessage] = useState('')
-  
+  const nextRowKey = useRef(0)
+
+  /**
+   * Builds an editable fieldset row, either for an existing media entry or a blank one
+   * @param {Object} [entry] - Saved media entry the row edits
+   * @returns {{key: string, entry: Object|null, type: string, title: string, duration: number|string}} Row state
+   */
+  const createMediaRow = (entry = null) => ({
+    key: entry?.id ?? `new-${nextRowKey.current++}`,
+    entry,
+    type: entry?.type ?? getMediaTypes()[0].key,
+    title: entry?.title ?? '',
+    duration: entry?.duration ?? 30
+  })
+
   // Get media entries for the current date
   const getMediaEntriesForDate = (selectedDate) => {
-    const entriesForDate = allMediaEntries.filter(media => media.date === selectedDate)
-    return entriesForDate.length > 0 ? entriesForDate : []
+    return allMediaEntries.filter(media => media.date === selectedDate)
+  }
+
+  // Nothing is saved until the form is submitted; removed entries are deleted then
+  const [mediaEntries, setMediaEntries] = useState(() => getMediaEntriesForDate(initialEntry?.date || initialDate || getTodayDate()).map(entry => createMediaRow(entry)))
+  const [removedMediaEntries, setRemovedMediaEntries] = useState([])
+  const [mediaErrors, setMediaErrors] = useState({})
+
+  /**
+   * Adds a blank media fieldset
+   */
+  const handleAddMediaEntry = () => {
+    setMediaEntries([...mediaEntries, createMediaRow()])
+  }
+
+  /**
+   * Updates fields of a media fieldset
+   * @param {number} index - Index of the media entry to change
+   * @param {Object} changes - Fields to overwrite
+   */
+  const handleMediaEntryChange = (index, changes) => {
+    setMediaEntries(mediaEntries.map((row, i) => i === index ? { ...row, ...changes } : row))
   }
-  
-  const [mediaEntries, setMediaEntries] = useState(getMediaEntriesForDate(initialEntry?.date || getTodayDate()))
 
   /**
    * Removes a media entry fieldset
@@ -41,26 +96,46 @@ export default function HappinessForm({ onEntryAdded, initialEntry, onEntryUpdat
    */
   const handleRemoveMediaEntry = (index) => {
     const mediaToRemove = mediaEntries[index]
-    
-    // Remove from local state
-    const updatedEntries = mediaEntries.filter((_, i) => i !== index)
-    setMediaEntries(updatedEntries)
-    
-    // If this is an existing media entry (has id), notify parent to delete
-    if (onMediaEntryDeleted && mediaToRemove.id) {
-      onMediaEntryDeleted(mediaToRemove)
+    setMediaEntries(mediaEntries.filter((_, i) => i !== index))
+
+    // Saved entries are deleted when the form is submitted
+    if (mediaToRemove.entry) {
+      setRemovedMediaEntries([...removedMediaEntries, mediaToRemove.entry])
     }
   }
 
   /**
    * Handles date change and updates media entries accordingly
+   * Saved entries are swapped for the new date's; rows that were never saved move with the form
    * @param {string} newDate - New date value
    */
   const handleDateChange = (newDate) => {
     setDate(newDate)
-    // Update media entries to match the new date
-    const entriesForDate = getMediaEntriesForDate(newDate)
-    setMediaEntries(entriesForDate)
+    const entriesForDate = getMediaEntriesForDate(newDate).map(entry => createMediaRow(entry))
+    setMediaEntries([...entriesForDate, ...mediaEntries.filter(row => !row.entry)])
+    setRemovedMediaEntries([])
+    setMediaErrors({})
+  }
+
+  /**
+   * Validates every media fieldset against the form's date
+   * @returns {{entries: Array<{row: Object, data: Object}>, errors: Object<string, Object>}} Valid
+   *   entries, and grouped field errors keyed by row for the fieldsets that failed
+   */
+  const validateMediaEntries = () => {
+    const entries = []
+    const errors = {}
+    mediaEntries.forEach(row => {
+      // Details belong to the type they were recorded for, so they are only kept while the type is unchanged
+      const details = row.entry && row.entry.type === row.type ? row.entry.details : undefined
+      const result = createMediaEntry(date, row.type, row.title.trim(), parseInt(row.duration), row.entry?.id, details)
+      if (result.success) {
+        entries.push({ row, data: result.data })
+      } else {
+        errors[row.key] = getFieldErrors(result.details)
+      }
+    })
+    return { entries, errors }
   }
 
   /**
@@ -71,33 +146,67 @@ export default function HappinessForm({ onEntryAdded, initialEntry, onEntryUpdat
     e.preventDefault()
     setIsSubmitting(true)
     setErrors([])
+    setFieldErrors({})
+    setMediaErrors({})
     setSuccessMessage('')
 
     // Create and validate the happiness entry
-    const happinessResult = createHappinessEntry(date, parseInt(happiness))
-    
-    if (happinessResult.success) {
+    const happinessResult = createHappinessEntry(date, parseInt(happiness), {
+      id: initialEntry?.id,
+      time: time || undefined,
+      ...dimensionValues,
+      notes: notes.trim() ? notes : undefined
+    })
+    // Media is validated up front too so that either everything is saved or nothing is
+    const mediaResult = validateMediaEntries()
+    const mediaValid = Object.keys(mediaResult.errors).length === 0
+
+    if (happinessResult.success && mediaValid) {
       setSuccessMessage(
         <span style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
           <Check size={20} />
           Entry logged successfully!
         </span>
       )
-      
-      // If editing an existing entry, use onEntryUpdated callback
-      if (initialEntry && onEntryUpdated) {
-        onEntryUpdated(initialEntry, happinessResult.data)
-      } else if (onEntryAdded) {
-        onEntryAdded(happinessResult.data)
-      }
-      
+
+
+      const added = mediaResult.entries.filter(({ row }) => !row.entry).map(({ data }) => data)
+      // Untouched entries are not rewritten, so they keep their catalog link
+      const updated = mediaResult.entries
+        .filter(({ row, data }) => row.entry && (
+          row.entry.date !== data.date ||
+          row.entry.type !== data.type ||
+          row.entry.title !== data.title ||
+          row.entry.duration !== data.duration
+        ))
+        .map(({ data }) => data)
+      onSave({ entry: happinessResult.data, addedMedia: added, updatedMedia: updated, removedMedia: removedMediaEntries })
+      setMediaEntries(mediaResult.entries.map(({ data }) => createMediaRow(data)))
+      setRemovedMediaEntries([])
+
       // Reset form only if not editing
       if (!initialEntry) {
         setDate(getTodayDate())
+        setTime(getCurrentTime())
         setHappiness(0)
+        setNotes('')
+        setDimensionValues({})
+        setShowNotesPreview(false)
+        if (date !== getTodayDate()) {
+          setMediaEntries(getMediaEntriesForDate(getTodayDate()).map(entry => createMediaRow(entry)))
+        }
       }
     } else {
-      setErrors(happinessResult.errors)
+      // Field errors are shown next to their inputs; anything else goes in the summary
+      const grouped = happinessResult.success ? {} : getFieldErrors(happinessResult.details)
+      setFieldErrors(grouped)
+      setMediaErrors(mediaResult.errors)
+      setErrors([
+        ...Object.entries(grouped)
+          .filter(([field]) => !FORM_FIELDS.includes(field))
+          .flatMap(([, messages]) => messages),
+        ...(mediaValid ? [] : ['Fix the highlighted media entries; nothing has been saved yet'])
+      ])
     }
     
     setIsSubmitting(false)
@@ -129,11 +238,14 @@ export default function HappinessForm({ onEntryAdded, initialEntry, onEntryUpdat
           <input
             type="date"
             id="date"
+            min={getDateBounds('happiness').min ?? undefined}
+            max={getDateBounds('happiness').max ?? undefined}
             value={date}
             onChange={(e) => handleDateChange(e.target.value)}
+            aria-invalid={Boolean(fieldErrors.date)}
             style={{
               padding: '0.5rem',
-              border: '1px solid #ccc',
+              border: fieldErrors.date ? '1px solid #c33' : '1px solid #ccc',
               borderRadius: '4px',
               fontSize: '1rem',
               width: '100%',
@@ -141,6 +253,55 @@ export default function HappinessForm({ onEntryAdded, initialEntry, onEntryUpdat
             }}
             required
           />
+          <FieldError messages={fieldErrors.date} />
+        </div>
+
+        <div style={{ marginBottom: '1rem' }}>
+          <label
+            htmlFor="time"
+            style={{
+              display: 'block',
+              fontWeight: 'bold',
+              marginBottom: '0.5rem',
+              color: '#333'
+            }}
+          >
+            Time of day:
+          </label>
+          <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '0.5rem' }}>
+            <input
+              type="time"
+              id="time"
+              value={time}
+              onChange={(e) => setTime(e.target.value)}
+              aria-invalid={Boolean(fieldErrors.time)}
+              style={{
+                padding: '0.5rem',
+                border: fieldErrors.time ? '1px solid #c33' : '1px solid #ccc',
+                borderRadius: '4px',
+                fontSize: '1rem'
+              }}
+            />
+            {Object.entries(CHECK_IN_PERIODS).map(([period, { label, time: periodTime }]) => (
+              <button
+                key={period}
+                type="button"
+                onClick={() => setTime(periodTime)}
+                style={{
+                  padding: '0.4rem 0.75rem',
+                  backgroundColor: time === periodTime ? '#007cba' : 'white',
+                  color: time === periodTime ? 'white' : '#007cba',
+                  border: '1px solid #007cba',
+                  borderRadius: '4px',
+                  fontSize: '0.85rem',
+                  cursor: 'pointer'
+                }}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          <FieldError messages={fieldErrors.time} />
         </div>
 
         <div style={{ marginBottom: '1.5rem' }}>
@@ -189,6 +350,298 @@ export default function HappinessForm({ onEntryAdded, initialEntry, onEntryUpdat
               <Smile size={16} /> Very Happy
             </span>
           </div>
+          <FieldError messages={fieldErrors.happiness} />
+        </div>
+
+        {/* Wellbeing dimensions; each one is optional */}
+        {dimensions.map(dimension => {
+          const value = dimensionValues[dimension.key]
+          const isRated = value !== undefined
+
+          return (
+            <div key={dimension.key} style={{ marginBottom: '1.25rem' }}>
+              <div style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '0.75rem',
+                marginBottom: '0.25rem'
+              }}>
+                <label
+                  htmlFor={`dimension-${dimension.key}`}
+                  style={{ fontWeight: 'bold', color: '#333' }}
+                >
+                  {dimension.label}: {isRated ? value : <span style={{ fontWeight: 'normal', color: '#999' }}>Not rated</span>}
+                </label>
+                {isRated && (
+                  <button
+                    type="button"
+                    onClick={() => {
+                      const { [dimension.key]: _removed, ...rest } = dimensionValues
+                      setDimensionValues(rest)
+                    }}
+                    style={{
+                      background: 'none',
+                      border: 'none',
+                      color: '#007cba',
+                      fontSize: '0.85rem',
+                      cursor: 'pointer',
+                      padding: 0
+                    }}
+                  >
+                    Clear
+                  </button>
+                )}
+              </div>
+              <input
+                type="range"
+                id={`dimension-${dimension.key}`}
+                min={dimension.min}
+                max={dimension.max}
+                step="1"
+                value={isRated ? value : Math.round((dimension.min + dimension.max) / 2)}
+                onChange={(e) => setDimensionValues({ ...dimensionValues, [dimension.key]: parseInt(e.target.value) })}
+                // Clicking the thumb at its resting position rates without firing onChange
+                onClick={(e) => !isRated && setDimensionValues({ ...dimensionValues, [dimension.key]: parseInt(e.target.value) })}
+                aria-invalid={Boolean(fieldErrors[dimension.key])}
+                style={{
+                  width: '100%',
+                  maxWidth: '300px',
+                  cursor: 'pointer',
+                  opacity: isRated ? 1 : 0.5
+                }}
+              />
+              <div style={{
+                display: 'flex',
+                justifyContent: 'space-between',
+                maxWidth: '300px',
+                fontSize: '0.85rem',
+                color: '#666'
+              }}>
+                <span>{dimension.min} · {dimension.lowLabel}</span>
+                <span>{dimension.highLabel} · {dimension.max}</span>
+              </div>
+              <FieldError messages={fieldErrors[dimension.key]} />
+            </div>
+          )
+        })}
+
+        <div style={{ marginBottom: '1.5rem' }}>
+          <div style={{
+            display: 'flex',
+            justifyContent: 'space-between',
+            alignItems: 'center',
+            marginBottom: '0.5rem'
+          }}>
+            <label
+              htmlFor="notes"
+              style={{
+                fontWeight: 'bold',
+                color: '#333'
+              }}
+            >
+              Notes (optional):
+            </label>
+            <button
+              type="button"
+              onClick={() => setShowNotesPreview(!showNotesPreview)}
+              disabled={!notes.trim()}
+              style={{
+                padding: '0.25rem 0.75rem',
+                backgroundColor: 'white',
+                color: notes.trim() ? '#007cba' : '#999',
+                border: `1px solid ${notes.trim() ? '#007cba' : '#ccc'}`,
+                borderRadius: '4px',
+                fontSize: '0.85rem',
+                cursor: notes.trim() ? 'pointer' : 'not-allowed'
+              }}
+            >
+              {showNotesPreview ? 'Edit' : 'Preview'}
+            </button>
+          </div>
+          {showNotesPreview && notes.trim() ? (
+            <div style={{
+              padding: '0.5rem 0.75rem',
+              border: '1px solid #e0e0e0',
+              borderRadius: '4px',
+              backgroundColor: '#fafafa',
+              minHeight: '100px'
+            }}>
+              <Markdown text={notes} />
+            </div>
+          ) : (
+            <textarea
+              id="notes"
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+              placeholder="What made today good or bad? Markdown is supported: **bold**, *italic*, - lists"
+              rows={5}
+              aria-invalid={Boolean(fieldErrors.notes)}
+              style={{
+                padding: '0.5rem',
+                border: fieldErrors.notes ? '1px solid #c33' : '1px solid #ccc',
+                borderRadius: '4px',
+                fontSize: '1rem',
+                fontFamily: 'inherit',
+                width: '100%',
+                boxSizing: 'border-box',
+                resize: 'vertical'
+              }}
+            />
+          )}
+          <FieldError messages={fieldErrors.notes} />
+        </div>
+
+        {/* Media consumed on this day */}
+        <div style={{ marginBottom: '1.5rem' }}>
+          <div style={{
+            display: 'flex',
+            justifyContent: 'space-between',
+            alignItems: 'center',
+            marginBottom: '0.5rem'
+          }}>
+            <span style={{ fontWeight: 'bold', color: '#333' }}>
+              Media on this day ({mediaEntries.length}):
+            </span>
+            <button
+              type="button"
+              onClick={handleAddMediaEntry}
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '0.25rem',
+                padding: '0.25rem 0.75rem',
+                backgroundColor: 'white',
+                color: '#007cba',
+                border: '1px solid #007cba',
+                borderRadius: '4px',
+                fontSize: '0.85rem',
+                cursor: 'pointer'
+              }}
+            >
+              <Plus size={14} />
+              Add media
+            </button>
+          </div>
+          {mediaEntries.map((row, index) => {
+            const rowErrors = mediaErrors[row.key] || {}
+            const inputStyle = (field) => ({
+              padding: '0.5rem',
+              border: rowErrors[field] ? '1px solid #c33' : '1px solid #ccc',
+              borderRadius: '4px',
+              fontSize: '1rem',
+              width: '100%',
+              boxSizing: 'border-box'
+            })
+
+            return (
+              <fieldset
+                key={row.key}
+                style={{
+                  border: `1px solid ${mediaErrors[row.key] ? '#fcc' : '#e0e0e0'}`,
+                  borderRadius: '4px',
+                  padding: '0.75rem',
+                  marginBottom: '0.75rem'
+                }}
+              >
+                <legend style={{ color: '#666', fontSize: '0.85rem' }}>
+                  {row.entry ? 'Saved media' : 'New media'} {index + 1}
+                </legend>
+                <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem', alignItems: 'flex-start' }}>
+                  <div style={{ flex: '0 0 140px' }}>
+                    <label htmlFor={`media-${row.key}-type`} style={{ display: 'block', fontSize: '0.85rem', color: '#333', marginBottom: '0.25rem' }}>
+                      Type:
+                    </label>
+                    <select
+                      id={`media-${row.key}-type`}
+                      value={row.type}
+                      onChange={(e) => handleMediaEntryChange(index, { type: e.target.value })}
+                      aria-invalid={Boolean(rowErrors.type)}
+                      style={{ ...inputStyle('type'), cursor: 'pointer' }}
+                    >
+                      {getMediaTypes().map(mediaType => (
+                        <option key={mediaType.key} value={mediaType.key}>
+                          {mediaType.label}
+                        </option>
+                      ))}
+                    </select>
+                    <FieldError messages={rowErrors.type} />
+                  </div>
+                  <div style={{ flex: '1 1 200px' }}>
+                    <label htmlFor={`media-${row.key}-title`} style={{ display: 'block', fontSize: '0.85rem', color: '#333', marginBottom: '0.25rem' }}>
+                      Title:
+                    </label>
+                    <TitleAutocomplete
+                      id={`media-${row.key}-title`}
+                      value={row.title}
+                      onChange={(title) => handleMediaEntryChange(index, { title })}
+                      onSelect={({ title, type, duration }) => handleMediaEntryChange(index, { title, type, duration })}
+                      entries={allMediaEntries}
+                      invalid={Boolean(rowErrors.title)}
+                      style={{ maxWidth: 'none' }}
+                    />
+                    <FieldError messages={rowErrors.title} />
+                  </div>
+                  <div style={{ flex: '0 0 100px' }}>
+                    <label htmlFor={`media-${row.key}-duration`} style={{ display: 'block', fontSize: '0.85rem', color: '#333', marginBottom: '0.25rem' }}>
+                      Minutes:
+                    </label>
+                    <input
+                      type="number"
+                      id={`media-${row.key}-duration`}
+                      min="1"
+                      value={row.duration}
+                      onChange={(e) => handleMediaEntryChange(index, { duration: e.target.value })}
+                      aria-invalid={Boolean(rowErrors.duration)}
+                      style={inputStyle('duration')}
+                      required
+                    />
+                    <FieldError messages={rowErrors.duration} />
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() => handleRemoveMediaEntry(index)}
+                    aria-label={`Remove ${row.title || 'media entry'}`}
+                    title="Remove"
+                    style={{
+                      marginTop: '1.5rem',
+                      padding: '0.5rem',
+                      background: 'none',
+                      border: 'none',
+                      color: '#dc3545',
+                      cursor: 'pointer'
+                    }}
+                  >
+                    <Trash2 size={18} />
+                  </button>
+                </div>
+                <FieldError messages={Object.entries(rowErrors)
+                  .filter(([field]) => !['type', 'title', 'duration'].includes(field))
+                  .flatMap(([, messages]) => messages)} />
+              </fieldset>
+            )
+          })}
+          {removedMediaEntries.length > 0 && (
+            <div style={{ fontSize: '0.85rem', color: '#666' }}>
+              {removedMediaEntries.length} saved {removedMediaEntries.length === 1 ? 'entry' : 'entries'} will be deleted when you save.{' '}
+              <button
+                type="button"
+                onClick={() => {
+                  setMediaEntries([...mediaEntries, ...removedMediaEntries.map(entry => createMediaRow(entry))])
+                  setRemovedMediaEntries([])
+                }}
+                style={{
+                  background: 'none',
+                  border: 'none',
+                  color: '#007cba',
+                  fontSize: '0.85rem',
+                  cursor: 'pointer',
+                  padding: 0
+                }}
+              >
+                Undo
+              </button>
+            </div>
+          )}
         </div>
 
         {/* Error messages */}
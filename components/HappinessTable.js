@@ -5,7 +5,7 @@
 'use client'
 
 import { useState, useMemo } from 'react'
-import { Target } from 'lucide-react'
+import { Target, Download, Search } from 'lucide-react'
 import {
   useReactTable,
   getCoreRowModel,
@@ -14,29 +14,62 @@ import {
   flexRender,
   createColumnHelper
 } from '@tanstack/react-table'
-import { formatDate } from '../lib/happiness.js'
+import { formatDate, getTodayDate } from '../lib/dates.js'
 import { formatDuration } from '../lib/media.js'
+import { entryMatchesSearch, groupCheckInsByDate, formatMean } from '../lib/happiness.js'
+import { markdownToPlainText } from '../lib/markdown.js'
+import { happinessToCSV } from '../lib/csv.js'
+import { downloadFile } from '../lib/download.js'
 import ConfirmDialog from './ConfirmDialog.js'
 
 const columnHelper = createColumnHelper()
 
+/**
+ * Longest notes excerpt shown in the table, in characters
+ * @type {number}
+ */
+const NOTES_EXCERPT_LENGTH = 80
+
+/**
+ * Background and text colours for a happiness level
+ * @param {number} level - Happiness level or daily mean
+ * @returns {{backgroundColor: string, color: string}} Chip colours
+ */
+function levelColors(level) {
+  return level >= 0
+    ? { backgroundColor: '#e8f5e8', color: '#2d5a2d' }
+    : { backgroundColor: '#ffeaea', color: '#8b2635' }
+}
+
 /**
  * Data table component for displaying and managing happiness entries
+ * Check-ins are shown as one row per day with the day's mean, min and max
  * @param {Object} props - Component props
- * @param {Array} props.data - Array of happiness entries
+ * @param {Array} props.data - Array of happiness check-ins
  * @param {Array} props.mediaData - Array of media entries
- * @param {Function} props.onDeleteEntries - Callback when entries are deleted
- * @param {Function} props.onUpdateEntry - Callback when an entry is updated
- * @param {Function} props.onEditEntry - Callback when edit button is clicked for selected entry
- * @param {Function} props.onViewDetails - Callback when view details button is clicked
+ * @param {Function} props.onDeleteEntries - Callback with the check-ins of the deleted days
+ * @param {Function} props.onUpdateEntry - Callback when a check-in is updated
+ * @param {Function} props.onEditEntry - Callback when edit button is clicked for a day with one check-in
+ * @param {Function} props.onViewDetails - Callback with the day summary when view details button is clicked
+ * @param {Array} props.dimensions - Enabled wellbeing dimensions, shown as daily mean columns
+ * @param {Array<string>|null} [props.dateFilter] - Only show these days, e.g. those brushed on the Insights scatter plot
+ * @param {Function} [props.onClearDateFilter] - Callback to show every day again
  * @returns {JSX.Element} The data table
  */
-export default function HappinessTable({ data, mediaData = [], onDeleteEntries, onUpdateEntry, onEditEntry, onViewDetails }) {
+export default function HappinessTable({ data, mediaData = [], onDeleteEntries, onUpdateEntry, onEditEntry, onViewDetails, dimensions = [], dateFilter = null, onClearDateFilter }) {
   const [rowSelection, setRowSelection] = useState({})
   const [sorting, setSorting] = useState([{ id: 'date', desc: true }])
   const [showDeleteDialog, setShowDeleteDialog] = useState(false)
   const [editingCell, setEditingCell] = useState(null)
   const [editValue, setEditValue] = useState('')
+  const [globalFilter, setGlobalFilter] = useState('')
+
+  const days = useMemo(() => groupCheckInsByDate(data), [data])
+  const visibleDays = useMemo(() => {
+    if (!dateFilter) return days
+    const dates = new Set(dateFilter)
+    return days.filter(day => dates.has(day.date))
+  }, [days, dateFilter])
 
   /**
    * Calculates total media duration for a given date
@@ -121,13 +154,37 @@ export default function HappinessTable({ data, mediaData = [], onDeleteEntries,
         ),
         sortingFn: 'datetime',
       }),
-      columnHelper.accessor('happiness', {
+      columnHelper.accessor('mean', {
         header: 'Happiness Level',
         cell: (info) => {
+          const day = info.row.original
           const level = info.getValue()
           const rowId = info.row.id
           const isEditing = editingCell === rowId
-          
+
+          // Days with several check-ins show their aggregate; individual levels are edited in the detail view
+          if (day.checkIns.length > 1) {
+            return (
+              <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                <span style={{
+                  display: 'inline-block',
+                  minWidth: '30px',
+                  textAlign: 'center',
+                  padding: '0.25rem 0.5rem',
+                  ...levelColors(level),
+                  borderRadius: '4px',
+                  fontSize: '0.9rem',
+                  fontWeight: 'bold'
+                }}>
+                  {formatMean(level)}
+                </span>
+                <span style={{ fontSize: '0.85rem', color: '#666' }}>
+                  mean · min {day.min} · max {day.max}
+                </span>
+              </div>
+            )
+          }
+
           return isEditing ? (
             <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
               <input
@@ -138,12 +195,12 @@ export default function HappinessTable({ data, mediaData = [], onDeleteEntries,
                 onChange={(e) => setEditValue(e.target.value)}
                 onKeyDown={(e) => {
                   if (e.key === 'Enter') {
-                    handleSaveEdit(info.row.original)
+                    handleSaveEdit(info.row.original.checkIns[0])
                   } else if (e.key === 'Escape') {
                     handleCancelEdit()
                   }
                 }}
-                onBlur={() => handleSaveEdit(info.row.original)}
+                onBlur={() => handleSaveEdit(info.row.original.checkIns[0])}
                 autoFocus
                 style={{
                   minWidth: '30px',
@@ -200,6 +257,47 @@ export default function HappinessTable({ data, mediaData = [], onDeleteEntries,
         },
         sortingFn: 'basic',
       }),
+      ...dimensions.map(dimension => columnHelper.accessor(row => row.dimensions[dimension.key] ?? undefined, {
+        id: dimension.key,
+        header: dimension.label,
+        cell: (info) => {
+          const value = info.getValue()
+          if (value === undefined) {
+            return <span style={{ color: '#999', fontStyle: 'italic' }}>—</span>
+          }
+
+          return (
+            <span style={{ fontSize: '0.9rem', fontWeight: 'bold', color: '#495057' }} title={`Scale ${dimension.min}–${dimension.max}`}>
+              {formatMean(value)}
+            </span>
+          )
+        },
+        sortingFn: 'basic',
+        sortUndefined: 'last',
+      })),
+      columnHelper.accessor(row => row.checkIns.length, {
+        id: 'checkIns',
+        header: 'Check-ins',
+        cell: (info) => (
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.25rem' }}>
+            {info.row.original.checkIns.map(checkIn => (
+              <span
+                key={checkIn.id}
+                style={{
+                  padding: '0.125rem 0.375rem',
+                  ...levelColors(checkIn.happiness),
+                  borderRadius: '4px',
+                  fontSize: '0.8rem',
+                  whiteSpace: 'nowrap'
+                }}
+              >
+                {checkIn.time ?? '—'} · {checkIn.happiness}
+              </span>
+            ))}
+          </div>
+        ),
+        sortingFn: 'basic',
+      }),
       columnHelper.accessor('date', {
         id: 'mediaDuration',
         header: 'Media Duration',
@@ -240,6 +338,23 @@ export default function HappinessTable({ data, mediaData = [], onDeleteEntries,
           return durationA - durationB
         },
       }),
+      columnHelper.accessor(row => row.checkIns.map(checkIn => checkIn.notes).filter(Boolean).join('\n\n'), {
+        id: 'notes',
+        header: 'Notes',
+        cell: (info) => {
+          const text = markdownToPlainText(info.getValue())
+          if (!text) {
+            return <span style={{ color: '#999', fontStyle: 'italic' }}>—</span>
+          }
+
+          return (
+            <span style={{ fontSize: '0.9rem', color: '#555' }} title={text}>
+              {text.length > NOTES_EXCERPT_LENGTH ? `${text.slice(0, NOTES_EXCERPT_LENGTH)}…` : text}
+            </span>
+          )
+        },
+        enableSorting: false,
+      }),
       columnHelper.display({
         id: 'actions',
         header: 'Actions',
@@ -271,23 +386,28 @@ export default function HappinessTable({ data, mediaData = [], onDeleteEntries,
         size: 120,
       }),
     ],
-    [editingCell, editValue, handleStartEdit, handleSaveEdit, handleCancelEdit, mediaData, getMediaDurationForDate, onViewDetails]
+    [editingCell, editValue, handleStartEdit, handleSaveEdit, handleCancelEdit, mediaData, getMediaDurationForDate, onViewDetails, dimensions]
   )
 
   const table = useReactTable({
-    data,
+    data: visibleDays,
     columns,
     state: {
       rowSelection,
       sorting,
+      globalFilter,
     },
     enableRowSelection: true,
     onRowSelectionChange: setRowSelection,
     onSortingChange: setSorting,
+    onGlobalFilterChange: setGlobalFilter,
+    // Search whole check-ins (notes, date, level) rather than individual cell values
+    globalFilterFn: (row, columnId, filterValue) =>
+      row.original.checkIns.some(checkIn => entryMatchesSearch(checkIn, filterValue)),
     getCoreRowModel: getCoreRowModel(),
     getSortedRowModel: getSortedRowModel(),
     getFilteredRowModel: getFilteredRowModel(),
-    getRowId: (row) => `${row.date}-${row.happiness}`, // Unique ID for each row
+    getRowId: (row) => row.date, // One row per day
   })
 
   const selectedRows = table.getFilteredSelectedRowModel().rows
@@ -302,18 +422,30 @@ export default function HappinessTable({ data, mediaData = [], onDeleteEntries,
   }
 
   /**
-   * Handles editing the selected entry
+   * Handles editing the selected day; days with several check-ins open the detail view instead
    */
   const handleEditSelected = () => {
     if (selectedCount !== 1) return
-    const selectedEntry = selectedRows[0].original
-    if (onEditEntry) {
-      onEditEntry(selectedEntry)
+    const selectedDay = selectedRows[0].original
+    if (selectedDay.checkIns.length > 1) {
+      onViewDetails?.(selectedDay)
+    } else if (onEditEntry) {
+      onEditEntry(selectedDay.checkIns[0])
     }
   }
 
+  /**
+   * Exports the selected rows, or every row when nothing is selected, in the current sort order
+   */
+  const handleExportCSV = () => {
+    const rows = table.getRowModel().rows
+    const exportRows = selectedCount > 0 ? rows.filter(row => row.getIsSelected()) : rows
+    const csv = happinessToCSV(exportRows.flatMap(row => row.original.checkIns))
+    downloadFile(`happiness-entries-${getTodayDate()}.csv`, csv, 'text/csv')
+  }
+
   const handleConfirmDelete = () => {
-    const selectedData = selectedRows.map(row => row.original)
+    const selectedData = selectedRows.flatMap(row => row.original.checkIns)
     onDeleteEntries(selectedData)
     setRowSelection({})
     setShowDeleteDialog(false)
@@ -329,8 +461,8 @@ export default function HappinessTable({ data, mediaData = [], onDeleteEntries,
       <ConfirmDialog
         isOpen={showDeleteDialog}
         title="Delete Selected Entries"
-        message={`Are you sure you want to delete ${selectedCount} selected ${
-          selectedCount === 1 ? 'entry' : 'entries'
+        message={`Are you sure you want to delete every check-in on the ${selectedCount} selected ${
+          selectedCount === 1 ? 'day' : 'days'
         }? This action cannot be undone.`}
         confirmText="Delete"
         cancelText="Cancel"
@@ -339,6 +471,43 @@ export default function HappinessTable({ data, mediaData = [], onDeleteEntries,
         variant="danger"
       />
 
+      {/* Days picked elsewhere, shown until cleared */}
+      {dateFilter && (
+        <div style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          gap: '1rem',
+          marginBottom: '1rem',
+          padding: '0.75rem 1rem',
+          backgroundColor: '#e3f2fd',
+          border: '1px solid #90caf9',
+          borderRadius: '8px',
+          color: '#1976d2',
+          fontSize: '0.9rem'
+        }}>
+          <span>
+            Showing {visibleDays.length} {visibleDays.length === 1 ? 'day' : 'days'} selected on the Insights scatter plot
+          </span>
+          {onClearDateFilter && (
+            <button
+              onClick={onClearDateFilter}
+              style={{
+                padding: '0.25rem 0.75rem',
+                backgroundColor: 'white',
+                color: '#1976d2',
+                border: '1px solid #1976d2',
+                borderRadius: '4px',
+                fontSize: '0.85rem',
+                cursor: 'pointer'
+              }}
+            >
+              Show all days
+            </button>
+          )}
+        </div>
+      )}
+
       {/* Table controls */}
       <div style={{
         display: 'flex',
@@ -350,10 +519,52 @@ export default function HappinessTable({ data, mediaData = [], onDeleteEntries,
         borderRadius: '8px',
         border: '1px solid #e9ecef'
       }}>
-        <div style={{ fontSize: '0.9rem', color: '#666' }}>
-          {data.length} total entries • {selectedCount} selected
+        <div style={{ display: 'flex', alignItems: 'center', gap: '1rem' }}>
+          <div style={{ position: 'relative', display: 'flex', alignItems: 'center' }}>
+            <Search size={16} style={{ position: 'absolute', left: '0.5rem', color: '#999' }} />
+            <input
+              type="search"
+              value={globalFilter}
+              onChange={(e) => setGlobalFilter(e.target.value)}
+              placeholder="Search notes…"
+              aria-label="Search happiness entries"
+              style={{
+                padding: '0.5rem 0.5rem 0.5rem 2rem',
+                border: '1px solid #ccc',
+                borderRadius: '4px',
+                fontSize: '0.9rem',
+                width: '220px'
+              }}
+            />
+          </div>
+          <div style={{ fontSize: '0.9rem', color: '#666' }}>
+            {globalFilter || dateFilter
+              ? `${table.getFilteredRowModel().rows.length} of ${days.length} days`
+              : `${days.length} days, ${data.length} check-ins`} • {selectedCount} selected
+          </div>
         </div>
         <div style={{ display: 'flex', gap: '0.75rem' }}>
+          <button
+            onClick={handleExportCSV}
+            disabled={table.getRowModel().rows.length === 0}
+            style={{
+              padding: '0.5rem 1rem',
+              backgroundColor: 'white',
+              color: '#007cba',
+              border: '1px solid #007cba',
+              borderRadius: '4px',
+              fontSize: '0.9rem',
+              fontWeight: 'bold',
+              cursor: 'pointer',
+              display: 'flex',
+              alignItems: 'center',
+              gap: '0.5rem'
+            }}
+            title={selectedCount > 0 ? 'Export the selected rows in the current sort order' : 'Export all rows in the current sort order'}
+          >
+            <Download size={16} />
+            {selectedCount > 0 ? `Export CSV (${selectedCount})` : 'Export CSV'}
+          </button>
           <button
             onClick={handleEditSelected}
             disabled={selectedCount !== 1}
@@ -475,7 +686,11 @@ export default function HappinessTable({ data, mediaData = [], onDeleteEntries,
                   }}
                 >
                   <Target size={20} />
-                  No happiness entries yet. Add your first entry above!
+                  {globalFilter
+                    ? 'No entries match your search.'
+                    : dateFilter
+                      ? 'None of the selected days have check-ins.'
+                      : 'No happiness entries yet. Add your first entry above!'}
                 </td>
               </tr>
             ) : (
@@ -0,0 +1,268 @@
+/**
+ * @fileoverview Dialog for importing a JSON backup
+ */
+
+'use client'
+
+import { useState } from 'react'
+import { Upload, AlertTriangle } from 'lucide-react'
+import { parseBackup } from '../lib/backup.js'
+
+/**
+ * Import dialog that validates a backup file and reports per-record errors
+ * @param {Object} props - Component props
+ * @param {Function} props.onImport - Called with ({ happiness, media }, mode) once the user confirms
+ * @param {Function} props.onClose - Callback when the dialog is closed
+ * @returns {JSX.Element} The import dialog
+ */
+export default function ImportDialog({ onImport, onClose }) {
+  const [fileName, setFileName] = useState('')
+  const [parseResult, setParseResult] = useState(null)
+  const [mode, setMode] = useState('merge')
+
+  /**
+   * Reads and validates the chosen file
+   * @param {Event} e - File input change event
+   */
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0]
+    if (!file) return
+
+    setFileName(file.name)
+    setParseResult(parseBackup(await file.text()))
+  }
+
+  /**
+   * Applies the validated records
+   */
+  const handleImport = () => {
+    if (!parseResult?.success) return
+    onImport({ happiness: parseResult.data.happiness, media: parseResult.data.media }, mode)
+  }
+
+  const data = parseResult?.success ? parseResult.data : null
+  const validCount = data ? data.happiness.length + data.media.length : 0
+
+  return (
+    <div
+      style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        backgroundColor: 'rgba(0, 0, 0, 0.5)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 1000,
+        padding: '1rem'
+      }}
+      onClick={onClose}
+    >
+      <div
+        style={{
+          backgroundColor: 'white',
+          borderRadius: '12px',
+          maxWidth: '600px',
+          width: '100%',
+          maxHeight: '90vh',
+          overflow: 'auto',
+          boxShadow: '0 20px 25px -5px rgba(0, 0, 0, 0.1), 0 10px 10px -5px rgba(0, 0, 0, 0.04)'
+        }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Header */}
+        <div style={{
+          padding: '1.5rem',
+          borderBottom: '1px solid #e0e0e0',
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center'
+        }}>
+          <h2 style={{
+            margin: 0,
+            color: '#333',
+            fontSize: '1.5rem',
+            display: 'flex',
+            alignItems: 'center',
+            gap: '0.5rem'
+          }}>
+            <Upload size={24} />
+            Import Backup
+          </h2>
+          <button
+            onClick={onClose}
+            style={{
+              background: 'none',
+              border: 'none',
+              fontSize: '1.5rem',
+              cursor: 'pointer',
+              color: '#666',
+              padding: '0',
+              width: '32px',
+              height: '32px',
+              display: 'flex',
+              alignItems: 'center',
+              justifyContent: 'center',
+              borderRadius: '4px'
+            }}
+          >
+            ×
+          </button>
+        </div>
+
+        {/* Content */}
+        <div style={{ padding: '1.5rem' }}>
+          <label
+            htmlFor="import-file"
+            style={{
+              display: 'block',
+              fontWeight: 'bold',
+              marginBottom: '0.5rem',
+              color: '#333'
+            }}
+          >
+            Backup file (.json):
+          </label>
+          <input
+            type="file"
+            id="import-file"
+            accept="application/json,.json"
+            onChange={handleFileChange}
+            style={{ marginBottom: '1rem' }}
+          />
+
+          {/* File-level errors */}
+          {parseResult && !parseResult.success && (
+            <div style={{
+              padding: '0.75rem',
+              backgroundColor: '#fee',
+              border: '1px solid #fcc',
+              borderRadius: '4px',
+              marginBottom: '1rem'
+            }}>
+              <strong style={{ color: '#c33' }}>{fileName} could not be imported:</strong>
+              <ul style={{ margin: '0.5rem 0 0 0', color: '#c33' }}>
+                {parseResult.errors.map((error, index) => (
+                  <li key={index}>{error}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {data && (
+            <>
+              <div style={{
+                padding: '0.75rem',
+                backgroundColor: '#f8f9fa',
+                border: '1px solid #e9ecef',
+                borderRadius: '4px',
+                marginBottom: '1rem',
+                color: '#333'
+              }}>
+                {data.happiness.length} happiness {data.happiness.length === 1 ? 'entry' : 'entries'},{' '}
+                {data.media.length} media {data.media.length === 1 ? 'entry' : 'entries'} and{' '}
+                {data.catalog.length} library {data.catalog.length === 1 ? 'title' : 'titles'} ready to import
+              </div>
+
+              {/* Per-record error report */}
+              {data.rejected.length > 0 && (
+                <div style={{
+                  padding: '0.75rem',
+                  backgroundColor: '#fff8e1',
+                  border: '1px solid #ffe08a',
+                  borderRadius: '4px',
+                  marginBottom: '1rem',
+                  color: '#7a5c00'
+                }}>
+                  <strong style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                    <AlertTriangle size={16} />
+                    {data.rejected.length} {data.rejected.length === 1 ? 'record' : 'records'} will be skipped:
+                  </strong>
+                  <ul style={{ margin: '0.5rem 0 0 0', maxHeight: '200px', overflow: 'auto' }}>
+                    {data.rejected.map((rejection) => (
+                      <li key={`${rejection.collection}-${rejection.index}`}>
+                        {rejection.collection} #{rejection.index + 1}: {rejection.errors.join(', ')}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {/* Merge vs replace */}
+              <fieldset style={{
+                border: '1px solid #e0e0e0',
+                borderRadius: '4px',
+                padding: '0.75rem',
+                marginBottom: '1rem'
+              }}>
+                <legend style={{ fontWeight: 'bold', color: '#333' }}>How should the data be combined?</legend>
+                <label style={{ display: 'block', marginBottom: '0.5rem', cursor: 'pointer' }}>
+                  <input
+                    type="radio"
+                    name="import-mode"
+                    value="merge"
+                    checked={mode === 'merge'}
+                    onChange={() => setMode('merge')}
+                  />{' '}
+                  Merge — keep existing entries; imported entries replace existing ones with the same id
+                </label>
+                <label style={{ display: 'block', cursor: 'pointer' }}>
+                  <input
+                    type="radio"
+                    name="import-mode"
+                    value="replace"
+                    checked={mode === 'replace'}
+                    onChange={() => setMode('replace')}
+                  />{' '}
+                  Replace — delete all existing entries first
+                </label>
+              </fieldset>
+            </>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div style={{
+          padding: '1.5rem',
+          borderTop: '1px solid #e0e0e0',
+          display: 'flex',
+          justifyContent: 'flex-end',
+          gap: '0.75rem'
+        }}>
+          <button
+            onClick={onClose}
+            style={{
+              padding: '0.75rem 1.5rem',
+              backgroundColor: 'transparent',
+              color: '#6c757d',
+              border: '1px solid #dee2e6',
+              borderRadius: '4px',
+              fontSize: '1rem',
+              cursor: 'pointer'
+            }}
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleImport}
+            disabled={!data || (validCount === 0 && mode === 'merge')}
+            style={{
+              padding: '0.75rem 1.5rem',
+              backgroundColor: data ? (mode === 'replace' ? '#dc3545' : '#007cba') : '#ccc',
+              color: 'white',
+              border: 'none',
+              borderRadius: '4px',
+              fontSize: '1rem',
+              fontWeight: 'bold',
+              cursor: data ? 'pointer' : 'not-allowed'
+            }}
+          >
+            {mode === 'replace' ? 'Replace All Data' : 'Merge Into My Data'}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
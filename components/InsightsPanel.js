@@ -0,0 +1,372 @@
+/**
+ * @fileoverview Insights tab: how happiness moves with media consumption
+ */
+
+'use client'
+
+import { useState, useMemo } from 'react'
+import { AlertTriangle, ThumbsUp, ThumbsDown, Table } from 'lucide-react'
+import {
+  analyzeHappinessByMedia, analyzeLaggedEffects, rankHappinessImpact, buildScatterData, describeCorrelation,
+  MIN_DAYS_FOR_INSIGHT, MIN_ACTIVE_DAYS_FOR_INSIGHT, MIN_DAYS_FOR_RANKING
+} from '../lib/analytics.js'
+import { formatMean } from '../lib/happiness.js'
+import MediaTypeBadge from './MediaTypeBadge.js'
+import LagChart from './LagChart.js'
+import ScatterPlot from './ScatterPlot.js'
+
+/**
+ * Formats a signed value such as a correlation coefficient or a happiness difference
+ * @param {number} r - Value
+ * @returns {string} Signed, two decimal places
+ */
+function formatR(r) {
+  return `${r > 0 ? '+' : r < 0 ? '−' : ''}${Math.abs(r).toFixed(2)}`
+}
+
+/**
+ * Horizontal scale from -1 to +1 showing a correlation and its confidence interval
+ * @param {Object} props - Component props
+ * @param {number} props.r - Correlation coefficient
+ * @param {[number, number]|null} props.interval - 95% confidence interval
+ * @returns {JSX.Element} The scale
+ */
+function CorrelationScale({ r, interval }) {
+  const toPercent = (value) => `${((value + 1) / 2) * 100}%`
+  const color = r > 0 ? '#28a745' : '#dc3545'
+
+  return (
+    <div
+      role="img"
+      aria-label={`Correlation ${formatR(r)}${interval ? `, 95% interval ${formatR(interval[0])} to ${formatR(interval[1])}` : ''}`}
+      style={{ position: 'relative', height: '16px', backgroundColor: '#f1f3f5', borderRadius: '8px', margin: '0.5rem 0' }}
+    >
+      {/* Zero line */}
+      <div style={{ position: 'absolute', left: '50%', top: 0, bottom: 0, width: '1px', backgroundColor: '#adb5bd' }} />
+      {interval && (
+        <div style={{
+          position: 'absolute',
+          left: toPercent(interval[0]),
+          width: `calc(${toPercent(interval[1])} - ${toPercent(interval[0])})`,
+          top: '4px',
+          height: '8px',
+          backgroundColor: `${color}40`,
+          borderRadius: '4px'
+        }} />
+      )}
+      <div style={{
+        position: 'absolute',
+        left: toPercent(r),
+        top: '1px',
+        width: '14px',
+        height: '14px',
+        marginLeft: '-7px',
+        borderRadius: '50%',
+        backgroundColor: color
+      }} />
+    </div>
+  )
+}
+
+/**
+ * One correlation with its numbers and explanation
+ * @param {Object} props - Component props
+ * @param {Object} props.result - Correlation from analyzeHappinessByMedia
+ * @returns {JSX.Element} The card
+ */
+function CorrelationCard({ result }) {
+  return (
+    <div style={{
+      padding: '1rem',
+      border: '1px solid #e0e0e0',
+      borderRadius: '8px',
+      backgroundColor: result.sparse ? '#fafafa' : 'white'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '0.5rem', flexWrap: 'wrap' }}>
+        {result.key === 'total'
+          ? <strong style={{ color: '#333' }}>{result.label}</strong>
+          : <MediaTypeBadge type={result.key} />}
+        {result.r !== null && (
+          <span style={{ fontFamily: 'monospace', fontSize: '1.1rem', fontWeight: 'bold', color: '#333' }}>
+            r = {formatR(result.r)}
+          </span>
+        )}
+      </div>
+
+      {result.r !== null && <CorrelationScale r={result.r} interval={result.interval} />}
+
+      <p style={{ margin: '0.5rem 0', color: '#333' }}>{describeCorrelation(result)}</p>
+
+      <div style={{ fontSize: '0.85rem', color: '#666' }}>
+        {result.n} {result.n === 1 ? 'day' : 'days'} with a check-in
+        {result.key !== 'total' && `, ${result.activeDays} with ${result.label.toLowerCase()}`}
+        {result.interval && ` • 95% interval ${formatR(result.interval[0])} to ${formatR(result.interval[1])}`}
+      </div>
+
+      {result.sparse && result.r !== null && (
+        <div style={{ marginTop: '0.5rem', fontSize: '0.85rem', color: '#b26a00', display: 'flex', alignItems: 'center', gap: '0.25rem' }}>
+          <AlertTriangle size={14} />
+          Too little data to rely on
+        </div>
+      )}
+    </div>
+  )
+}
+
+/**
+ * List of ranked titles or creators
+ * @param {Object} props - Component props
+ * @param {string} props.heading - List heading
+ * @param {JSX.Element} props.icon - Icon shown before the heading
+ * @param {Array<Object>} props.items - Ranked items from rankHappinessImpact
+ * @returns {JSX.Element} The list
+ */
+function ImpactList({ heading, icon, items }) {
+  return (
+    <div>
+      <h4 style={{ margin: '0 0 0.5rem', color: '#333', display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+        {icon}
+        {heading}
+      </h4>
+      {items.length === 0 ? (
+        <div style={{ fontSize: '0.9rem', color: '#999', fontStyle: 'italic' }}>Nothing stands out yet.</div>
+      ) : (
+        <ol style={{ margin: 0, paddingLeft: '1.25rem', display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
+          {items.map(item => (
+            <li key={item.key}>
+              <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', flexWrap: 'wrap' }}>
+                {item.type && <MediaTypeBadge type={item.type} />}
+                <span style={{ color: '#333', fontWeight: '500' }}>{item.label}</span>
+              </div>
+              <div style={{ fontSize: '0.85rem', color: '#666' }}>
+                <span style={{ fontWeight: 'bold', color: item.impact > 0 ? '#28a745' : '#dc3545' }}>
+                  {formatR(item.impact)}
+                </span>
+                {' '}vs. your average • averaged {formatMean(item.meanHappiness)} over {item.days} days
+              </div>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  )
+}
+
+/**
+ * Insights tab content
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.happinessData - Happiness check-ins
+ * @param {Array<Object>} props.mediaData - Media sessions
+ * @param {Array<Object>} [props.catalog=[]] - Media library items, for grouping titles and naming creators
+ * @param {Array<string>|null} [props.selectedDates] - Days brushed on the scatter plot
+ * @param {Function} [props.onSelectDates] - Called with the brushed days, or null to clear them
+ * @param {Function} [props.onShowSelectedDates] - Called to show the brushed days in the happiness table
+ * @returns {JSX.Element} The insights
+ */
+export default function InsightsPanel({ happinessData, mediaData, catalog = [], selectedDates = null, onSelectDates, onShowSelectedDates }) {
+  const [lagSeriesKey, setLagSeriesKey] = useState('total')
+  const [scatterKey, setScatterKey] = useState('total')
+  const analysis = useMemo(
+    () => analyzeHappinessByMedia(happinessData, mediaData),
+    [happinessData, mediaData]
+  )
+  const laggedSeries = useMemo(
+    () => analyzeLaggedEffects(happinessData, mediaData),
+    [happinessData, mediaData]
+  )
+  const ranking = useMemo(
+    () => rankHappinessImpact(happinessData, mediaData, catalog),
+    [happinessData, mediaData, catalog]
+  )
+  const lagSeries = laggedSeries.find(series => series.key === lagSeriesKey) ?? laggedSeries[0]
+  // Falls back to all media when the chosen type has no sessions any more
+  const scatterSeries = laggedSeries.find(series => series.key === scatterKey) ?? laggedSeries[0]
+  const scatter = useMemo(
+    () => buildScatterData(happinessData, mediaData, scatterSeries.key),
+    [happinessData, mediaData, scatterSeries.key]
+  )
+
+  if (analysis.days === 0 || mediaData.length === 0) {
+    return (
+      <div style={{ padding: '2rem', textAlign: 'center', color: '#999', fontStyle: 'italic' }}>
+        Log happiness check-ins and media entries to see how they relate.
+      </div>
+    )
+  }
+
+  return (
+    <div style={{ width: '100%' }}>
+      <div style={{
+        marginBottom: '1rem',
+        padding: '1rem',
+        backgroundColor: '#f8f9fa',
+        borderRadius: '8px',
+        border: '1px solid #e9ecef',
+        fontSize: '0.9rem',
+        color: '#666'
+      }}>
+        Each day with a check-in is compared with the minutes of media logged that day; days without
+        media count as zero minutes. r runs from −1 (more media, less happy) to +1 (more media, happier),
+        and the shaded band is the range the true value probably lies in. A link is not proof that one
+        causes the other.
+      </div>
+
+      {analysis.overall.sparse && (
+        <div style={{
+          marginBottom: '1rem',
+          padding: '0.75rem',
+          backgroundColor: '#fff8e1',
+          border: '1px solid #ffe08a',
+          borderRadius: '4px',
+          color: '#8a6100',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '0.5rem'
+        }}>
+          <AlertTriangle size={18} />
+          <span>
+            These results rest on {analysis.days} {analysis.days === 1 ? 'day' : 'days'} of check-ins. Treat them as early
+            hints until you have at least {MIN_DAYS_FOR_INSIGHT} days, with each media type on {MIN_ACTIVE_DAYS_FOR_INSIGHT} or more.
+          </span>
+        </div>
+      )}
+
+      <div style={{ display: 'grid', gap: '1rem', gridTemplateColumns: 'repeat(auto-fill, minmax(280px, 1fr))' }}>
+        <CorrelationCard result={analysis.overall} />
+        {analysis.byType.map(result => (
+          <CorrelationCard key={result.key} result={result} />
+        ))}
+      </div>
+
+      {/* Happiness vs. minutes */}
+      <div style={{
+        marginTop: '2rem',
+        padding: '1rem',
+        border: '1px solid #e0e0e0',
+        borderRadius: '8px'
+      }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '1rem', flexWrap: 'wrap' }}>
+          <h3 style={{ margin: 0, color: '#333', fontSize: '1.1rem' }}>Happiness vs. minutes</h3>
+          <select
+            aria-label="Media to plot"
+            value={scatterSeries.key}
+            onChange={(e) => setScatterKey(e.target.value)}
+            style={{
+              padding: '0.4rem',
+              border: '1px solid #ccc',
+              borderRadius: '4px',
+              fontSize: '0.9rem',
+              cursor: 'pointer'
+            }}
+          >
+            {laggedSeries.map(series => (
+              <option key={series.key} value={series.key}>{series.label}</option>
+            ))}
+          </select>
+        </div>
+        <p style={{ margin: '0.5rem 0 1rem', fontSize: '0.9rem', color: '#666' }}>
+          Each dot is a day with a check-in, nudged up or down a little so days with the same score do not
+          hide each other. The dashed line is the trend
+          {scatter.fit
+            ? `: ${formatR(scatter.fit.slope * 60)} happiness per extra hour${scatter.fit.rSquared !== null ? `, explaining ${Math.round(scatter.fit.rSquared * 100)}% of the day-to-day variation (R² = ${scatter.fit.rSquared.toFixed(2)})` : ''}.`
+            : ', drawn once at least three days with different amounts of media are logged.'}
+          {' '}Drag across the plot to pick days and see them in the check-ins table.
+        </p>
+        <ScatterPlot
+          points={scatter.points}
+          fit={scatter.fit}
+          label={scatterSeries.label}
+          selectedDates={selectedDates}
+          onSelectDates={(dates) => onSelectDates?.(dates)}
+        />
+        {selectedDates && (
+          <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem', flexWrap: 'wrap', marginTop: '0.75rem', fontSize: '0.9rem', color: '#666' }}>
+            <span>{selectedDates.length} {selectedDates.length === 1 ? 'day' : 'days'} selected</span>
+            {selectedDates.length > 0 && onShowSelectedDates && (
+              <button
+                onClick={onShowSelectedDates}
+                style={{
+                  padding: '0.4rem 0.9rem',
+                  backgroundColor: '#007cba',
+                  color: 'white',
+                  border: 'none',
+                  borderRadius: '4px',
+                  fontSize: '0.85rem',
+                  cursor: 'pointer',
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '0.35rem'
+                }}
+              >
+                <Table size={14} />
+                Show in table
+              </button>
+            )}
+            <button
+              onClick={() => onSelectDates?.(null)}
+              style={{ background: 'none', border: 'none', color: '#007cba', fontSize: '0.85rem', cursor: 'pointer' }}
+            >
+              Clear selection
+            </button>
+          </div>
+        )}
+      </div>
+
+      {/* Titles and creators */}
+      <div style={{
+        marginTop: '2rem',
+        padding: '1rem',
+        border: '1px solid #e0e0e0',
+        borderRadius: '8px'
+      }}>
+        <h3 style={{ margin: 0, color: '#333', fontSize: '1.1rem' }}>Titles and creators</h3>
+        <p style={{ margin: '0.5rem 0 1rem', fontSize: '0.9rem', color: '#666' }}>
+          How happy the days you consumed each title or creator were, compared with your average day
+          ({formatMean(ranking.baseline)}). Only those seen on at least {MIN_DAYS_FOR_RANKING} days with a check-in
+          are ranked, and titles seen on only a few days are pulled towards your average.
+          {ranking.titles.tooFew > 0 && ` ${ranking.titles.tooFew} ${ranking.titles.tooFew === 1 ? 'title needs' : 'titles need'} more days to be ranked.`}
+        </p>
+        <div style={{ display: 'grid', gap: '1.5rem', gridTemplateColumns: 'repeat(auto-fill, minmax(260px, 1fr))' }}>
+          <ImpactList heading="Titles on good days" icon={<ThumbsUp size={16} />} items={ranking.titles.best} />
+          <ImpactList heading="Titles on tough days" icon={<ThumbsDown size={16} />} items={ranking.titles.worst} />
+          <ImpactList heading="Creators on good days" icon={<ThumbsUp size={16} />} items={ranking.creators.best} />
+          <ImpactList heading="Creators on tough days" icon={<ThumbsDown size={16} />} items={ranking.creators.worst} />
+        </div>
+      </div>
+
+      {/* Delayed effects */}
+      <div style={{
+        marginTop: '2rem',
+        padding: '1rem',
+        border: '1px solid #e0e0e0',
+        borderRadius: '8px'
+      }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '1rem', flexWrap: 'wrap' }}>
+          <h3 style={{ margin: 0, color: '#333', fontSize: '1.1rem' }}>Delayed effects</h3>
+          <select
+            aria-label="Media to compare"
+            value={lagSeries.key}
+            onChange={(e) => setLagSeriesKey(e.target.value)}
+            style={{
+              padding: '0.4rem',
+              border: '1px solid #ccc',
+              borderRadius: '4px',
+              fontSize: '0.9rem',
+              cursor: 'pointer'
+            }}
+          >
+            {laggedSeries.map(series => (
+              <option key={series.key} value={series.key}>{series.label}</option>
+            ))}
+          </select>
+        </div>
+        <p style={{ margin: '0.5rem 0 1rem', fontSize: '0.9rem', color: '#666' }}>
+          Does media on earlier days show up in your mood? Each point compares a day&apos;s happiness with{' '}
+          {lagSeries.label.toLowerCase()} time that many days before, or summed over the last few days. The
+          whiskers show the 95% interval and n the days compared; hollow points have too little data to rely on.
+        </p>
+        <LagChart series={lagSeries} />
+      </div>
+    </div>
+  )
+}
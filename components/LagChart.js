@@ -0,0 +1,93 @@
+/**
+ * @fileoverview SVG chart of happiness correlations at increasing lags and over rolling windows
+ */
+
+'use client'
+
+// Chart geometry in viewBox units
+const WIDTH = 640
+const HEIGHT = 260
+const MARGIN = { top: 16, right: 16, bottom: 56, left: 44 }
+
+/**
+ * Lag chart
+ * Each point is a correlation with its 95% confidence interval drawn as a whisker and its
+ * sample size underneath. Hollow points have too little data to rely on.
+ * @param {Object} props - Component props
+ * @param {Object} props.series - One series from analyzeLaggedEffects
+ * @returns {JSX.Element} The chart
+ */
+export default function LagChart({ series }) {
+  const points = [
+    ...series.lags.map(point => ({ ...point, label: point.lag === 0 ? 'Same day' : `${point.lag}d before` })),
+    ...series.windows.map(point => ({ ...point, label: `${point.days}-day sum` }))
+  ]
+
+  const plotWidth = WIDTH - MARGIN.left - MARGIN.right
+  const plotHeight = HEIGHT - MARGIN.top - MARGIN.bottom
+  // Rolling windows sit after a one-slot gap so they read as a separate group
+  const slots = series.lags.length + 1 + series.windows.length
+  const x = (index) => MARGIN.left + ((index >= series.lags.length ? index + 1 : index) + 0.5) * (plotWidth / slots)
+  const y = (r) => MARGIN.top + ((1 - r) / 2) * plotHeight
+
+  return (
+    <svg
+      viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+      role="img"
+      aria-label={`Correlation of happiness with ${series.label.toLowerCase()} time at each lag`}
+      style={{ width: '100%', height: 'auto', display: 'block' }}
+    >
+      {/* Gridlines */}
+      {[-1, -0.5, 0, 0.5, 1].map(r => (
+        <g key={r}>
+          <line
+            x1={MARGIN.left}
+            x2={WIDTH - MARGIN.right}
+            y1={y(r)}
+            y2={y(r)}
+            stroke={r === 0 ? '#868e96' : '#e9ecef'}
+            strokeDasharray={r === 0 ? undefined : '4 4'}
+          />
+          <text x={MARGIN.left - 8} y={y(r)} textAnchor="end" dominantBaseline="middle" fontSize="11" fill="#666">
+            {r > 0 ? `+${r}` : r}
+          </text>
+        </g>
+      ))}
+
+      {points.map((point, index) => (
+        <g key={point.label}>
+          {point.interval && (
+            <line
+              x1={x(index)}
+              x2={x(index)}
+              y1={y(point.interval[0])}
+              y2={y(point.interval[1])}
+              stroke="#adb5bd"
+              strokeWidth="2"
+            />
+          )}
+          {point.r !== null && (
+            <circle
+              cx={x(index)}
+              cy={y(point.r)}
+              r="5"
+              fill={point.sparse ? 'white' : point.r >= 0 ? '#28a745' : '#dc3545'}
+              stroke={point.r >= 0 ? '#28a745' : '#dc3545'}
+              strokeWidth="2"
+            >
+              <title>
+                {`${point.label}: r = ${point.r.toFixed(2)}${point.interval ? ` (95% ${point.interval[0].toFixed(2)} to ${point.interval[1].toFixed(2)})` : ''}, n = ${point.n}`}
+              </title>
+            </circle>
+          )}
+          <text x={x(index)} y={HEIGHT - MARGIN.bottom + 18} textAnchor="middle" fontSize="11" fill="#333">
+            {point.label}
+          </text>
+          <text x={x(index)} y={HEIGHT - MARGIN.bottom + 34} textAnchor="middle" fontSize="10" fill="#999">
+            n={point.n}
+          </text>
+        </g>
+      ))}
+    </svg>
+  )
+}
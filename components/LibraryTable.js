@@ -0,0 +1,260 @@
+/**
+ * @fileoverview Table of media library titles with their consumption totals
+ */
+
+'use client'
+
+import { useState, useMemo } from 'react'
+import {
+  useReactTable,
+  getCoreRowModel,
+  getSortedRowModel,
+  createColumnHelper
+} from '@tanstack/react-table'
+import { summarizeCatalog } from '../lib/catalog.js'
+import { formatDuration } from '../lib/media.js'
+import { formatMean } from '../lib/happiness.js'
+import { formatDate } from '../lib/dates.js'
+import MediaTypeBadge from './MediaTypeBadge.js'
+
+const columnHelper = createColumnHelper()
+
+/**
+ * Library table: one row per catalog item
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.catalog - Catalog items
+ * @param {Array<Object>} props.mediaData - Media sessions
+ * @param {Array<Object>} props.happinessData - Happiness check-ins, for same-day averages
+ * @param {Function} props.onEditItem - Called with a catalog item and its summary when Edit is clicked
+ * @returns {JSX.Element} The library table
+ */
+export default function LibraryTable({ catalog, mediaData, happinessData, onEditItem }) {
+  const [sorting, setSorting] = useState([{ id: 'lastDate', desc: true }])
+
+  const summaries = useMemo(
+    () => summarizeCatalog(catalog, mediaData, happinessData),
+    [catalog, mediaData, happinessData]
+  )
+
+  const columns = useMemo(
+    () => [
+      columnHelper.accessor(row => row.item.title, {
+        id: 'title',
+        header: 'Title',
+        cell: ({ row }) => {
+          const { item } = row.original
+          return (
+            <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem' }}>
+              {item.cover && (
+                <img
+                  src={item.cover}
+                  alt=""
+                  style={{ width: '40px', height: '56px', objectFit: 'cover', borderRadius: '4px', flexShrink: 0 }}
+                />
+              )}
+              <div>
+                <div style={{ fontWeight: 'bold', color: '#333' }}>{item.title}</div>
+                {item.creator && (
+                  <div style={{ fontSize: '0.85rem', color: '#666' }}>{item.creator}</div>
+                )}
+              </div>
+            </div>
+          )
+        },
+        sortingFn: 'text',
+      }),
+      columnHelper.accessor(row => row.item.type, {
+        id: 'type',
+        header: 'Type',
+        cell: (info) => <MediaTypeBadge type={info.getValue()} />,
+        sortingFn: 'basic',
+      }),
+      columnHelper.accessor('sessionCount', {
+        header: 'Sessions',
+        sortingFn: 'basic',
+      }),
+      columnHelper.accessor('totalDuration', {
+        header: 'Total Time',
+        cell: ({ row }) => {
+          const { totalDuration, item } = row.original
+          return (
+            <div>
+              <div style={{ fontWeight: 'bold', color: '#333' }}>{formatDuration(totalDuration)}</div>
+              {item.totalLength && (
+                <div style={{ fontSize: '0.85rem', color: '#666' }}>
+                  {Math.round((totalDuration / item.totalLength) * 100)}% of {formatDuration(item.totalLength)}
+                </div>
+              )}
+            </div>
+          )
+        },
+        sortingFn: 'basic',
+      }),
+      columnHelper.accessor(row => row.lastDate ?? undefined, {
+        id: 'lastDate',
+        header: 'Dates',
+        cell: ({ row }) => {
+          const { firstDate, lastDate } = row.original
+          if (!lastDate) return <span style={{ color: '#999' }}>No sessions</span>
+          return (
+            <div style={{ fontSize: '0.9rem', color: '#333' }}>
+              {formatDate(firstDate)}
+              {firstDate !== lastDate && (
+                <div style={{ color: '#666' }}>to {formatDate(lastDate)}</div>
+              )}
+            </div>
+          )
+        },
+        sortingFn: 'text',
+        sortUndefined: 'last',
+      }),
+      columnHelper.accessor(row => row.averageHappiness ?? undefined, {
+        id: 'averageHappiness',
+        header: 'Avg. Happiness',
+        cell: ({ row }) => {
+          const { averageHappiness, happinessDays } = row.original
+          if (averageHappiness === null) return <span style={{ color: '#999' }}>—</span>
+          return (
+            <div>
+              <span style={{ fontWeight: 'bold', color: '#333' }}>{formatMean(averageHappiness)}</span>
+              <span style={{ fontSize: '0.85rem', color: '#666' }}>
+                {' '}over {happinessDays} {happinessDays === 1 ? 'day' : 'days'}
+              </span>
+            </div>
+          )
+        },
+        sortingFn: 'basic',
+        sortUndefined: 'last',
+      }),
+      columnHelper.display({
+        id: 'actions',
+        header: 'Actions',
+        cell: ({ row }) => (
+          <button
+            onClick={() => onEditItem(row.original.item, row.original)}
+            style={{
+              padding: '0.5rem 1rem',
+              backgroundColor: '#007cba',
+              color: 'white',
+              border: 'none',
+              borderRadius: '4px',
+              fontSize: '0.9rem',
+              cursor: 'pointer'
+            }}
+          >
+            Edit
+          </button>
+        ),
+      }),
+    ],
+    [onEditItem]
+  )
+
+  const table = useReactTable({
+    data: summaries,
+    columns,
+    state: { sorting },
+    onSortingChange: setSorting,
+    getCoreRowModel: getCoreRowModel(),
+    getSortedRowModel: getSortedRowModel(),
+    getRowId: (row) => row.item.id,
+  })
+
+  const totalDuration = summaries.reduce((total, summary) => total + summary.totalDuration, 0)
+
+  return (
+    <div style={{ width: '100%' }}>
+      {/* Table summary */}
+      <div style={{
+        marginBottom: '1rem',
+        padding: '1rem',
+        backgroundColor: '#f8f9fa',
+        borderRadius: '8px',
+        border: '1px solid #e9ecef',
+        fontSize: '0.9rem',
+        color: '#666'
+      }}>
+        {catalog.length} {catalog.length === 1 ? 'title' : 'titles'} • {formatDuration(totalDuration)} in total
+      </div>
+
+      {/* Data table */}
+      <div style={{
+        border: '1px solid #ddd',
+        borderRadius: '8px',
+        overflow: 'hidden'
+      }}>
+        <table style={{
+          width: '100%',
+          borderCollapse: 'collapse',
+          backgroundColor: 'white'
+        }}>
+          <thead style={{ backgroundColor: '#f8f9fa' }}>
+            {table.getHeaderGroups().map(headerGroup => (
+              <tr key={headerGroup.id}>
+                {headerGroup.headers.map(header => (
+                  <th
+                    key={header.id}
+                    style={{
+                      padding: '1rem',
+                      textAlign: 'left',
+                      fontWeight: 'bold',
+                      color: '#333',
+                      borderBottom: '2px solid #dee2e6',
+                      cursor: header.column.getCanSort() ? 'pointer' : 'default',
+                      userSelect: 'none'
+                    }}
+                    onClick={header.column.getToggleSortingHandler()}
+                  >
+                    <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                      {header.column.columnDef.header}
+                      {header.column.getCanSort() && (
+                        <span style={{ fontSize: '0.8rem', color: '#6c757d' }}>
+                          {{
+                            asc: '↑',
+                            desc: '↓',
+                          }[header.column.getIsSorted()] ?? '↕'}
+                        </span>
+                      )}
+                    </div>
+                  </th>
+                ))}
+              </tr>
+            ))}
+          </thead>
+          <tbody>
+            {table.getRowModel().rows.length === 0 ? (
+              <tr>
+                <td
+                  colSpan={columns.length}
+                  style={{
+                    padding: '2rem',
+                    textAlign: 'center',
+                    color: '#999',
+                    fontStyle: 'italic'
+                  }}
+                >
+                  Your library is empty. Titles are added as you log media entries.
+                </td>
+              </tr>
+            ) : (
+              table.getRowModel().rows.map(row => (
+                <tr
+                  key={row.id}
+                  style={{ borderBottom: '1px solid #dee2e6' }}
+                >
+                  {row.getVisibleCells().map(cell => (
+                    <td key={cell.id} style={{ padding: '1rem' }}>
+                      {typeof cell.column.columnDef.cell === 'function'
+                        ? cell.column.columnDef.cell(cell.getContext())
+                        : cell.getValue()}
+                    </td>
+                  ))}
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,92 @@
+/**
+ * @fileoverview Safe Markdown rendering for journal notes
+ */
+
+'use client'
+
+import { parseMarkdown } from '../lib/markdown.js'
+
+/**
+ * Renders inline nodes as React elements; text is never interpreted as HTML
+ * @param {Array<Object>} nodes - Inline nodes from lib/markdown.js
+ * @returns {Array<JSX.Element>} Rendered nodes
+ */
+function renderInline(nodes) {
+  return nodes.map((node, index) => {
+    switch (node.type) {
+      case 'strong':
+        return <strong key={index}>{renderInline(node.children)}</strong>
+      case 'em':
+        return <em key={index}>{renderInline(node.children)}</em>
+      case 'code':
+        return (
+          <code key={index} style={{ backgroundColor: '#f0f0f0', padding: '0 0.25rem', borderRadius: '3px' }}>
+            {node.text}
+          </code>
+        )
+      case 'link':
+        return (
+          <a key={index} href={node.href} target="_blank" rel="noopener noreferrer" style={{ color: '#007cba' }}>
+            {renderInline(node.children)}
+          </a>
+        )
+      case 'break':
+        return <br key={index} />
+      default:
+        return <span key={index}>{node.text}</span>
+    }
+  })
+}
+
+/**
+ * Renders a Markdown string
+ * @param {Object} props - Component props
+ * @param {string} props.text - Markdown source
+ * @returns {JSX.Element} The rendered Markdown
+ */
+export default function Markdown({ text }) {
+  const blocks = parseMarkdown(text)
+
+  return (
+    <div style={{ color: '#333', lineHeight: 1.5 }}>
+      {blocks.map((block, index) => {
+        switch (block.type) {
+          case 'heading': {
+            const Heading = `h${block.level + 2}`
+            return <Heading key={index} style={{ margin: '0.75rem 0 0.5rem' }}>{renderInline(block.children)}</Heading>
+          }
+          case 'list': {
+            const List = block.ordered ? 'ol' : 'ul'
+            return (
+              <List key={index} style={{ margin: '0.5rem 0', paddingLeft: '1.5rem' }}>
+                {block.items.map((item, itemIndex) => (
+                  <li key={itemIndex}>{renderInline(item)}</li>
+                ))}
+              </List>
+            )
+          }
+          case 'blockquote':
+            return (
+              <blockquote
+                key={index}
+                style={{ margin: '0.5rem 0', padding: '0.25rem 0.75rem', borderLeft: '3px solid #ccc', color: '#666' }}
+              >
+                {renderInline(block.children)}
+              </blockquote>
+            )
+          case 'codeBlock':
+            return (
+              <pre
+                key={index}
+                style={{ margin: '0.5rem 0', padding: '0.75rem', backgroundColor: '#f0f0f0', borderRadius: '4px', overflow: 'auto' }}
+              >
+                <code>{block.text}</code>
+              </pre>
+            )
+          default:
+            return <p key={index} style={{ margin: '0.5rem 0' }}>{renderInline(block.children)}</p>
+        }
+      })}
+    </div>
+  )
+}
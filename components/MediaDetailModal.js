@@ -0,0 +1,85 @@
+/**
+ * @fileoverview Modal showing the media entries logged on one date
+ */
+
+'use client'
+
+import MediaDetailView from './MediaDetailView.js'
+
+/**
+ * Modal wrapping MediaDetailView, for views that open a day with media but no check-ins
+ * @param {Object} props - Component props
+ * @param {string} props.date - Date in YYYY-MM-DD format
+ * @param {Array<Object>} props.mediaEntries - Media entries for this date
+ * @param {Function} [props.onLogAgain] - Passed on to MediaDetailView
+ * @param {Function} props.onClose - Called when the modal is dismissed
+ * @returns {JSX.Element} The modal
+ */
+export default function MediaDetailModal({ date, mediaEntries, onLogAgain, onClose }) {
+  return (
+    <div
+      style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        backgroundColor: 'rgba(0, 0, 0, 0.5)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 1000,
+        padding: '1rem'
+      }}
+      onClick={onClose}
+    >
+      <div
+        style={{
+          backgroundColor: 'white',
+          borderRadius: '12px',
+          maxWidth: '800px',
+          width: '100%',
+          maxHeight: '90vh',
+          overflow: 'auto',
+          boxShadow: '0 20px 25px -5px rgba(0, 0, 0, 0.1), 0 10px 10px -5px rgba(0, 0, 0, 0.04)'
+        }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div style={{
+          padding: '1.5rem',
+          borderBottom: '1px solid #e0e0e0',
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          position: 'sticky',
+          top: 0,
+          backgroundColor: 'white',
+          zIndex: 1
+        }}>
+          <h2 style={{ margin: 0, color: '#333', fontSize: '1.5rem' }}>
+            Media Details
+          </h2>
+          <button
+            onClick={onClose}
+            style={{
+              background: 'none',
+              border: 'none',
+              fontSize: '1.5rem',
+              cursor: 'pointer',
+              color: '#666',
+              padding: '0.25rem',
+              lineHeight: 1
+            }}
+          >
+            ×
+          </button>
+        </div>
+        <MediaDetailView
+          date={mediaDetailDay.date}
+          mediaEntries={mediaDetailDay.mediaEntries}
+          onLogAgain={onLogAgain}
+        />
+      </div>
+    </div>
+  )
+}
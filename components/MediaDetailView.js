@@ -4,17 +4,28 @@
 
 'use client'
 
-import { formatDate } from '../lib/media.js'
-import { MEDIA_TYPES, formatDuration } from '../lib/media.js'
+import { useState } from 'react'
+import { Check, RotateCcw } from 'lucide-react'
+import { formatDate, getTodayDate } from '../lib/dates.js'
+import { formatDuration, formatMediaDetails } from '../lib/media.js'
+import { createMediaEntry } from '../schemas/index.js'
+import FieldError from './FieldError.js'
+import MediaTypeBadge from './MediaTypeBadge.js'
 
 /**
  * Detail view for media entries on a specific date
  * @param {Object} props - Component props
  * @param {string} props.date - Date string in YYYY-MM-DD format
  * @param {Array} props.mediaEntries - Array of media entries for this date
+ * @param {Function} [props.onLogAgain] - Called with a new entry for today copying a past entry's title, type and duration
  * @returns {JSX.Element} The detail view
  */
-export default function MediaDetailView({ date, mediaEntries }) {
+export default function MediaDetailView({ date, mediaEntries, onLogAgain }) {
+  // Entries already re-logged from this view, so each shows a confirmation instead of its button
+  const [loggedIds, setLoggedIds] = useState([])
+  // Validation errors per entry that could not be logged again, e.g. because its type was since removed
+  const [logErrors, setLogErrors] = useState({})
+
   if (!date || !mediaEntries || mediaEntries.length === 0) {
     return (
       <div style={{ padding: '2rem', textAlign: 'center', color: '#666' }}>
@@ -106,17 +117,7 @@ export default function MediaDetailView({ date, mediaEntries }) {
               }}
             >
               <div style={{ display: 'flex', alignItems: 'center', gap: '1rem' }}>
-                <span style={{
-                  display: 'inline-block',
-                  padding: '0.5rem 0.75rem',
-                  backgroundColor: '#e3f2fd',
-                  color: '#1976d2',
-                  borderRadius: '6px',
-                  fontSize: '1rem',
-                  fontWeight: 'bold'
-                }}>
-                  {MEDIA_TYPES[media.type]}
-                </span>
+                <MediaTypeBadge type={media.type} size="large" />
                 <div>
                   <div style={{
                     fontSize: '1rem',
@@ -132,13 +133,70 @@ export default function MediaDetailView({ date, mediaEntries }) {
                   }}>
                     {formatDuration(media.duration)}
                   </div>
+                  {formatMediaDetails(media).length > 0 && (
+                    <dl style={{
+                      display: 'grid',
+                      gridTemplateColumns: 'auto 1fr',
+                      gap: '0.125rem 0.5rem',
+                      margin: '0.5rem 0 0',
+                      fontSize: '0.85rem',
+                      color: '#555'
+                    }}>
+                      {formatMediaDetails(media).map(detail => (
+                        <div key={detail.key} style={{ display: 'contents' }}>
+                          <dt style={{ color: '#999' }}>{detail.label}</dt>
+                          <dd style={{ margin: 0 }}>{detail.value}</dd>
+                        </div>
+                      ))}
+                    </dl>
+                  )}
                 </div>
               </div>
               <div style={{
+                display: 'flex',
+                flexDirection: 'column',
+                alignItems: 'flex-end',
+                gap: '0.5rem',
                 fontSize: '0.85rem',
                 color: '#999'
               }}>
                 {media.duration} min
+                {onLogAgain && (loggedIds.includes(media.id) ? (
+                  <span style={{ display: 'flex', alignItems: 'center', gap: '0.25rem', color: '#28a745' }}>
+                    <Check size={14} />
+                    Logged for today
+                  </span>
+                ) : (
+                  <button
+                    onClick={() => {
+                      const result = createMediaEntry(getTodayDate(), media.type, media.title, media.duration)
+                      if (result.success) {
+                        onLogAgain(result.data)
+                        setLoggedIds([...loggedIds, media.id])
+                      } else {
+                        setLogErrors({ ...logErrors, [media.id]: result.errors })
+                      }
+                    }}
+                    title={`Log ${formatDuration(media.duration)} of ${media.title} today`}
+                    style={{
+                      display: 'flex',
+                      alignItems: 'center',
+                      gap: '0.25rem',
+                      padding: '0.35rem 0.75rem',
+                      backgroundColor: 'transparent',
+                      color: '#007cba',
+                      border: '1px solid #007cba',
+                      borderRadius: '4px',
+                      fontSize: '0.85rem',
+                      cursor: 'pointer',
+                      whiteSpace: 'nowrap'
+                    }}
+                  >
+                    <RotateCcw size={14} />
+                    Log again today
+                  </button>
+                ))}
+                <FieldError messages={logErrors[media.id]} />
               </div>
             </div>
           ))}
@@ -6,26 +6,65 @@
 
 import { useState } from 'react'
 import { Check } from 'lucide-react'
-import { createMediaEntry } from '../schemas/index.js'
-import { MEDIA_TYPES, getTodayDate } from '../lib/media.js'
+import { createMediaEntry, getDateBounds, getFieldErrors } from '../schemas/index.js'
+import { getMediaTypes, getMediaType } from '../lib/mediaTypes.js'
+import { getMediaDetailFields } from '../lib/media.js'
+import { getTodayDate } from '../lib/dates.js'
+import FieldError from './FieldError.js'
+import TitleAutocomplete from './TitleAutocomplete.js'
+
+/**
+ * Fields that show their validation messages inline
+ * @type {Array<string>}
+ */
+const FORM_FIELDS = ['date', 'type', 'title', 'duration', 'details']
 
 /**
  * Form component for logging media entries
  * @param {Object} props - Component props
  * @param {Function} props.onEntryAdded - Callback when entry is successfully added
  * @param {Object} props.initialEntry - Optional initial entry for editing
+ * @param {string} [props.initialDate] - Date a new entry starts on, for backfilling; defaults to today
  * @param {Function} props.onEntryUpdated - Optional callback when entry is updated
+ * @param {Array} [props.allMediaEntries=[]] - Past media entries, for title suggestions
  * @returns {JSX.Element} The media entry form
  */
-export default function MediaForm({ onEntryAdded, initialEntry, onEntryUpdated }) {
-  const [date, setDate] = useState(initialEntry?.date || getTodayDate())
-  const [type, setType] = useState(initialEntry?.type || 'book')
+export default function MediaForm({ onEntryAdded, initialEntry, initialDate, onEntryUpdated, allMediaEntries = [] }) {
+  const [date, setDate] = useState(initialEntry?.date || initialDate || getTodayDate())
+  const mediaTypes = getMediaTypes()
+  const [type, setType] = useState(initialEntry?.type || mediaTypes[0].key)
   const [title, setTitle] = useState(initialEntry?.title || '')
   const [duration, setDuration] = useState(initialEntry?.duration || 30)
+  const [detailValues, setDetailValues] = useState(initialEntry?.details || {})
   const [errors, setErrors] = useState([])
+  const [fieldErrors, setFieldErrors] = useState({})
+  const [detailErrors, setDetailErrors] = useState({})
   const [isSubmitting, setIsSubmitting] = useState(false)
   const [successMessage, setSuccessMessage] = useState('')
 
+  // Values typed for another type are kept while the form is open but only the selected type's are saved
+  const detailFields = getMediaDetailFields(type)
+
+  /**
+   * Collects the filled-in detail fields for the selected type
+   * @returns {Object} Details keyed by field; numbers that do not parse are left for the validator to reject
+   */
+  const collectDetails = () => Object.fromEntries(detailFields.flatMap(field => {
+    const text = String(detailValues[field.key] ?? '').trim()
+    if (text === '') return []
+    return [[field.key, field.inputType === 'number' && !isNaN(Number(text)) ? Number(text) : text]]
+  }))
+
+  /**
+   * Fills in a suggested title with the type and duration it was last logged with
+   * @param {{title: string, type: string, duration: number}} suggestion - Picked suggestion
+   */
+  const handleSuggestionSelected = (suggestion) => {
+    setTitle(suggestion.title)
+    setType(suggestion.type)
+    setDuration(suggestion.duration)
+  }
+
   /**
    * Handles form submission
    * @param {Event} e - Form submit event
@@ -34,10 +73,12 @@ export default function MediaForm({ onEntryAdded, initialEntry, onEntryUpdated }
     e.preventDefault()
     setIsSubmitting(true)
     setErrors([])
+    setFieldErrors({})
+    setDetailErrors({})
     setSuccessMessage('')
 
     // Create and validate the entry
-    const result = createMediaEntry(date, type, title, parseInt(duration), initialEntry?.id)
+    const result = createMediaEntry(date, type, title, parseInt(duration), initialEntry?.id, collectDetails())
     
     if (result.success) {
       setSuccessMessage(
@@ -57,12 +98,21 @@ export default function MediaForm({ onEntryAdded, initialEntry, onEntryUpdated }
       // Reset form only if not editing
       if (!initialEntry) {
         setDate(getTodayDate())
-        setType('book')
+        setType(mediaTypes[0].key)
         setTitle('')
         setDuration(30)
+        setDetailValues({})
       }
     } else {
-      setErrors(result.errors)
+      // Field errors are shown next to their inputs; anything else goes in the summary
+      const grouped = getFieldErrors(result.details)
+      setFieldErrors(grouped)
+      setDetailErrors(getFieldErrors(result.details, 'details'))
+      setErrors(
+        Object.entries(grouped)
+          .filter(([field]) => !FORM_FIELDS.includes(field))
+          .flatMap(([, messages]) => messages)
+      )
     }
     
     setIsSubmitting(false)
@@ -86,11 +136,14 @@ export default function MediaForm({ onEntryAdded, initialEntry, onEntryUpdated }
           <input
             type="date"
             id="date"
+            min={getDateBounds('media').min ?? undefined}
+            max={getDateBounds('media').max ?? undefined}
             value={date}
             onChange={(e) => setDate(e.target.value)}
+            aria-invalid={Boolean(fieldErrors.date)}
             style={{
               padding: '0.5rem',
-              border: '1px solid #ccc',
+              border: fieldErrors.date ? '1px solid #c33' : '1px solid #ccc',
               borderRadius: '4px',
               fontSize: '1rem',
               width: '100%',
@@ -98,6 +151,7 @@ export default function MediaForm({ onEntryAdded, initialEntry, onEntryUpdated }
             }}
             required
           />
+          <FieldError messages={fieldErrors.date} />
         </div>
 
         <div style={{ marginBottom: '1rem' }}>
@@ -117,9 +171,10 @@ export default function MediaForm({ onEntryAdded, initialEntry, onEntryUpdated }
             value={type}
             onChange={(e) => setType(e.target.value)}
             autoFocus
+            aria-invalid={Boolean(fieldErrors.type)}
             style={{
               padding: '0.5rem',
-              border: '1px solid #ccc',
+              border: fieldErrors.type ? '1px solid #c33' : '1px solid #ccc',
               borderRadius: '4px',
               fontSize: '1rem',
               width: '100%',
@@ -127,12 +182,13 @@ export default function MediaForm({ onEntryAdded, initialEntry, onEntryUpdated }
               cursor: 'pointer'
             }}
           >
-            {Object.entries(MEDIA_TYPES).map(([value, label]) => (
-              <option key={value} value={value}>
-                {label}
+            {mediaTypes.map(mediaType => (
+              <option key={mediaType.key} value={mediaType.key}>
+                {mediaType.label}
               </option>
             ))}
           </select>
+          <FieldError messages={fieldErrors.type} />
         </div>
 
         <div style={{ marginBottom: '1rem' }}>
@@ -147,23 +203,15 @@ export default function MediaForm({ onEntryAdded, initialEntry, onEntryUpdated }
           >
             Title:
           </label>
-          <input
-            type="text"
+          <TitleAutocomplete
             id="title"
             value={title}
-            onChange={(e) => setTitle(e.target.value)}
-            placeholder="Enter media title (min 3 characters)"
-            minLength="3"
-            style={{
-              padding: '0.5rem',
-              border: '1px solid #ccc',
-              borderRadius: '4px',
-              fontSize: '1rem',
-              width: '100%',
-              maxWidth: '400px'
-            }}
-            required
+            onChange={setTitle}
+            onSelect={handleSuggestionSelected}
+            entries={allMediaEntries}
+            invalid={Boolean(fieldErrors.title)}
           />
+          <FieldError messages={fieldErrors.title} />
         </div>
 
         <div style={{ marginBottom: '1.5rem' }}>
@@ -184,9 +232,10 @@ export default function MediaForm({ onEntryAdded, initialEntry, onEntryUpdated }
             min="1"
             value={duration}
             onChange={(e) => setDuration(e.target.value)}
+            aria-invalid={Boolean(fieldErrors.duration)}
             style={{
               padding: '0.5rem',
-              border: '1px solid #ccc',
+              border: fieldErrors.duration ? '1px solid #c33' : '1px solid #ccc',
               borderRadius: '4px',
               fontSize: '1rem',
               width: '100%',
@@ -194,8 +243,50 @@ export default function MediaForm({ onEntryAdded, initialEntry, onEntryUpdated }
             }}
             required
           />
+          <FieldError messages={fieldErrors.duration} />
         </div>
 
+        {detailFields.length > 0 && (
+          <fieldset style={{
+            border: '1px solid #e0e0e0',
+            borderRadius: '4px',
+            padding: '0.75rem',
+            marginBottom: '1.5rem'
+          }}>
+            <legend style={{ fontWeight: 'bold', color: '#333' }}>
+              {getMediaType(type).label} details (optional)
+            </legend>
+            {detailFields.map(field => (
+              <div key={field.key} style={{ marginBottom: '0.75rem' }}>
+                <label
+                  htmlFor={`details-${field.key}`}
+                  style={{ display: 'block', marginBottom: '0.25rem', color: '#333' }}
+                >
+                  {field.label}:
+                </label>
+                <input
+                  type={field.inputType}
+                  id={`details-${field.key}`}
+                  min={field.inputType === 'number' ? '1' : undefined}
+                  value={detailValues[field.key] ?? ''}
+                  onChange={(e) => setDetailValues({ ...detailValues, [field.key]: e.target.value })}
+                  aria-invalid={Boolean(detailErrors[field.key])}
+                  style={{
+                    padding: '0.5rem',
+                    border: detailErrors[field.key] ? '1px solid #c33' : '1px solid #ccc',
+                    borderRadius: '4px',
+                    fontSize: '1rem',
+                    width: '100%',
+                    maxWidth: field.inputType === 'number' ? '200px' : '400px'
+                  }}
+                />
+                <FieldError messages={detailErrors[field.key]} />
+              </div>
+            ))}
+            <FieldError messages={detailErrors._form} />
+          </fieldset>
+        )}
+
         {/* Error messages */}
         {errors.length > 0 && (
           <div style={{
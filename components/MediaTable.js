@@ -5,6 +5,7 @@
 'use client'
 
 import { useState, useMemo } from 'react'
+import { Download } from 'lucide-react'
 import {
   useReactTable,
   getCoreRowModel,
@@ -12,9 +13,13 @@ import {
   getFilteredRowModel,
   createColumnHelper
 } from '@tanstack/react-table'
-import { MEDIA_TYPES, formatDate, formatDuration } from '../lib/media.js'
+import { formatDuration } from '../lib/media.js'
+import { formatDate, getTodayDate } from '../lib/dates.js'
+import { mediaToCSV } from '../lib/csv.js'
+import { downloadFile } from '../lib/download.js'
 import ConfirmDialog from './ConfirmDialog.js'
 import MediaDetailView from './MediaDetailView.js'
+import MediaTypeBadge from './MediaTypeBadge.js'
 
 const columnHelper = createColumnHelper()
 
@@ -25,9 +30,10 @@ const columnHelper = createColumnHelper()
  * @param {Array} props.data - Array of media entries
  * @param {Function} props.onDeleteEntries - Callback when entries are deleted
  * @param {Function} props.onEditEntry - Callback when edit button is clicked for selected entry
+ * @param {Function} [props.onLogAgain] - Called with a new entry when a past entry is logged again today
  * @returns {JSX.Element} The data table
  */
-export default function MediaTable({ data, onDeleteEntries, onEditEntry, onAddEntry }) {
+export default function MediaTable({ data, onDeleteEntries, onEditEntry, onAddEntry, onLogAgain }) {
   const [rowSelection, setRowSelection] = useState({})
   const [sorting, setSorting] = useState([{ id: 'date', desc: true }])
   const [showDeleteDialog, setShowDeleteDialog] = useState(false)
@@ -100,20 +106,7 @@ export default function MediaTable({ data, onDeleteEntries, onEditEntry, onAddEn
           return (
             <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', flexWrap: 'wrap' }}>
               {types.map(type => (
-                <span 
-                  key={type}
-                  style={{
-                    display: 'inline-block',
-                    padding: '0.25rem 0.5rem',
-                    backgroundColor: '#e3f2fd',
-                    color: '#1976d2',
-                    borderRadius: '4px',
-                    fontSize: '0.9rem',
-                    fontWeight: 'bold'
-                  }}
-                >
-                  {MEDIA_TYPES[type]}
-                </span>
+                <MediaTypeBadge key={type} type={type} />
               ))}
             </div>
           )
@@ -216,6 +209,17 @@ export default function MediaTable({ data, onDeleteEntries, onEditEntry, onAddEn
     setShowDeleteDialog(true)
   }
 
+  /**
+   * Exports the individual entries of the selected dates, or of every date when
+   * nothing is selected, in the current sort order
+   */
+  const handleExportCSV = () => {
+    const rows = table.getRowModel().rows
+    const exportRows = selectedCount > 0 ? rows.filter(row => row.getIsSelected()) : rows
+    const csv = mediaToCSV(exportRows.flatMap(row => row.original.entries))
+    downloadFile(`media-entries-${getTodayDate()}.csv`, csv, 'text/csv')
+  }
+
   const handleConfirmDelete = () => {
     // Collect all individual entries from selected dates
     const allEntriesToDelete = selectedRows.flatMap(row => row.original.entries)
@@ -259,6 +263,27 @@ export default function MediaTable({ data, onDeleteEntries, onEditEntry, onAddEn
           {data.length} total entries • {aggregatedData.length} dates • {selectedCount} selected
         </div>
         <div style={{ display: 'flex', gap: '0.75rem' }}>
+          <button
+            onClick={handleExportCSV}
+            disabled={table.getRowModel().rows.length === 0}
+            style={{
+              padding: '0.5rem 1rem',
+              backgroundColor: 'white',
+              color: '#007cba',
+              border: '1px solid #007cba',
+              borderRadius: '4px',
+              fontSize: '0.9rem',
+              fontWeight: 'bold',
+              cursor: 'pointer',
+              display: 'flex',
+              alignItems: 'center',
+              gap: '0.5rem'
+            }}
+            title={selectedCount > 0 ? 'Export the selected rows in the current sort order' : 'Export all rows in the current sort order'}
+          >
+            <Download size={16} />
+            {selectedCount > 0 ? `Export CSV (${selectedCount})` : 'Export CSV'}
+          </button>
           <button
             onClick={onAddEntry}
             style={{
@@ -470,6 +495,7 @@ export default function MediaTable({ data, onDeleteEntries, onEditEntry, onAddEn
             <MediaDetailView 
               date={selectedDateData.date}
               mediaEntries={selectedDateData.entries}
+              onLogAgain={onLogAgain}
             />
           </div>
         </div>
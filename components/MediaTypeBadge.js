@@ -0,0 +1,60 @@
+/**
+ * @fileoverview Colored label with icon for a media type
+ */
+
+'use client'
+
+import {
+  BookOpen, Video, Mic, Music, Gamepad2, Newspaper,
+  MessageCircle, Tv, Headphones, Film, Radio, Camera, Globe, Tag
+} from 'lucide-react'
+import { getMediaType } from '../lib/mediaTypes.js'
+
+/**
+ * Icon components by the names listed in MEDIA_TYPE_ICONS
+ * @type {Object<string, Function>}
+ */
+export const MEDIA_TYPE_ICON_COMPONENTS = {
+  BookOpen, Video, Mic, Music, Gamepad2, Newspaper,
+  MessageCircle, Tv, Headphones, Film, Radio, Camera, Globe, Tag
+}
+
+/**
+ * Badge sizes used by tables and detail views
+ * @type {Object<string, {padding: string, fontSize: string, borderRadius: string, iconSize: number}>}
+ */
+const SIZES = {
+  small: { padding: '0.25rem 0.5rem', fontSize: '0.9rem', borderRadius: '4px', iconSize: 14 },
+  large: { padding: '0.5rem 0.75rem', fontSize: '1rem', borderRadius: '6px', iconSize: 18 }
+}
+
+/**
+ * Renders a media type as a tinted badge
+ * @param {Object} props - Component props
+ * @param {string} [props.type] - Media type key, looked up in the registry
+ * @param {Object} [props.mediaType] - Type details to show instead, e.g. an unsaved edit in Settings
+ * @param {string} [props.size='small'] - 'small' or 'large'
+ * @returns {JSX.Element} The badge
+ */
+export default function MediaTypeBadge({ type, mediaType = getMediaType(type), size = 'small' }) {
+  const { padding, fontSize, borderRadius, iconSize } = SIZES[size]
+  const Icon = MEDIA_TYPE_ICON_COMPONENTS[mediaType.icon] || Tag
+
+  return (
+    <span style={{
+      display: 'inline-flex',
+      alignItems: 'center',
+      gap: '0.35rem',
+      padding,
+      // An 8-digit hex color gives a light tint of the type's color
+      backgroundColor: `${mediaType.color}1a`,
+      color: mediaType.color,
+      borderRadius,
+      fontSize,
+      fontWeight: 'bold'
+    }}>
+      <Icon size={iconSize} />
+      {mediaType.label}
+    </span>
+  )
+}
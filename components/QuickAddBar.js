@@ -0,0 +1,148 @@
+/**
+ * @fileoverview Single-line natural-language input for logging media and mood
+ */
+
+'use client'
+
+import { useState, useMemo } from 'react'
+import { Zap, Smile, AlertCircle } from 'lucide-react'
+import { parseQuickAdd } from '../lib/quickAdd.js'
+import { formatDuration } from '../lib/media.js'
+import { formatDate } from '../lib/dates.js'
+import { getHappinessDescription } from '../lib/happiness.js'
+import MediaTypeBadge from './MediaTypeBadge.js'
+
+/**
+ * Quick-add bar
+ * Shows a preview of the entries a phrase would create while it is typed, and saves
+ * them only when every phrase is valid.
+ * @param {Object} props - Component props
+ * @param {Function} props.onMediaEntriesAdded - Called with the new media entries
+ * @param {Function} props.onEntryAdded - Called with each new happiness check-in
+ * @returns {JSX.Element} The quick-add bar
+ */
+export default function QuickAddBar({ onMediaEntriesAdded, onEntryAdded }) {
+  const [text, setText] = useState('')
+  const [savedMessage, setSavedMessage] = useState('')
+
+  const results = useMemo(() => parseQuickAdd(text), [text])
+  const canSave = results.length > 0 && results.every(result => result.success)
+
+  /**
+   * Saves every parsed entry
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (!canSave) return
+
+    const mediaEntries = results.filter(result => result.kind === 'media').map(result => result.data)
+    const checkIns = results.filter(result => result.kind === 'happiness').map(result => result.data)
+    if (mediaEntries.length > 0) onMediaEntriesAdded(mediaEntries)
+    checkIns.forEach(checkIn => onEntryAdded(checkIn))
+
+    setSavedMessage(`Added ${results.length} ${results.length === 1 ? 'entry' : 'entries'}`)
+    setText('')
+  }
+
+  return (
+    <section style={{ marginBottom: '2rem' }}>
+      <form onSubmit={handleSubmit} style={{ display: 'flex', gap: '0.5rem' }}>
+        <input
+          type="text"
+          id="quick-add"
+          value={text}
+          onChange={(e) => {
+            setText(e.target.value)
+            setSavedMessage('')
+          }}
+          placeholder='Quick add: "watched Inception 2h10m yesterday; mood +1"'
+          autoComplete="off"
+          aria-label="Quick add"
+          aria-describedby="quick-add-preview"
+          style={{
+            flex: 1,
+            padding: '0.75rem',
+            border: '1px solid #ccc',
+            borderRadius: '4px',
+            fontSize: '1rem'
+          }}
+        />
+        <button
+          type="submit"
+          disabled={!canSave}
+          style={{
+            padding: '0.75rem 1.5rem',
+            backgroundColor: canSave ? '#007cba' : '#ccc',
+            color: 'white',
+            border: 'none',
+            borderRadius: '4px',
+            fontSize: '1rem',
+            fontWeight: 'bold',
+            cursor: canSave ? 'pointer' : 'not-allowed',
+            display: 'flex',
+            alignItems: 'center',
+            gap: '0.5rem'
+          }}
+        >
+          <Zap size={16} />
+          Add
+        </button>
+      </form>
+
+      <div id="quick-add-preview" aria-live="polite">
+        {results.length > 0 && (
+          <ul style={{ listStyle: 'none', margin: '0.5rem 0 0', padding: 0, display: 'flex', flexDirection: 'column', gap: '0.25rem' }}>
+            {results.map((result, index) => (
+              <li
+                key={index}
+                style={{
+                  display: 'flex',
+                  flexWrap: 'wrap',
+                  alignItems: 'center',
+                  gap: '0.5rem',
+                  padding: '0.5rem 0.75rem',
+                  borderRadius: '4px',
+                  fontSize: '0.9rem',
+                  backgroundColor: result.success ? '#f8f9fa' : '#fee',
+                  color: result.success ? '#333' : '#c33'
+                }}
+              >
+                {!result.success && (
+                  <>
+                    <AlertCircle size={16} />
+                    <span style={{ fontStyle: 'italic' }}>{result.text}:</span>
+                    <span>{result.errors.join('. ')}</span>
+                  </>
+                )}
+                {result.success && result.kind === 'media' && (
+                  <>
+                    <MediaTypeBadge type={result.data.type} />
+                    <strong>{result.data.title}</strong>
+                    <span style={{ color: '#666' }}>
+                      {formatDuration(result.data.duration)} on {formatDate(result.data.date)}
+                    </span>
+                  </>
+                )}
+                {result.success && result.kind === 'happiness' && (
+                  <>
+                    <Smile size={16} />
+                    <strong>{getHappinessDescription(result.data.happiness)}</strong>
+                    <span style={{ color: '#666' }}>
+                      on {formatDate(result.data.date)}{result.data.time ? ` at ${result.data.time}` : ''}
+                    </span>
+                  </>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+        {savedMessage && (
+          <div style={{ marginTop: '0.5rem', color: '#28a745', fontSize: '0.9rem' }}>
+            {savedMessage}
+          </div>
+        )}
+      </div>
+    </section>
+  )
+}
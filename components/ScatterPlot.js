@@ -0,0 +1,210 @@
+/**
+ * @fileoverview SVG scatter of daily happiness against media minutes, with a trend line and brushing
+ */
+
+'use client'
+
+import { useState, useRef } from 'react'
+import { getMinutesAxisMax } from '../lib/analytics.js'
+import { formatDate } from '../lib/dates.js'
+import { formatDuration } from '../lib/media.js'
+import { formatMean } from '../lib/happiness.js'
+
+// Chart geometry in viewBox units
+const WIDTH = 640
+const HEIGHT = 320
+const MARGIN = { top: 16, right: 16, bottom: 40, left: 44 }
+
+// Most happiness values are whole numbers, so points are spread vertically by up to this much
+const JITTER = 0.18
+
+/**
+ * Stable vertical offset for a day so points do not move between renders
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {number} Offset between -JITTER and JITTER
+ */
+function getJitter(date) {
+  let hash = 0
+  for (const char of date) {
+    hash = (hash * 31 + char.charCodeAt(0)) % 1000003
+  }
+  return ((hash % 1000) / 999 - 0.5) * 2 * JITTER
+}
+
+/**
+ * Scatter plot
+ * Dragging across the plot selects the points inside the rectangle; a click without
+ * dragging clears the selection.
+ * @param {Object} props - Component props
+ * @param {Array<{date: string, minutes: number, happiness: number}>} props.points - Points from buildScatterData
+ * @param {{slope: number, intercept: number}|null} props.fit - Trend line from buildScatterData
+ * @param {string} props.label - What the minutes measure, e.g. "Book"
+ * @param {Array<string>|null} props.selectedDates - Dates currently selected
+ * @param {Function} props.onSelectDates - Called with the brushed dates, or null to clear
+ * @returns {JSX.Element} The chart
+ */
+export default function ScatterPlot({ points, fit, label, selectedDates, onSelectDates }) {
+  const svgRef = useRef(null)
+  const [brush, setBrush] = useState(null)
+
+  const plotWidth = WIDTH - MARGIN.left - MARGIN.right
+  const plotHeight = HEIGHT - MARGIN.top - MARGIN.bottom
+  const minutesMax = getMinutesAxisMax(Math.max(0, ...points.map(point => point.minutes)))
+
+  const x = (minutes) => MARGIN.left + (minutes / minutesMax) * plotWidth
+  // The happiness axis leaves room for jitter beyond -2 and +2
+  const y = (level) => MARGIN.top + ((2 + JITTER - level) / (4 + 2 * JITTER)) * plotHeight
+
+  const plotted = points.map(point => ({ ...point, cx: x(point.minutes), cy: y(point.happiness + getJitter(point.date)) }))
+  const selected = selectedDates ? new Set(selectedDates) : null
+
+  // Minutes range over which the trend line stays on the happiness scale
+  const trend = (() => {
+    if (!fit) return null
+    if (fit.slope === 0) return Math.abs(fit.intercept) <= 2 + JITTER ? [0, minutesMax] : null
+    const bounds = [(-2 - JITTER - fit.intercept) / fit.slope, (2 + JITTER - fit.intercept) / fit.slope]
+    const from = Math.max(0, Math.min(...bounds))
+    const to = Math.min(minutesMax, Math.max(...bounds))
+    return from < to ? [from, to] : null
+  })()
+
+  /**
+   * Converts a pointer position to viewBox units, clamped to the plot area
+   * @param {PointerEvent} e - Pointer event
+   * @returns {{x: number, y: number}} Position in viewBox units
+   */
+  const toChart = (e) => {
+    const rect = svgRef.current.getBoundingClientRect()
+    return {
+      x: Math.max(MARGIN.left, Math.min(WIDTH - MARGIN.right, ((e.clientX - rect.left) / rect.width) * WIDTH)),
+      y: Math.max(MARGIN.top, Math.min(HEIGHT - MARGIN.bottom, ((e.clientY - rect.top) / rect.height) * HEIGHT))
+    }
+  }
+
+  /**
+   * Starts a brush where the pointer went down
+   */
+  const handlePointerDown = (e) => {
+    const start = toChart(e)
+    e.currentTarget.setPointerCapture(e.pointerId)
+    setBrush({ start, end: start })
+  }
+
+  /**
+   * Stretches the brush to the pointer
+   */
+  const handlePointerMove = (e) => {
+    if (brush) setBrush({ ...brush, end: toChart(e) })
+  }
+
+  /**
+   * Selects the points inside the brush
+   */
+  const handlePointerUp = () => {
+    if (!brush) return
+    const left = Math.min(brush.start.x, brush.end.x)
+    const right = Math.max(brush.start.x, brush.end.x)
+    const top = Math.min(brush.start.y, brush.end.y)
+    const bottom = Math.max(brush.start.y, brush.end.y)
+    setBrush(null)
+
+    // Treat a tiny drag as a click
+    if (right - left < 4 && bottom - top < 4) {
+      onSelectDates(null)
+      return
+    }
+    onSelectDates(plotted
+      .filter(point => point.cx >= left && point.cx <= right && point.cy >= top && point.cy <= bottom)
+      .map(point => point.date))
+  }
+
+  return (
+    <svg
+      ref={svgRef}
+      viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+      role="img"
+      aria-label={`Daily happiness against ${label.toLowerCase()} minutes, ${points.length} days`}
+      style={{ width: '100%', height: 'auto', display: 'block', touchAction: 'none', userSelect: 'none', cursor: 'crosshair' }}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+    >
+      {/* Happiness gridlines */}
+      {[-2, -1, 0, 1, 2].map(level => (
+        <g key={level}>
+          <line
+            x1={MARGIN.left}
+            x2={WIDTH - MARGIN.right}
+            y1={y(level)}
+            y2={y(level)}
+            stroke={level === 0 ? '#ced4da' : '#f1f3f5'}
+          />
+          <text x={MARGIN.left - 8} y={y(level)} textAnchor="end" dominantBaseline="middle" fontSize="11" fill="#666">
+            {level > 0 ? `+${level}` : level}
+          </text>
+        </g>
+      ))}
+
+      {/* Minutes axis */}
+      {[0, 0.25, 0.5, 0.75, 1].map(fraction => (
+        <text
+          key={fraction}
+          x={x(minutesMax * fraction)}
+          y={HEIGHT - MARGIN.bottom + 16}
+          textAnchor={fraction === 0 ? 'start' : fraction === 1 ? 'end' : 'middle'}
+          fontSize="11"
+          fill="#666"
+        >
+          {formatDuration(minutesMax * fraction)}
+        </text>
+      ))}
+      <text x={MARGIN.left + plotWidth / 2} y={HEIGHT - 6} textAnchor="middle" fontSize="11" fill="#333">
+        {label} minutes per day
+      </text>
+
+      {plotted.map(point => {
+        const isSelected = selected?.has(point.date)
+        return (
+          <circle
+            key={point.date}
+            cx={point.cx}
+            cy={point.cy}
+            r="4"
+            fill={isSelected ? '#007cba' : selected ? '#ced4da' : '#007cba'}
+            fillOpacity={isSelected || !selected ? 0.6 : 0.5}
+            stroke={isSelected ? '#005a87' : 'none'}
+          >
+            <title>{`${formatDate(point.date)}: ${formatMean(point.happiness)} • ${formatDuration(point.minutes)}`}</title>
+          </circle>
+        )
+      })}
+
+      {/* Trend line, cut off where it leaves the happiness scale */}
+      {trend && (
+        <line
+          x1={x(trend[0])}
+          y1={y(fit.intercept + fit.slope * trend[0])}
+          x2={x(trend[1])}
+          y2={y(fit.intercept + fit.slope * trend[1])}
+          stroke="#dc3545"
+          strokeWidth="2"
+          strokeDasharray="6 4"
+          pointerEvents="none"
+        />
+      )}
+
+      {brush && (
+        <rect
+          x={Math.min(brush.start.x, brush.end.x)}
+          y={Math.min(brush.start.y, brush.end.y)}
+          width={Math.abs(brush.end.x - brush.start.x)}
+          height={Math.abs(brush.end.y - brush.start.y)}
+          fill="rgba(0, 124, 186, 0.1)"
+          stroke="#007cba"
+          strokeDasharray="4 3"
+          pointerEvents="none"
+        />
+      )}
+    </svg>
+  )
+}
@@ -0,0 +1,485 @@
+/**
+ * @fileoverview Dialog for editing user settings
+ */
+
+'use client'
+
+import { useMemo, useState } from 'react'
+import { Settings, Plus, Trash2 } from 'lucide-react'
+import { formatDate, getDeviceTimeZone, getLocalDate, listTimeZones } from '../lib/dates.js'
+import { WELLBEING_DIMENSIONS, SCALE_LIMITS } from '../lib/wellbeing.js'
+import { MEDIA_TYPE_ICONS, SUGGESTED_MEDIA_TYPES, createMediaTypeKey } from '../lib/mediaTypes.js'
+import MediaTypeBadge from './MediaTypeBadge.js'
+
+/**
+ * Hours a day can be set to start at; later than noon would make "today" mostly yesterday
+ * @type {Array<number>}
+ */
+const ROLLOVER_HOURS = Array.from({ length: 13 }, (_, hour) => hour)
+
+/**
+ * Every whole number a dimension scale can start or end on
+ * @type {Array<number>}
+ */
+const SCALE_VALUES = Array.from({ length: SCALE_LIMITS.max - SCALE_LIMITS.min + 1 }, (_, index) => SCALE_LIMITS.min + index)
+
+/**
+ * Formats an hour of the day for the rollover select
+ * @param {number} hour - Hour from 0 to 23
+ * @returns {string} Label such as '4:00 AM'
+ */
+function formatHour(hour) {
+  if (hour === 0) return 'Midnight'
+  if (hour === 12) return 'Noon'
+  return `${hour % 12}:00 ${hour < 12 ? 'AM' : 'PM'}`
+}
+
+/**
+ * Settings dialog for the home timezone, day rollover hour, wellbeing dimensions and media types
+ * @param {Object} props - Component props
+ * @param {Object} props.settings - Settings currently in effect
+ * @param {Array<string>} [props.usedMediaTypes] - Media type keys that entries use; these cannot be removed
+ * @param {Function} props.onSave - Called with the updated settings
+ * @param {Function} props.onClose - Callback when the dialog is closed
+ * @returns {JSX.Element} The settings dialog
+ */
+export default function SettingsPanel({ settings, usedMediaTypes = [], onSave, onClose }) {
+  const [timeZone, setTimeZone] = useState(settings.timeZone)
+  const [dayRolloverHour, setDayRolloverHour] = useState(settings.dayRolloverHour)
+  const [dimensions, setDimensions] = useState(settings.dimensions)
+  const [mediaTypes, setMediaTypes] = useState(settings.mediaTypes)
+  const [newTypeLabel, setNewTypeLabel] = useState('')
+  const [newTypeError, setNewTypeError] = useState('')
+
+  const timeZones = useMemo(() => listTimeZones(), [])
+  const deviceTimeZone = useMemo(() => getDeviceTimeZone(), [])
+  const previewDate = getLocalDate(new Date(), { timeZone, dayRolloverHour })
+
+  const labelStyle = {
+    display: 'block',
+    fontWeight: 'bold',
+    marginBottom: '0.5rem',
+    color: '#333'
+  }
+
+  const selectStyle = {
+    width: '100%',
+    padding: '0.5rem',
+    border: '1px solid #ccc',
+    borderRadius: '4px',
+    fontSize: '1rem'
+  }
+
+  /**
+   * Updates one dimension's settings, keeping its scale at least two points wide
+   * @param {string} key - Dimension key
+   * @param {Object} changes - Fields to change
+   */
+  const updateDimension = (key, changes) => {
+    const next = { ...dimensions[key], ...changes }
+    if (next.min >= next.max) {
+      if (changes.min !== undefined) next.max = Math.min(next.min + 1, SCALE_LIMITS.max)
+      if (changes.max !== undefined) next.min = Math.max(next.max - 1, SCALE_LIMITS.min)
+    }
+    setDimensions({ ...dimensions, [key]: next })
+  }
+
+  /**
+   * Updates one media type's label, icon or color; keys never change so entries keep pointing at it
+   * @param {string} key - Media type key
+   * @param {Object} changes - Fields to change
+   */
+  const updateMediaType = (key, changes) => {
+    setMediaTypes(mediaTypes.map(mediaType => (mediaType.key === key ? { ...mediaType, ...changes } : mediaType)))
+  }
+
+  /**
+   * Adds a media type to the registry
+   * @param {{key: string, label: string, icon: string, color: string}} mediaType - Type to add
+   * @returns {boolean} Whether it was added
+   */
+  const addMediaType = (mediaType) => {
+    if (!mediaType.key) {
+      setNewTypeError('Type names must contain at least one letter.')
+      return false
+    }
+    if (mediaTypes.some(existing => existing.key === mediaType.key)) {
+      setNewTypeError(`There is already a "${mediaType.label}" type.`)
+      return false
+    }
+    setMediaTypes([...mediaTypes, mediaType])
+    setNewTypeError('')
+    return true
+  }
+
+  /**
+   * Adds a type named in the new type field, with a generic icon and color
+   */
+  const handleAddCustomType = () => {
+    const label = newTypeLabel.trim()
+    if (!label) return
+    if (addMediaType({ key: createMediaTypeKey(label), label, icon: 'Tag', color: '#6c757d' })) {
+      setNewTypeLabel('')
+    }
+  }
+
+  const suggestedTypes = SUGGESTED_MEDIA_TYPES.filter(suggestion =>
+    !mediaTypes.some(mediaType => mediaType.key === suggestion.key)
+  )
+  const hasBlankLabel = mediaTypes.some(mediaType => !mediaType.label.trim())
+
+  return (
+    <div
+      style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        backgroundColor: 'rgba(0, 0, 0, 0.5)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 1000,
+        padding: '1rem'
+      }}
+      onClick={onClose}
+    >
+      <div
+        style={{
+          backgroundColor: 'white',
+          borderRadius: '12px',
+          maxWidth: '500px',
+          width: '100%',
+          maxHeight: '90vh',
+          overflow: 'auto',
+          boxShadow: '0 20px 25px -5px rgba(0, 0, 0, 0.1), 0 10px 10px -5px rgba(0, 0, 0, 0.04)'
+        }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Header */}
+        <div style={{
+          padding: '1.5rem',
+          borderBottom: '1px solid #e0e0e0',
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center'
+        }}>
+          <h2 style={{
+            margin: 0,
+            color: '#333',
+            fontSize: '1.5rem',
+            display: 'flex',
+            alignItems: 'center',
+            gap: '0.5rem'
+          }}>
+            <Settings size={24} />
+            Settings
+          </h2>
+          <button
+            onClick={onClose}
+            style={{
+              background: 'none',
+              border: 'none',
+              fontSize: '1.5rem',
+              cursor: 'pointer',
+              color: '#666',
+              padding: '0',
+              width: '32px',
+              height: '32px',
+              display: 'flex',
+              alignItems: 'center',
+              justifyContent: 'center',
+              borderRadius: '4px'
+            }}
+          >
+            ×
+          </button>
+        </div>
+
+        {/* Content */}
+        <div style={{ padding: '1.5rem' }}>
+          <div style={{ marginBottom: '1rem' }}>
+            <label htmlFor="settings-timezone" style={labelStyle}>
+              Home timezone:
+            </label>
+            <select
+              id="settings-timezone"
+              value={timeZone}
+              onChange={(e) => setTimeZone(e.target.value)}
+              style={selectStyle}
+            >
+              <option value="">Device default ({deviceTimeZone})</option>
+              {timeZones.map(zone => (
+                <option key={zone} value={zone}>{zone}</option>
+              ))}
+            </select>
+          </div>
+
+          <div style={{ marginBottom: '1rem' }}>
+            <label htmlFor="settings-rollover" style={labelStyle}>
+              New day starts at:
+            </label>
+            <select
+              id="settings-rollover"
+              value={dayRolloverHour}
+              onChange={(e) => setDayRolloverHour(Number(e.target.value))}
+              style={selectStyle}
+            >
+              {ROLLOVER_HOURS.map(hour => (
+                <option key={hour} value={hour}>{formatHour(hour)}</option>
+              ))}
+            </select>
+            <small style={{ display: 'block', marginTop: '0.25rem', color: '#666' }}>
+              Entries logged before this hour count towards the previous day.
+            </small>
+          </div>
+
+          <div style={{
+            padding: '0.75rem',
+            backgroundColor: '#f8f9fa',
+            border: '1px solid #e9ecef',
+            borderRadius: '4px',
+            marginBottom: '1.5rem',
+            color: '#333'
+          }}>
+            With these settings, today is <strong>{formatDate(previewDate)}</strong>.
+          </div>
+
+          <fieldset style={{
+            border: '1px solid #e0e0e0',
+            borderRadius: '4px',
+            padding: '0.75rem'
+          }}>
+            <legend style={{ fontWeight: 'bold', color: '#333' }}>Wellbeing dimensions</legend>
+            <small style={{ display: 'block', marginBottom: '0.75rem', color: '#666' }}>
+              Enabled dimensions get a slider when you check in. Changing a scale does not alter scores already recorded.
+            </small>
+            {Object.entries(WELLBEING_DIMENSIONS).map(([key, dimension]) => (
+              <div
+                key={key}
+                style={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '0.5rem',
+                  marginBottom: '0.5rem'
+                }}
+              >
+                <label style={{ flex: 1, cursor: 'pointer' }}>
+                  <input
+                    type="checkbox"
+                    checked={dimensions[key].enabled}
+                    onChange={(e) => updateDimension(key, { enabled: e.target.checked })}
+                  />{' '}
+                  {dimension.label}
+                </label>
+                <select
+                  aria-label={`${dimension.label} scale start`}
+                  value={dimensions[key].min}
+                  onChange={(e) => updateDimension(key, { min: Number(e.target.value) })}
+                  disabled={!dimensions[key].enabled}
+                  style={{ ...selectStyle, width: 'auto' }}
+                >
+                  {SCALE_VALUES.slice(0, -1).map(value => (
+                    <option key={value} value={value}>{value}</option>
+                  ))}
+                </select>
+                <span style={{ color: '#666' }}>to</span>
+                <select
+                  aria-label={`${dimension.label} scale end`}
+                  value={dimensions[key].max}
+                  onChange={(e) => updateDimension(key, { max: Number(e.target.value) })}
+                  disabled={!dimensions[key].enabled}
+                  style={{ ...selectStyle, width: 'auto' }}
+                >
+                  {SCALE_VALUES.slice(1).map(value => (
+                    <option key={value} value={value}>{value}</option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </fieldset>
+
+          <fieldset style={{
+            border: '1px solid #e0e0e0',
+            borderRadius: '4px',
+            padding: '0.75rem',
+            marginTop: '1.5rem'
+          }}>
+            <legend style={{ fontWeight: 'bold', color: '#333' }}>Media types</legend>
+            <small style={{ display: 'block', marginBottom: '0.75rem', color: '#666' }}>
+              Types that entries already use can be renamed but not removed.
+            </small>
+            {mediaTypes.map(mediaType => {
+              const inUse = usedMediaTypes.includes(mediaType.key)
+              const isLast = mediaTypes.length === 1
+
+              return (
+                <div
+                  key={mediaType.key}
+                  style={{
+                    display: 'flex',
+                    alignItems: 'center',
+                    flexWrap: 'wrap',
+                    gap: '0.5rem',
+                    marginBottom: '0.75rem'
+                  }}
+                >
+                  <div style={{ flexBasis: '100%' }}>
+                    <MediaTypeBadge mediaType={mediaType} />
+                  </div>
+                  <input
+                    type="text"
+                    aria-label={`Label for ${mediaType.key}`}
+                    value={mediaType.label}
+                    onChange={(e) => updateMediaType(mediaType.key, { label: e.target.value })}
+                    style={{ ...selectStyle, flex: 1, width: 'auto', minWidth: '8rem' }}
+                  />
+                  <select
+                    aria-label={`Icon for ${mediaType.label}`}
+                    value={mediaType.icon}
+                    onChange={(e) => updateMediaType(mediaType.key, { icon: e.target.value })}
+                    style={{ ...selectStyle, width: 'auto' }}
+                  >
+                    {MEDIA_TYPE_ICONS.map(icon => (
+                      <option key={icon} value={icon}>{icon}</option>
+                    ))}
+                  </select>
+                  <input
+                    type="color"
+                    aria-label={`Color for ${mediaType.label}`}
+                    value={mediaType.color}
+                    onChange={(e) => updateMediaType(mediaType.key, { color: e.target.value })}
+                    style={{ width: '2.5rem', height: '2.25rem', padding: 0, border: '1px solid #ccc', borderRadius: '4px' }}
+                  />
+                  <button
+                    type="button"
+                    onClick={() => setMediaTypes(mediaTypes.filter(existing => existing.key !== mediaType.key))}
+                    disabled={inUse || isLast}
+                    title={inUse ? 'Entries use this type' : isLast ? 'At least one type is needed' : `Remove ${mediaType.label}`}
+                    aria-label={`Remove ${mediaType.label}`}
+                    style={{
+                      background: 'none',
+                      border: '1px solid #dee2e6',
+                      borderRadius: '4px',
+                      padding: '0.4rem',
+                      color: inUse || isLast ? '#ccc' : '#c33',
+                      cursor: inUse || isLast ? 'not-allowed' : 'pointer',
+                      display: 'flex'
+                    }}
+                  >
+                    <Trash2 size={16} />
+                  </button>
+                </div>
+              )
+            })}
+
+            <div style={{ display: 'flex', gap: '0.5rem' }}>
+              <input
+                type="text"
+                aria-label="New media type"
+                placeholder="New type, e.g. Comic"
+                value={newTypeLabel}
+                onChange={(e) => setNewTypeLabel(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') handleAddCustomType()
+                }}
+                style={{ ...selectStyle, flex: 1, width: 'auto' }}
+              />
+              <button
+                type="button"
+                onClick={handleAddCustomType}
+                disabled={!newTypeLabel.trim()}
+                style={{
+                  padding: '0.5rem 0.75rem',
+                  backgroundColor: '#007cba',
+                  color: 'white',
+                  border: 'none',
+                  borderRadius: '4px',
+                  cursor: newTypeLabel.trim() ? 'pointer' : 'not-allowed',
+                  opacity: newTypeLabel.trim() ? 1 : 0.6,
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '0.25rem'
+                }}
+              >
+                <Plus size={16} />
+                Add
+              </button>
+            </div>
+            {newTypeError && (
+              <div role="alert" style={{ color: '#c33', fontSize: '0.85rem', marginTop: '0.25rem' }}>
+                {newTypeError}
+              </div>
+            )}
+
+            {suggestedTypes.length > 0 && (
+              <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '0.5rem', marginTop: '0.75rem' }}>
+                <small style={{ color: '#666' }}>Suggestions:</small>
+                {suggestedTypes.map(suggestion => (
+                  <button
+                    key={suggestion.key}
+                    type="button"
+                    onClick={() => addMediaType(suggestion)}
+                    title={`Add ${suggestion.label}`}
+                    style={{ background: 'none', border: 'none', padding: 0, cursor: 'pointer' }}
+                  >
+                    <MediaTypeBadge mediaType={suggestion} />
+                  </button>
+                ))}
+              </div>
+            )}
+          </fieldset>
+        </div>
+
+        {/* Footer */}
+        <div style={{
+          padding: '1.5rem',
+          borderTop: '1px solid #e0e0e0',
+          display: 'flex',
+          justifyContent: 'flex-end',
+          gap: '0.75rem'
+        }}>
+          <button
+            onClick={onClose}
+            style={{
+              padding: '0.75rem 1.5rem',
+              backgroundColor: 'transparent',
+              color: '#6c757d',
+              border: '1px solid #dee2e6',
+              borderRadius: '4px',
+              fontSize: '1rem',
+              cursor: 'pointer'
+            }}
+          >
+            Cancel
+          </button>
+          <button
+            onClick={() => onSave({
+              ...settings,
+              timeZone,
+              dayRolloverHour,
+              dimensions,
+              mediaTypes: mediaTypes.map(mediaType => ({ ...mediaType, label: mediaType.label.trim() }))
+            })}
+            disabled={hasBlankLabel}
+            title={hasBlankLabel ? 'Every media type needs a label' : undefined}
+            style={{
+              padding: '0.75rem 1.5rem',
+              backgroundColor: '#007cba',
+              color: 'white',
+              border: 'none',
+              borderRadius: '4px',
+              fontSize: '1rem',
+              fontWeight: 'bold',
+              cursor: hasBlankLabel ? 'not-allowed' : 'pointer',
+              opacity: hasBlankLabel ? 0.6 : 1
+            }}
+          >
+            Save Settings
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,222 @@
+/**
+ * @fileoverview SVG timeline of daily happiness over stacked media minutes
+ */
+
+'use client'
+
+import { useState } from 'react'
+import { MOVING_AVERAGE_DAYS, getMinutesAxisMax } from '../lib/analytics.js'
+import { formatDate } from '../lib/dates.js'
+import { formatDuration } from '../lib/media.js'
+import { formatMean } from '../lib/happiness.js'
+import { getMediaType } from '../lib/mediaTypes.js'
+
+// Chart geometry in viewBox units
+const WIDTH = 800
+const HEIGHT = 320
+const MARGIN = { top: 16, right: 44, bottom: 32, left: 52 }
+
+/**
+ * Short axis label for a date
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ * @returns {string} e.g. "Oct 23"
+ */
+function formatAxisDate(dateString) {
+  const [year, month, day] = dateString.split('-').map(Number)
+  return new Date(year, month - 1, day).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
+}
+
+/**
+ * Builds an SVG path through the points that have a value
+ * @param {Array<{x: number, y: number|null}>} points - Points in order
+ * @returns {string} Path data; gaps are bridged
+ */
+function linePath(points) {
+  return points
+    .filter(point => point.y !== null)
+    .map((point, index) => `${index === 0 ? 'M' : 'L'}${point.x.toFixed(1)},${point.y.toFixed(1)}`)
+    .join(' ')
+}
+
+/**
+ * Timeline chart
+ * Bars stack each day's media minutes by type against the left axis; the happiness
+ * line (daily means as dots, moving average as a line) uses the right axis.
+ * Hovering a day shows its numbers; clicking a day with a check-in opens it.
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.timeline - Days from buildTimeline
+ * @param {Array<string>} props.types - Media type keys to stack, bottom first
+ * @param {Function} [props.onSelectDate] - Called with a date that has check-ins or media when it is clicked
+ * @returns {JSX.Element} The chart
+ */
+export default function TimelineChart({ timeline, types, onSelectDate }) {
+  const [hoverIndex, setHoverIndex] = useState(null)
+
+  const plotWidth = WIDTH - MARGIN.left - MARGIN.right
+  const plotHeight = HEIGHT - MARGIN.top - MARGIN.bottom
+  const slotWidth = plotWidth / timeline.length
+  const barWidth = Math.max(slotWidth * 0.8, 1)
+  const minutesMax = getMinutesAxisMax(Math.max(0, ...timeline.map(day => day.totalDuration)))
+  const isSelectable = (day) => Boolean(onSelectDate) && (day.happiness !== null || day.totalDuration > 0)
+
+  const x = (index) => MARGIN.left + (index + 0.5) * slotWidth
+  const yMinutes = (minutes) => MARGIN.top + plotHeight - (minutes / minutesMax) * plotHeight
+  const yHappiness = (level) => MARGIN.top + ((2 - level) / 4) * plotHeight
+
+  // Label roughly eight days whatever the range
+  const labelEvery = Math.max(1, Math.ceil(timeline.length / 8))
+  const hovered = hoverIndex !== null ? timeline[hoverIndex] : null
+
+  return (
+    <div style={{ position: 'relative' }}>
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        role="img"
+        aria-label={`Daily happiness and media minutes from ${formatDate(timeline[0].date)} to ${formatDate(timeline[timeline.length - 1].date)}`}
+        style={{ width: '100%', height: 'auto', display: 'block' }}
+        onMouseLeave={() => setHoverIndex(null)}
+      >
+        {/* Happiness gridlines and right axis */}
+        {[-2, -1, 0, 1, 2].map(level => (
+          <g key={level}>
+            <line
+              x1={MARGIN.left}
+              x2={WIDTH - MARGIN.right}
+              y1={yHappiness(level)}
+              y2={yHappiness(level)}
+              stroke={level === 0 ? '#ced4da' : '#f1f3f5'}
+            />
+            <text x={WIDTH - MARGIN.right + 8} y={yHappiness(level)} dominantBaseline="middle" fontSize="11" fill="#666">
+              {level > 0 ? `+${level}` : level}
+            </text>
+          </g>
+        ))}
+
+        {/* Minutes left axis */}
+        {[0, 0.5, 1].map(fraction => (
+          <text
+            key={fraction}
+            x={MARGIN.left - 8}
+            y={yMinutes(minutesMax * fraction)}
+            textAnchor="end"
+            dominantBaseline="middle"
+            fontSize="11"
+            fill="#666"
+          >
+            {formatDuration(minutesMax * fraction)}
+          </text>
+        ))}
+
+        {/* Stacked media bars */}
+        {timeline.map((day, index) => {
+          let stacked = 0
+          return (
+            <g key={day.date}>
+              {types.filter(type => day.durationByType[type]).map(type => {
+                const minutes = day.durationByType[type]
+                const top = yMinutes(stacked + minutes)
+                const height = yMinutes(stacked) - top
+                stacked += minutes
+                return (
+                  <rect
+                    key={type}
+                    x={x(index) - barWidth / 2}
+                    y={top}
+                    width={barWidth}
+                    height={height}
+                    fill={getMediaType(type).color}
+                    opacity={hoverIndex === null || hoverIndex === index ? 0.75 : 0.4}
+                  />
+                )
+              })}
+            </g>
+          )
+        })}
+
+        {/* Happiness: moving average line and daily dots */}
+        <path
+          d={linePath(timeline.map((day, index) => ({ x: x(index), y: day.movingAverage === null ? null : yHappiness(day.movingAverage) })))}
+          fill="none"
+          stroke="#007cba"
+          strokeWidth="2.5"
+        />
+        {timeline.map((day, index) => day.happiness !== null && (
+          <circle
+            key={day.date}
+            cx={x(index)}
+            cy={yHappiness(day.happiness)}
+            r={timeline.length > 90 ? 2 : 4}
+            fill="white"
+            stroke="#007cba"
+            strokeWidth="2"
+          />
+        ))}
+
+        {/* Date labels */}
+        {timeline.map((day, index) => index % labelEvery === 0 && (
+          <text key={day.date} x={x(index)} y={HEIGHT - 10} textAnchor="middle" fontSize="11" fill="#666">
+            {formatAxisDate(day.date)}
+          </text>
+        ))}
+
+        {/* Hover and click targets, one per day */}
+        {timeline.map((day, index) => (
+          <rect
+            key={day.date}
+            x={MARGIN.left + index * slotWidth}
+            y={MARGIN.top}
+            width={slotWidth}
+            height={plotHeight}
+            fill={hoverIndex === index ? 'rgba(0, 124, 186, 0.06)' : 'transparent'}
+            style={{ cursor: isSelectable(day) ? 'pointer' : 'default' }}
+            onMouseEnter={() => setHoverIndex(index)}
+            onClick={() => isSelectable(day) && onSelectDate(day.date)}
+          />
+        ))}
+      </svg>
+
+      {hovered && (
+        <div
+          role="status"
+          style={{
+            position: 'absolute',
+            top: 0,
+            // Keep the tooltip beside the hovered day, flipping sides past the middle
+            ...(hoverIndex < timeline.length / 2
+              ? { left: `${(x(hoverIndex) / WIDTH) * 100}%`, marginLeft: '12px' }
+              : { right: `${100 - (x(hoverIndex) / WIDTH) * 100}%`, marginRight: '12px' }),
+            padding: '0.5rem 0.75rem',
+            backgroundColor: 'white',
+            border: '1px solid #dee2e6',
+            borderRadius: '6px',
+            boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1)',
+            fontSize: '0.85rem',
+            color: '#333',
+            pointerEvents: 'none',
+            minWidth: '180px'
+          }}
+        >
+          <div style={{ fontWeight: 'bold', marginBottom: '0.25rem' }}>{formatDate(hovered.date)}</div>
+          <div>
+            Happiness: {hovered.happiness === null ? <span style={{ color: '#999' }}>no check-in</span> : formatMean(hovered.happiness)}
+          </div>
+          {hovered.movingAverage !== null && (
+            <div style={{ color: '#666' }}>{MOVING_AVERAGE_DAYS}-day average: {formatMean(hovered.movingAverage)}</div>
+          )}
+          {types.filter(type => hovered.durationByType[type]).map(type => (
+            <div key={type} style={{ display: 'flex', alignItems: 'center', gap: '0.35rem' }}>
+              <span style={{ width: '10px', height: '10px', borderRadius: '2px', backgroundColor: getMediaType(type).color }} />
+              {getMediaType(type).label}: {formatDuration(hovered.durationByType[type])}
+            </div>
+          ))}
+          <div style={{ color: '#666' }}>
+            {hovered.totalDuration > 0 ? `Total: ${formatDuration(hovered.totalDuration)}` : 'No media logged'}
+          </div>
+          {isSelectable(hovered) && (
+            <div style={{ color: '#007cba', marginTop: '0.25rem' }}>Click for details</div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
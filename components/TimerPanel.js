@@ -0,0 +1,273 @@
+/**
+ * @fileoverview Live timers that log media entries when stopped
+ */
+
+'use client'
+
+import { useState, useEffect } from 'react'
+import { Timer, Play, Pause, Square, X } from 'lucide-react'
+import { getFieldErrors } from '../schemas/index.js'
+import { getMediaTypes, isRegisteredMediaType } from '../lib/mediaTypes.js'
+import {
+  loadTimers, saveTimers, startTimer, pauseTimer, resumeTimer,
+  isTimerRunning, getElapsedMs, stopTimer
+} from '../lib/timers.js'
+import FieldError from './FieldError.js'
+import MediaTypeBadge from './MediaTypeBadge.js'
+import TitleAutocomplete from './TitleAutocomplete.js'
+
+/**
+ * Formats elapsed time as a clock
+ * @param {number} ms - Milliseconds
+ * @returns {string} H:MM:SS
+ */
+function formatElapsed(ms) {
+  const totalSeconds = Math.floor(ms / 1000)
+  const hours = Math.floor(totalSeconds / 3600)
+  const minutes = String(Math.floor((totalSeconds % 3600) / 60)).padStart(2, '0')
+  const seconds = String(totalSeconds % 60).padStart(2, '0')
+  return `${hours}:${minutes}:${seconds}`
+}
+
+/**
+ * Panel for starting, pausing and stopping media timers
+ * Several timers can run at once. They are saved as they change, so running timers
+ * carry on after a reload; stopping one logs a media entry for each day it ran on.
+ * @param {Object} props - Component props
+ * @param {Function} props.onEntriesCreated - Called with the media entries of a stopped timer
+ * @param {Function} props.onStorageError - Called with a message when the timers cannot be saved
+ * @param {Array} [props.allMediaEntries=[]] - Past media entries, for title suggestions
+ * @returns {JSX.Element} The timer panel
+ */
+export default function TimerPanel({ onEntriesCreated, onStorageError, allMediaEntries = [] }) {
+  // Loaded after mounting, since timers only exist in the browser
+  const [timers, setTimers] = useState(null)
+  const [now, setNow] = useState(() => Date.now())
+  const [type, setType] = useState(getMediaTypes()[0].key)
+  const [title, setTitle] = useState('')
+  const [fieldErrors, setFieldErrors] = useState({})
+  const [timerErrors, setTimerErrors] = useState({})
+
+  useEffect(() => {
+    setTimers(loadTimers())
+  }, [])
+
+  // Settings are applied after the first render, so the initial type may since have been removed
+  const selectedType = isRegisteredMediaType(type) ? type : getMediaTypes()[0].key
+
+  useEffect(() => {
+    if (!timers) return
+    try {
+      saveTimers(timers)
+    } catch (error) {
+      console.error('Failed to save timers:', error)
+      onStorageError('Your timers could not be saved and will be lost when the page reloads.')
+    }
+  }, [timers, onStorageError])
+
+  // Tick once a second while anything is running
+  const anyRunning = (timers ?? []).some(isTimerRunning)
+  useEffect(() => {
+    if (!anyRunning) return
+    const interval = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(interval)
+  }, [anyRunning])
+
+  /**
+   * Starts a timer for the entered title
+   * @param {Event} e - Form submit event
+   */
+  const handleStart = (e) => {
+    e.preventDefault()
+    const result = startTimer(selectedType, title.trim())
+    if (result.success) {
+      setTimers([...timers, result.data])
+      setNow(Date.now())
+      setTitle('')
+      setFieldErrors({})
+    } else {
+      setFieldErrors(getFieldErrors(result.details))
+    }
+  }
+
+  /**
+   * Replaces one timer
+   * @param {Object} updated - Changed timer
+   */
+  const updateTimer = (updated) => {
+    setTimers(timers.map(timer => timer.id === updated.id ? updated : timer))
+    setNow(Date.now())
+  }
+
+  /**
+   * Removes a timer without logging anything
+   * @param {Object} timer - Timer to discard
+   */
+  const discardTimer = (timer) => {
+    setTimers(timers.filter(other => other.id !== timer.id))
+    setTimerErrors({ ...timerErrors, [timer.id]: undefined })
+  }
+
+  /**
+   * Stops a timer and logs its media entries
+   * A timer that cannot be logged stays in the list with its error
+   * @param {Object} timer - Timer to stop
+   */
+  const handleStop = (timer) => {
+    const result = stopTimer(timer)
+    if (result.success) {
+      onEntriesCreated(result.data)
+      discardTimer(timer)
+    } else {
+      setTimerErrors({ ...timerErrors, [timer.id]: result.errors })
+    }
+  }
+
+  const buttonStyle = (color) => ({
+    display: 'flex',
+    alignItems: 'center',
+    gap: '0.25rem',
+    padding: '0.4rem 0.75rem',
+    backgroundColor: 'white',
+    color,
+    border: `1px solid ${color}`,
+    borderRadius: '4px',
+    fontSize: '0.85rem',
+    cursor: 'pointer'
+  })
+
+  return (
+    <section style={{
+      marginBottom: '2rem',
+      padding: '1rem',
+      border: '1px solid #e0e0e0',
+      borderRadius: '8px',
+      backgroundColor: 'white'
+    }}>
+      <h2 style={{
+        margin: '0 0 0.75rem',
+        fontSize: '1.1rem',
+        color: '#333',
+        display: 'flex',
+        alignItems: 'center',
+        gap: '0.5rem'
+      }}>
+        <Timer size={20} />
+        Timers
+      </h2>
+
+      <form onSubmit={handleStart} style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem', alignItems: 'flex-start' }}>
+        <select
+          aria-label="Media type"
+          value={selectedType}
+          onChange={(e) => setType(e.target.value)}
+          style={{
+            padding: '0.5rem',
+            border: fieldErrors.type ? '1px solid #c33' : '1px solid #ccc',
+            borderRadius: '4px',
+            fontSize: '1rem',
+            cursor: 'pointer'
+          }}
+        >
+          {getMediaTypes().map(mediaType => (
+            <option key={mediaType.key} value={mediaType.key}>
+              {mediaType.label}
+            </option>
+          ))}
+        </select>
+        <div style={{ flex: '1 1 240px' }}>
+          <TitleAutocomplete
+            id="timer-title"
+            value={title}
+            onChange={setTitle}
+            onSelect={(suggestion) => {
+              setTitle(suggestion.title)
+              setType(suggestion.type)
+            }}
+            entries={allMediaEntries}
+            invalid={Boolean(fieldErrors.title)}
+            style={{ maxWidth: 'none' }}
+          />
+          <FieldError messages={fieldErrors.title} />
+        </div>
+        <button
+          type="submit"
+          disabled={!timers}
+          style={{
+            ...buttonStyle('#28a745'),
+            padding: '0.5rem 1rem',
+            fontSize: '1rem'
+          }}
+        >
+          <Play size={16} />
+          Start
+        </button>
+      </form>
+
+      {timers && timers.length > 0 && (
+        <ul style={{ listStyle: 'none', margin: '1rem 0 0', padding: 0, display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
+          {timers.map(timer => {
+            const running = isTimerRunning(timer)
+            return (
+              <li
+                key={timer.id}
+                style={{
+                  padding: '0.75rem',
+                  backgroundColor: '#f8f9fa',
+                  borderRadius: '8px',
+                  border: '1px solid #e0e0e0'
+                }}
+              >
+                <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '0.75rem' }}>
+                  <MediaTypeBadge type={timer.type} />
+                  <span style={{ flex: 1, color: '#333', fontWeight: '500' }}>{timer.title}</span>
+                  <span
+                    aria-live="off"
+                    style={{
+                      fontFamily: 'monospace',
+                      fontSize: '1.1rem',
+                      color: running ? '#333' : '#999'
+                    }}
+                  >
+                    {formatElapsed(getElapsedMs(timer, now))}
+                  </span>
+                  {running ? (
+                    <button type="button" onClick={() => updateTimer(pauseTimer(timer))} style={buttonStyle('#6c757d')}>
+                      <Pause size={14} />
+                      Pause
+                    </button>
+                  ) : (
+                    <button type="button" onClick={() => updateTimer(resumeTimer(timer))} style={buttonStyle('#28a745')}>
+                      <Play size={14} />
+                      Resume
+                    </button>
+                  )}
+                  <button type="button" onClick={() => handleStop(timer)} style={buttonStyle('#007cba')}>
+                    <Square size={14} />
+                    Stop &amp; log
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => discardTimer(timer)}
+                    aria-label={`Discard timer for ${timer.title}`}
+                    title="Discard without logging"
+                    style={{
+                      background: 'none',
+                      border: 'none',
+                      color: '#dc3545',
+                      cursor: 'pointer',
+                      padding: '0.25rem'
+                    }}
+                  >
+                    <X size={18} />
+                  </button>
+                </div>
+                <FieldError messages={timerErrors[timer.id]} />
+              </li>
+            )
+          })}
+        </ul>
+      )}
+    </section>
+  )
+}
@@ -0,0 +1,152 @@
+/**
+ * @fileoverview Title input that suggests previously logged media titles
+ */
+
+'use client'
+
+import { useState, useMemo } from 'react'
+import { suggestMediaTitles, formatDuration } from '../lib/media.js'
+import { formatDate } from '../lib/dates.js'
+import MediaTypeBadge from './MediaTypeBadge.js'
+
+/**
+ * Text input with a list of matching titles from past media entries
+ * Follows the ARIA combobox pattern: arrow keys move through the suggestions,
+ * Enter picks the highlighted one and Escape closes the list.
+ * @param {Object} props - Component props
+ * @param {string} props.id - Input id, also used to derive the list's id
+ * @param {string} props.value - Current title
+ * @param {Function} props.onChange - Called with the typed title
+ * @param {Function} props.onSelect - Called with the picked suggestion ({title, type, duration, lastDate, sessionCount})
+ * @param {Array<Object>} props.entries - Media entries to suggest titles from
+ * @param {boolean} [props.invalid=false] - Whether to outline the input as invalid
+ * @param {Object} [props.style] - Extra input styles
+ * @returns {JSX.Element} The input and its suggestions
+ */
+export default function TitleAutocomplete({ id, value, onChange, onSelect, entries, invalid = false, style }) {
+  const [isOpen, setIsOpen] = useState(false)
+  const [activeIndex, setActiveIndex] = useState(-1)
+
+  const suggestions = useMemo(() => suggestMediaTitles(value, entries), [value, entries])
+  const listId = `${id}-suggestions`
+  const showList = isOpen && suggestions.length > 0
+
+  /**
+   * Fills in a suggestion and closes the list
+   * @param {Object} suggestion - Picked suggestion
+   */
+  const select = (suggestion) => {
+    onSelect(suggestion)
+    setIsOpen(false)
+    setActiveIndex(-1)
+  }
+
+  /**
+   * Handles keyboard navigation through the suggestions
+   * @param {KeyboardEvent} e - Key event
+   */
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      if (suggestions.length === 0) return
+      e.preventDefault()
+      setIsOpen(true)
+      const step = e.key === 'ArrowDown' ? 1 : -1
+      setActiveIndex((activeIndex + step + suggestions.length) % suggestions.length)
+    } else if (e.key === 'Enter' && showList && activeIndex >= 0) {
+      // Picking a suggestion should not submit the form
+      e.preventDefault()
+      select(suggestions[activeIndex])
+    } else if (e.key === 'Escape' && showList) {
+      // Close the list without also closing the surrounding modal
+      e.preventDefault()
+      e.stopPropagation()
+      setIsOpen(false)
+      setActiveIndex(-1)
+    }
+  }
+
+  return (
+    <div style={{ position: 'relative', maxWidth: style?.maxWidth ?? '400px' }}>
+      <input
+        type="text"
+        id={id}
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value)
+          setIsOpen(true)
+          setActiveIndex(-1)
+        }}
+        onKeyDown={handleKeyDown}
+        onBlur={() => setIsOpen(false)}
+        placeholder="Enter media title (min 3 characters)"
+        minLength="3"
+        required
+        autoComplete="off"
+        role="combobox"
+        aria-autocomplete="list"
+        aria-expanded={showList}
+        aria-controls={listId}
+        aria-activedescendant={showList && activeIndex >= 0 ? `${listId}-${activeIndex}` : undefined}
+        aria-invalid={invalid}
+        style={{
+          padding: '0.5rem',
+          border: invalid ? '1px solid #c33' : '1px solid #ccc',
+          borderRadius: '4px',
+          fontSize: '1rem',
+          width: '100%',
+          boxSizing: 'border-box',
+          ...style
+        }}
+      />
+      {showList && (
+        <ul
+          id={listId}
+          role="listbox"
+          style={{
+            position: 'absolute',
+            top: '100%',
+            left: 0,
+            right: 0,
+            zIndex: 10,
+            margin: '0.25rem 0 0',
+            padding: '0.25rem 0',
+            listStyle: 'none',
+            backgroundColor: 'white',
+            border: '1px solid #ccc',
+            borderRadius: '4px',
+            boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1)'
+          }}
+        >
+          {suggestions.map((suggestion, index) => (
+            <li
+              key={`${suggestion.type}-${suggestion.title}`}
+              id={`${listId}-${index}`}
+              role="option"
+              aria-selected={index === activeIndex}
+              // mousedown fires before the input's blur would close the list
+              onMouseDown={(e) => {
+                e.preventDefault()
+                select(suggestion)
+              }}
+              onMouseEnter={() => setActiveIndex(index)}
+              style={{
+                padding: '0.5rem 0.75rem',
+                cursor: 'pointer',
+                backgroundColor: index === activeIndex ? '#e7f3ff' : 'transparent',
+                display: 'flex',
+                alignItems: 'center',
+                gap: '0.5rem'
+              }}
+            >
+              <MediaTypeBadge type={suggestion.type} />
+              <span style={{ flex: 1, color: '#333' }}>{suggestion.title}</span>
+              <span style={{ fontSize: '0.8rem', color: '#999', whiteSpace: 'nowrap' }}>
+                {formatDuration(suggestion.duration)} • {formatDate(suggestion.lastDate)}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
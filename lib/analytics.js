@@ -0,0 +1,470 @@
+/**
+ * @fileoverview Happiness vs. media analytics
+ * Joins happiness check-ins and media sessions by date and measures how daily
+ * happiness moves with the time spent on media, overall and per media type.
+ * Every day with a check-in counts; days without media count as zero minutes.
+ */
+
+import { groupCheckInsByDate } from './happiness.js'
+import { getMediaType } from './mediaTypes.js'
+import { addDays } from './dates.js'
+
+/**
+ * Fewest days with a check-in before a correlation is worth reading
+ * @type {number}
+ */
+export const MIN_DAYS_FOR_INSIGHT = 14
+
+/**
+ * Fewest days a media type must appear on before its correlation is worth reading
+ * @type {number}
+ */
+export const MIN_ACTIVE_DAYS_FOR_INSIGHT = 5
+
+/**
+ * Upper bounds of |r| for each strength description, weakest first
+ * @type {Array<{max: number, label: string}>}
+ */
+const STRENGTHS = [
+  { max: 0.1, label: 'no real' },
+  { max: 0.3, label: 'a weak' },
+  { max: 0.5, label: 'a moderate' },
+  { max: Infinity, label: 'a strong' }
+]
+
+/**
+ * Largest lag, in days, looked at by analyzeLaggedEffects
+ * @type {number}
+ */
+export const MAX_LAG_DAYS = 7
+
+/**
+ * Rolling window lengths, in days, looked at by analyzeLaggedEffects
+ * @type {Array<number>}
+ */
+export const ROLLING_WINDOWS = [3, 7]
+
+/**
+ * Days averaged by the happiness moving average on the dashboard
+ * @type {number}
+ */
+export const MOVING_AVERAGE_DAYS = 7
+
+/**
+ * Fewest days with a check-in a title or creator needs before it is ranked
+ * @type {number}
+ */
+export const MIN_DAYS_FOR_RANKING = 3
+
+/**
+ * How many days of the user's average each ranked item is blended with
+ * A title seen on few days is pulled most of the way back to the average, so
+ * one lucky day cannot put it at the top of the ranking.
+ * @type {number}
+ */
+export const RANKING_SHRINKAGE_DAYS = 5
+
+/**
+ * Media details that name a creator, used when the library has none for the title
+ * @type {Array<string>}
+ */
+const CREATOR_DETAIL_FIELDS = ['author', 'director', 'artist']
+
+/**
+ * Totals media minutes per date and type
+ * @param {Array<Object>} mediaEntries - Media sessions
+ * @returns {Map<string, Object<string, number>>} Minutes per type, keyed by date
+ */
+function getMinutesByDate(mediaEntries) {
+  const minutesByDate = new Map()
+  for (const media of mediaEntries) {
+    const byType = minutesByDate.get(media.date) ?? {}
+    byType[media.type] = (byType[media.type] ?? 0) + media.duration
+    minutesByDate.set(media.date, byType)
+  }
+  return minutesByDate
+}
+
+/**
+ * Joins check-ins and media sessions into one row per day with a check-in
+ * @param {Array<Object>} happinessEntries - Happiness check-ins
+ * @param {Array<Object>} mediaEntries - Media sessions
+ * @returns {Array<{date: string, happiness: number, totalDuration: number, durationByType: Object<string, number>}>}
+ *   Days oldest first; happiness is the day's mean and durations are in minutes
+ */
+export function buildDailySeries(happinessEntries, mediaEntries) {
+  const minutesByDate = getMinutesByDate(mediaEntries)
+
+  return groupCheckInsByDate(happinessEntries)
+    .map(day => {
+      const durationByType = minutesByDate.get(day.date) ?? {}
+      return {
+        date: day.date,
+        happiness: day.mean,
+        totalDuration: Object.values(durationByType).reduce((total, minutes) => total + minutes, 0),
+        durationByType
+      }
+    })
+    // YYYY-MM-DD strings sort chronologically
+    .sort((a, b) => a.date.localeCompare(b.date))
+}
+
+/**
+ * Builds one row per calendar day for the dashboard timeline
+ * The moving average covers the MOVING_AVERAGE_DAYS days up to and including each
+ * day, averaging the days in that span that have a check-in.
+ * @param {Array<Object>} happinessEntries - Happiness check-ins
+ * @param {Array<Object>} mediaEntries - Media sessions
+ * @param {string} from - First date in YYYY-MM-DD format
+ * @param {string} to - Last date in YYYY-MM-DD format
+ * @returns {Array<{date: string, happiness: number|null, movingAverage: number|null, durationByType: Object<string, number>, totalDuration: number}>}
+ *   Every day from `from` to `to`, oldest first; happiness is null on days without a check-in
+ */
+export function buildTimeline(happinessEntries, mediaEntries, from, to) {
+  const minutesByDate = getMinutesByDate(mediaEntries)
+  const dailyMeans = new Map(groupCheckInsByDate(happinessEntries).map(day => [day.date, day.mean]))
+
+  const timeline = []
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    const window = Array.from({ length: MOVING_AVERAGE_DAYS }, (_, back) => dailyMeans.get(addDays(date, -back)))
+      .filter(mean => mean !== undefined)
+    const durationByType = minutesByDate.get(date) ?? {}
+    timeline.push({
+      date,
+      happiness: dailyMeans.get(date) ?? null,
+      movingAverage: window.length > 0 ? window.reduce((total, mean) => total + mean, 0) / window.length : null,
+      durationByType,
+      totalDuration: Object.values(durationByType).reduce((total, minutes) => total + minutes, 0)
+    })
+  }
+  return timeline
+}
+
+/**
+ * Pearson correlation coefficient
+ * @param {Array<number>} xs - First variable
+ * @param {Array<number>} ys - Second variable, paired with xs
+ * @returns {number|null} r between -1 and 1, or null with fewer than 3 pairs or when either variable never changes
+ */
+export function pearsonCorrelation(xs, ys) {
+  const n = Math.min(xs.length, ys.length)
+  if (n < 3) return null
+
+  const meanX = xs.slice(0, n).reduce((total, x) => total + x, 0) / n
+  const meanY = ys.slice(0, n).reduce((total, y) => total + y, 0) / n
+  let covariance = 0
+  let varianceX = 0
+  let varianceY = 0
+  for (let i = 0; i < n; i++) {
+    const dx = xs[i] - meanX
+    const dy = ys[i] - meanY
+    covariance += dx * dy
+    varianceX += dx * dx
+    varianceY += dy * dy
+  }
+
+  if (varianceX === 0 || varianceY === 0) return null
+  return Math.max(-1, Math.min(1, covariance / Math.sqrt(varianceX * varianceY)))
+}
+
+/**
+ * Confidence interval for a correlation, using the Fisher z-transformation
+ * @param {number} r - Correlation coefficient
+ * @param {number} n - Number of pairs
+ * @param {number} [z=1.96] - Critical value; 1.96 gives a 95% interval
+ * @returns {[number, number]|null} Lower and upper bound, or null with fewer than 4 pairs
+ */
+export function correlationConfidenceInterval(r, n, z = 1.96) {
+  if (r === null || n < 4) return null
+  // atanh(±1) is infinite, so a perfect correlation is nudged inside the range
+  const fisher = Math.atanh(Math.max(-0.999999, Math.min(0.999999, r)))
+  const margin = z / Math.sqrt(n - 3)
+  return [Math.tanh(fisher - margin), Math.tanh(fisher + margin)]
+}
+
+/**
+ * Least-squares line through paired values
+ * @param {Array<number>} xs - Predictor
+ * @param {Array<number>} ys - Outcome, paired with xs
+ * @returns {{slope: number, intercept: number, rSquared: number|null}|null} The fitted line and the share of the
+ *   variation in ys it explains, or null with fewer than 3 pairs or when xs never changes. rSquared is null when ys never changes.
+ */
+export function linearRegression(xs, ys) {
+  const n = Math.min(xs.length, ys.length)
+  if (n < 3) return null
+
+  const meanX = xs.slice(0, n).reduce((total, x) => total + x, 0) / n
+  const meanY = ys.slice(0, n).reduce((total, y) => total + y, 0) / n
+  let covariance = 0
+  let varianceX = 0
+  for (let i = 0; i < n; i++) {
+    covariance += (xs[i] - meanX) * (ys[i] - meanY)
+    varianceX += (xs[i] - meanX) ** 2
+  }
+  if (varianceX === 0) return null
+
+  const slope = covariance / varianceX
+  const r = pearsonCorrelation(xs, ys)
+  return { slope, intercept: meanY - slope * meanX, rSquared: r === null ? null : r * r }
+}
+
+/**
+ * Rounds the largest minutes value on a chart up to a tidy axis maximum
+ * @param {number} minutes - Largest value
+ * @returns {number} 60 minutes at least, otherwise the next whole hour
+ */
+export function getMinutesAxisMax(minutes) {
+  return Math.max(60, Math.ceil(minutes / 60) * 60)
+}
+
+/**
+ * Pairs each day's happiness with its media minutes for a scatter plot, with a fitted trend
+ * @param {Array<Object>} happinessEntries - Happiness check-ins
+ * @param {Array<Object>} mediaEntries - Media sessions
+ * @param {string} [typeKey='total'] - Media type to count, or 'total' for all media
+ * @returns {{points: Array<{date: string, minutes: number, happiness: number}>, fit: Object|null}} One point per day
+ *   with a check-in, oldest first, and the linearRegression of happiness on minutes
+ */
+export function buildScatterData(happinessEntries, mediaEntries, typeKey = 'total') {
+  const points = buildDailySeries(happinessEntries, mediaEntries).map(day => ({
+    date: day.date,
+    minutes: typeKey === 'total' ? day.totalDuration : day.durationByType[typeKey] ?? 0,
+    happiness: day.happiness
+  }))
+  return {
+    points,
+    fit: linearRegression(points.map(point => point.minutes), points.map(point => point.happiness))
+  }
+}
+
+/**
+ * Correlates daily happiness with one daily measure
+ * @param {Array<Object>} days - Rows from buildDailySeries
+ * @param {Function} getMinutes - Reads the measure from a row
+ * @returns {{n: number, activeDays: number, constant: string|null, r: number|null, interval: [number, number]|null}}
+ *   Sample size, days the measure was above zero, 'happiness' or 'minutes' when that side is the same
+ *   on every day, the correlation and its 95% confidence interval
+ */
+function correlate(days, getMinutes) {
+  const minutes = days.map(getMinutes)
+  const happiness = days.map(day => day.happiness)
+  const isConstant = values => values.length > 0 && values.every(value => value === values[0])
+  const r = pearsonCorrelation(minutes, happiness)
+  return {
+    n: days.length,
+    activeDays: minutes.filter(value => value > 0).length,
+    constant: isConstant(happiness) ? 'happiness' : isConstant(minutes) ? 'minutes' : null,
+    r,
+    interval: correlationConfidenceInterval(r, days.length)
+  }
+}
+
+/**
+ * Correlates daily happiness with time spent on media, overall and per type
+ * Results are flagged sparse when there are too few days, or too few days with the
+ * type, for the correlation to mean much.
+ * @param {Array<Object>} happinessEntries - Happiness check-ins
+ * @param {Array<Object>} mediaEntries - Media sessions
+ * @returns {{days: number, overall: Object, byType: Array<Object>}} Number of days with a check-in, the
+ *   correlation with total minutes, and one per media type that appears in the data, largest |r| first.
+ *   Each correlation has key, label, n, activeDays, constant, r, interval and sparse.
+ */
+export function analyzeHappinessByMedia(happinessEntries, mediaEntries) {
+  const days = buildDailySeries(happinessEntries, mediaEntries)
+  const isSparse = ({ n, activeDays, r }) =>
+    r === null || n < MIN_DAYS_FOR_INSIGHT || activeDays < MIN_ACTIVE_DAYS_FOR_INSIGHT
+
+  const overall = { key: 'total', label: 'All media', ...correlate(days, day => day.totalDuration) }
+  const types = [...new Set(mediaEntries.map(media => media.type))]
+  const byType = types
+    .map(type => ({ key: type, label: getMediaType(type).label, ...correlate(days, day => day.durationByType[type] ?? 0) }))
+    .sort((a, b) => Math.abs(b.r ?? 0) - Math.abs(a.r ?? 0))
+
+  return {
+    days: days.length,
+    overall: { ...overall, sparse: isSparse(overall) },
+    byType: byType.map(result => ({ ...result, sparse: isSparse(result) }))
+  }
+}
+
+/**
+ * Correlates happiness with media time on earlier days and over rolling windows
+ *
+ * A lag of 1 pairs each day's happiness with the previous day's media minutes, and
+ * so on up to MAX_LAG_DAYS. A rolling window of 3 pairs it with the minutes summed
+ * over that day and the two before. Days whose earlier days fall before the first
+ * logged check-in or session are left out, since nothing is known about them; every
+ * other day without media counts as zero minutes.
+ *
+ * @param {Array<Object>} happinessEntries - Happiness check-ins
+ * @param {Array<Object>} mediaEntries - Media sessions
+ * @returns {Array<{key: string, label: string, lags: Array<Object>, windows: Array<Object>}>} One series
+ *   for all media and one per type. Lags carry lag, windows carry days, and both carry n, r, interval and sparse.
+ */
+export function analyzeLaggedEffects(happinessEntries, mediaEntries) {
+  const minutesByDate = getMinutesByDate(mediaEntries)
+  const days = groupCheckInsByDate(happinessEntries)
+  // YYYY-MM-DD strings sort chronologically
+  const firstDate = [...days.map(day => day.date), ...minutesByDate.keys()].sort()[0]
+
+  /**
+   * Correlates happiness with minutes summed over a span of earlier days
+   * @param {Function} getMinutes - Reads one type's minutes from a date's totals
+   * @param {number} offset - Days between the happiness day and the last day summed
+   * @param {number} length - Days summed
+   * @returns {{n: number, r: number|null, interval: [number, number]|null, sparse: boolean}} The correlation
+   */
+  const correlateSpan = (getMinutes, offset, length) => {
+    const pairs = days
+      .filter(day => addDays(day.date, -(offset + length - 1)) >= firstDate)
+      .map(day => {
+        let minutes = 0
+        for (let back = offset; back < offset + length; back++) {
+          minutes += getMinutes(minutesByDate.get(addDays(day.date, -back)) ?? {})
+        }
+        return [minutes, day.mean]
+      })
+    const r = pearsonCorrelation(pairs.map(([minutes]) => minutes), pairs.map(([, mean]) => mean))
+    return {
+      n: pairs.length,
+      r,
+      interval: correlationConfidenceInterval(r, pairs.length),
+      sparse: r === null || pairs.length < MIN_DAYS_FOR_INSIGHT
+    }
+  }
+
+  const series = [
+    { key: 'total', label: 'All media', getMinutes: byType => Object.values(byType).reduce((total, minutes) => total + minutes, 0) },
+    ...[...new Set(mediaEntries.map(media => media.type))].map(type => ({
+      key: type,
+      label: getMediaType(type).label,
+      getMinutes: byType => byType[type] ?? 0
+    }))
+  ]
+
+  return series.map(({ key, label, getMinutes }) => ({
+    key,
+    label,
+    lags: Array.from({ length: MAX_LAG_DAYS + 1 }, (_, lag) => ({ lag, ...correlateSpan(getMinutes, lag, 1) })),
+    windows: ROLLING_WINDOWS.map(length => ({ days: length, ...correlateSpan(getMinutes, 0, length) }))
+  }))
+}
+
+/**
+ * Ranks items by how happy the days they were consumed on were
+ * @param {Map<string, {label: string, type: string|null, dates: Set<string>}>} groups - Items with the dates consumed
+ * @param {Map<string, number>} dailyMeans - Mean happiness per date with a check-in
+ * @param {number} baseline - Mean of the daily means
+ * @param {number} limit - Most items per list
+ * @returns {{best: Array<Object>, worst: Array<Object>, tooFew: number}} Items above and below the baseline,
+ *   strongest first, and how many items had too few days to rank
+ */
+function rankGroups(groups, dailyMeans, baseline, limit) {
+  const ranked = []
+  let tooFew = 0
+
+  for (const [key, { label, type, dates }] of groups) {
+    const means = [...dates].filter(date => dailyMeans.has(date)).map(date => dailyMeans.get(date))
+    if (means.length === 0) continue
+    if (means.length < MIN_DAYS_FOR_RANKING) {
+      tooFew++
+      continue
+    }
+
+    const meanHappiness = means.reduce((total, mean) => total + mean, 0) / means.length
+    const shrunk = (means.length * meanHappiness + RANKING_SHRINKAGE_DAYS * baseline) / (means.length + RANKING_SHRINKAGE_DAYS)
+    ranked.push({ key, label, type, days: means.length, meanHappiness, impact: shrunk - baseline })
+  }
+
+  return {
+    best: ranked.filter(item => item.impact > 0).sort((a, b) => b.impact - a.impact).slice(0, limit),
+    worst: ranked.filter(item => item.impact < 0).sort((a, b) => a.impact - b.impact).slice(0, limit),
+    tooFew
+  }
+}
+
+/**
+ * Ranks titles and creators by the happiness of the days they were consumed on
+ *
+ * Each title or creator's average daily happiness on the days it was consumed is
+ * compared with the user's baseline, the average over every day with a check-in.
+ * Items need MIN_DAYS_FOR_RANKING such days to be ranked, and their average is
+ * blended with RANKING_SHRINKAGE_DAYS days of the baseline before comparing.
+ *
+ * Titles are grouped by library item, or by type and normalised title for sessions
+ * not in the library. Creators come from the library, or from the session's author,
+ * director or artist details.
+ *
+ * @param {Array<Object>} happinessEntries - Happiness check-ins
+ * @param {Array<Object>} mediaEntries - Media sessions
+ * @param {Array<Object>} [catalog=[]] - Media library items
+ * @param {Object} [options] - Options
+ * @param {number} [options.limit=5] - Most items per list
+ * @returns {{baseline: number|null, titles: Object, creators: Object}} The baseline, and for titles and creators
+ *   the best and worst items ({key, label, type, days, meanHappiness, impact}) and how many had too few days
+ */
+export function rankHappinessImpact(happinessEntries, mediaEntries, catalog = [], { limit = 5 } = {}) {
+  const dailyMeans = new Map(groupCheckInsByDate(happinessEntries).map(day => [day.date, day.mean]))
+  if (dailyMeans.size === 0) {
+    return { baseline: null, titles: { best: [], worst: [], tooFew: 0 }, creators: { best: [], worst: [], tooFew: 0 } }
+  }
+  const baseline = [...dailyMeans.values()].reduce((total, mean) => total + mean, 0) / dailyMeans.size
+
+  const catalogById = new Map(catalog.map(item => [item.id, item]))
+  const titles = new Map()
+  const creators = new Map()
+  const addDate = (groups, key, label, type, date) => {
+    const group = groups.get(key) ?? { label, type, dates: new Set() }
+    group.dates.add(date)
+    groups.set(key, group)
+  }
+
+  for (const media of mediaEntries) {
+    const item = catalogById.get(media.catalogId)
+    const normalizedTitle = media.title.trim().replace(/\s+/g, ' ').toLowerCase()
+    addDate(titles, item?.id ?? `${media.type}\n${normalizedTitle}`, item?.title ?? media.title.trim(), media.type, media.date)
+
+    const creator = item?.creator ?? CREATOR_DETAIL_FIELDS.map(field => media.details?.[field]).find(Boolean)
+    if (creator) {
+      addDate(creators, creator.trim().replace(/\s+/g, ' ').toLowerCase(), creator.trim(), null, media.date)
+    }
+  }
+
+  return {
+    baseline,
+    titles: rankGroups(titles, dailyMeans, baseline, limit),
+    creators: rankGroups(creators, dailyMeans, baseline, limit)
+  }
+}
+
+/**
+ * Explains a correlation in plain language
+ * @param {Object} result - A correlation from analyzeHappinessByMedia
+ * @returns {string} One or two sentences for the Insights tab
+ */
+export function describeCorrelation(result) {
+  const subject = result.key === 'total' ? 'media' : result.label.toLowerCase()
+
+  if (result.r === null && result.n >= 3) {
+    if (result.constant === 'happiness') {
+      return 'There is nothing to compare yet: your happiness is the same on every day with a check-in.'
+    }
+    if (result.constant === 'minutes') {
+      return `There is nothing to compare yet: ${subject} time is the same on every day with a check-in.`
+    }
+  }
+  if (result.r === null) {
+    return `There is not enough data on ${subject} yet.`
+  }
+
+  const strength = STRENGTHS.find(({ max }) => Math.abs(result.r) < max).label
+  const direction = result.r > 0 ? 'happier' : 'less happy'
+  const sentence = strength === 'no real'
+    ? `There is no real link between time on ${subject} and how happy you are.`
+    : `There is ${strength} link: on days with more time on ${subject}, you tend to be ${direction}.`
+
+  if (result.interval && result.interval[0] <= 0 && result.interval[1] >= 0 && strength !== 'no real') {
+    return `${sentence} With ${result.n} days of data this could still be chance.`
+  }
+  return sentence
+}
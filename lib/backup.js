@@ -0,0 +1,165 @@
+/**
+ * @fileoverview Full JSON export and validated import of all entries
+ */
+
+import { schemas, validateHappiness, validateMedia, validateCatalogItem } from '../schemas/index.js'
+import { CURRENT_SCHEMA_VERSION, upgradeEntries } from '../schemas/migrations.js'
+import { sortHappinessEntries } from './happiness.js'
+
+/**
+ * Marker identifying files produced by createBackup
+ * @type {string}
+ */
+export const BACKUP_FORMAT = 'media-consumption-tracker-backup'
+
+/**
+ * Collections included in a backup
+ * @type {Array<string>}
+ */
+const COLLECTIONS = ['happiness', 'media', 'catalog']
+
+/**
+ * Schema version that added each collection introduced after the first backups
+ * Older backups simply do not have these and import them as empty
+ * @type {Object<string, number>}
+ */
+const COLLECTION_ADDED_IN = { catalog: 5 }
+
+/**
+ * Validator for each collection on import
+ * Imported records get the same checks as new entries, including date bounds
+ * @type {Object<string, Function>}
+ */
+const IMPORT_VALIDATORS = {
+  happiness: validateHappiness,
+  media: validateMedia,
+  catalog: validateCatalogItem
+}
+
+/**
+ * Builds the export payload for every entry
+ * @param {Array<Object>} entries - Happiness entries
+ * @param {Array<Object>} mediaEntries - Media entries
+ * @param {Array<Object>} catalog - Media catalog items
+ * @param {string} [exportedAt] - ISO timestamp of the export
+ * @returns {Object} Backup object ready to be serialised
+ */
+export function createBackup(entries, mediaEntries, catalog, exportedAt = new Date().toISOString()) {
+  return {
+    format: BACKUP_FORMAT,
+    schemaVersion: CURRENT_SCHEMA_VERSION,
+    exportedAt,
+    schemas: {
+      happiness: schemas.happiness.$id,
+      media: schemas.media.$id,
+      catalog: schemas.catalog.$id
+    },
+    happiness: entries,
+    media: mediaEntries,
+    catalog
+  }
+}
+
+/**
+ * Suggests a file name for a backup
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {string} File name
+ */
+export function getBackupFilename(date) {
+  return `media-consumption-tracker-${date}.json`
+}
+
+/**
+ * Parses and validates a backup file
+ *
+ * Older backups are migrated to the current schema version first. Each record is
+ * then validated on its own, so one bad record doesn't block the rest of the file.
+ *
+ * @param {string} text - Contents of the backup file
+ * @returns {Object} Either { success: true, data: { happiness, media, catalog, rejected } } or { success: false, errors }
+ */
+export function parseBackup(text) {
+  let payload
+  try {
+    payload = JSON.parse(text)
+  } catch (error) {
+    return { success: false, errors: [`File is not valid JSON: ${error.message}`] }
+  }
+
+  if (!payload || payload.format !== BACKUP_FORMAT) {
+    return { success: false, errors: ['File is not a Media Consumption Tracker backup'] }
+  }
+
+  const errors = []
+  const collections = COLLECTIONS.filter(collection =>
+    !(payload.schemaVersion < COLLECTION_ADDED_IN[collection] && payload[collection] === undefined)
+  )
+  for (const collection of collections) {
+    if (!Array.isArray(payload[collection])) {
+      errors.push(`Backup is missing the ${collection} entry list`)
+    } else if (payload.schemas?.[collection] !== schemas[collection].$id) {
+      errors.push(`Backup uses an unknown ${collection} schema: ${payload.schemas?.[collection]}`)
+    }
+  }
+  if (!Number.isInteger(payload.schemaVersion)) {
+    errors.push('Backup has no schemaVersion')
+  }
+  if (errors.length > 0) {
+    return { success: false, errors }
+  }
+
+  const data = { catalog: [], rejected: [] }
+  try {
+    for (const collection of collections) {
+      const result = upgradeEntries(payload[collection], payload.schemaVersion, collection, {
+        validate: IMPORT_VALIDATORS[collection]
+      })
+      data[collection] = result.entries
+      data.rejected.push(...result.rejected.map(rejection => ({ collection, ...rejection })))
+    }
+  } catch (error) {
+    return { success: false, errors: [error.message] }
+  }
+
+  return { success: true, data }
+}
+
+/**
+ * Combines imported entries with the current ones
+ *
+ * - replace: the imported entries become the only entries
+ * - merge: imported happiness check-ins, media entries and catalog items
+ *   replace existing records with the same id and are otherwise added
+ *
+ * Imports without a catalog (CSV files, older backups) leave it untouched on merge;
+ * their sessions are linked to catalog items afterwards (see lib/catalog.js).
+ *
+ * @param {Object} current - Current { happiness, media, catalog } records
+ * @param {Object} incoming - Validated { happiness, media, catalog? } records from parseBackup
+ * @param {string} mode - 'merge' or 'replace'
+ * @returns {{happiness: Array<Object>, media: Array<Object>, catalog: Array<Object>}} The resulting records, entries newest first
+ */
+export function mergeBackup(current, incoming, mode) {
+  const byDateDesc = (a, b) => new Date(b.date) - new Date(a.date)
+  const incomingCatalog = incoming.catalog ?? []
+
+  if (mode === 'replace') {
+    return {
+      happiness: sortHappinessEntries(incoming.happiness),
+      media: [...incoming.media].sort(byDateDesc),
+      catalog: incomingCatalog
+    }
+  }
+
+  const incomingHappinessIds = new Set(incoming.happiness.map(entry => entry.id))
+  const incomingMediaIds = new Set(incoming.media.map(media => media.id))
+  const incomingCatalogIds = new Set(incomingCatalog.map(item => item.id))
+  return {
+    happiness: sortHappinessEntries([
+      ...current.happiness.filter(entry => !incomingHappinessIds.has(entry.id)),
+      ...incoming.happiness
+    ]),
+    media: [...current.media.filter(media => !incomingMediaIds.has(media.id)), ...incoming.media].sort(byDateDesc),
+    catalog: [...current.catalog.filter(item => !incomingCatalogIds.has(item.id)), ...incomingCatalog]
+  }
+}
@@ -0,0 +1,151 @@
+/**
+ * @fileoverview Calendar layout and per-day summaries for the heatmap and month views
+ */
+
+import { groupCheckInsByDate } from './happiness.js'
+import { addDays, daysBetween } from './dates.js'
+
+/**
+ * Heatmap colour for each of the HAPPINESS_LEVELS, from red through yellow to green
+ * @type {Object<string, string>}
+ */
+export const HAPPINESS_LEVEL_COLORS = {
+  '-2': '#d73027',
+  '-1': '#fc8d59',
+  '0': '#fee08b',
+  '1': '#91cf60',
+  '2': '#1a9850'
+}
+
+/**
+ * Days in a week row, Sunday first
+ * @type {string[]}
+ */
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+
+/**
+ * Rounds a daily mean to the nearest happiness level
+ * @param {number} mean - Mean happiness for a day
+ * @returns {string} Key into HAPPINESS_LEVELS
+ */
+export function getHappinessLevel(mean) {
+  // Adding 0 turns Math.round's -0 into 0
+  return String(Math.max(-2, Math.min(2, Math.round(mean))) + 0)
+}
+
+/**
+ * Gets the weekday of a calendar date
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ * @returns {number} 0 for Sunday through 6 for Saturday
+ */
+export function getWeekday(dateString) {
+  const [year, month, day] = dateString.split('-').map(Number)
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay()
+}
+
+/**
+ * Summarises check-ins and media per day
+ * @param {Array<Object>} happinessEntries - Happiness check-ins
+ * @param {Array<Object>} mediaEntries - Media sessions
+ * @returns {Map<string, {date: string, mean: number|null, level: string|null, checkInCount: number, mediaTypes: string[], mediaMinutes: number, mediaEntries: Array<Object>}>} Days that have anything logged, keyed by date
+ */
+export function buildCalendarDays(happinessEntries, mediaEntries) {
+  const days = new Map()
+  const getDay = (date) => {
+    if (!days.has(date)) {
+      days.set(date, { date, mean: null, level: null, checkInCount: 0, mediaTypes: [], mediaMinutes: 0, mediaEntries: [] })
+    }
+    return days.get(date)
+  }
+
+  for (const group of groupCheckInsByDate(happinessEntries)) {
+    const day = getDay(group.date)
+    day.mean = group.mean
+    day.level = getHappinessLevel(group.mean)
+    day.checkInCount = group.checkIns.length
+  }
+
+  for (const entry of mediaEntries) {
+    const day = getDay(entry.date)
+    day.mediaEntries.push(entry)
+    day.mediaMinutes += entry.duration
+    if (!day.mediaTypes.includes(entry.type)) day.mediaTypes.push(entry.type)
+  }
+
+  return days
+}
+
+/**
+ * Lays out the year up to a date as week columns, like a contribution graph
+ * @param {string} endDate - Last date shown, usually today
+ * @param {number} [weeks=53] - Number of week columns
+ * @returns {Array<Array<string|null>>} Weeks oldest first, each Sunday to Saturday; days after endDate are null
+ */
+export function getYearWeeks(endDate, weeks = 53) {
+  const firstSunday = addDays(endDate, -getWeekday(endDate) - (weeks - 1) * 7)
+  return Array.from({ length: weeks }, (_, week) => Array.from({ length: 7 }, (_, weekday) => {
+    const date = addDays(firstSunday, week * 7 + weekday)
+    return date > endDate ? null : date
+  }))
+}
+
+/**
+ * Lays out a month as week rows
+ * @param {string} monthDate - Any date in the month, YYYY-MM-DD
+ * @returns {Array<Array<string|null>>} Weeks, each Sunday to Saturday; days outside the month are null
+ */
+export function getMonthWeeks(monthDate) {
+  const first = `${monthDate.slice(0, 7)}-01`
+  const nextMonth = getMonthStart(first, 1)
+  const weeks = []
+  let date = addDays(first, -getWeekday(first))
+
+  while (date < nextMonth) {
+    weeks.push(Array.from({ length: 7 }, (_, weekday) => {
+      const day = addDays(date, weekday)
+      return day >= first && day < nextMonth ? day : null
+    }))
+    date = addDays(date, 7)
+  }
+
+  return weeks
+}
+
+/**
+ * Gets the first day of a month relative to a date
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ * @param {number} [months=0] - Months to move; negative values go back
+ * @returns {string} First of the month in YYYY-MM-DD format
+ */
+export function getMonthStart(dateString, months = 0) {
+  const [year, month] = dateString.split('-').map(Number)
+  return new Date(Date.UTC(year, month - 1 + months, 1)).toISOString().split('T')[0]
+}
+
+/**
+ * Finds runs of days without a check-in
+ * @param {Iterable<string>} checkInDates - Dates that have at least one check-in
+ * @param {string} from - First date to consider, YYYY-MM-DD
+ * @param {string} to - Last date to consider, YYYY-MM-DD
+ * @returns {Array<{from: string, to: string, days: number}>} Gaps, newest first
+ */
+export function findMissingDays(checkInDates, from, to) {
+  const logged = new Set(checkInDates)
+  const gaps = []
+  let gapStart = null
+
+  for (let offset = 0; offset <= daysBetween(from, to); offset++) {
+    const date = addDays(from, offset)
+    if (!logged.has(date)) {
+      gapStart ??= date
+    } else if (gapStart) {
+      gaps.push({ from: gapStart, to: addDays(date, -1), days: daysBetween(gapStart, date) })
+      gapStart = null
+    }
+  }
+  if (gapStart) {
+    gaps.push({ from: gapStart, to, days: daysBetween(gapStart, to) + 1 })
+  }
+
+  return gaps.reverse()
+}
@@ -0,0 +1,115 @@
+/**
+ * @fileoverview Media library: catalog items and the sessions logged against them
+ * A catalog item describes a title once (type, creator, cover, total length);
+ * media entries are sessions that point at it through catalogId. Sessions keep
+ * their own title and type as a readable copy, which linkSessionsToCatalog uses
+ * to attach sessions that were saved or imported without a catalogId.
+ */
+
+import { createCatalogItem } from '../schemas/index.js'
+import { groupCheckInsByDate } from './happiness.js'
+
+/**
+ * Builds the key sessions and catalog items are matched on
+ * Titles match regardless of case and spacing, but only within the same type
+ * @param {string} type - Media type key
+ * @param {string} title - Title
+ * @returns {string} Match key
+ */
+function getMatchKey(type, title) {
+  return `${type}\n${String(title).trim().replace(/\s+/g, ' ').toLowerCase()}`
+}
+
+/**
+ * Finds the catalog item a title belongs to
+ * @param {Array<Object>} catalog - Catalog items
+ * @param {{type: string, title: string}} media - Type and title to look for
+ * @returns {Object|undefined} The matching catalog item
+ */
+export function findCatalogItem(catalog, { type, title }) {
+  const key = getMatchKey(type, title)
+  return catalog.find(item => getMatchKey(item.type, item.title) === key)
+}
+
+/**
+ * Points every session at a catalog item, creating items for titles the catalog lacks
+ * Sessions whose catalogId already resolves are left untouched
+ * @param {Array<Object>} sessions - Media entries
+ * @param {Array<Object>} catalog - Existing catalog items
+ * @returns {{sessions: Array<Object>, created: Array<Object>, linked: Array<Object>}} All sessions
+ *   (linked where possible), the catalog items that were created, and the sessions that changed
+ */
+export function linkSessionsToCatalog(sessions, catalog) {
+  const knownIds = new Set(catalog.map(item => item.id))
+  const itemsByKey = new Map(catalog.map(item => [getMatchKey(item.type, item.title), item]))
+  const created = []
+  const linked = []
+
+  const result = sessions.map(session => {
+    if (session.catalogId && knownIds.has(session.catalogId)) return session
+
+    const key = getMatchKey(session.type, session.title)
+    let item = itemsByKey.get(key)
+    if (!item) {
+      const creation = createCatalogItem(session.type, session.title.trim())
+      // A session that cannot become a catalog item stays unlinked rather than being dropped
+      if (!creation.success) return session
+      item = creation.data
+      itemsByKey.set(key, item)
+      knownIds.add(item.id)
+      created.push(item)
+    }
+
+    const linkedSession = { ...session, catalogId: item.id }
+    linked.push(linkedSession)
+    return linkedSession
+  })
+
+  return { sessions: result, created, linked }
+}
+
+/**
+ * Copies a catalog item's title and type onto the sessions linked to it
+ * @param {Object} item - Updated catalog item
+ * @param {Array<Object>} sessions - Media entries
+ * @returns {Array<Object>} The linked sessions that changed
+ */
+export function syncSessionsWithCatalogItem(item, sessions) {
+  return sessions
+    .filter(session => session.catalogId === item.id && (session.title !== item.title || session.type !== item.type))
+    .map(session => ({ ...session, title: item.title, type: item.type }))
+}
+
+/**
+ * Summarises each catalog item's sessions for the library
+ *
+ * Average happiness is the mean of the daily happiness means on the days the
+ * title was consumed; days without a check-in are left out.
+ *
+ * @param {Array<Object>} catalog - Catalog items
+ * @param {Array<Object>} sessions - Media entries
+ * @param {Array<Object>} happinessEntries - Happiness check-ins
+ * @returns {Array<{item: Object, sessionCount: number, totalDuration: number, firstDate: string|null, lastDate: string|null, averageHappiness: number|null, happinessDays: number}>} One summary per catalog item
+ */
+export function summarizeCatalog(catalog, sessions, happinessEntries) {
+  const dailyMeans = new Map(groupCheckInsByDate(happinessEntries).map(day => [day.date, day.mean]))
+  const sessionsByItem = new Map(catalog.map(item => [item.id, []]))
+  sessions.forEach(session => sessionsByItem.get(session.catalogId)?.push(session))
+
+  return catalog.map(item => {
+    const itemSessions = sessionsByItem.get(item.id)
+    // YYYY-MM-DD strings sort chronologically
+    const dates = [...new Set(itemSessions.map(session => session.date))].sort()
+    const means = dates.filter(date => dailyMeans.has(date)).map(date => dailyMeans.get(date))
+
+    return {
+      item,
+      sessionCount: itemSessions.length,
+      totalDuration: itemSessions.reduce((total, session) => total + session.duration, 0),
+      firstDate: dates[0] ?? null,
+      lastDate: dates[dates.length - 1] ?? null,
+      averageHappiness: means.length > 0 ? means.reduce((total, mean) => total + mean, 0) / means.length : null,
+      happinessDays: means.length
+    }
+  })
+}
@@ -0,0 +1,320 @@
+/**
+ * @fileoverview CSV export, parsing and column mapping for entry imports
+ */
+
+import { createHappinessEntry, createMediaEntry, validateMedia, schemas } from '../schemas/index.js'
+import { isValidCalendarDate } from '../schemas/formats.js'
+import { getMediaTypes } from './mediaTypes.js'
+import { getAllMediaDetailFields, getMediaDetailFields } from './media.js'
+import { WELLBEING_DIMENSIONS } from './wellbeing.js'
+
+/**
+ * Type-specific detail fields, exported as columns of their own
+ * @type {Array<string>}
+ */
+const MEDIA_DETAIL_KEYS = getAllMediaDetailFields().map(field => field.key)
+
+/**
+ * Schema fields that can be filled from a CSV column, per collection
+ * @type {Object<string, Array<string>>}
+ */
+export const CSV_FIELDS = {
+  happiness: ['id', 'date', 'time', 'happiness', ...Object.keys(WELLBEING_DIMENSIONS), 'notes'],
+  media: ['id', 'date', 'type', 'title', 'duration', 'catalogId', ...MEDIA_DETAIL_KEYS]
+}
+
+/**
+ * Required fields that are generated when no column supplies them
+ * Mapping an id column lets a re-import update the same entries instead of duplicating them
+ * @type {Array<string>}
+ */
+const GENERATED_FIELDS = ['id']
+
+/**
+ * Checks whether a CSV field must be mapped to a column before importing
+ * @param {string} collection - 'happiness' or 'media'
+ * @param {string} field - Schema field
+ * @returns {boolean} Whether the schema requires the field and it cannot be generated
+ */
+export function isCsvFieldRequired(collection, field) {
+  return schemas[collection].required.includes(field) && !GENERATED_FIELDS.includes(field)
+}
+
+/**
+ * Alternative column names recognised when guessing a mapping
+ * @type {Object<string, Array<string>>}
+ */
+const FIELD_ALIASES = {
+  id: ['id', 'uuid'],
+  date: ['date', 'day', 'when'],
+  happiness: ['happiness', 'mood', 'level', 'score'],
+  notes: ['notes', 'note', 'journal', 'comment', 'comments'],
+  time: ['time', 'time of day', 'hour', 'check-in time'],
+  energy: ['energy'],
+  anxiety: ['anxiety', 'stress'],
+  focus: ['focus', 'concentration'],
+  sleepQuality: ['sleepquality', 'sleep quality', 'sleep'],
+  type: ['type', 'media type', 'kind', 'category'],
+  title: ['title', 'name', 'media'],
+  duration: ['duration', 'minutes', 'mins', 'time', 'length'],
+  catalogId: ['catalogid', 'catalog id'],
+  ...Object.fromEntries(getAllMediaDetailFields().map(({ key, label }) => [key, [key.toLowerCase(), label.toLowerCase()]]))
+}
+
+/**
+ * Supported date formats, with the position of each part in the match
+ * @type {Object<string, {pattern: RegExp, year: number, month: number, day: number}>}
+ */
+export const DATE_FORMATS = {
+  'YYYY-MM-DD': { pattern: /^(\d{4})-(\d{1,2})-(\d{1,2})$/, year: 1, month: 2, day: 3 },
+  'YYYY/MM/DD': { pattern: /^(\d{4})\/(\d{1,2})\/(\d{1,2})$/, year: 1, month: 2, day: 3 },
+  'MM/DD/YYYY': { pattern: /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/, year: 3, month: 1, day: 2 },
+  'DD/MM/YYYY': { pattern: /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/, year: 3, month: 2, day: 1 },
+  'DD.MM.YYYY': { pattern: /^(\d{1,2})\.(\d{1,2})\.(\d{4})$/, year: 3, month: 2, day: 1 }
+}
+
+/**
+ * Quotes a value for CSV output when needed
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+function escapeCell(value) {
+  const text = value === undefined || value === null ? '' : String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Serialises rows as CSV
+ * @param {Array<string>} headers - Column names
+ * @param {Array<Array<*>>} rows - Row values in header order
+ * @returns {string} CSV text
+ */
+export function toCSV(headers, rows) {
+  return [headers, ...rows].map(row => row.map(escapeCell).join(',')).join('\r\n')
+}
+
+/**
+ * Builds CSV for happiness entries
+ * @param {Array<Object>} entries - Happiness entries, in the order to export
+ * @returns {string} CSV text
+ */
+export function happinessToCSV(entries) {
+  return toCSV(CSV_FIELDS.happiness, entries.map(entry => CSV_FIELDS.happiness.map(field => entry[field])))
+}
+
+/**
+ * Builds CSV for media entries
+ * @param {Array<Object>} entries - Media entries, in the order to export
+ * @returns {string} CSV text
+ */
+export function mediaToCSV(entries) {
+  return toCSV(CSV_FIELDS.media, entries.map(entry => CSV_FIELDS.media.map(field =>
+    MEDIA_DETAIL_KEYS.includes(field) ? entry.details?.[field] : entry[field]
+  )))
+}
+
+/**
+ * Picks the delimiter used in the first line of a file
+ * @param {string} text - CSV text
+ * @returns {string} Comma, semicolon or tab
+ */
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0]
+  const counts = [',', ';', '\t'].map(delimiter => [delimiter, firstLine.split(delimiter).length])
+  return counts.sort((a, b) => b[1] - a[1])[0][0]
+}
+
+/**
+ * Parses CSV text, handling quoted cells, escaped quotes and embedded newlines
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows of cells, with blank lines dropped
+ */
+export function parseCSV(text) {
+  const input = text.replace(/^\uFEFF/, '')
+  const delimiter = detectDelimiter(input)
+  const rows = []
+  let row = []
+  let cell = ''
+  let inQuotes = false
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i]
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        cell += char
+      }
+    } else if (char === '"') {
+      inQuotes = true
+    } else if (char === delimiter) {
+      row.push(cell)
+      cell = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++
+      row.push(cell)
+      rows.push(row)
+      row = []
+      cell = ''
+    } else {
+      cell += char
+    }
+  }
+  row.push(cell)
+  rows.push(row)
+
+  return rows.filter(cells => cells.some(value => value.trim() !== ''))
+}
+
+/**
+ * Converts a date in a known format to YYYY-MM-DD
+ * @param {string} value - Date as written in the CSV
+ * @param {string} format - Key of DATE_FORMATS
+ * @returns {string|null} Normalised date, or null if it doesn't match the format
+ */
+export function normalizeDate(value, format) {
+  const definition = DATE_FORMATS[format]
+  const match = definition?.pattern.exec(String(value).trim())
+  if (!match) return null
+
+  const year = match[definition.year]
+  const month = match[definition.month].padStart(2, '0')
+  const day = match[definition.day].padStart(2, '0')
+  const date = `${year}-${month}-${day}`
+
+  return isValidCalendarDate(date) ? date : null
+}
+
+/**
+ * Normalises a time cell such as '9:05' or '21:30' to HH:MM
+ * @param {string} value - Time cell
+ * @returns {string|undefined} Normalised time, the trimmed input if unrecognised, or undefined when blank
+ */
+function normalizeTime(value) {
+  const text = String(value).trim()
+  if (text === '') return undefined
+
+  const match = /^(\d{1,2}):(\d{2})(?::\d{2})?$/.exec(text)
+  return match ? `${match[1].padStart(2, '0')}:${match[2]}` : text
+}
+
+/**
+ * Lists the date formats that can read every non-empty value
+ * When both MM/DD/YYYY and DD/MM/YYYY fit, both are returned so the user can choose
+ * @param {Array<string>} values - Date cells from one column
+ * @returns {Array<string>} Matching DATE_FORMATS keys, best guess first
+ */
+export function detectDateFormats(values) {
+  const samples = values.map(value => String(value).trim()).filter(Boolean)
+  if (samples.length === 0) return []
+
+  return Object.keys(DATE_FORMATS).filter(format =>
+    samples.every(value => normalizeDate(value, format) !== null)
+  )
+}
+
+/**
+ * Guesses which column holds each schema field from the header row
+ * @param {Array<string>} headers - Header cells
+ * @param {string} collection - 'happiness' or 'media'
+ * @returns {Object<string, number>} Column index per field; -1 when no column matched
+ */
+export function guessColumnMapping(headers, collection) {
+  const normalizedHeaders = headers.map(header => header.trim().toLowerCase())
+
+  return Object.fromEntries(CSV_FIELDS[collection].map(field => [
+    field,
+    normalizedHeaders.findIndex(header => FIELD_ALIASES[field].includes(header))
+  ]))
+}
+
+/**
+ * Resolves a media type cell written as a key ('book') or a label ('Book')
+ * @param {string} value - Type cell
+ * @returns {string} Media type key, or the trimmed input if unknown
+ */
+function normalizeMediaType(value) {
+  const text = String(value).trim().toLowerCase()
+  const match = getMediaTypes().find(({ key, label }) => key === text || label.toLowerCase() === text)
+  return match ? match.key : text
+}
+
+/**
+ * Parses a numeric cell, leaving non-numbers for the validator to reject
+ * @param {string} value - Numeric cell
+ * @returns {number|string} The number, or the original text
+ */
+function parseNumber(value) {
+  const text = String(value).trim()
+  return text !== '' && !isNaN(Number(text)) ? Number(text) : text
+}
+
+/**
+ * Builds and validates a media entry from one CSV row
+ * Only the detail columns that belong to the row's type are read
+ * @param {Function} cell - Reads the cell mapped to a field
+ * @param {string} date - Normalised date
+ * @returns {Object} Result object with success flag and entry or errors
+ */
+function createMediaEntryFromRow(cell, date) {
+  const type = normalizeMediaType(cell('type'))
+  const details = Object.fromEntries(getMediaDetailFields(type).map(({ key, inputType }) => {
+    const text = String(cell(key)).trim()
+    return [key, text === '' ? undefined : inputType === 'number' ? parseNumber(text) : text]
+  }))
+  const result = createMediaEntry(date, type, cell('title').trim(), parseNumber(cell('duration')), cell('id').trim() || null, details)
+
+  const catalogId = cell('catalogId').trim()
+  if (!result.success || !catalogId) return result
+  const entry = { ...result.data, catalogId }
+  const validation = validateMedia(entry)
+  return validation.isValid
+    ? { success: true, data: entry }
+    : { success: false, errors: validation.errors, details: validation.details }
+}
+
+/**
+ * Maps CSV rows onto entries and validates them, without saving anything
+ * @param {Array<Array<string>>} rows - Data rows (header row excluded)
+ * @param {Object} options - Mapping options
+ * @param {string} options.collection - 'happiness' or 'media'
+ * @param {Object<string, number>} options.mapping - Column index per schema field
+ * @param {string} options.dateFormat - Key of DATE_FORMATS used by the date column
+ * @param {number} [options.firstRowNumber=1] - Row number of the first data row, for messages
+ * @returns {{valid: Array<{rowNumber: number, entry: Object}>, rejected: Array<{rowNumber: number, errors: Array<string>}>}} Dry-run result
+ */
+export function mapCsvRows(rows, { collection, mapping, dateFormat, firstRowNumber = 1 }) {
+  const valid = []
+  const rejected = []
+
+  rows.forEach((row, index) => {
+    const rowNumber = firstRowNumber + index
+    const cell = (field) => (mapping[field] >= 0 ? row[mapping[field]] ?? '' : '')
+
+    const rawDate = cell('date')
+    const date = normalizeDate(rawDate, dateFormat) ?? rawDate
+    const result = collection === 'happiness'
+      ? createHappinessEntry(date, parseNumber(cell('happiness')), {
+        id: cell('id').trim() || undefined,
+        time: normalizeTime(cell('time')),
+        ...Object.fromEntries(Object.keys(WELLBEING_DIMENSIONS).map(key => [
+          key,
+          String(cell(key)).trim() === '' ? undefined : parseNumber(cell(key))
+        ])),
+        notes: cell('notes').trim() || undefined
+      })
+      : createMediaEntryFromRow(cell, date)
+
+    if (result.success) {
+      valid.push({ rowNumber, entry: result.data })
+    } else {
+      rejected.push({ rowNumber, errors: result.errors })
+    }
+  })
+
+  return { valid, rejected }
+}
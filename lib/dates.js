@@ -0,0 +1,166 @@
+/**
+ * @fileoverview Local calendar date utilities
+ * Every "today" in the app comes from here so that forms, tables and validation agree
+ * on which day it is in the user's home timezone, after their day rollover hour.
+ */
+
+import { isValidCalendarDate } from '../schemas/formats.js'
+
+/**
+ * Default date settings
+ * An empty timeZone means the device's own timezone; dayRolloverHour 0 starts days at midnight
+ * @type {{timeZone: string, dayRolloverHour: number}}
+ */
+export const DEFAULT_DATE_SETTINGS = {
+  timeZone: '',
+  dayRolloverHour: 0
+}
+
+let dateSettings = { ...DEFAULT_DATE_SETTINGS }
+
+/**
+ * Checks whether a timezone name is understood by Intl
+ * @param {string} timeZone - IANA timezone name such as 'Europe/Berlin'
+ * @returns {boolean} Whether the timezone can be used
+ */
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone })
+    return true
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Gets the timezone the device is set to
+ * @returns {string} IANA timezone name
+ */
+export function getDeviceTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone
+}
+
+/**
+ * Lists the timezones the browser supports
+ * @returns {Array<string>} IANA timezone names, or an empty array on older engines
+ */
+export function listTimeZones() {
+  return typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : []
+}
+
+/**
+ * Gets the date settings currently in effect
+ * @returns {{timeZone: string, dayRolloverHour: number}} Date settings
+ */
+export function getDateSettings() {
+  return { ...dateSettings }
+}
+
+/**
+ * Changes the timezone and day rollover hour used for "today"
+ * Invalid values fall back to the defaults rather than breaking every date in the app
+ * @param {{timeZone?: string, dayRolloverHour?: number}} settings - New date settings
+ */
+export function setDateSettings({ timeZone, dayRolloverHour } = {}) {
+  dateSettings = {
+    timeZone: timeZone && isValidTimeZone(timeZone) ? timeZone : DEFAULT_DATE_SETTINGS.timeZone,
+    dayRolloverHour: Number.isInteger(dayRolloverHour) && dayRolloverHour >= 0 && dayRolloverHour < 24
+      ? dayRolloverHour
+      : DEFAULT_DATE_SETTINGS.dayRolloverHour
+  }
+}
+
+/**
+ * Adds a number of days to a calendar date
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ * @param {number} days - Days to add; negative values go back
+ * @returns {string} Resulting date in YYYY-MM-DD format
+ */
+export function addDays(dateString, days) {
+  const [year, month, day] = dateString.split('-').map(Number)
+  // UTC arithmetic is immune to daylight saving changes
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().split('T')[0]
+}
+
+/**
+ * Counts the days from one calendar date to another
+ * @param {string} fromDate - Date in YYYY-MM-DD format
+ * @param {string} toDate - Date in YYYY-MM-DD format
+ * @returns {number} Whole days; negative when toDate is earlier
+ */
+export function daysBetween(fromDate, toDate) {
+  const toUTC = (dateString) => {
+    const [year, month, day] = dateString.split('-').map(Number)
+    return Date.UTC(year, month - 1, day)
+  }
+  return Math.round((toUTC(toDate) - toUTC(fromDate)) / 86400000)
+}
+
+/**
+ * Gets the calendar date an instant falls on for the user
+ * Hours before the rollover hour still count as the previous day
+ * @param {Date} [instant] - Moment in time (defaults to now)
+ * @param {{timeZone?: string, dayRolloverHour?: number}} [settings] - Overrides for the current settings
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+export function getLocalDate(instant = new Date(), settings = dateSettings) {
+  const { timeZone, dayRolloverHour = 0 } = settings
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timeZone || undefined,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(instant).map(part => [part.type, part.value])
+  )
+
+  const date = `${parts.year}-${parts.month}-${parts.day}`
+  return Number(parts.hour) < dayRolloverHour ? addDays(date, -1) : date
+}
+
+/**
+ * Gets the user's wall-clock time, in their home timezone
+ * @param {Date} [instant] - Moment in time (defaults to now)
+ * @returns {string} Time in 24-hour HH:MM format
+ */
+export function getCurrentTime(instant = new Date()) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: dateSettings.timeZone || undefined,
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(instant).map(part => [part.type, part.value])
+  )
+  return `${parts.hour}:${parts.minute}`
+}
+
+/**
+ * Gets today's date in YYYY-MM-DD format
+ * @returns {string} Today's date
+ */
+export function getTodayDate() {
+  return getLocalDate(new Date())
+}
+
+/**
+ * Formats a date string for display without UTC adjustment
+ * Strings that are not real calendar dates are returned unchanged rather than rolled over
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ * @returns {string} Formatted date
+ */
+export function formatDate(dateString) {
+  if (!isValidCalendarDate(dateString)) return String(dateString ?? '')
+
+  // Parse the date parts manually to avoid UTC issues
+  const [year, month, day] = dateString.split('-').map(Number)
+  const date = new Date(year, month - 1, day) // month is 0-indexed
+
+  return date.toLocaleDateString('en-US', {
+    weekday: 'long',
+    month: 'long',
+    day: 'numeric'
+  })
+}
@@ -0,0 +1,21 @@
+/**
+ * @fileoverview Browser file download helper
+ */
+
+/**
+ * Triggers a download of generated content
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File contents
+ * @param {string} mimeType - MIME type of the content
+ */
+export function downloadFile(filename, content, mimeType) {
+  const blob = new Blob([content], { type: mimeType })
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  document.body.removeChild(link)
+  URL.revokeObjectURL(url)
+}
@@ -3,6 +3,7 @@
  */
 
 import { validateHappiness, createHappinessEntry } from '../schemas/index.js'
+import { averageDimensions } from './wellbeing.js'
 
 /**
  * Happiness level descriptions for UI display
@@ -26,28 +27,90 @@ export function getHappinessDescription(level) {
 }
 
 /**
- * Formats a date string for display without UTC adjustment
- * @param {string} dateString - Date in YYYY-MM-DD format
- * @returns {string} Formatted date
+ * Checks whether an entry matches a search query
+ * Every word in the query must start a word in the notes, the date or the happiness
+ * description, so "happy" finds "Very Happy" but not "Unhappy", and "walk" finds "walking"
+ * @param {Object} entry - Happiness entry
+ * @param {string} query - Search text
+ * @returns {boolean} Whether the entry matches
  */
-export function formatDate(dateString) {
-  // Parse the date parts manually to avoid UTC issues
-  const [year, month, day] = dateString.split('-').map(Number)
-  const date = new Date(year, month - 1, day) // month is 0-indexed
-  
-  return date.toLocaleDateString('en-US', {
-    weekday: 'long',
-    month: 'long',
-    day: 'numeric'
-  })
+export function entryMatchesSearch(entry, query) {
+  const terms = String(query ?? '').toLowerCase().split(/\s+/).filter(Boolean)
+  if (terms.length === 0) return true
+
+  const haystack = [entry.notes ?? '', entry.date, getHappinessDescription(entry.happiness)].join(' ').toLowerCase()
+  // \b only knows ASCII letters, so word starts are found with Unicode classes instead
+  return terms.every(term => new RegExp(`(?<![\\p{L}\\p{N}])${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`, 'u').test(haystack))
+}
+
+/**
+ * Parts of the day offered as check-in shortcuts, with the time each one records
+ * @type {Object<string, {label: string, time: string}>}
+ */
+export const CHECK_IN_PERIODS = {
+  morning: { label: 'Morning', time: '09:00' },
+  afternoon: { label: 'Afternoon', time: '14:00' },
+  evening: { label: 'Evening', time: '20:00' }
+}
+
+/**
+ * Describes when a check-in happened
+ * @param {string} [time] - Time in HH:MM format
+ * @returns {string} 'Morning', 'Afternoon', 'Evening' or 'Night'; 'Any time' when unknown
+ */
+export function getTimeOfDay(time) {
+  if (!time) return 'Any time'
+  const hour = Number(time.split(':')[0])
+  if (hour < 5) return 'Night'
+  if (hour < 12) return 'Morning'
+  if (hour < 17) return 'Afternoon'
+  return 'Evening'
+}
+
+/**
+ * Sorts check-ins by date, newest first, and by time within a day, latest first
+ * Check-ins without a time sort after timed ones on the same day
+ * @param {Array<Object>} entries - Happiness check-ins
+ * @returns {Array<Object>} A new sorted array
+ */
+export function sortHappinessEntries(entries) {
+  return [...entries].sort((a, b) => new Date(b.date) - new Date(a.date) || (b.time ?? '').localeCompare(a.time ?? ''))
+}
+
+/**
+ * Groups check-ins into one summary per day
+ * @param {Array<Object>} entries - Happiness check-ins
+ * @returns {Array<{date: string, checkIns: Array<Object>, mean: number, min: number, max: number, dimensions: Object<string, number|null>}>}
+ *   Days newest first, each with its check-ins in time order and the mean of each wellbeing dimension
+ */
+export function groupCheckInsByDate(entries) {
+  const byDate = new Map()
+  for (const entry of entries) {
+    byDate.set(entry.date, [...(byDate.get(entry.date) ?? []), entry])
+  }
+
+  return [...byDate.entries()]
+    .map(([date, checkIns]) => {
+      const levels = checkIns.map(entry => entry.happiness)
+      return {
+        date,
+        checkIns: sortHappinessEntries(checkIns).reverse(),
+        mean: levels.reduce((total, level) => total + level, 0) / levels.length,
+        min: Math.min(...levels),
+        max: Math.max(...levels),
+        dimensions: averageDimensions(checkIns)
+      }
+    })
+    .sort((a, b) => new Date(b.date) - new Date(a.date))
 }
 
 /**
- * Gets today's date in YYYY-MM-DD format
- * @returns {string} Today's date
+ * Formats a daily mean happiness level
+ * @param {number} mean - Mean level
+ * @returns {string} Whole numbers as-is, otherwise one decimal place
  */
-export function getTodayDate() {
-  return new Date().toISOString().split('T')[0]
+export function formatMean(mean) {
+  return Number.isInteger(mean) ? String(mean) : mean.toFixed(1)
 }
 
 /**
@@ -55,10 +118,10 @@ export function getTodayDate() {
  * @type {Array<Object>}
  */
 export const SAMPLE_DATA = [
-  { date: '2024-10-20', happiness: 1 },
-  { date: '2024-10-21', happiness: -1 },
-  { date: '2024-10-22', happiness: 2 },
-  { date: '2024-10-23', happiness: 0 }
+  { id: '450e8400-e29b-41d4-a716-446655440000', date: '2024-10-20', happiness: 1 },
+  { id: '450e8400-e29b-41d4-a716-446655440001', date: '2024-10-21', happiness: -1 },
+  { id: '450e8400-e29b-41d4-a716-446655440002', date: '2024-10-22', happiness: 2 },
+  { id: '450e8400-e29b-41d4-a716-446655440003', date: '2024-10-23', happiness: 0 }
 ]
 
 /**
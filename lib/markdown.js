@@ -0,0 +1,168 @@
+/**
+ * @fileoverview Minimal Markdown parser for journal notes
+ * Produces a small syntax tree instead of HTML so that rendering never injects markup.
+ * Supports headings (#, ##, ###), paragraphs with line breaks, bullet and numbered
+ * lists, blockquotes, fenced code, `code`, **bold**, *italic* and [links](https://…).
+ */
+
+/**
+ * Inline syntax, tried left to right: code, bold, italic, link
+ * @type {RegExp}
+ */
+const INLINE_PATTERN = /(`[^`]+`)|(\*\*[^*]+\*\*|__[^_]+__)|(\*[^*\s][^*]*\*|_[^_\s][^_]*_)|(\[[^\]]+\]\([^)\s]+\))/
+
+/**
+ * A bullet (-, *, +) or numbered (1. or 1)) list item; group 1 is set only for bullets
+ * @type {RegExp}
+ */
+const LIST_ITEM_PATTERN = /^\s*(?:([-*+])|\d+[.)])\s+(.*)$/
+
+/**
+ * Link protocols that may be rendered as anchors; anything else stays plain text
+ * @type {RegExp}
+ */
+const SAFE_HREF_PATTERN = /^(https?:\/\/|mailto:)/i
+
+/**
+ * Parses inline Markdown
+ * @param {string} text - A single block's text
+ * @returns {Array<Object>} Inline nodes: text, code, strong, em, link
+ */
+export function parseInline(text) {
+  const nodes = []
+  let rest = text
+
+  while (rest) {
+    const match = INLINE_PATTERN.exec(rest)
+    if (!match) {
+      nodes.push({ type: 'text', text: rest })
+      break
+    }
+
+    if (match.index > 0) nodes.push({ type: 'text', text: rest.slice(0, match.index) })
+    const [token, code, strong, em, link] = match
+
+    if (code) {
+      nodes.push({ type: 'code', text: code.slice(1, -1) })
+    } else if (strong) {
+      nodes.push({ type: 'strong', children: parseInline(strong.slice(2, -2)) })
+    } else if (em) {
+      nodes.push({ type: 'em', children: parseInline(em.slice(1, -1)) })
+    } else {
+      const [, label, href] = /^\[([^\]]+)\]\(([^)\s]+)\)$/.exec(link)
+      nodes.push(SAFE_HREF_PATTERN.test(href)
+        ? { type: 'link', href, children: parseInline(label) }
+        : { type: 'text', text: token })
+    }
+
+    rest = rest.slice(match.index + token.length)
+  }
+
+  return nodes
+}
+
+/**
+ * Parses lines of a paragraph-like block, keeping line breaks
+ * @param {Array<string>} lines - Lines of the block
+ * @returns {Array<Object>} Inline nodes with 'break' nodes between lines
+ */
+function parseLines(lines) {
+  return lines.flatMap((line, index) => [
+    ...(index > 0 ? [{ type: 'break' }] : []),
+    ...parseInline(line.trim())
+  ])
+}
+
+/**
+ * Parses Markdown into block nodes
+ * @param {string} markdown - Markdown source
+ * @returns {Array<Object>} Block nodes: heading, paragraph, list, blockquote, codeBlock
+ */
+export function parseMarkdown(markdown = '') {
+  const lines = String(markdown).replace(/\r\n?/g, '\n').split('\n')
+  const blocks = []
+  let paragraph = []
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) blocks.push({ type: 'paragraph', children: parseLines(paragraph) })
+    paragraph = []
+  }
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i]
+
+    if (/^\s*```/.test(line)) {
+      flushParagraph()
+      const code = []
+      while (i + 1 < lines.length && !/^\s*```/.test(lines[i + 1])) code.push(lines[++i])
+      i++ // Skip the closing fence
+      blocks.push({ type: 'codeBlock', text: code.join('\n') })
+      continue
+    }
+
+    if (line.trim() === '') {
+      flushParagraph()
+      continue
+    }
+
+    const heading = /^(#{1,3})\s+(.*)$/.exec(line)
+    if (heading) {
+      flushParagraph()
+      blocks.push({ type: 'heading', level: heading[1].length, children: parseInline(heading[2].trim()) })
+      continue
+    }
+
+    const listItem = LIST_ITEM_PATTERN.exec(line)
+    if (listItem) {
+      flushParagraph()
+      const ordered = listItem[1] === undefined
+      const items = [parseInline(listItem[2].trim())]
+      while (i + 1 < lines.length) {
+        const next = LIST_ITEM_PATTERN.exec(lines[i + 1])
+        if (!next || (next[1] === undefined) !== ordered) break
+        items.push(parseInline(next[2].trim()))
+        i++
+      }
+      blocks.push({ type: 'list', ordered, items })
+      continue
+    }
+
+    if (/^>\s?/.test(line)) {
+      flushParagraph()
+      const quoted = [line.replace(/^>\s?/, '')]
+      while (i + 1 < lines.length && /^>\s?/.test(lines[i + 1])) quoted.push(lines[++i].replace(/^>\s?/, ''))
+      blocks.push({ type: 'blockquote', children: parseLines(quoted) })
+      continue
+    }
+
+    paragraph.push(line)
+  }
+
+  flushParagraph()
+  return blocks
+}
+
+/**
+ * Collects the visible text of inline nodes
+ * @param {Array<Object>} nodes - Inline nodes
+ * @returns {string} Plain text
+ */
+function inlineText(nodes) {
+  return nodes.map(node => {
+    if (node.type === 'break') return ' '
+    return node.children ? inlineText(node.children) : node.text
+  }).join('')
+}
+
+/**
+ * Converts Markdown to plain text, for excerpts
+ * @param {string} markdown - Markdown source
+ * @returns {string} Text with syntax removed and blocks separated by spaces
+ */
+export function markdownToPlainText(markdown) {
+  return parseMarkdown(markdown).map(block => {
+    if (block.type === 'codeBlock') return block.text
+    if (block.type === 'list') return block.items.map(inlineText).join(' ')
+    return inlineText(block.children)
+  }).join(' ').replace(/\s+/g, ' ').trim()
+}
@@ -2,26 +2,59 @@
  * @fileoverview Media data management utilities
  */
 
-import { validateMedia, createMediaEntry } from '../schemas/index.js'
+import { schemas, validateMedia, createMediaEntry } from '../schemas/index.js'
+import { getMediaType } from './mediaTypes.js'
+import { daysBetween, getTodayDate } from './dates.js'
 
 /**
- * Media type descriptions for UI display
- * @type {Object<string, string>}
+ * Gets the display label for a media type
+ * @param {string} type - Media type key
+ * @returns {string} Label from the media type registry
  */
-export const MEDIA_TYPES = {
-  'book': 'Book',
-  'video': 'Video',
-  'podcast': 'Podcast',
-  'music': 'Music'
+export function getMediaTypeDescription(type) {
+  return getMediaType(type).label
 }
 
 /**
- * Gets the description for a media type
- * @param {string} type - Media type
- * @returns {string} Description with emoji
+ * Lists the type-specific detail fields schemas/media.json defines for a media type
+ * Read from the schema's if/then rules so the form and the validator cannot drift apart
+ * @param {string} type - Media type key
+ * @returns {Array<{key: string, label: string, inputType: string}>} Fields in schema order; empty for types without details
  */
-export function getMediaTypeDescription(type) {
-  return MEDIA_TYPES[type] || 'Unknown'
+export function getMediaDetailFields(type) {
+  const rule = schemas.media.allOf.find(condition => condition.if.properties.type.const === type)
+  const ref = rule?.then.properties.details.$ref
+  if (!ref) return []
+
+  const definition = schemas.media.$defs[ref.split('/').pop()]
+  return Object.entries(definition.properties).map(([key, property]) => ({
+    key,
+    label: property.title,
+    inputType: property.type === 'integer' ? 'number' : 'text'
+  }))
+}
+
+/**
+ * Lists the detail fields of every media type that has them, each key once
+ * @returns {Array<{key: string, label: string, inputType: string}>} Fields in schema order
+ */
+export function getAllMediaDetailFields() {
+  const fields = schemas.media.allOf
+    .map(rule => rule.if.properties.type.const)
+    .filter(Boolean)
+    .flatMap(getMediaDetailFields)
+  return fields.filter((field, index) => fields.findIndex(other => other.key === field.key) === index)
+}
+
+/**
+ * Pairs an entry's details with their labels for display
+ * @param {Object} entry - Media entry
+ * @returns {Array<{key: string, label: string, value: string|number}>} Filled-in details in schema order
+ */
+export function formatMediaDetails(entry) {
+  return getMediaDetailFields(entry.type)
+    .filter(field => entry.details?.[field.key] !== undefined)
+    .map(field => ({ key: field.key, label: field.label, value: entry.details[field.key] }))
 }
 
 /**
@@ -45,28 +78,83 @@ export function formatDuration(minutes) {
 }
 
 /**
- * Formats a date string for display without UTC adjustment
- * @param {string} dateString - Date in YYYY-MM-DD format
- * @returns {string} Formatted date
+ * Days after which a past session counts half as much towards a title's ranking
+ * @type {number}
  */
-export function formatDate(dateString) {
-  // Parse the date parts manually to avoid UTC issues
-  const [year, month, day] = dateString.split('-').map(Number)
-  const date = new Date(year, month - 1, day) // month is 0-indexed
-  
-  return date.toLocaleDateString('en-US', {
-    weekday: 'long',
-    month: 'long',
-    day: 'numeric'
-  })
+const RECENCY_HALF_LIFE_DAYS = 14
+
+/**
+ * Scores how well a typed query fuzzily matches a title
+ * Titles starting with the query rank highest, then titles containing it at a word
+ * start, then anywhere; otherwise every query character must appear in order,
+ * with characters that follow on from the previous match or start a word counting most.
+ * @param {string} query - Text typed so far
+ * @param {string} text - Candidate title
+ * @returns {number} 3 for a prefix match down to just above 0 for a loose match; 0 for no match
+ */
+export function fuzzyMatchScore(query, text) {
+  const needle = query.trim().toLowerCase().replace(/\s+/g, ' ')
+  const haystack = text.toLowerCase()
+  if (!needle) return 0
+
+  if (haystack.startsWith(needle)) return 3
+  const index = haystack.indexOf(needle)
+  if (index > 0) return /[^a-z0-9]/.test(haystack[index - 1]) ? 2.5 : 2
+
+  let position = 0
+  let score = 0
+  for (const char of needle) {
+    const found = haystack.indexOf(char, position)
+    if (found === -1) return 0
+    const atWordStart = found === 0 || /[^a-z0-9]/.test(haystack[found - 1])
+    score += found === position ? 1 : atWordStart ? 0.8 : 0.3
+    position = found + 1
+  }
+  return score / needle.length
 }
 
 /**
- * Gets today's date in YYYY-MM-DD format
- * @returns {string} Today's date
+ * Suggests previously logged titles for a partly typed title
+ *
+ * Sessions are grouped by type and title (ignoring case and spacing). Each title is
+ * ranked by how well it matches, boosted by how often and how recently it was
+ * logged: every session adds a weight that halves every RECENCY_HALF_LIFE_DAYS.
+ *
+ * @param {string} query - Text typed so far
+ * @param {Array<Object>} entries - Media entries to draw titles from
+ * @param {Object} [options] - Options
+ * @param {number} [options.limit=6] - Most suggestions to return
+ * @param {string} [options.today] - Date recency is measured from (defaults to today)
+ * @returns {Array<{title: string, type: string, duration: number, lastDate: string, sessionCount: number}>} Best suggestions first, with the most recent session's duration
  */
-export function getTodayDate() {
-  return new Date().toISOString().split('T')[0]
+export function suggestMediaTitles(query, entries, { limit = 6, today = getTodayDate() } = {}) {
+  if (!query.trim()) return []
+
+  const titles = new Map()
+  for (const entry of entries) {
+    const key = `${entry.type}\n${entry.title.trim().replace(/\s+/g, ' ').toLowerCase()}`
+    const weight = 0.5 ** (Math.max(daysBetween(entry.date, today), 0) / RECENCY_HALF_LIFE_DAYS)
+    const existing = titles.get(key)
+
+    if (!existing) {
+      titles.set(key, { title: entry.title.trim(), type: entry.type, duration: entry.duration, lastDate: entry.date, sessionCount: 1, frecency: weight })
+      continue
+    }
+    existing.sessionCount++
+    existing.frecency += weight
+    // YYYY-MM-DD strings sort chronologically
+    if (entry.date > existing.lastDate) {
+      Object.assign(existing, { title: entry.title.trim(), duration: entry.duration, lastDate: entry.date })
+    }
+  }
+
+  return [...titles.values()]
+    .map(suggestion => ({ suggestion, match: fuzzyMatchScore(query, suggestion.title) }))
+    .filter(({ match }) => match > 0)
+    .map(({ suggestion, match }) => ({ suggestion, rank: match * (1 + Math.log1p(suggestion.frecency)) }))
+    .sort((a, b) => b.rank - a.rank || b.suggestion.lastDate.localeCompare(a.suggestion.lastDate))
+    .slice(0, limit)
+    .map(({ suggestion: { frecency, ...suggestion } }) => suggestion)
 }
 
 /**
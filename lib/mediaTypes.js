@@ -0,0 +1,129 @@
+/**
+ * @fileoverview Registry of media types the user can log
+ * The registry is a setting, so validation, forms, tables and CSV import all read
+ * the types in effect from here instead of a hard-coded list. Entries store only
+ * the type key; label, icon and color are looked up when they are displayed.
+ */
+
+// Read the schema file directly: schemas/index.js validates against this registry
+import mediaSchema from '../schemas/media.json' with { type: 'json' }
+
+/**
+ * Pattern every media type key must match, taken from schemas/media.json
+ * @type {RegExp}
+ */
+export const MEDIA_TYPE_KEY_PATTERN = new RegExp(mediaSchema.properties.type.pattern)
+
+/**
+ * Icons a media type can use; names of lucide-react icons rendered by components/MediaTypeBadge.js
+ * @type {Array<string>}
+ */
+export const MEDIA_TYPE_ICONS = [
+  'BookOpen', 'Video', 'Mic', 'Music', 'Gamepad2', 'Newspaper',
+  'MessageCircle', 'Tv', 'Headphones', 'Film', 'Radio', 'Camera', 'Globe', 'Tag'
+]
+
+/**
+ * Types every new install starts with
+ * @type {Array<{key: string, label: string, icon: string, color: string}>}
+ */
+export const DEFAULT_MEDIA_TYPES = [
+  { key: 'book', label: 'Book', icon: 'BookOpen', color: '#1976d2' },
+  { key: 'video', label: 'Video', icon: 'Video', color: '#c62828' },
+  { key: 'podcast', label: 'Podcast', icon: 'Mic', color: '#6a1b9a' },
+  { key: 'music', label: 'Music', icon: 'Music', color: '#2e7d32' }
+]
+
+/**
+ * Ready-made types offered in Settings, so common additions are one click away
+ * @type {Array<{key: string, label: string, icon: string, color: string}>}
+ */
+export const SUGGESTED_MEDIA_TYPES = [
+  { key: 'game', label: 'Game', icon: 'Gamepad2', color: '#ef6c00' },
+  { key: 'article', label: 'Article', icon: 'Newspaper', color: '#455a64' },
+  { key: 'social-media', label: 'Social Media', icon: 'MessageCircle', color: '#0097a7' },
+  { key: 'tv-series', label: 'TV Series', icon: 'Tv', color: '#ad1457' },
+  { key: 'audiobook', label: 'Audiobook', icon: 'Headphones', color: '#5d4037' }
+]
+
+/**
+ * How types missing from the registry are shown, e.g. entries from someone else's backup
+ * @type {{icon: string, color: string}}
+ */
+const UNKNOWN_TYPE_STYLE = { icon: 'Tag', color: '#6c757d' }
+
+let mediaTypes = DEFAULT_MEDIA_TYPES.map(type => ({ ...type }))
+
+/**
+ * Turns a label into a media type key, e.g. 'TV Series' into 'tv-series'
+ * @param {string} label - Type label
+ * @returns {string} Key made of lowercase letters, digits and hyphens; empty when nothing usable is left
+ */
+export function createMediaTypeKey(label) {
+  return String(label ?? '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^[^a-z]+|-+$/g, '')
+}
+
+/**
+ * Cleans a stored registry, dropping malformed or duplicate types
+ * @param {Array<Object>} [stored] - Media types as saved
+ * @returns {Array<{key: string, label: string, icon: string, color: string}>} Usable types; the defaults when none are left
+ */
+export function normalizeMediaTypes(stored) {
+  if (!Array.isArray(stored)) return DEFAULT_MEDIA_TYPES.map(type => ({ ...type }))
+
+  const seen = new Set()
+  const types = stored.flatMap(type => {
+    const key = type?.key
+    const label = typeof type?.label === 'string' ? type.label.trim() : ''
+    if (typeof key !== 'string' || !MEDIA_TYPE_KEY_PATTERN.test(key) || seen.has(key) || !label) return []
+
+    seen.add(key)
+    return [{
+      key,
+      label,
+      icon: MEDIA_TYPE_ICONS.includes(type.icon) ? type.icon : UNKNOWN_TYPE_STYLE.icon,
+      color: /^#[0-9a-f]{6}$/i.test(type.color) ? type.color : UNKNOWN_TYPE_STYLE.color
+    }]
+  })
+
+  return types.length > 0 ? types : DEFAULT_MEDIA_TYPES.map(type => ({ ...type }))
+}
+
+/**
+ * Gets the media types currently in effect
+ * @returns {Array<{key: string, label: string, icon: string, color: string}>} Types in display order
+ */
+export function getMediaTypes() {
+  return mediaTypes.map(type => ({ ...type }))
+}
+
+/**
+ * Replaces the media types in effect
+ * @param {Array<Object>} types - New registry; cleaned with normalizeMediaTypes
+ */
+export function setMediaTypes(types) {
+  mediaTypes = normalizeMediaTypes(types)
+}
+
+/**
+ * Checks whether a key is in the registry
+ * @param {string} key - Media type key
+ * @returns {boolean} Whether entries may use this type
+ */
+export function isRegisteredMediaType(key) {
+  return mediaTypes.some(type => type.key === key)
+}
+
+/**
+ * Looks up how to display a media type
+ * Unregistered keys still get a neutral style, so stray entries stay readable
+ * @param {string} key - Media type key
+ * @returns {{key: string, label: string, icon: string, color: string}} Display details
+ */
+export function getMediaType(key) {
+  const type = mediaTypes.find(candidate => candidate.key === key)
+  return type ? { ...type } : { key, label: key ? `Unknown (${key})` : 'Unknown', ...UNKNOWN_TYPE_STYLE }
+}
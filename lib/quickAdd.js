@@ -0,0 +1,198 @@
+/**
+ * @fileoverview Natural-language quick add
+ * Turns short phrases such as "watched Inception 2h10m yesterday", "read Dune 45 min"
+ * or "mood +1" into media entries and happiness check-ins. Several phrases can be
+ * entered at once, separated by semicolons or new lines.
+ */
+
+import { createMediaEntry, createHappinessEntry } from '../schemas/index.js'
+import { getMediaTypes, isRegisteredMediaType } from './mediaTypes.js'
+import { addDays, getCurrentTime, getTodayDate } from './dates.js'
+
+/**
+ * Verbs that start a media phrase, with the media types they suggest in order of preference
+ * The first registered type wins; naming a type after the verb ("listened to music ...") overrides it.
+ * @type {Array<{verb: string, types: Array<string>}>}
+ */
+const MEDIA_VERBS = [
+  { verb: 'listened to', types: ['podcast', 'music', 'audiobook'] },
+  { verb: 'listening to', types: ['podcast', 'music', 'audiobook'] },
+  { verb: 'listened', types: ['podcast', 'music', 'audiobook'] },
+  { verb: 'read', types: ['book', 'article'] },
+  { verb: 'reading', types: ['book', 'article'] },
+  { verb: 'finished', types: ['book'] },
+  { verb: 'watched', types: ['video', 'tv-series'] },
+  { verb: 'watching', types: ['video', 'tv-series'] },
+  { verb: 'watch', types: ['video', 'tv-series'] },
+  { verb: 'saw', types: ['video', 'tv-series'] },
+  { verb: 'played', types: ['game', 'music'] },
+  { verb: 'playing', types: ['game', 'music'] },
+  { verb: 'scrolled', types: ['social-media'] }
+]
+
+/**
+ * Words that start a happiness check-in, followed by the level
+ * @type {RegExp}
+ */
+const MOOD_PATTERN = /^(?:mood|happiness|happy|feeling|felt)\s*[:=]?\s*([+-]?\d+)$/i
+
+/**
+ * Durations: "2h10m", "2 hours 10 minutes", "1.5h", "45 min", "90m"
+ * @type {RegExp}
+ */
+const DURATION_PATTERN = /(?<![\w.])(?:(\d+(?:\.\d+)?)\s*(?:hours?|hrs?|h)(?![a-z])(?:\s*(\d+)\s*(?:minutes?|mins?|m)(?![a-z]))?|(\d+)\s*(?:minutes?|mins?|m)(?![a-z]))/gi
+
+/**
+ * Weekday names, indexed like Date#getUTCDay
+ * @type {Array<string>}
+ */
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday']
+
+/**
+ * Relative and absolute dates, each resolved against today
+ * Patterns are unanchored; extractDate only tries them at the start and end of a phrase
+ * @type {Array<{pattern: RegExp, resolve: Function}>}
+ */
+const DATE_PHRASES = [
+  { pattern: /\b(\d{4}-\d{2}-\d{2})\b/i, resolve: (today, match) => match[1] },
+  { pattern: /\btoday\b/i, resolve: (today) => today },
+  { pattern: /\bday before yesterday\b/i, resolve: (today) => addDays(today, -2) },
+  { pattern: /\byesterday\b/i, resolve: (today) => addDays(today, -1) },
+  { pattern: /\b(\d+)\s+days?\s+ago\b/i, resolve: (today, match) => addDays(today, -Number(match[1])) },
+  {
+    pattern: new RegExp(`\\b(last\\s+|on\\s+)?(${WEEKDAYS.join('|')})\\b`, 'i'),
+    resolve: (today, match) => {
+      const [year, month, day] = today.split('-').map(Number)
+      const todayIndex = new Date(Date.UTC(year, month - 1, day)).getUTCDay()
+      let daysBack = (todayIndex - WEEKDAYS.indexOf(match[2].toLowerCase()) + 7) % 7
+      // "last monday" on a Monday means a week ago rather than today
+      if (daysBack === 0 && match[1]?.trim().toLowerCase() === 'last') daysBack = 7
+      return addDays(today, -daysBack)
+    }
+  }
+]
+
+/**
+ * Takes a date phrase from the start or the end of a phrase
+ * Date words elsewhere belong to the title, as in "watched Friday Night Lights 45 min"
+ * @param {string} text - Phrase without its duration
+ * @param {string} today - Today's date in YYYY-MM-DD format
+ * @returns {{date: string, rest: string}} The resolved date (today when none is given) and the remaining text
+ */
+function extractDate(text, today) {
+  for (const { pattern, resolve } of DATE_PHRASES) {
+    const atStart = text.match(new RegExp(`^(?:${pattern.source})`, 'i'))
+    if (atStart) {
+      return { date: resolve(today, atStart), rest: text.slice(atStart[0].length) }
+    }
+    const atEnd = text.match(new RegExp(`(?:${pattern.source})$`, 'i'))
+    if (atEnd) {
+      return { date: resolve(today, atEnd), rest: text.slice(0, atEnd.index) }
+    }
+  }
+  return { date: today, rest: text }
+}
+
+/**
+ * Takes the last duration out of a phrase
+ * The last one is used so that numbers earlier in a title are left alone
+ * @param {string} text - Phrase
+ * @returns {{minutes: number|null, rest: string}} Whole minutes, or null when there is no duration
+ */
+function extractDuration(text) {
+  const matches = [...text.matchAll(DURATION_PATTERN)]
+  const match = matches[matches.length - 1]
+  if (!match) return { minutes: null, rest: text }
+
+  const [whole, hours, extraMinutes, minutes] = match
+  const total = hours !== undefined
+    ? Number(hours) * 60 + Number(extraMinutes ?? 0)
+    : Number(minutes)
+  return {
+    minutes: Math.round(total),
+    rest: text.slice(0, match.index) + ' ' + text.slice(match.index + whole.length)
+  }
+}
+
+/**
+ * Finds the media type a phrase starts with, as a verb, a type name, or both
+ * @param {string} text - Phrase without its date and duration
+ * @returns {{type: string|null, rest: string}} Registered type key, or null, and the remaining text
+ */
+function extractMediaType(text) {
+  let rest = text
+  let type = null
+
+  const verb = MEDIA_VERBS.find(({ verb }) => new RegExp(`^${verb}\\b`, 'i').test(rest))
+  if (verb) {
+    type = verb.types.find(isRegisteredMediaType) ?? null
+    rest = rest.slice(verb.verb.length).trim()
+  }
+
+  // Longest names first so "tv series" wins over a shorter type sharing its start
+  const names = getMediaTypes()
+    .flatMap(mediaType => [mediaType.label, mediaType.key.replace(/-/g, ' ')].map(name => ({ name: name.toLowerCase(), key: mediaType.key })))
+    .sort((a, b) => b.name.length - a.name.length)
+  const named = names.find(({ name }) => new RegExp(`^${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}s?(?:\\s*:)?(?=\\s|$)`, 'i').test(rest))
+  const withoutName = named && rest.replace(new RegExp(`^\\S+(?:\\s+\\S+){${named.name.split(' ').length - 1}}`), '').replace(/^\s*:/, '').trim()
+  // A title that merely is a type name ("watched Music") keeps its name
+  if (withoutName) {
+    type = named.key
+    rest = withoutName
+  }
+
+  return { type, rest }
+}
+
+/**
+ * Parses one phrase
+ * @param {string} text - Phrase
+ * @param {{today: string, time: string}} options - Today's date and the time given to today's check-ins
+ * @returns {Object} Result object with success flag, the kind of record ('media', 'happiness' or null),
+ *   and the record or errors
+ */
+function parsePhrase(text, { today, time }) {
+  // The duration goes first, so a date written before it still ends the phrase
+  const { minutes, rest: withoutDuration } = extractDuration(text)
+  const { date, rest: withoutDate } = extractDate(withoutDuration.replace(/\s+/g, ' ').trim(), today)
+  const phrase = withoutDate.replace(/\s+/g, ' ').trim()
+
+  const mood = phrase.match(MOOD_PATTERN)
+  if (mood) {
+    return {
+      text,
+      kind: 'happiness',
+      ...createHappinessEntry(date, Number(mood[1]), { time: date === today ? time : undefined })
+    }
+  }
+
+  const { type, rest } = extractMediaType(phrase)
+  const title = rest.replace(/^["'“‘]|["'”’]$/g, '').trim()
+
+  const errors = []
+  if (!type) errors.push('Start with what you did, such as "read", "watched" or "listened to", or a media type')
+  if (minutes === null) errors.push('Add how long it took, such as "45 min" or "1h30m"')
+  if (!title) errors.push('Add a title')
+  if (errors.length > 0) {
+    return { text, kind: type ? 'media' : null, success: false, errors, details: [] }
+  }
+
+  return { text, kind: 'media', ...createMediaEntry(date, type, title, minutes) }
+}
+
+/**
+ * Parses quick-add text into media entries and happiness check-ins
+ * Each phrase is validated the same way as the forms; nothing is saved here.
+ * @param {string} input - Text typed into the quick-add bar
+ * @param {Object} [options] - Options
+ * @param {string} [options.today] - Date relative dates are resolved against (defaults to today)
+ * @param {string} [options.time] - Time given to check-ins for today (defaults to now)
+ * @returns {Array<Object>} One result per phrase: {text, kind, success, data} or {text, kind, success: false, errors, details}
+ */
+export function parseQuickAdd(input, { today = getTodayDate(), time = getCurrentTime() } = {}) {
+  return String(input ?? '')
+    .split(/[;\n]/)
+    .map(text => text.trim())
+    .filter(Boolean)
+    .map(text => parsePhrase(text, { today, time }))
+}
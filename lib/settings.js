@@ -0,0 +1,73 @@
+/**
+ * @fileoverview User preferences persisted in localStorage
+ * Settings are small and needed synchronously at startup, so they live outside the entry repository.
+ */
+
+import { DEFAULT_DATE_SETTINGS, setDateSettings } from './dates.js'
+import { DEFAULT_DIMENSION_SETTINGS, normalizeDimensionSettings } from './wellbeing.js'
+import { DEFAULT_MEDIA_TYPES, normalizeMediaTypes, setMediaTypes } from './mediaTypes.js'
+
+/**
+ * localStorage key holding the settings object
+ * @type {string}
+ */
+export const SETTINGS_STORAGE_KEY = 'media-consumption-tracker-settings'
+
+/**
+ * Settings used when nothing has been saved yet
+ * @type {Object}
+ */
+export const DEFAULT_SETTINGS = {
+  ...DEFAULT_DATE_SETTINGS,
+  dimensions: DEFAULT_DIMENSION_SETTINGS,
+  mediaTypes: DEFAULT_MEDIA_TYPES
+}
+
+/**
+ * Gets the browser's localStorage when it is available
+ * @returns {Storage|null} localStorage or null during prerendering
+ */
+function getDefaultStorage() {
+  return typeof window !== 'undefined' && window.localStorage ? window.localStorage : null
+}
+
+/**
+ * Reads saved settings merged over the defaults
+ * Unreadable settings are ignored so a bad value can never block the app from starting
+ * @param {Storage|null} [storage] - Storage to read from
+ * @returns {Object} Settings
+ */
+export function loadSettings(storage = getDefaultStorage()) {
+  try {
+    const stored = JSON.parse(storage?.getItem(SETTINGS_STORAGE_KEY) ?? 'null')
+    if (!stored || typeof stored !== 'object') return { ...DEFAULT_SETTINGS }
+
+    return {
+      ...DEFAULT_SETTINGS,
+      ...stored,
+      dimensions: normalizeDimensionSettings(stored.dimensions),
+      mediaTypes: normalizeMediaTypes(stored.mediaTypes)
+    }
+  } catch (error) {
+    console.error('Failed to read settings:', error)
+    return { ...DEFAULT_SETTINGS }
+  }
+}
+
+/**
+ * Saves settings
+ * @param {Object} settings - Settings to save
+ * @param {Storage|null} [storage] - Storage to write to
+ */
+export function saveSettings(settings, storage = getDefaultStorage()) {
+  storage?.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings))
+}
+
+/**
+ * Makes settings take effect in the modules that depend on them
+ * @param {Object} settings - Settings to apply
+ */
+export function applySettings(settings) {
+  setDateSettings(settings)
+  setMediaTypes(settings.mediaTypes)
+}
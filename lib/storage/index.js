@@ -0,0 +1,251 @@
+/**
+ * @fileoverview Storage repository for happiness entries, media entries and the media catalog
+ *
+ * Components never touch a storage backend directly. They go through a
+ * repository, which exposes one store per collection on top of a pluggable
+ * adapter. Adapters implement the same small async interface:
+ * getAll, get, getAllByIndex, put, putMany, replaceAll and delete, each taking
+ * the store name first, batch for writes across stores that must succeed or fail
+ * together, plus getMeta and setMeta for per-store metadata such as the schema
+ * version. Before the first operation runs, every store is migrated
+ * to the current schema version (see schemas/migrations.js).
+ */
+
+import { STORES } from './stores.js'
+import { createLocalStorageAdapter } from './localStorageAdapter.js'
+import { createMemoryAdapter } from './memoryAdapter.js'
+import { createIndexedDBAdapter } from './indexedDBAdapter.js'
+import { migrateFromLocalStorage } from './migrateFromLocalStorage.js'
+import { upgradeStores } from './upgradeStores.js'
+
+export { STORES } from './stores.js'
+export { createLocalStorageAdapter } from './localStorageAdapter.js'
+export { createMemoryAdapter } from './memoryAdapter.js'
+export { createIndexedDBAdapter } from './indexedDBAdapter.js'
+export { migrateFromLocalStorage } from './migrateFromLocalStorage.js'
+export { upgradeStores } from './upgradeStores.js'
+
+/**
+ * Sorts entries by date, newest first; entries with a time of day are also ordered by it
+ * @param {Array<Object>} entries - Entries with a date field
+ * @returns {Array<Object>} A new sorted array
+ */
+function sortByDateDesc(entries) {
+  return [...entries].sort((a, b) => new Date(b.date) - new Date(a.date) || (b.time ?? '').localeCompare(a.time ?? ''))
+}
+
+/**
+ * Sorts catalog items alphabetically by title
+ * @param {Array<Object>} items - Catalog items
+ * @returns {Array<Object>} A new sorted array
+ */
+function sortByTitle(items) {
+  return [...items].sort((a, b) => a.title.localeCompare(b.title))
+}
+
+/**
+ * Creates the store API for one collection
+ * @param {Object} adapter - Storage adapter
+ * @param {string} storeName - Name of the store
+ * @param {Promise} ready - Settles once the stores have been set up and upgraded
+ * @param {Function} [sort=sortByDateDesc] - Order list returns records in
+ * @returns {Object} Store with get, list, put, putMany, replaceAll, delete, deleteMany and queryByDate
+ */
+function createStore(adapter, storeName, ready, sort = sortByDateDesc) {
+  /**
+   * Defers an adapter call until setup work such as migrations has finished
+   * @param {Function} operation - Adapter call
+   * @returns {Function} The same call, run after ready
+   */
+  const afterReady = (operation) => async (...args) => {
+    await ready
+    return operation(...args)
+  }
+
+  return {
+    /**
+     * Gets a single record by key
+     * @param {string} key - Record key
+     * @returns {Promise<Object|undefined>} The record, if found
+     */
+    get: afterReady((key) => adapter.get(storeName, key)),
+
+    /**
+     * Lists every record, newest first unless the store sorts otherwise
+     * @returns {Promise<Array<Object>>} All records
+     */
+    list: afterReady(async () => sort(await adapter.getAll(storeName))),
+
+    /**
+     * Inserts or replaces a record
+     * @param {Object} record - The record to store
+     * @returns {Promise<Object>} The stored record
+     */
+    put: afterReady((record) => adapter.put(storeName, record)),
+
+    /**
+     * Inserts or replaces several records
+     * @param {Array<Object>} records - The records to store
+     * @returns {Promise<Array<Object>>} The stored records
+     */
+    putMany: afterReady((records) => adapter.putMany(storeName, records)),
+
+    /**
+     * Replaces every record in the store
+     * @param {Array<Object>} records - The new contents of the store
+     * @returns {Promise<Array<Object>>} The stored records
+     */
+    replaceAll: afterReady((records) => adapter.replaceAll(storeName, records)),
+
+    /**
+     * Deletes a record by key
+     * @param {string} key - Record key
+     * @returns {Promise<void>}
+     */
+    delete: afterReady((key) => adapter.delete(storeName, key)),
+
+    /**
+     * Deletes several records by key
+     * @param {Array<string>} keys - Record keys
+     * @returns {Promise<void>}
+     */
+    deleteMany: afterReady(async (keys) => {
+      for (const key of keys) {
+        await adapter.delete(storeName, key)
+      }
+    }),
+
+    /**
+     * Lists records for a single date
+     * @param {string} date - Date in YYYY-MM-DD format
+     * @returns {Promise<Array<Object>>} Records for that date
+     */
+    queryByDate: afterReady((date) => adapter.getAllByIndex(storeName, 'date', date))
+  }
+}
+
+/**
+ * Creates a repository on top of a storage adapter
+ * @param {Object} adapter - Storage adapter
+ * @param {Object} [options] - Repository options
+ * @param {Function} [options.setup] - Async work to run before the stores are upgraded, e.g. a data migration
+ * @returns {Object} Repository with happiness, media and catalog stores, and a ready promise resolving to the load report
+ */
+export function createRepository(adapter, { setup } = {}) {
+  const ready = (async () => {
+    const migration = setup ? await setup() : null
+    const upgrade = await upgradeStores(adapter, Object.keys(STORES))
+    return { migration, upgrade }
+  })()
+  const media = createStore(adapter, 'media', ready)
+  // Catalog items are undated, so there is nothing to query by date
+  const { queryByDate, ...catalog } = createStore(adapter, 'catalog', ready, sortByTitle)
+
+  return {
+    adapter,
+    ready,
+    happiness: createStore(adapter, 'happiness', ready),
+    media: {
+      ...media,
+
+      /**
+       * Lists media entries of a single type
+       * @param {string} type - Media type
+       * @returns {Promise<Array<Object>>} Entries of that type
+       */
+      queryByType: async (type) => {
+        await ready
+        return adapter.getAllByIndex('media', 'type', type)
+      },
+
+      /**
+       * Lists the sessions logged against one catalog item
+       * @param {string} catalogId - Catalog item id
+       * @returns {Promise<Array<Object>>} Sessions for that item
+       */
+      queryByCatalogId: async (catalogId) => {
+        await ready
+        return sortByDateDesc(await adapter.getAllByIndex('media', 'catalogId', catalogId))
+      }
+    },
+    catalog,
+
+    /**
+     * Applies writes across stores as one unit: if any write fails, none are kept
+     * @param {Function} collect - Receives a writer with put(storeName, record), delete(storeName, key)
+     *   and clear(storeName), applied in the order they are called
+     * @returns {Promise<void>}
+     */
+    batch: async (collect) => {
+      await ready
+      const operations = []
+      collect({
+        put: (storeName, record) => operations.push({ type: 'put', storeName, record }),
+        delete: (storeName, key) => operations.push({ type: 'delete', storeName, key }),
+        clear: (storeName) => operations.push({ type: 'clear', storeName })
+      })
+      if (operations.length > 0) {
+        await adapter.batch(operations)
+      }
+    }
+  }
+}
+
+/**
+ * Picks the best backend for the current environment
+ * IndexedDB is preferred; existing localStorage data is migrated into it once
+ * @returns {Object} Repository
+ */
+function createDefaultRepository() {
+  if (typeof window === 'undefined') {
+    return createRepository(createMemoryAdapter(STORES))
+  }
+
+  if (window.indexedDB) {
+    const adapter = createIndexedDBAdapter({ indexedDB: window.indexedDB, stores: STORES })
+    const setup = window.localStorage
+      ? () => migrateFromLocalStorage(window.localStorage, adapter, STORES)
+      : undefined
+    return createRepository(adapter, { setup })
+  }
+
+  if (window.localStorage) {
+    return createRepository(createLocalStorageAdapter({ storage: window.localStorage, stores: STORES }))
+  }
+
+  return createRepository(createMemoryAdapter(STORES))
+}
+
+/**
+ * Counts records that could not be loaded, across migration and upgrade
+ * @param {Object|null} report - Load report resolved by repository.ready
+ * @returns {number} Number of rejected records
+ */
+export function countRejectedRecords(report) {
+  const storeReports = [
+    ...Object.values(report?.migration?.stores ?? {}),
+    ...Object.values(report?.upgrade ?? {})
+  ]
+  return storeReports.reduce((total, store) => total + store.rejected.length, 0)
+}
+
+let activeRepository = null
+
+/**
+ * Gets the repository the app should use, creating the default one on first use
+ * @returns {Object} The active repository
+ */
+export function getRepository() {
+  if (!activeRepository) {
+    activeRepository = createDefaultRepository()
+  }
+  return activeRepository
+}
+
+/**
+ * Replaces the active repository, e.g. to plug in another backend
+ * @param {Object} repository - Repository created with createRepository
+ */
+export function setRepository(repository) {
+  activeRepository = repository
+}
@@ -0,0 +1,225 @@
+/**
+ * @fileoverview IndexedDB storage adapter
+ */
+
+import { STORES, getStoreDefinition } from './stores.js'
+import { generateUUID } from '../../schemas/index.js'
+
+/**
+ * Name of the IndexedDB database
+ * @type {string}
+ */
+export const DATABASE_NAME = 'media-consumption-tracker'
+
+/**
+ * Version of the database structure (object stores and indexes)
+ * @type {number}
+ */
+export const DATABASE_VERSION = 4
+
+/**
+ * Object store holding per-collection metadata such as schemaVersion
+ * @type {string}
+ */
+const META_STORE = '_meta'
+
+/**
+ * Wraps an IDBRequest in a promise
+ * @param {IDBRequest} request - The request to wait for
+ * @returns {Promise<*>} The request result
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+/**
+ * Creates an object store with its indexes
+ * @param {IDBDatabase} database - Database being upgraded
+ * @param {string} storeName - Name of the object store
+ * @param {{keyPath: string, indexes: Array<string>}} definition - Store definition
+ * @returns {IDBObjectStore} The new object store
+ */
+function createObjectStore(database, storeName, { keyPath, indexes }) {
+  const objectStore = database.createObjectStore(storeName, { keyPath })
+  for (const index of indexes) {
+    objectStore.createIndex(index, index, { unique: false })
+  }
+  return objectStore
+}
+
+/**
+ * Recreates an object store whose keyPath has changed, carrying its records over
+ * Records without a value for the new keyPath are given a generated UUID; schema
+ * migrations later see the same records and leave existing keys alone.
+ * Runs inside the versionchange transaction, so a failure rolls the whole upgrade back.
+ * @param {IDBDatabase} database - Database being upgraded
+ * @param {IDBTransaction} transaction - The versionchange transaction
+ * @param {string} storeName - Name of the object store
+ * @param {Object} definition - New store definition
+ */
+function rekeyObjectStore(database, transaction, storeName, definition) {
+  const request = transaction.objectStore(storeName).getAll()
+  request.onsuccess = () => {
+    database.deleteObjectStore(storeName)
+    const objectStore = createObjectStore(database, storeName, definition)
+    for (const record of request.result) {
+      objectStore.put(record[definition.keyPath] === undefined
+        ? { [definition.keyPath]: generateUUID(), ...record }
+        : record)
+    }
+  }
+}
+
+/**
+ * Creates an adapter that stores each collection in its own object store
+ * Records are written individually, so a change never re-serialises the whole collection
+ * @param {Object} [options] - Adapter options
+ * @param {IDBFactory} [options.indexedDB=globalThis.indexedDB] - IndexedDB implementation
+ * @param {string} [options.name=DATABASE_NAME] - Database name
+ * @param {Object} [options.stores=STORES] - Store definitions
+ * @returns {Object} Storage adapter
+ */
+export function createIndexedDBAdapter({ indexedDB = globalThis.indexedDB, name = DATABASE_NAME, stores = STORES } = {}) {
+  if (!indexedDB) {
+    throw new Error('IndexedDB is not available in this environment')
+  }
+
+  let databasePromise = null
+
+  /**
+   * Opens the database once, creating object stores and indexes on upgrade
+   * @returns {Promise<IDBDatabase>} The open database
+   */
+  const openDatabase = () => {
+    if (!databasePromise) {
+      const request = indexedDB.open(name, DATABASE_VERSION)
+      request.onupgradeneeded = () => {
+        const database = request.result
+        const transaction = request.transaction
+        for (const [storeName, definition] of Object.entries(stores)) {
+          if (!database.objectStoreNames.contains(storeName)) {
+            createObjectStore(database, storeName, definition)
+            continue
+          }
+
+          const objectStore = transaction.objectStore(storeName)
+          if (objectStore.keyPath !== definition.keyPath) {
+            rekeyObjectStore(database, transaction, storeName, definition)
+            continue
+          }
+          for (const index of definition.indexes) {
+            if (!objectStore.indexNames.contains(index)) {
+              objectStore.createIndex(index, index, { unique: false })
+            }
+          }
+        }
+        if (!database.objectStoreNames.contains(META_STORE)) {
+          database.createObjectStore(META_STORE, { keyPath: 'store' })
+        }
+      }
+      databasePromise = promisifyRequest(request)
+    }
+    return databasePromise
+  }
+
+  /**
+   * Runs work inside a transaction and resolves once it has committed
+   * @param {string} storeName - Name of the object store
+   * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+   * @param {Function} work - Receives the object store and returns a request or nothing
+   * @returns {Promise<*>} Result of the returned request, if any
+   */
+  const transact = async (storeName, mode, work) => {
+    if (storeName !== META_STORE) {
+      getStoreDefinition(stores, storeName)
+    }
+    const database = await openDatabase()
+    return new Promise((resolve, reject) => {
+      const transaction = database.transaction(storeName, mode)
+      const request = work(transaction.objectStore(storeName))
+      transaction.oncomplete = () => resolve(request?.result)
+      transaction.onerror = () => reject(transaction.error)
+      transaction.onabort = () => reject(transaction.error || new Error(`Transaction on ${storeName} was aborted`))
+    })
+  }
+
+  return {
+    name: 'indexedDB',
+
+    getAll(storeName) {
+      return transact(storeName, 'readonly', store => store.getAll())
+    },
+
+    get(storeName, key) {
+      return transact(storeName, 'readonly', store => store.get(key))
+    },
+
+    getAllByIndex(storeName, indexName, value) {
+      return transact(storeName, 'readonly', store => store.index(indexName).getAll(value))
+    },
+
+    async put(storeName, record) {
+      await transact(storeName, 'readwrite', store => store.put(record))
+      return record
+    },
+
+    async putMany(storeName, records) {
+      // One transaction, so either every record is committed or none are
+      await transact(storeName, 'readwrite', (store) => {
+        records.forEach(record => store.put(record))
+      })
+      return records
+    },
+
+    async replaceAll(storeName, records) {
+      await transact(storeName, 'readwrite', (store) => {
+        store.clear()
+        records.forEach(record => store.put(record))
+      })
+      return records
+    },
+
+    async delete(storeName, key) {
+      await transact(storeName, 'readwrite', store => store.delete(key))
+    },
+
+    async batch(operations) {
+      const storeNames = [...new Set(operations.map(operation => operation.storeName))]
+      storeNames.forEach(storeName => getStoreDefinition(stores, storeName))
+      const database = await openDatabase()
+      // One transaction across every store touched, so either every write is committed or none are
+      await new Promise((resolve, reject) => {
+        const transaction = database.transaction(storeNames, 'readwrite')
+        for (const { type, storeName, record, key } of operations) {
+          const store = transaction.objectStore(storeName)
+          if (type === 'put') {
+            store.put(record)
+          } else if (type === 'clear') {
+            store.clear()
+          } else {
+            store.delete(key)
+          }
+        }
+        transaction.oncomplete = () => resolve()
+        transaction.onerror = () => reject(transaction.error)
+        transaction.onabort = () => reject(transaction.error || new Error(`Transaction on ${storeNames.join(', ')} was aborted`))
+      })
+    },
+
+    async getMeta(storeName) {
+      getStoreDefinition(stores, storeName)
+      const record = await transact(META_STORE, 'readonly', store => store.get(storeName))
+      if (!record) return null
+      const { store, ...meta } = record
+      return meta
+    },
+
+    async setMeta(storeName, meta) {
+      const existing = await this.getMeta(storeName)
+      await transact(META_STORE, 'readwrite', store => store.put({ ...existing, ...meta, store: storeName }))
+    }
+  }
+}
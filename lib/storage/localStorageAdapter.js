@@ -0,0 +1,124 @@
+/**
+ * @fileoverview localStorage storage adapter
+ */
+
+import { createEnvelope, readEnvelope } from '../../schemas/migrations.js'
+import { STORES, getStoreDefinition } from './stores.js'
+
+/**
+ * Creates an adapter that serialises each store as a versioned envelope under its key
+ * Bare arrays written by older versions are read as schema version 0.
+ * Parse and quota errors are thrown so callers can report them
+ * @param {Object} [options] - Adapter options
+ * @param {Storage} [options.storage=globalThis.localStorage] - Web Storage implementation
+ * @param {Object} [options.stores=STORES] - Store definitions
+ * @returns {Object} Storage adapter
+ */
+export function createLocalStorageAdapter({ storage = globalThis.localStorage, stores = STORES } = {}) {
+  if (!storage) {
+    throw new Error('localStorage is not available in this environment')
+  }
+
+  const readPayload = (storeName) => {
+    const { key } = getStoreDefinition(stores, storeName)
+    const stored = storage.getItem(key)
+    return stored ? readEnvelope(JSON.parse(stored)) : null
+  }
+
+  const writePayload = (storeName, envelope) => {
+    const { key } = getStoreDefinition(stores, storeName)
+    storage.setItem(key, JSON.stringify(envelope))
+  }
+
+  const read = (storeName) => readPayload(storeName)?.entries ?? []
+
+  const write = (storeName, records) => {
+    const envelope = readPayload(storeName) ?? createEnvelope([])
+    writePayload(storeName, { ...envelope, entries: records })
+  }
+
+  return {
+    name: 'localStorage',
+
+    async getAll(storeName) {
+      return read(storeName)
+    },
+
+    async get(storeName, key) {
+      const { keyPath } = getStoreDefinition(stores, storeName)
+      return read(storeName).find(record => record[keyPath] === key)
+    },
+
+    async getAllByIndex(storeName, indexName, value) {
+      return read(storeName).filter(record => record[indexName] === value)
+    },
+
+    async put(storeName, record) {
+      const { keyPath } = getStoreDefinition(stores, storeName)
+      const records = read(storeName).filter(existing => existing[keyPath] !== record[keyPath])
+      write(storeName, [...records, record])
+      return record
+    },
+
+    async putMany(storeName, records) {
+      const { keyPath } = getStoreDefinition(stores, storeName)
+      const incomingKeys = new Set(records.map(record => record[keyPath]))
+      const existing = read(storeName).filter(record => !incomingKeys.has(record[keyPath]))
+      write(storeName, [...existing, ...records])
+      return records
+    },
+
+    async replaceAll(storeName, records) {
+      write(storeName, records)
+      return records
+    },
+
+    async delete(storeName, key) {
+      const { keyPath } = getStoreDefinition(stores, storeName)
+      write(storeName, read(storeName).filter(record => record[keyPath] !== key))
+    },
+
+    async batch(operations) {
+      const staged = new Map()
+      for (const { type, storeName, record, key } of operations) {
+        const { keyPath } = getStoreDefinition(stores, storeName)
+        if (type === 'clear') {
+          staged.set(storeName, [])
+          continue
+        }
+        const records = staged.get(storeName) ?? read(storeName)
+        const removedKey = type === 'put' ? record[keyPath] : key
+        const kept = records.filter(existing => existing[keyPath] !== removedKey)
+        staged.set(storeName, type === 'put' ? [...kept, record] : kept)
+      }
+
+      // Each store is its own key, so stores already written are put back if a later write fails
+      const previous = new Map([...staged.keys()].map(storeName => [storeName, storage.getItem(getStoreDefinition(stores, storeName).key)]))
+      try {
+        staged.forEach((records, storeName) => write(storeName, records))
+      } catch (error) {
+        previous.forEach((stored, storeName) => {
+          const { key } = getStoreDefinition(stores, storeName)
+          if (stored === null) {
+            storage.removeItem(key)
+          } else {
+            storage.setItem(key, stored)
+          }
+        })
+        throw error
+      }
+    },
+
+    async getMeta(storeName) {
+      const envelope = readPayload(storeName)
+      if (!envelope) return null
+      const { entries, ...meta } = envelope
+      return meta
+    },
+
+    async setMeta(storeName, meta) {
+      const envelope = readPayload(storeName) ?? createEnvelope([])
+      writePayload(storeName, { ...envelope, ...meta, entries: envelope.entries })
+    }
+  }
+}
@@ -0,0 +1,91 @@
+/**
+ * @fileoverview In-memory storage adapter, used by tests and as a fallback
+ */
+
+import { STORES, getStoreDefinition } from './stores.js'
+
+/**
+ * Creates an adapter that keeps every store in a Map
+ * Records are copied on the way in and out so callers can't mutate stored data
+ * @param {Object} [stores=STORES] - Store definitions
+ * @returns {Object} Storage adapter
+ */
+export function createMemoryAdapter(stores = STORES) {
+  const data = new Map(Object.keys(stores).map(name => [name, new Map()]))
+  const metadata = new Map()
+
+  const getRecords = (storeName) => {
+    getStoreDefinition(stores, storeName)
+    return data.get(storeName)
+  }
+
+  return {
+    name: 'memory',
+
+    async getAll(storeName) {
+      return Array.from(getRecords(storeName).values(), record => ({ ...record }))
+    },
+
+    async get(storeName, key) {
+      const record = getRecords(storeName).get(key)
+      return record ? { ...record } : undefined
+    },
+
+    async getAllByIndex(storeName, indexName, value) {
+      const records = await this.getAll(storeName)
+      return records.filter(record => record[indexName] === value)
+    },
+
+    async put(storeName, record) {
+      const { keyPath } = getStoreDefinition(stores, storeName)
+      getRecords(storeName).set(record[keyPath], { ...record })
+      return record
+    },
+
+    async putMany(storeName, records) {
+      for (const record of records) {
+        await this.put(storeName, record)
+      }
+      return records
+    },
+
+    async replaceAll(storeName, records) {
+      getRecords(storeName).clear()
+      return this.putMany(storeName, records)
+    },
+
+    async delete(storeName, key) {
+      getRecords(storeName).delete(key)
+    },
+
+    async batch(operations) {
+      // Changes are made to copies that are swapped in at the end, so a failure leaves every store as it was
+      const staged = new Map()
+      for (const { type, storeName, record, key } of operations) {
+        const { keyPath } = getStoreDefinition(stores, storeName)
+        if (!staged.has(storeName)) {
+          staged.set(storeName, new Map(getRecords(storeName)))
+        }
+        if (type === 'put') {
+          staged.get(storeName).set(record[keyPath], { ...record })
+        } else if (type === 'clear') {
+          staged.get(storeName).clear()
+        } else {
+          staged.get(storeName).delete(key)
+        }
+      }
+      staged.forEach((records, storeName) => data.set(storeName, records))
+    },
+
+    async getMeta(storeName) {
+      getStoreDefinition(stores, storeName)
+      const meta = metadata.get(storeName)
+      return meta ? { ...meta } : null
+    },
+
+    async setMeta(storeName, meta) {
+      getStoreDefinition(stores, storeName)
+      metadata.set(storeName, { ...metadata.get(storeName), ...meta })
+    }
+  }
+}
@@ -0,0 +1,78 @@
+/**
+ * @fileoverview One-time migration of localStorage data into another adapter
+ */
+
+import { CURRENT_SCHEMA_VERSION, upgradePayload } from '../../schemas/migrations.js'
+import { STORES } from './stores.js'
+
+/**
+ * localStorage key recording that the migration has already run
+ * @type {string}
+ */
+export const MIGRATION_FLAG_KEY = 'media-consumption-tracker-migrated-to-indexeddb'
+
+/**
+ * Reads the legacy payload for one store, migrating and validating its records
+ * @param {Storage} storage - Web Storage holding the legacy data
+ * @param {string} key - localStorage key of the store
+ * @param {string} storeName - Name of the store
+ * @returns {{valid: Array<Object>, rejected: Array<Object>, createdAt: string|null}} Records split by validity
+ */
+function readLegacyRecords(storage, key, storeName) {
+  const stored = storage.getItem(key)
+  if (!stored) return { valid: [], rejected: [], createdAt: null }
+
+  try {
+    const { envelope, rejected } = upgradePayload(JSON.parse(stored), storeName)
+    return { valid: envelope.entries, rejected, createdAt: envelope.createdAt }
+  } catch (error) {
+    return { valid: [], rejected: [{ record: stored, errors: [`Stored data could not be read: ${error.message}`] }], createdAt: null }
+  }
+}
+
+/**
+ * Moves happiness and media entries from localStorage into the target adapter
+ *
+ * Every record is migrated to the current schema version and checked with its
+ * schema validator before anything is written.
+ * Valid records are committed per store with putMany. The legacy key is removed
+ * only when all of its records made it across; otherwise it is left untouched so
+ * nothing is lost, and the rejected records are returned for reporting.
+ *
+ * @param {Storage} storage - Web Storage holding the legacy data
+ * @param {Object} adapter - Target storage adapter
+ * @param {Object} [stores=STORES] - Store definitions
+ * @returns {Promise<Object>} Report with migrated flag and per-store moved/rejected records
+ */
+export async function migrateFromLocalStorage(storage, adapter, stores = STORES) {
+  if (storage.getItem(MIGRATION_FLAG_KEY)) {
+    return { migrated: false, stores: {} }
+  }
+
+  const report = { migrated: true, stores: {} }
+  const pending = Object.entries(stores).map(([storeName, { key }]) => ({
+    storeName,
+    key,
+    ...readLegacyRecords(storage, key, storeName)
+  }))
+
+  for (const { storeName, valid, rejected, createdAt } of pending) {
+    if (valid.length > 0) {
+      await adapter.putMany(storeName, valid)
+    }
+    await adapter.setMeta(storeName, {
+      schemaVersion: CURRENT_SCHEMA_VERSION,
+      createdAt: createdAt || new Date().toISOString()
+    })
+    report.stores[storeName] = { moved: valid.length, rejected }
+  }
+
+  storage.setItem(MIGRATION_FLAG_KEY, new Date().toISOString())
+  for (const { key, rejected } of pending) {
+    if (rejected.length === 0) {
+      storage.removeItem(key)
+    }
+  }
+
+  return report
+}
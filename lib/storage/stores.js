@@ -0,0 +1,42 @@
+/**
+ * @fileoverview Store definitions shared by every storage adapter
+ */
+
+/**
+ * Describes each collection the app persists
+ * - key: localStorage key the collection is serialised under
+ * - keyPath: field that uniquely identifies a record
+ * - indexes: fields that can be queried with getAllByIndex
+ * @type {Object<string, {key: string, keyPath: string, indexes: Array<string>}>}
+ */
+export const STORES = {
+  happiness: {
+    key: 'media-consumption-tracker-entries',
+    keyPath: 'id',
+    indexes: ['date']
+  },
+  media: {
+    key: 'media-consumption-tracker-media-entries',
+    keyPath: 'id',
+    indexes: ['date', 'type', 'catalogId']
+  },
+  catalog: {
+    key: 'media-consumption-tracker-catalog',
+    keyPath: 'id',
+    indexes: ['type']
+  }
+}
+
+/**
+ * Looks up a store definition, failing loudly on typos
+ * @param {Object} stores - Store definitions
+ * @param {string} storeName - Name of the store
+ * @returns {Object} The store definition
+ */
+export function getStoreDefinition(stores, storeName) {
+  const definition = stores[storeName]
+  if (!definition) {
+    throw new Error(`Unknown store: ${storeName}`)
+  }
+  return definition
+}
@@ -0,0 +1,45 @@
+/**
+ * @fileoverview Brings every store up to the current schema version on load
+ */
+
+import { CURRENT_SCHEMA_VERSION, upgradeEntries } from '../../schemas/migrations.js'
+
+/**
+ * Migrates and validates the records of each store through an adapter
+ *
+ * Stores without metadata but with records predate versioning and are treated as
+ * version 0. Records that fail the structural schema check after migration are
+ * removed from the store and kept in its metadata under `rejected`, so they can be
+ * reported and recovered rather than silently discarded. Policy checks such as
+ * date bounds and registered media types are left to create time, so a clock or
+ * settings change never removes stored records.
+ *
+ * @param {Object} adapter - Storage adapter
+ * @param {Array<string>} storeNames - Stores to upgrade
+ * @returns {Promise<Object<string, {fromVersion: number, rejected: Array<Object>}>>} Per-store upgrade report
+ */
+export async function upgradeStores(adapter, storeNames) {
+  const report = {}
+
+  for (const storeName of storeNames) {
+    const meta = await adapter.getMeta(storeName)
+    const records = await adapter.getAll(storeName)
+    const fromVersion = meta?.schemaVersion ?? (records.length > 0 ? 0 : CURRENT_SCHEMA_VERSION)
+    const { entries, rejected } = upgradeEntries(records, fromVersion, storeName)
+
+    if (fromVersion !== CURRENT_SCHEMA_VERSION || rejected.length > 0) {
+      await adapter.replaceAll(storeName, entries)
+    }
+    if (fromVersion !== CURRENT_SCHEMA_VERSION || rejected.length > 0 || !meta) {
+      await adapter.setMeta(storeName, {
+        schemaVersion: CURRENT_SCHEMA_VERSION,
+        createdAt: meta?.createdAt || new Date().toISOString(),
+        rejected: [...(meta?.rejected ?? []), ...rejected.map(({ record, errors }) => ({ record, errors, fromVersion }))]
+      })
+    }
+
+    report[storeName] = { fromVersion, rejected }
+  }
+
+  return report
+}
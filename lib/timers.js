@@ -0,0 +1,199 @@
+/**
+ * @fileoverview Live timers for media sessions
+ * A timer is a list of running periods, so it can be paused and resumed. Timers
+ * are kept in localStorage while they run, so a reload does not lose them, and
+ * become media entries when stopped: one per day the timer ran on.
+ */
+
+import { createMediaEntry, generateUUID } from '../schemas/index.js'
+import { getLocalDate, getTodayDate } from './dates.js'
+
+/**
+ * localStorage key holding the timers in progress
+ * @type {string}
+ */
+export const TIMERS_STORAGE_KEY = 'media-consumption-tracker-timers'
+
+/**
+ * Gets the browser's localStorage when it is available
+ * @returns {Storage|null} localStorage or null during prerendering
+ */
+function getDefaultStorage() {
+  return typeof window !== 'undefined' && window.localStorage ? window.localStorage : null
+}
+
+/**
+ * Checks the shape of a stored timer
+ * @param {*} timer - Value read from storage
+ * @returns {boolean} Whether the timer can be used
+ */
+function isStoredTimer(timer) {
+  return Boolean(timer) &&
+    typeof timer.id === 'string' &&
+    typeof timer.type === 'string' &&
+    typeof timer.title === 'string' &&
+    Array.isArray(timer.periods) &&
+    timer.periods.length > 0 &&
+    timer.periods.every(period => typeof period.start === 'number' && (period.end === null || typeof period.end === 'number'))
+}
+
+/**
+ * Reads the timers in progress
+ * Unreadable timers are dropped so a bad value can never block the app from starting
+ * @param {Storage|null} [storage] - Storage to read from
+ * @returns {Array<Object>} Timers
+ */
+export function loadTimers(storage = getDefaultStorage()) {
+  try {
+    const stored = JSON.parse(storage?.getItem(TIMERS_STORAGE_KEY) ?? '[]')
+    return Array.isArray(stored) ? stored.filter(isStoredTimer) : []
+  } catch (error) {
+    console.error('Failed to read timers:', error)
+    return []
+  }
+}
+
+/**
+ * Saves the timers in progress
+ * @param {Array<Object>} timers - Timers to save
+ * @param {Storage|null} [storage] - Storage to write to
+ */
+export function saveTimers(timers, storage = getDefaultStorage()) {
+  storage?.setItem(TIMERS_STORAGE_KEY, JSON.stringify(timers))
+}
+
+/**
+ * Starts a timer for a title
+ * The title is checked the same way a media entry's is, so stopping cannot fail on it later
+ * @param {string} type - Media type key
+ * @param {string} title - Title
+ * @param {number} [now] - Start time in milliseconds since the epoch
+ * @returns {Object} Result object with success flag and timer or errors
+ */
+export function startTimer(type, title, now = Date.now()) {
+  const check = createMediaEntry(getTodayDate(), type, title, 1)
+  if (!check.success) return check
+
+  return {
+    success: true,
+    data: { id: generateUUID(), type, title, periods: [{ start: now, end: null }] }
+  }
+}
+
+/**
+ * Checks whether a timer is counting
+ * @param {Object} timer - Timer
+ * @returns {boolean} True unless paused
+ */
+export function isTimerRunning(timer) {
+  return timer.periods[timer.periods.length - 1].end === null
+}
+
+/**
+ * Pauses a running timer
+ * @param {Object} timer - Timer
+ * @param {number} [now] - Pause time in milliseconds since the epoch
+ * @returns {Object} The paused timer
+ */
+export function pauseTimer(timer, now = Date.now()) {
+  if (!isTimerRunning(timer)) return timer
+  const periods = timer.periods.map((period, index) =>
+    index === timer.periods.length - 1 ? { ...period, end: Math.max(now, period.start) } : period
+  )
+  return { ...timer, periods }
+}
+
+/**
+ * Resumes a paused timer
+ * @param {Object} timer - Timer
+ * @param {number} [now] - Resume time in milliseconds since the epoch
+ * @returns {Object} The running timer
+ */
+export function resumeTimer(timer, now = Date.now()) {
+  if (isTimerRunning(timer)) return timer
+  return { ...timer, periods: [...timer.periods, { start: now, end: null }] }
+}
+
+/**
+ * Measures how long a timer has been counting
+ * @param {Object} timer - Timer
+ * @param {number} [now] - Current time in milliseconds since the epoch
+ * @returns {number} Milliseconds counted, leaving out paused time
+ */
+export function getElapsedMs(timer, now = Date.now()) {
+  return timer.periods.reduce((total, period) => total + Math.max((period.end ?? now) - period.start, 0), 0)
+}
+
+/**
+ * Finds the first millisecond that falls on a later day than the start
+ * Searches by halving, which works whatever the timezone and rollover hour are
+ * @param {number} start - Instant on the earlier day
+ * @param {number} end - Instant on a later day
+ * @returns {number} First instant of the following day
+ */
+function findDayBoundary(start, end) {
+  const startDate = getLocalDate(new Date(start))
+  let low = start
+  let high = end
+  while (high - low > 1) {
+    const middle = Math.floor((low + high) / 2)
+    if (getLocalDate(new Date(middle)) === startDate) low = middle
+    else high = middle
+  }
+  return high
+}
+
+/**
+ * Splits a timer's counted time over the days it fell on
+ * Days follow the user's timezone and day rollover hour
+ * @param {Object} timer - Timer
+ * @param {number} [now] - Current time in milliseconds since the epoch
+ * @returns {Array<{date: string, ms: number}>} Time per day, earliest first
+ */
+export function splitTimerByDay(timer, now = Date.now()) {
+  const days = new Map()
+  const add = (date, ms) => days.set(date, (days.get(date) ?? 0) + ms)
+
+  timer.periods.forEach(period => {
+    let start = period.start
+    const end = Math.max(period.end ?? now, start)
+    while (getLocalDate(new Date(start)) !== getLocalDate(new Date(end))) {
+      const boundary = findDayBoundary(start, end)
+      add(getLocalDate(new Date(start)), boundary - start)
+      start = boundary
+    }
+    add(getLocalDate(new Date(start)), end - start)
+  })
+
+  // YYYY-MM-DD strings sort chronologically
+  return [...days.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([date, ms]) => ({ date, ms }))
+}
+
+/**
+ * Stops a timer and turns it into media entries
+ * Each day the timer ran on gets its own entry with that day's minutes, rounded;
+ * days with less than half a minute are left out. Nothing is returned unless every
+ * entry validates.
+ * @param {Object} timer - Timer
+ * @param {number} [now] - Stop time in milliseconds since the epoch
+ * @returns {Object} Result object with success flag and media entries or errors
+ */
+export function stopTimer(timer, now = Date.now()) {
+  const days = splitTimerByDay(timer, now)
+    .map(({ date, ms }) => ({ date, minutes: Math.round(ms / 60000) }))
+    .filter(({ minutes }) => minutes > 0)
+
+  if (days.length === 0) {
+    return {
+      success: false,
+      errors: ['The timer ran for less than a minute'],
+      details: []
+    }
+  }
+
+  const results = days.map(({ date, minutes }) => createMediaEntry(date, timer.type, timer.title, minutes))
+  const failed = results.find(result => !result.success)
+  return failed ?? { success: true, data: results.map(result => result.data) }
+}
@@ -0,0 +1,78 @@
+/**
+ * @fileoverview Wellbeing dimensions recorded alongside happiness
+ * Each dimension is an optional integer field on a check-in. The schema only
+ * bounds values to SCALE_LIMITS; the scale a user rates on is a setting, so
+ * changing it never invalidates entries that were recorded on another scale.
+ */
+
+import { schemas } from '../schemas/index.js'
+
+/**
+ * Dimensions that can be rated, keyed by their field name in schemas/happiness.json
+ * @type {Object<string, {label: string, lowLabel: string, highLabel: string}>}
+ */
+export const WELLBEING_DIMENSIONS = {
+  energy: { label: 'Energy', lowLabel: 'Drained', highLabel: 'Energised' },
+  anxiety: { label: 'Anxiety', lowLabel: 'Calm', highLabel: 'Anxious' },
+  focus: { label: 'Focus', lowLabel: 'Scattered', highLabel: 'Focused' },
+  sleepQuality: { label: 'Sleep Quality', lowLabel: 'Poor', highLabel: 'Restful' }
+}
+
+/**
+ * Widest scale the schema accepts for any dimension
+ * @type {{min: number, max: number}}
+ */
+export const SCALE_LIMITS = {
+  min: schemas.happiness.$defs.dimensionScore.minimum,
+  max: schemas.happiness.$defs.dimensionScore.maximum
+}
+
+/**
+ * Default per-dimension settings: every dimension enabled on a 1 to 5 scale
+ * @type {Object<string, {enabled: boolean, min: number, max: number}>}
+ */
+export const DEFAULT_DIMENSION_SETTINGS = Object.fromEntries(
+  Object.keys(WELLBEING_DIMENSIONS).map(key => [key, { enabled: true, min: 1, max: 5 }])
+)
+
+/**
+ * Cleans stored dimension settings, falling back to defaults for anything missing or out of range
+ * @param {Object} [stored] - Dimension settings as saved
+ * @returns {Object<string, {enabled: boolean, min: number, max: number}>} Usable settings for every dimension
+ */
+export function normalizeDimensionSettings(stored = {}) {
+  return Object.fromEntries(Object.entries(DEFAULT_DIMENSION_SETTINGS).map(([key, defaults]) => {
+    const { enabled = defaults.enabled, min = defaults.min, max = defaults.max } = stored?.[key] ?? {}
+    const inLimits = (value) => Number.isInteger(value) && value >= SCALE_LIMITS.min && value <= SCALE_LIMITS.max
+    const validScale = inLimits(min) && inLimits(max) && min < max
+
+    return [key, {
+      enabled: Boolean(enabled),
+      min: validScale ? min : defaults.min,
+      max: validScale ? max : defaults.max
+    }]
+  }))
+}
+
+/**
+ * Lists the dimensions the user has enabled, with their labels and scale
+ * @param {Object} dimensionSettings - Settings from normalizeDimensionSettings
+ * @returns {Array<{key: string, label: string, lowLabel: string, highLabel: string, min: number, max: number}>} Enabled dimensions in display order
+ */
+export function getEnabledDimensions(dimensionSettings) {
+  return Object.entries(WELLBEING_DIMENSIONS)
+    .filter(([key]) => dimensionSettings?.[key]?.enabled)
+    .map(([key, dimension]) => ({ key, ...dimension, min: dimensionSettings[key].min, max: dimensionSettings[key].max }))
+}
+
+/**
+ * Averages each dimension over the check-ins that rated it
+ * @param {Array<Object>} checkIns - Happiness check-ins
+ * @returns {Object<string, number|null>} Mean per dimension, or null when none of the check-ins rated it
+ */
+export function averageDimensions(checkIns) {
+  return Object.fromEntries(Object.keys(WELLBEING_DIMENSIONS).map(key => {
+    const values = checkIns.map(checkIn => checkIn[key]).filter(value => value !== undefined)
+    return [key, values.length > 0 ? values.reduce((total, value) => total + value, 0) / values.length : null]
+  }))
+}
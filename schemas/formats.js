@@ -0,0 +1,44 @@
+/**
+ * @fileoverview Checkers for the JSON Schema `format` keyword
+ */
+
+/**
+ * Checks that a string is a real calendar date in YYYY-MM-DD form
+ * Rejects dates such as 2024-02-31 or 2024-13-45 that Date would roll over
+ * @param {string} value - Date string
+ * @returns {boolean} Whether the date exists
+ */
+export function isValidCalendarDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value)
+  if (!match) return false
+
+  const [, year, month, day] = match.map(Number)
+  const date = new Date(Date.UTC(year, month - 1, day))
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day
+}
+
+/**
+ * Format checkers keyed by format name
+ * Each returns true when the string is a valid instance of the format.
+ * Formats not listed here are treated as annotations and always pass.
+ * @type {Object<string, Function>}
+ */
+export const FORMATS = {
+  date: isValidCalendarDate,
+  time: (value) => /^([01]\d|2[0-3]):[0-5]\d:([0-5]\d|60)(\.\d+)?(Z|[+-]([01]\d|2[0-3]):[0-5]\d)$/i.test(value),
+  'date-time': (value) => {
+    const [date, time, ...rest] = value.split(/[Tt ]/)
+    return rest.length === 0 && time !== undefined && FORMATS.date(date) && FORMATS.time(time)
+  },
+  email: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  uri: (value) => /^[a-z][a-z0-9+.-]*:[^\s]*$/i.test(value),
+  uuid: (value) => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value),
+  regex: (value) => {
+    try {
+      new RegExp(value, 'u')
+      return true
+    } catch {
+      return false
+    }
+  }
+}
@@ -4,6 +4,11 @@
 
 import happinessSchema from './happiness.json' with { type: 'json' }
 import mediaSchema from './media.json' with { type: 'json' }
+import catalogSchema from './catalog.json' with { type: 'json' }
+import { validateSchema, parsePointer } from './validator.js'
+import { isValidCalendarDate } from './formats.js'
+import { getTodayDate } from '../lib/dates.js'
+import { MEDIA_TYPE_KEY_PATTERN, isRegisteredMediaType, getMediaTypes } from '../lib/mediaTypes.js'
 
 /**
  * All available schemas
@@ -11,143 +16,230 @@ import mediaSchema from './media.json' with { type: 'json' }
  */
 export const schemas = {
   happiness: happinessSchema,
-  media: mediaSchema
+  media: mediaSchema,
+  catalog: catalogSchema
 }
 
 /**
- * Validates data against a schema
- * @param {Object} data - The data to validate
- * @param {Object} schema - The JSON schema to validate against
- * @returns {Object} Validation result with isValid boolean and errors array
+ * Inclusive date bounds per collection, as YYYY-MM-DD strings
+ * 'today' resolves to the user's current date (see lib/dates.js) at validation time; null leaves a side open
+ * Happiness can only be recorded for days that have already started
+ * @type {Object<string, {min: string|null, max: string|null}>}
  */
-export function validateData(data, schema) {
-  const errors = []
-  
-  // Basic validation implementation
-  if (schema.required) {
-    for (const field of schema.required) {
-      if (!(field in data)) {
-        errors.push(`Missing required field: ${field}`)
-      }
+export const DATE_BOUNDS = {
+  happiness: { min: '1900-01-01', max: 'today' },
+  media: { min: '1900-01-01', max: null }
+}
+
+/**
+ * Changes the accepted date range for a collection
+ * @param {string} collection - 'happiness' or 'media'
+ * @param {{min?: string|null, max?: string|null}} bounds - New bounds; omitted sides are kept
+ */
+export function setDateBounds(collection, bounds) {
+  for (const side of ['min', 'max']) {
+    const value = bounds[side]
+    if (value === undefined) continue
+    if (value !== null && value !== 'today' && !isValidCalendarDate(value)) {
+      throw new Error(`Invalid ${side} date bound: ${value}`)
     }
   }
-  
-  // Type and constraint validation
-  for (const [key, value] of Object.entries(data)) {
-    const prop = schema.properties?.[key]
-    if (!prop) {
-      if (schema.additionalProperties === false) {
-        errors.push(`Additional property not allowed: ${key}`)
-      }
-      continue
-    }
-    
-    // Type validation
-    if (prop.type === 'string' && typeof value !== 'string') {
-      errors.push(`Field ${key} must be a string`)
-    } else if (prop.type === 'integer' && (!Number.isInteger(value))) {
-      errors.push(`Field ${key} must be an integer`)
-    }
-    
-    // Enum validation for strings
-    if (prop.type === 'string' && prop.enum) {
-      if (!prop.enum.includes(value)) {
-        errors.push(`Field ${key} must be one of: ${prop.enum.join(', ')}`)
-      }
-    }
-    
-    // Pattern validation for strings
-    if (prop.type === 'string' && prop.pattern) {
-      const regex = new RegExp(prop.pattern)
-      if (!regex.test(value)) {
-        errors.push(`Field ${key} does not match required pattern`)
-      }
-    }
-    
-    // Length validation for strings
-    if (prop.type === 'string' && typeof value === 'string') {
-      if (prop.minLength !== undefined && value.length < prop.minLength) {
-        errors.push(`Field ${key} must be at least ${prop.minLength} characters`)
-      }
-      if (prop.maxLength !== undefined && value.length > prop.maxLength) {
-        errors.push(`Field ${key} must be at most ${prop.maxLength} characters`)
-      }
-    }
-    
-    // Range validation for integers
-    if (prop.type === 'integer') {
-      if (prop.minimum !== undefined && value < prop.minimum) {
-        errors.push(`Field ${key} must be >= ${prop.minimum}`)
-      }
-      if (prop.maximum !== undefined && value > prop.maximum) {
-        errors.push(`Field ${key} must be <= ${prop.maximum}`)
-      }
-    }
+  DATE_BOUNDS[collection] = { ...DATE_BOUNDS[collection], ...bounds }
+}
+
+/**
+ * Gets the accepted date range for a collection with 'today' resolved
+ * @param {string} collection - 'happiness' or 'media'
+ * @returns {{min: string|null, max: string|null}} Inclusive bounds
+ */
+export function getDateBounds(collection) {
+  const { min = null, max = null } = DATE_BOUNDS[collection] ?? {}
+  const resolve = (value) => value === 'today' ? getTodayDate() : value
+  return { min: resolve(min), max: resolve(max) }
+}
+
+/**
+ * Checks the date field of an entry against the collection's bounds
+ * Only runs on real calendar dates; malformed dates are reported by the schema
+ * @param {Object} data - Entry being validated
+ * @param {string} collection - 'happiness' or 'media'
+ * @returns {Array<Object>} Error details in the validator's shape
+ */
+function validateDateBounds(data, collection) {
+  const date = data?.date
+  if (typeof date !== 'string' || !isValidCalendarDate(date)) return []
+
+  const { min, max } = getDateBounds(collection)
+  // YYYY-MM-DD strings sort chronologically
+  if (min && date < min) {
+    return [{
+      instancePath: '/date',
+      schemaPath: '#/properties/date/formatMinimum',
+      keyword: 'formatMinimum',
+      message: `Field date must be on or after ${min}`,
+      params: { limit: min }
+    }]
   }
-  
+  if (max && date > max) {
+    return [{
+      instancePath: '/date',
+      schemaPath: '#/properties/date/formatMaximum',
+      keyword: 'formatMaximum',
+      message: DATE_BOUNDS[collection].max === 'today'
+        ? 'Field date must not be in the future'
+        : `Field date must be on or before ${max}`,
+      params: { limit: max }
+    }]
+  }
+  return []
+}
+
+/**
+ * Checks that a media entry's or catalog item's type is in the user's registry (see lib/mediaTypes.js)
+ * Only runs on well-formed keys; anything else is reported by the schema
+ * @param {Object} data - Entry being validated
+ * @returns {Array<Object>} Error details in the validator's shape
+ */
+function validateMediaType(data) {
+  const type = data?.type
+  if (typeof type !== 'string' || !MEDIA_TYPE_KEY_PATTERN.test(type)) return []
+  if (isRegisteredMediaType(type)) return []
+
+  const allowedValues = getMediaTypes().map(mediaType => mediaType.key)
+  return [{
+    instancePath: '/type',
+    schemaPath: '#/properties/type/enum',
+    keyword: 'enum',
+    message: `Field type must be one of: ${allowedValues.join(', ')}`,
+    params: { allowedValues }
+  }]
+}
+
+/**
+ * Builds a validation result from error details
+ * @param {Array<Object>} details - Error details in the validator's shape
+ * @returns {Object} Validation result
+ */
+function toValidationResult(details) {
   return {
-    isValid: errors.length === 0,
-    errors
+    isValid: details.length === 0,
+    errors: details.map(error => error.message),
+    details
   }
 }
 
+/**
+ * Validates data against a schema
+ * @param {Object} data - The data to validate
+ * @param {Object} schema - The JSON schema to validate against
+ * @returns {Object} Validation result with isValid boolean, errors array of messages,
+ *   and details array of errors carrying instancePath and keyword
+ */
+export function validateData(data, schema) {
+  return toValidationResult(validateSchema(data, schema, { schemas: Object.values(schemas) }))
+}
+
+/**
+ * Groups validation error messages by the top-level field they belong to
+ * Errors about the value as a whole are grouped under '_form'
+ * @param {Array<Object>} details - Error details from validateData
+ * @param {string} [parentField] - Group the errors nested inside this object field instead,
+ *   e.g. 'details'; errors about the object itself go under '_form'
+ * @returns {Object<string, Array<string>>} Messages keyed by field name
+ */
+export function getFieldErrors(details = [], parentField) {
+  const depth = parentField === undefined ? 0 : 1
+
+  return details.reduce((fields, error) => {
+    const path = parsePointer(error.instancePath)
+    if (depth > 0 && path[0] !== parentField) return fields
+
+    const field = path[depth] ?? '_form'
+    fields[field] = [...(fields[field] ?? []), error.message]
+    return fields
+  }, {})
+}
+
 /**
  * Validates a happiness entry
  * @param {Object} data - The happiness data to validate
  * @returns {Object} Validation result
  */
 export function validateHappiness(data) {
-  return validateData(data, schemas.happiness)
+  return toValidationResult([
+    ...validateData(data, schemas.happiness).details,
+    ...validateDateBounds(data, 'happiness')
+  ])
 }
 
 /**
- * Creates a new happiness entry with validation
+ * Generates a UUID v4
+ * @returns {string} UUID string
+ */
+export function generateUUID() {
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
+    const r = Math.random() * 16 | 0
+    const v = c === 'x' ? r : (r & 0x3 | 0x8)
+    return v.toString(16)
+  })
+}
+
+/**
+ * Copies optional fields, leaving out the ones that are undefined
+ * @param {Object} extras - Optional fields
+ * @returns {Object} Fields that have a value
+ */
+function definedFields(extras) {
+  return Object.fromEntries(Object.entries(extras).filter(([, value]) => value !== undefined))
+}
+
+/**
+ * Creates a new happiness check-in with validation
  * @param {string} date - Date in YYYY-MM-DD format
  * @param {number} happiness - Happiness level (-2 to 2)
+ * @param {Object} [extras] - Optional fields
+ * @param {string} [extras.id] - UUID (will be generated if not provided)
+ * @param {string} [extras.time] - Time of day in HH:MM format
+ * @param {string} [extras.notes] - Markdown journal notes
+ * @param {number} [extras.energy] - Wellbeing scores; anxiety, focus and sleepQuality work the same way
  * @returns {Object} Either the valid happiness object or validation errors
  */
-export function createHappinessEntry(date, happiness) {
-  const entry = { date, happiness }
+export function createHappinessEntry(date, happiness, extras = {}) {
+  const { id, ...rest } = extras
+  const entry = { id: id || generateUUID(), date, happiness, ...definedFields(rest) }
   const validation = validateHappiness(entry)
   
   if (validation.isValid) {
     return { success: true, data: entry }
   } else {
-    return { success: false, errors: validation.errors }
+    return { success: false, errors: validation.errors, details: validation.details }
   }
 }
 
-/**
- * Generates a UUID v4
- * @returns {string} UUID string
- */
-function generateUUID() {
-  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
-    const r = Math.random() * 16 | 0
-    const v = c === 'x' ? r : (r & 0x3 | 0x8)
-    return v.toString(16)
-  })
-}
-
 /**
  * Validates a media entry
  * @param {Object} data - The media data to validate
  * @returns {Object} Validation result
  */
 export function validateMedia(data) {
-  return validateData(data, schemas.media)
+  return toValidationResult([
+    ...validateData(data, schemas.media).details,
+    ...validateDateBounds(data, 'media'),
+    ...validateMediaType(data)
+  ])
 }
 
 /**
  * Creates a new media entry with validation
  * @param {string} date - Date in YYYY-MM-DD format
- * @param {string} type - Media type (book, video, podcast, music)
+ * @param {string} type - Key of a registered media type
  * @param {string} title - Title or name of the media (minimum 3 characters)
  * @param {number} duration - Duration in minutes (positive integer)
  * @param {string} id - Optional UUID (will be generated if not provided)
+ * @param {Object} [details] - Type-specific metadata; left out when empty
  * @returns {Object} Either the valid media object or validation errors
  */
-export function createMediaEntry(date, type, title, duration, id = null) {
+export function createMediaEntry(date, type, title, duration, id = null, details = {}) {
   const entry = { 
     id: id || generateUUID(),
     date, 
@@ -155,11 +247,50 @@ export function createMediaEntry(date, type, title, duration, id = null) {
     title,
     duration 
   }
+  const definedDetails = definedFields(details ?? {})
+  if (Object.keys(definedDetails).length > 0) {
+    entry.details = definedDetails
+  }
   const validation = validateMedia(entry)
   
   if (validation.isValid) {
     return { success: true, data: entry }
   } else {
-    return { success: false, errors: validation.errors }
+    return { success: false, errors: validation.errors, details: validation.details }
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Validates a catalog item
+ * @param {Object} data - The catalog item to validate
+ * @returns {Object} Validation result
+ */
+export function validateCatalogItem(data) {
+  return toValidationResult([
+    ...validateData(data, schemas.catalog).details,
+    ...validateMediaType(data)
+  ])
+}
+
+/**
+ * Creates a new catalog item with validation
+ * @param {string} type - Key of a registered media type
+ * @param {string} title - Title (minimum 3 characters)
+ * @param {Object} [extras] - Optional fields
+ * @param {string} [extras.id] - UUID (will be generated if not provided)
+ * @param {string} [extras.creator] - Author, director, host or artist
+ * @param {string} [extras.cover] - Cover image URL
+ * @param {number} [extras.totalLength] - Total length in minutes
+ * @returns {Object} Either the valid catalog item or validation errors
+ */
+export function createCatalogItem(type, title, extras = {}) {
+  const { id, ...rest } = extras
+  const item = { id: id || generateUUID(), type, title, ...definedFields(rest) }
+  const validation = validateCatalogItem(item)
+
+  if (validation.isValid) {
+    return { success: true, data: item }
+  } else {
+    return { success: false, errors: validation.errors, details: validation.details }
+  }
+}
@@ -0,0 +1,181 @@
+/**
+ * @fileoverview Versioned data envelope and ordered schema migrations
+ *
+ * Stored collections are wrapped in an envelope:
+ * { schemaVersion, createdAt, entries }
+ * Payloads written before versioning existed are bare arrays and count as
+ * version 0. On load, every migration newer than the payload's version runs in
+ * order, then each entry is validated against its schema. Entries that still
+ * fail are reported back instead of failing the whole load.
+ *
+ * Loading only checks structure. Date bounds and the media type registry depend
+ * on the clock and on settings, so they are enforced when entries are created or
+ * imported, never on records that are already stored.
+ */
+
+import { schemas, validateData, generateUUID } from './index.js'
+
+/**
+ * Schema version written by this build of the app
+ * @type {number}
+ */
+export const CURRENT_SCHEMA_VERSION = 5
+
+/**
+ * Ordered migration registry
+ * Each migration upgrades entries to its version, with one function per collection.
+ * Append new migrations here whenever a schema changes. Collections added later (catalog
+ * arrived in version 5) have no function in older migrations, since they hold no older records.
+ * @type {Array<{version: number, description: string, happiness: Function, media: Function, catalog?: Function}>}
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Wrap stored arrays in a versioned envelope; entries are unchanged',
+    happiness: (entry) => entry,
+    media: (entry) => entry
+  },
+  {
+    version: 2,
+    description: 'Give each happiness check-in its own id so a day can have several',
+    happiness: (entry) => (entry.id ? entry : { id: generateUUID(), ...entry }),
+    media: (entry) => entry
+  },
+  {
+    version: 3,
+    description: 'Add optional wellbeing dimension scores to happiness check-ins; entries are unchanged',
+    happiness: (entry) => entry,
+    media: (entry) => entry
+  },
+  {
+    version: 4,
+    description: 'Add optional type-specific details to media entries; entries are unchanged',
+    happiness: (entry) => entry,
+    media: (entry) => entry
+  },
+  {
+    version: 5,
+    description: 'Add the media catalog; sessions gain an optional catalogId and are linked when loaded',
+    happiness: (entry) => entry,
+    media: (entry) => entry,
+    catalog: (entry) => entry
+  }
+]
+
+/**
+ * Structural validator for each collection, used when loading stored records
+ * @type {Object<string, Function>}
+ */
+const VALIDATORS = {
+  happiness: (data) => validateData(data, schemas.happiness),
+  media: (data) => validateData(data, schemas.media),
+  catalog: (data) => validateData(data, schemas.catalog)
+}
+
+/**
+ * Wraps entries in a versioned envelope
+ * @param {Array<Object>} entries - Entries at the current schema version
+ * @param {string} [createdAt] - ISO timestamp the collection was first created
+ * @returns {Object} Envelope with schemaVersion, createdAt and entries
+ */
+export function createEnvelope(entries, createdAt = new Date().toISOString()) {
+  return {
+    schemaVersion: CURRENT_SCHEMA_VERSION,
+    createdAt,
+    entries
+  }
+}
+
+/**
+ * Reads a stored payload into envelope form without migrating it
+ * @param {Array<Object>|Object} payload - A bare array (version 0) or an envelope
+ * @returns {Object} Envelope with schemaVersion, createdAt and entries
+ */
+export function readEnvelope(payload) {
+  if (Array.isArray(payload)) {
+    return { schemaVersion: 0, createdAt: null, entries: payload }
+  }
+
+  if (payload && typeof payload === 'object' && Array.isArray(payload.entries)) {
+    if (!Number.isInteger(payload.schemaVersion) || payload.schemaVersion < 0) {
+      throw new Error(`Invalid schemaVersion: ${payload.schemaVersion}`)
+    }
+    return payload
+  }
+
+  throw new Error('Stored data is neither an entry array nor a versioned envelope')
+}
+
+/**
+ * Runs every migration newer than fromVersion over a list of entries
+ * @param {Array<Object>} entries - Entries at fromVersion
+ * @param {number} fromVersion - Schema version the entries were written with
+ * @param {string} collection - 'happiness', 'media' or 'catalog'
+ * @returns {Array<Object>} Entries at the current schema version
+ */
+export function migrateEntries(entries, fromVersion, collection) {
+  if (fromVersion > CURRENT_SCHEMA_VERSION) {
+    throw new Error(
+      `Data was written by a newer version of the app (schema ${fromVersion}, this app supports ${CURRENT_SCHEMA_VERSION})`
+    )
+  }
+
+  return MIGRATIONS
+    .filter(migration => migration.version > fromVersion && migration[collection])
+    .reduce((current, migration) => current.map(entry => migration[collection](entry)), entries)
+}
+
+/**
+ * Migrates entries and splits them by whether they pass schema validation
+ * @param {Array<Object>} entries - Entries at fromVersion
+ * @param {number} fromVersion - Schema version the entries were written with
+ * @param {string} collection - 'happiness', 'media' or 'catalog'
+ * @param {Object} [options] - Upgrade options
+ * @param {Function} [options.validate] - Validator to apply after migrating; defaults to the structural schema check
+ * @returns {{entries: Array<Object>, rejected: Array<{index: number, record: Object, errors: Array<string>}>}} Valid entries and rejected records
+ */
+export function upgradeEntries(entries, fromVersion, collection, { validate = VALIDATORS[collection] } = {}) {
+  if (!validate || !schemas[collection]) {
+    throw new Error(`Unknown collection: ${collection}`)
+  }
+  // Refuse the whole payload rather than guess at a newer format
+  migrateEntries([], fromVersion, collection)
+
+  const valid = []
+  const rejected = []
+  entries.forEach((record, index) => {
+    let migrated
+    try {
+      migrated = migrateEntries([record], fromVersion, collection)[0]
+    } catch (error) {
+      rejected.push({ index, record, errors: [`Migration failed: ${error.message}`] })
+      return
+    }
+
+    const validation = validate(migrated)
+    if (validation.isValid) {
+      valid.push(migrated)
+    } else {
+      rejected.push({ index, record, errors: validation.errors })
+    }
+  })
+
+  return { entries: valid, rejected }
+}
+
+/**
+ * Reads, migrates and validates a stored payload
+ * @param {Array<Object>|Object} payload - A bare array (version 0) or an envelope
+ * @param {string} collection - 'happiness', 'media' or 'catalog'
+ * @returns {{envelope: Object, fromVersion: number, rejected: Array<Object>}} Current-version envelope, original version and rejected records
+ */
+export function upgradePayload(payload, collection) {
+  const { schemaVersion, createdAt, entries } = readEnvelope(payload)
+  const result = upgradeEntries(entries, schemaVersion, collection)
+
+  return {
+    envelope: createEnvelope(result.entries, createdAt || undefined),
+    fromVersion: schemaVersion,
+    rejected: result.rejected
+  }
+}
@@ -0,0 +1,417 @@
+/**
+ * @fileoverview JSON Schema (draft 2020-12) validator
+ *
+ * Supports the keywords the app's schemas use or are expected to grow into:
+ * - any type: type, const, enum, $ref, allOf, anyOf, oneOf, not, if/then/else
+ * - numbers: minimum, maximum, exclusiveMinimum, exclusiveMaximum, multipleOf
+ * - strings: minLength, maxLength, pattern, format
+ * - arrays: items, prefixItems, contains, minContains, maxContains, minItems,
+ *   maxItems, uniqueItems
+ * - objects: properties, patternProperties, additionalProperties, required,
+ *   dependentRequired, dependentSchemas, propertyNames, minProperties,
+ *   maxProperties
+ *
+ * $ref resolves JSON Pointer fragments ('#/$defs/...') within the current
+ * schema and absolute or relative URIs against the $id of registered schemas.
+ * Known formats (see formats.js) are asserted rather than treated as
+ * annotations. unevaluatedProperties, unevaluatedItems, $anchor and
+ * $dynamicRef are not supported.
+ *
+ * Properties whose value is undefined are treated as absent, matching what
+ * JSON.stringify would produce.
+ */
+
+import { FORMATS } from './formats.js'
+
+/**
+ * A single validation failure
+ * @typedef {Object} ValidationError
+ * @property {string} instancePath - JSON Pointer to the failing value ('' for the root). For required and additionalProperties it points at the missing or extra property
+ * @property {string} schemaPath - JSON Pointer to the failing keyword in the schema
+ * @property {string} keyword - The keyword that failed, e.g. 'required' or 'minimum'
+ * @property {string} message - Human-readable description
+ * @property {Object} params - Keyword-specific details, e.g. { limit: 2 }
+ */
+
+const regexCache = new Map()
+
+/**
+ * Compiles a schema pattern once, with Unicode semantics as the spec requires
+ * @param {string} pattern - ECMA-262 regular expression source
+ * @returns {RegExp} Compiled expression
+ */
+function compilePattern(pattern) {
+  if (!regexCache.has(pattern)) {
+    regexCache.set(pattern, new RegExp(pattern, 'u'))
+  }
+  return regexCache.get(pattern)
+}
+
+/**
+ * Escapes a token for use in a JSON Pointer
+ * @param {string|number} token - Property name or array index
+ * @returns {string} Escaped token
+ */
+function escapePointerToken(token) {
+  return String(token).replace(/~/g, '~0').replace(/\//g, '~1')
+}
+
+/**
+ * Splits a JSON Pointer into unescaped tokens
+ * @param {string} pointer - JSON Pointer such as '/details/author'
+ * @returns {Array<string>} Tokens
+ */
+export function parsePointer(pointer) {
+  if (!pointer) return []
+  return pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'))
+}
+
+/**
+ * Turns a JSON Pointer into a readable field label, e.g. '/items/0/title' -> 'items[0].title'
+ * @param {string} pointer - JSON Pointer
+ * @returns {string} Field label
+ */
+export function pointerToLabel(pointer) {
+  return parsePointer(pointer).reduce((label, token) => {
+    if (/^\d+$/.test(token)) return `${label}[${token}]`
+    return label ? `${label}.${token}` : token
+  }, '')
+}
+
+/**
+ * Describes the subject of an error message
+ * @param {string} instancePath - JSON Pointer to the value
+ * @returns {string} 'Field <label>' or 'Value' for the root
+ */
+function subject(instancePath) {
+  return instancePath ? `Field ${pointerToLabel(instancePath)}` : 'Value'
+}
+
+/**
+ * Checks a value against a JSON Schema type name
+ * @param {*} value - Value to check
+ * @param {string} type - JSON Schema type
+ * @returns {boolean} Whether the value has that type
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'null': return value === null
+    case 'boolean': return typeof value === 'boolean'
+    case 'integer': return Number.isInteger(value)
+    case 'number': return typeof value === 'number' && Number.isFinite(value)
+    case 'string': return typeof value === 'string'
+    case 'array': return Array.isArray(value)
+    case 'object': return isObject(value)
+    default: return false
+  }
+}
+
+/**
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value is a plain JSON object
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+/**
+ * Compares two JSON values structurally
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} Whether they are equal
+ */
+function deepEqual(a, b) {
+  if (a === b) return true
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, index) => deepEqual(item, b[index]))
+  }
+  if (isObject(a) && isObject(b)) {
+    const keysA = Object.keys(a).filter(key => a[key] !== undefined)
+    const keysB = Object.keys(b).filter(key => b[key] !== undefined)
+    return keysA.length === keysB.length && keysA.every(key => deepEqual(a[key], b[key]))
+  }
+  return false
+}
+
+/**
+ * Article-prefixed type name for messages
+ * @param {string} type - JSON Schema type
+ * @returns {string} e.g. 'an integer'
+ */
+function describeType(type) {
+  if (type === 'null') return 'null'
+  return /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`
+}
+
+/**
+ * Finds the schema a $ref points to
+ * @param {string} ref - Reference value
+ * @param {Object} root - Schema resource the reference appears in
+ * @param {Map<string, Object>} registry - Schemas by $id
+ * @returns {{schema: Object, root: Object}} Target schema and its resource root
+ */
+function resolveRef(ref, root, registry) {
+  const [base, fragment = ''] = ref.split('#')
+  let targetRoot = root
+
+  if (base) {
+    const uri = root.$id ? new URL(base, root.$id).href : base
+    targetRoot = registry.get(uri)
+    if (!targetRoot) {
+      throw new Error(`Cannot resolve $ref ${ref}`)
+    }
+  }
+
+  let target = targetRoot
+  for (const token of parsePointer(decodeURIComponent(fragment))) {
+    target = target?.[token]
+  }
+  if (target === undefined) {
+    throw new Error(`Cannot resolve $ref ${ref}`)
+  }
+
+  return { schema: target, root: targetRoot }
+}
+
+/**
+ * Validates a value against a (sub)schema
+ * @param {*} value - Instance value
+ * @param {Object|boolean} schema - Schema to apply
+ * @param {Object} context - { root, registry, assertFormat }
+ * @param {string} instancePath - JSON Pointer to the value
+ * @param {string} schemaPath - JSON Pointer to the schema
+ * @returns {Array<ValidationError>} Errors found
+ */
+function validateNode(value, schema, context, instancePath, schemaPath) {
+  if (schema === true) return []
+  if (schema === false) {
+    return [{ instancePath, schemaPath, keyword: 'false', message: `${subject(instancePath)} is not allowed`, params: {} }]
+  }
+
+  const errors = []
+  const add = (keyword, message, params = {}, path = instancePath) => {
+    errors.push({ instancePath: path, schemaPath: `${schemaPath}/${keyword}`, keyword, message, params })
+  }
+  const apply = (subschema, keywordPath) => validateNode(value, subschema, context, instancePath, `${schemaPath}/${keywordPath}`)
+  const label = subject(instancePath)
+
+  // References
+  if (schema.$ref !== undefined) {
+    const { schema: target, root } = resolveRef(schema.$ref, context.root, context.registry)
+    errors.push(...validateNode(value, target, { ...context, root }, instancePath, `${schemaPath}/$ref`))
+  }
+
+  // Any type
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type]
+    if (!types.some(type => matchesType(value, type))) {
+      const expected = types.length === 1 ? describeType(types[0]) : `one of types: ${types.join(', ')}`
+      add('type', `${label} must be ${expected}`, { type: schema.type })
+      // Further keywords would only repeat the type error
+      return errors
+    }
+  }
+  if (schema.const !== undefined && !deepEqual(value, schema.const)) {
+    add('const', `${label} must be ${JSON.stringify(schema.const)}`, { allowedValue: schema.const })
+  }
+  if (schema.enum !== undefined && !schema.enum.some(option => deepEqual(value, option))) {
+    add('enum', `${label} must be one of: ${schema.enum.join(', ')}`, { allowedValues: schema.enum })
+  }
+
+  // Numbers
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      add('minimum', `${label} must be >= ${schema.minimum}`, { limit: schema.minimum })
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      add('maximum', `${label} must be <= ${schema.maximum}`, { limit: schema.maximum })
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      add('exclusiveMinimum', `${label} must be > ${schema.exclusiveMinimum}`, { limit: schema.exclusiveMinimum })
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      add('exclusiveMaximum', `${label} must be < ${schema.exclusiveMaximum}`, { limit: schema.exclusiveMaximum })
+    }
+    if (schema.multipleOf !== undefined) {
+      const quotient = value / schema.multipleOf
+      if (Math.abs(quotient - Math.round(quotient)) > 1e-9) {
+        add('multipleOf', `${label} must be a multiple of ${schema.multipleOf}`, { multipleOf: schema.multipleOf })
+      }
+    }
+  }
+
+  // Strings
+  if (typeof value === 'string') {
+    const length = [...value].length
+    if (schema.minLength !== undefined && length < schema.minLength) {
+      add('minLength', `${label} must be at least ${schema.minLength} characters`, { limit: schema.minLength })
+    }
+    if (schema.maxLength !== undefined && length > schema.maxLength) {
+      add('maxLength', `${label} must be at most ${schema.maxLength} characters`, { limit: schema.maxLength })
+    }
+    if (schema.pattern !== undefined && !compilePattern(schema.pattern).test(value)) {
+      add('pattern', `${label} does not match required pattern`, { pattern: schema.pattern })
+    }
+    if (schema.format !== undefined && context.assertFormat) {
+      const checkFormat = FORMATS[schema.format]
+      if (checkFormat && !checkFormat(value)) {
+        add('format', `${label} must be a valid ${schema.format}`, { format: schema.format })
+      }
+    }
+  }
+
+  // Arrays
+  if (Array.isArray(value)) {
+    const prefixItems = schema.prefixItems ?? []
+    prefixItems.forEach((itemSchema, index) => {
+      if (index < value.length) {
+        errors.push(...validateNode(value[index], itemSchema, context, `${instancePath}/${index}`, `${schemaPath}/prefixItems/${index}`))
+      }
+    })
+    if (schema.items !== undefined) {
+      for (let index = prefixItems.length; index < value.length; index++) {
+        errors.push(...validateNode(value[index], schema.items, context, `${instancePath}/${index}`, `${schemaPath}/items`))
+      }
+    }
+    if (schema.contains !== undefined) {
+      const matches = value.filter((item, index) =>
+        validateNode(item, schema.contains, context, `${instancePath}/${index}`, `${schemaPath}/contains`).length === 0
+      ).length
+      const minContains = schema.minContains ?? 1
+      if (matches < minContains) {
+        add('contains', `${label} must contain at least ${minContains} matching ${minContains === 1 ? 'item' : 'items'}`, { minContains })
+      }
+      if (schema.maxContains !== undefined && matches > schema.maxContains) {
+        add('maxContains', `${label} must contain at most ${schema.maxContains} matching items`, { maxContains: schema.maxContains })
+      }
+    }
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      add('minItems', `${label} must have at least ${schema.minItems} items`, { limit: schema.minItems })
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      add('maxItems', `${label} must have at most ${schema.maxItems} items`, { limit: schema.maxItems })
+    }
+    if (schema.uniqueItems === true) {
+      const duplicate = value.findIndex((item, index) => value.slice(0, index).some(other => deepEqual(item, other)))
+      if (duplicate !== -1) {
+        add('uniqueItems', `${label} must not contain duplicate items`, { duplicateIndex: duplicate })
+      }
+    }
+  }
+
+  // Objects
+  if (isObject(value)) {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined)
+    const propertyPath = (key) => `${instancePath}/${escapePointerToken(key)}`
+
+    for (const field of schema.required ?? []) {
+      if (!keys.includes(field)) {
+        add('required', `Missing required field: ${pointerToLabel(propertyPath(field))}`, { missingProperty: field }, propertyPath(field))
+      }
+    }
+    for (const [field, dependencies] of Object.entries(schema.dependentRequired ?? {})) {
+      if (!keys.includes(field)) continue
+      for (const dependency of dependencies) {
+        if (!keys.includes(dependency)) {
+          add('dependentRequired', `Field ${pointerToLabel(propertyPath(dependency))} is required when ${field} is present`, { property: field, missingProperty: dependency }, propertyPath(dependency))
+        }
+      }
+    }
+    for (const [field, dependentSchema] of Object.entries(schema.dependentSchemas ?? {})) {
+      if (keys.includes(field)) {
+        errors.push(...apply(dependentSchema, `dependentSchemas/${escapePointerToken(field)}`))
+      }
+    }
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+      add('minProperties', `${label} must have at least ${schema.minProperties} properties`, { limit: schema.minProperties })
+    }
+    if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) {
+      add('maxProperties', `${label} must have at most ${schema.maxProperties} properties`, { limit: schema.maxProperties })
+    }
+
+    for (const key of keys) {
+      const path = propertyPath(key)
+      let evaluated = false
+
+      if (schema.propertyNames !== undefined) {
+        const nameErrors = validateNode(key, schema.propertyNames, context, path, `${schemaPath}/propertyNames`)
+        if (nameErrors.length > 0) {
+          add('propertyNames', `Property name ${key} is not allowed`, { propertyName: key }, path)
+        }
+      }
+      if (schema.properties && Object.prototype.hasOwnProperty.call(schema.properties, key)) {
+        evaluated = true
+        errors.push(...validateNode(value[key], schema.properties[key], context, path, `${schemaPath}/properties/${escapePointerToken(key)}`))
+      }
+      for (const [pattern, patternSchema] of Object.entries(schema.patternProperties ?? {})) {
+        if (compilePattern(pattern).test(key)) {
+          evaluated = true
+          errors.push(...validateNode(value[key], patternSchema, context, path, `${schemaPath}/patternProperties/${escapePointerToken(pattern)}`))
+        }
+      }
+      if (!evaluated && schema.additionalProperties !== undefined) {
+        if (schema.additionalProperties === false) {
+          add('additionalProperties', `Additional property not allowed: ${pointerToLabel(path)}`, { additionalProperty: key }, path)
+        } else {
+          errors.push(...validateNode(value[key], schema.additionalProperties, context, path, `${schemaPath}/additionalProperties`))
+        }
+      }
+    }
+  }
+
+  // Combinators
+  if (schema.allOf !== undefined) {
+    schema.allOf.forEach((subschema, index) => errors.push(...apply(subschema, `allOf/${index}`)))
+  }
+  if (schema.anyOf !== undefined) {
+    const anyValid = schema.anyOf.some((subschema, index) => apply(subschema, `anyOf/${index}`).length === 0)
+    if (!anyValid) {
+      add('anyOf', `${label} must match at least one of the allowed schemas`)
+    }
+  }
+  if (schema.oneOf !== undefined) {
+    const results = schema.oneOf.map((subschema, index) => apply(subschema, `oneOf/${index}`))
+    const matches = results.filter(result => result.length === 0).length
+    if (matches === 0) {
+      // Surface the errors of the closest branch so forms can point at a field
+      const closest = results.reduce((best, result) => (result.length < best.length ? result : best))
+      errors.push(...closest)
+      add('oneOf', `${label} must match exactly one of the allowed schemas`, { passingSchemas: 0 })
+    } else if (matches > 1) {
+      add('oneOf', `${label} must match exactly one of the allowed schemas, but matched ${matches}`, { passingSchemas: matches })
+    }
+  }
+  if (schema.not !== undefined && apply(schema.not, 'not').length === 0) {
+    add('not', `${label} must not match the disallowed schema`)
+  }
+  if (schema.if !== undefined) {
+    const conditionHolds = apply(schema.if, 'if').length === 0
+    if (conditionHolds && schema.then !== undefined) {
+      errors.push(...apply(schema.then, 'then'))
+    } else if (!conditionHolds && schema.else !== undefined) {
+      errors.push(...apply(schema.else, 'else'))
+    }
+  }
+
+  return errors
+}
+
+/**
+ * Validates data against a JSON Schema
+ * @param {*} data - The data to validate
+ * @param {Object|boolean} schema - The schema to validate against
+ * @param {Object} [options] - Validation options
+ * @param {Array<Object>} [options.schemas=[]] - Other schemas $ref may point to, looked up by $id
+ * @param {boolean} [options.assertFormat=true] - Whether known formats are asserted
+ * @returns {Array<ValidationError>} Errors found; empty when valid
+ */
+export function validateSchema(data, schema, { schemas = [], assertFormat = true } = {}) {
+  const registry = new Map()
+  for (const registered of [...schemas, schema]) {
+    if (registered?.$id) {
+      registry.set(registered.$id, registered)
+    }
+  }
+
+  return validateNode(data, schema, { root: schema, registry, assertFormat }, '', '#')
+}
@@ -0,0 +1,139 @@
+/**
+ * @fileoverview Manual test script for happiness vs. media analytics
+ * Run with: node test/analytics.js
+ */
+
+import {
+  buildDailySeries, pearsonCorrelation, correlationConfidenceInterval,
+  analyzeHappinessByMedia, analyzeLaggedEffects, rankHappinessImpact, buildTimeline, linearRegression, buildScatterData, describeCorrelation,
+  getMinutesAxisMax
+} from '../lib/analytics.js'
+import { addDays } from '../lib/dates.js'
+import { check, reportResults, checkIn, session } from './helpers/index.js'
+
+console.log('🧪 Testing Analytics\n')
+
+const near = (a, b, tolerance = 1e-3) => Math.abs(a - b) < tolerance
+
+// Correlation maths
+check('perfectly related values give r = 1', near(pearsonCorrelation([1, 2, 3, 4], [2, 4, 6, 8]), 1))
+check('opposite values give r = -1', near(pearsonCorrelation([1, 2, 3, 4], [8, 6, 4, 2]), -1))
+check('a known sample gives the textbook r', near(pearsonCorrelation([1, 2, 3, 4, 5], [2, 1, 4, 3, 5]), 0.8))
+check('constant values have no correlation', pearsonCorrelation([1, 1, 1], [1, 2, 3]) === null)
+check('fewer than three pairs have no correlation', pearsonCorrelation([1, 2], [1, 2]) === null)
+
+const [low, high] = correlationConfidenceInterval(0.5, 28)
+check('confidence interval matches Fisher z', near(low, 0.159, 0.005) && near(high, 0.736, 0.005))
+check('intervals need at least four pairs', correlationConfidenceInterval(0.5, 3) === null)
+
+// Joining by date
+const series = buildDailySeries(
+  [checkIn('2024-10-02', 1), checkIn('2024-10-01', 2), checkIn('2024-10-01', 0)],
+  [session('2024-10-01', 'book', 30), session('2024-10-01', 'video', 60), session('2024-10-05', 'book', 20)]
+)
+check('days are joined on check-in dates, oldest first', series.map(day => day.date).join(',') === '2024-10-01,2024-10-02')
+check('happiness is the daily mean and minutes are summed', series[0].happiness === 1 && series[0].totalDuration === 90 && series[0].durationByType.book === 30)
+check('days without media count as zero minutes', series[1].totalDuration === 0)
+
+// Full analysis: reading goes with happy days, video with unhappy ones
+const happiness = []
+const media = []
+for (let day = 0; day < 20; day++) {
+  const date = addDays('2024-09-01', day)
+  const good = day % 2 === 0
+  happiness.push(checkIn(date, good ? 2 : -1))
+  media.push(session(date, good ? 'book' : 'video', 30 + day))
+}
+const analysis = analyzeHappinessByMedia(happiness, media)
+const book = analysis.byType.find(result => result.key === 'book')
+const video = analysis.byType.find(result => result.key === 'video')
+check('sample sizes are reported', analysis.days === 20 && book.n === 20 && book.activeDays === 10)
+check('per-type correlations have the right sign', book.r > 0.9 && video.r < -0.9)
+check('enough data is not flagged as sparse', !book.sparse && book.interval[0] > 0)
+check('plain language describes the direction', describeCorrelation(book).includes('happier') && describeCorrelation(video).includes('less happy'))
+
+const sparse = analyzeHappinessByMedia(happiness.slice(0, 6), media.slice(0, 6))
+check('a few days of data are flagged as sparse', sparse.overall.sparse && sparse.byType.every(result => result.sparse))
+check('too few days are described as not enough data', describeCorrelation(analyzeHappinessByMedia(happiness.slice(0, 2), media.slice(0, 2)).overall).includes('not enough data'))
+
+const steadyMood = analyzeHappinessByMedia(happiness.map(entry => ({ ...entry, happiness: 1 })), media)
+check('unchanging happiness is described as such', steadyMood.overall.r === null && steadyMood.overall.constant === 'happiness' &&
+  describeCorrelation(steadyMood.overall).includes('your happiness is the same on every day'))
+const steadyMinutes = analyzeHappinessByMedia(happiness, media.map(entry => ({ ...entry, duration: 30 })))
+check('unchanging minutes are described as such', steadyMinutes.overall.r === null && steadyMinutes.overall.constant === 'minutes' &&
+  describeCorrelation(steadyMinutes.overall).includes('media time is the same on every day'))
+
+// Lagged effects: podcasts one day make the next day happier
+const laggedHappiness = []
+const laggedMedia = []
+const minutesOn = (day) => ((day * 7) % 5) * 20
+for (let day = 0; day < 30; day++) {
+  const date = addDays('2024-08-01', day)
+  if (minutesOn(day) > 0) laggedMedia.push(session(date, 'podcast', minutesOn(day)))
+  if (day > 0) laggedHappiness.push(checkIn(date, minutesOn(day - 1) >= 40 ? 2 : -1))
+}
+const [total, podcast] = analyzeLaggedEffects(laggedHappiness, laggedMedia)
+check('lags run from 0 to 7 days, plus 3 and 7 day windows', podcast.lags.length === 8 && podcast.windows.map(window => window.days).join(',') === '3,7')
+check('the delayed effect shows at lag 1', podcast.lags[1].r > 0.8 && Math.abs(podcast.lags[0].r) < 0.5)
+check('the overall series matches a single type', total.key === 'total' && near(total.lags[1].r, podcast.lags[1].r))
+check('days before the data starts are left out', podcast.lags[0].n === 29 && podcast.lags[7].n === 22 && podcast.windows[1].n === 23)
+
+// Impact ranking
+const rankedHappiness = []
+const rankedMedia = []
+for (let day = 0; day < 12; day++) {
+  const date = addDays('2024-07-01', day)
+  rankedHappiness.push(checkIn(date, day < 4 ? 2 : 0))
+  // A comfort read on the four best days, a news podcast on six ordinary ones, and a one-off film on a great day
+  if (day < 4) rankedMedia.push({ ...session(date, 'book', 30), title: 'Comfort Read', details: { author: 'Jane Doe' } })
+  if (day >= 6) rankedMedia.push({ ...session(date, 'podcast', 20), title: 'The News ' })
+  if (day === 0) rankedMedia.push({ ...session(date, 'video', 120), title: 'One-off Film' })
+}
+const ranking = rankHappinessImpact(rankedHappiness, rankedMedia)
+check('the baseline is the average day', near(ranking.baseline, 8 / 12))
+check('titles on good days rank best', ranking.titles.best[0]?.label === 'Comfort Read' && ranking.titles.best[0].days === 4)
+check('titles on ordinary days rank worst', ranking.titles.worst[0]?.label === 'The News')
+check('one-off titles are held back until they have enough days', ranking.titles.tooFew === 1 && !ranking.titles.best.some(item => item.label === 'One-off Film'))
+check('few days pull the score towards the baseline', ranking.titles.best[0].impact < ranking.titles.best[0].meanHappiness - ranking.baseline)
+check('creators come from media details', ranking.creators.best[0]?.label === 'Jane Doe')
+
+const libraryItem = { id: '750e8400-e29b-41d4-a716-446655440000', type: 'book', title: 'Comfort Read: Anniversary Edition', creator: 'J. Doe' }
+const catalogRanking = rankHappinessImpact(
+  rankedHappiness,
+  rankedMedia.map(media => media.title === 'Comfort Read' ? { ...media, catalogId: libraryItem.id } : media),
+  [libraryItem]
+)
+check('library items name the title and creator', catalogRanking.titles.best[0]?.label === libraryItem.title && catalogRanking.creators.best[0]?.label === 'J. Doe')
+
+// Dashboard timeline
+const timeline = buildTimeline(
+  [checkIn('2024-06-01', 2), checkIn('2024-06-03', -1), checkIn('2024-06-03', 0)],
+  [session('2024-06-02', 'book', 30), session('2024-06-02', 'video', 15), session('2024-06-09', 'book', 10)],
+  '2024-06-01',
+  '2024-06-10'
+)
+check('the timeline has every day in the range', timeline.length === 10 && timeline[9].date === '2024-06-10')
+check('days without a check-in have no happiness but keep their media', timeline[1].happiness === null && timeline[1].totalDuration === 45 && timeline[1].durationByType.video === 15)
+check('the moving average covers the last week of check-ins', timeline[2].movingAverage === 0.75 && timeline[6].movingAverage === 0.75 && timeline[7].movingAverage === -0.5 && timeline[9].movingAverage === null)
+
+// Scatter and trend line
+const line = linearRegression([0, 1, 2, 3], [1, 3, 5, 7])
+check('a straight line is fitted exactly', near(line.slope, 2) && near(line.intercept, 1) && near(line.rSquared, 1))
+const noisyLine = linearRegression([1, 2, 3, 4, 5], [2, 1, 4, 3, 5])
+check('R² is the squared correlation', near(noisyLine.slope, 0.8) && near(noisyLine.rSquared, 0.64))
+check('no trend when minutes never change', linearRegression([30, 30, 30], [1, 2, 0]) === null)
+
+const scatter = buildScatterData(
+  [checkIn('2024-07-01', 2), checkIn('2024-07-02', 0), checkIn('2024-07-03', -2)],
+  [session('2024-07-01', 'book', 60), session('2024-07-02', 'book', 30), session('2024-07-02', 'video', 45)]
+)
+check('every check-in day is a point, including days without media', scatter.points.length === 3 && scatter.points[1].minutes === 75 && scatter.points[2].minutes === 0)
+check('points can count one media type', buildScatterData(
+  [checkIn('2024-07-01', 2), checkIn('2024-07-02', 0)],
+  [session('2024-07-01', 'book', 60), session('2024-07-02', 'video', 45)],
+  'video'
+).points.map(point => point.minutes).join(',') === '0,45')
+check('the scatter carries a fitted trend', scatter.fit !== null && scatter.fit.slope > 0)
+check('minutes axes end on a whole hour, at least one', getMinutesAxisMax(0) === 60 && getMinutesAxisMax(60) === 60 && getMinutesAxisMax(61) === 120)
+
+reportResults()
@@ -0,0 +1,87 @@
+/**
+ * @fileoverview Manual test script for JSON backup import and merging
+ * Run with: node test/backup.js
+ */
+
+import { createBackup, parseBackup, mergeBackup, BACKUP_FORMAT } from '../lib/backup.js'
+import { createCatalogItem, schemas } from '../schemas/index.js'
+import { CURRENT_SCHEMA_VERSION } from '../schemas/migrations.js'
+import { check, reportResults, checkIn, session } from './helpers/index.js'
+
+console.log('🧪 Testing Backups\n')
+
+const happiness = [checkIn('2024-10-22', 1, { time: '09:00' }), checkIn('2024-10-23', -1)]
+const media = [session('2024-10-22', 'book', 45), session('2024-10-23', 'video', 120)]
+const catalog = [createCatalogItem('book', 'The Great Gatsby').data]
+const backup = createBackup(happiness, media, catalog, '2024-10-23T12:00:00.000Z')
+
+/**
+ * Parses a copy of the backup with some fields changed
+ * @param {Object} changes - Fields to overwrite; undefined removes a field
+ * @returns {Object} Result of parseBackup
+ */
+const parseWith = (changes) => parseBackup(JSON.stringify({ ...backup, ...changes }))
+
+// Round trip
+const restored = parseBackup(JSON.stringify(backup))
+check('a backup survives a round trip', restored.success &&
+  JSON.stringify([restored.data.happiness, restored.data.media, restored.data.catalog]) === JSON.stringify([happiness, media, catalog]))
+check('a clean backup has no rejected records', restored.data.rejected.length === 0)
+
+// Malformed files
+check('text that is not JSON is refused', /not valid JSON/.test(parseBackup('{"format": ').errors?.[0]))
+check('JSON from elsewhere is refused', /not a Media Consumption Tracker backup/.test(parseBackup('[1, 2]').errors?.[0]) &&
+  !parseBackup('null').success)
+check('a missing entry list is reported', parseWith({ media: undefined }).errors?.includes('Backup is missing the media entry list'))
+check('entry lists must be arrays', parseWith({ happiness: { 0: happiness[0] } }).errors?.includes('Backup is missing the happiness entry list'))
+check('an unknown schema is refused', parseWith({ schemas: { ...backup.schemas, media: 'https://example.com/media.json' } }).errors?.some(error => /unknown media schema/.test(error)))
+check('every problem with the file is reported at once', parseWith({ happiness: undefined, media: undefined, schemaVersion: undefined }).errors?.length === 3)
+
+// Versions
+check('a missing schemaVersion is refused', parseWith({ schemaVersion: undefined }).errors?.includes('Backup has no schemaVersion'))
+check('a non-integer schemaVersion is refused', !parseWith({ schemaVersion: '5' }).success && !parseWith({ schemaVersion: 2.5 }).success)
+check('backups from a newer app are refused', /newer version/.test(parseWith({ schemaVersion: CURRENT_SCHEMA_VERSION + 1 }).errors?.[0]))
+
+const legacy = parseWith({
+  schemaVersion: 1,
+  catalog: undefined,
+  happiness: [{ date: '2024-10-22', happiness: 2 }]
+})
+check('older backups are migrated', legacy.success && Boolean(legacy.data.happiness[0].id))
+check('backups from before the catalog import it as empty', legacy.success && legacy.data.catalog.length === 0)
+check('current backups must include the catalog', parseWith({ catalog: undefined }).errors?.includes('Backup is missing the catalog entry list'))
+check('schema ids match the ones the app writes', backup.schemas.happiness === schemas.happiness.$id && backup.format === BACKUP_FORMAT)
+
+// Records
+const partial = parseWith({
+  happiness: [...happiness, { id: 'not-a-uuid', date: '2024-10-24', happiness: 1 }, checkIn('2999-01-01', 1)],
+  media: [...media, session('2024-10-24', 'book', -5)]
+})
+check('bad records are rejected without blocking the rest', partial.success && partial.data.happiness.length === 2 && partial.data.media.length === 2)
+check('rejected records say which collection they came from', partial.data.rejected.map(rejection => rejection.collection).join() === 'happiness,happiness,media')
+check('imports enforce the date bounds', partial.data.rejected.some(rejection => rejection.record.date === '2999-01-01'))
+
+// Merging
+const current = {
+  happiness: [checkIn('2024-10-20', 0), happiness[0]],
+  media: [session('2024-10-20', 'music', 30), { ...media[0], duration: 10 }],
+  catalog: [{ ...catalog[0], title: 'Gatsby' }]
+}
+const incoming = {
+  happiness: [{ ...happiness[0], happiness: 2 }, checkIn('2024-10-25', 1)],
+  media: [media[0]],
+  catalog: [catalog[0]]
+}
+const merged = mergeBackup(current, incoming, 'merge')
+check('merging keeps entries that are not imported', merged.happiness.some(entry => entry.id === current.happiness[0].id) &&
+  merged.media.some(entry => entry.id === current.media[0].id))
+check('imported check-ins win an id collision', merged.happiness.filter(entry => entry.id === happiness[0].id).map(entry => entry.happiness).join() === '2')
+check('imported media win an id collision', merged.media.filter(entry => entry.id === media[0].id).map(entry => entry.duration).join() === '45')
+check('imported catalog items win an id collision', merged.catalog.length === 1 && merged.catalog[0].title === 'The Great Gatsby')
+check('merged entries are newest first', merged.happiness.map(entry => entry.date).join() === '2024-10-25,2024-10-22,2024-10-20')
+
+const replaced = mergeBackup(current, incoming, 'replace')
+check('replacing drops everything that is not imported', replaced.happiness.length === 2 && replaced.media.length === 1 && replaced.catalog.length === 1)
+check('merging never changes the current entries', current.happiness.length === 2 && current.media[1].duration === 10)
+
+reportResults()
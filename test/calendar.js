@@ -0,0 +1,45 @@
+/**
+ * @fileoverview Manual test script for calendar layout and day summaries
+ * Run with: node test/calendar.js
+ */
+
+import {
+  getHappinessLevel, getWeekday, buildCalendarDays, getYearWeeks, getMonthWeeks, getMonthStart, findMissingDays
+} from '../lib/calendar.js'
+import { check, reportResults, checkIn, session } from './helpers/index.js'
+
+console.log('🧪 Testing Calendar\n')
+
+// Happiness levels
+check('means round to the nearest level', getHappinessLevel(1.4) === '1' && getHappinessLevel(1.5) === '2' && getHappinessLevel(-1.6) === '-2')
+check('small negative means are neutral, not "-0"', getHappinessLevel(-0.4) === '0')
+
+// Day summaries
+const days = buildCalendarDays(
+  [checkIn('2024-10-01', 2), checkIn('2024-10-01', 1), checkIn('2024-10-03', -1)],
+  [session('2024-10-01', 'book', 30), session('2024-10-01', 'book', 15), session('2024-10-02', 'video', 60)]
+)
+check('check-ins are averaged and levelled per day', days.get('2024-10-01').mean === 1.5 && days.get('2024-10-01').level === '2' && days.get('2024-10-01').checkInCount === 2)
+check('media types are listed once with minutes summed', days.get('2024-10-01').mediaTypes.join(',') === 'book' && days.get('2024-10-01').mediaMinutes === 45)
+check('media-only days have no level', days.get('2024-10-02').level === null && days.get('2024-10-02').mediaEntries.length === 1)
+check('days with nothing logged are left out', !days.has('2024-10-04'))
+
+// Layout
+check('weekdays are computed without time zone drift', getWeekday('2024-10-06') === 0 && getWeekday('2024-10-12') === 6)
+
+const yearWeeks = getYearWeeks('2024-10-16')
+check('the year has 53 weeks starting on a Sunday', yearWeeks.length === 53 && getWeekday(yearWeeks[0][0]) === 0)
+check('the last week ends on the given date', yearWeeks[52][3] === '2024-10-16' && yearWeeks[52][4] === null)
+
+const february = getMonthWeeks('2024-02-14')
+check('months are padded to whole weeks', february.length === 5 && february[0][3] === null && february[0][4] === '2024-02-01')
+check('leap days are included', february.flat().includes('2024-02-29') && !february.flat().includes('2024-03-01'))
+check('month starts move across years', getMonthStart('2024-12-20', 1) === '2025-01-01' && getMonthStart('2024-01-05', -1) === '2023-12-01')
+
+// Gaps
+const gaps = findMissingDays(['2024-10-01', '2024-10-02', '2024-10-05', '2024-10-06'], '2024-10-01', '2024-10-09')
+check('gaps are found newest first', gaps.length === 2 && gaps[0].from === '2024-10-07' && gaps[1].from === '2024-10-03')
+check('gaps report their length', gaps[0].days === 3 && gaps[0].to === '2024-10-09' && gaps[1].days === 2 && gaps[1].to === '2024-10-04')
+check('no gaps when every day is logged', findMissingDays(['2024-10-01', '2024-10-02'], '2024-10-01', '2024-10-02').length === 0)
+
+reportResults()
@@ -0,0 +1,78 @@
+/**
+ * @fileoverview Manual test script for CSV export, parsing and column mapping
+ * Run with: node test/csv-import.js
+ */
+
+import {
+  toCSV,
+  happinessToCSV,
+  mediaToCSV,
+  parseCSV,
+  detectDateFormats,
+  normalizeDate,
+  guessColumnMapping,
+  mapCsvRows
+} from '../lib/csv.js'
+import { check, reportResults, session } from './helpers/index.js'
+
+console.log('🧪 Testing CSV Import and Export\n')
+
+// Round trip through export and parse
+const csv = toCSV(['date', 'type', 'title', 'duration'], [
+  ['2024-10-23', 'book', 'War, Peace and "Quotes"', 60],
+  ['2024-10-24', 'video', 'Line\nBreak', 90]
+])
+const parsed = parseCSV(csv)
+check('quoted cells survive a round trip', parsed[1][2] === 'War, Peace and "Quotes"')
+check('embedded newlines survive a round trip', parsed[2][2] === 'Line\nBreak')
+check('semicolon-delimited files are detected', parseCSV('a;b\n1;2')[1][1] === '2')
+check('blank lines are dropped', parseCSV('a,b\n\n1,2\n').length === 2)
+
+// Date formats
+check('ISO dates are detected', detectDateFormats(['2024-10-23', '2024-1-5'])[0] === 'YYYY-MM-DD')
+check('day-first dates are detected when unambiguous', detectDateFormats(['23/10/2024', '01/11/2024']).join() === 'DD/MM/YYYY')
+check('ambiguous slash dates offer both orders', detectDateFormats(['01/02/2024']).length === 2)
+check('dates are normalised to YYYY-MM-DD', normalizeDate('5.1.2024', 'DD.MM.YYYY') === '2024-01-05')
+
+// Column mapping
+const mapping = guessColumnMapping(['Day', 'Minutes', 'Name', 'Kind'], 'media')
+check('columns are guessed from header aliases', mapping.date === 0 && mapping.duration === 1 && mapping.title === 2 && mapping.type === 3)
+
+const dryRun = mapCsvRows([
+  ['10/23/2024', '45', 'Dune', 'Book'],
+  ['10/24/2024', 'abc', 'Dune', 'book'],
+  ['10/25/2024', '30', 'Serial', 'radio']
+], { collection: 'media', mapping, dateFormat: 'MM/DD/YYYY', firstRowNumber: 2 })
+check('valid rows become media entries', dryRun.valid.length === 1 && dryRun.valid[0].entry.type === 'book')
+check('invalid rows are reported with their row number', dryRun.rejected.map(r => r.rowNumber).join() === '3,4')
+
+const happinessRun = mapCsvRows([['2024-10-23', '2'], ['2024-10-24', '5']], {
+  collection: 'happiness',
+  mapping: { date: 0, happiness: 1 },
+  dateFormat: 'YYYY-MM-DD'
+})
+check('happiness rows are validated against the schema', happinessRun.valid.length === 1 && happinessRun.rejected.length === 1)
+check('unmapped ids are generated', Boolean(happinessRun.valid[0].entry.id))
+
+const exported = parseCSV(happinessToCSV(happinessRun.valid.map(row => row.entry)))
+const reimported = mapCsvRows(exported.slice(1), {
+  collection: 'happiness',
+  mapping: guessColumnMapping(exported[0], 'happiness'),
+  dateFormat: 'YYYY-MM-DD'
+})
+check('exported ids survive a re-import', reimported.valid[0]?.entry.id === happinessRun.valid[0].entry.id)
+
+const sessions = [
+  session('2024-10-23', 'book', 45, { details: { author: 'Frank Herbert', pagesRead: 40 }, catalogId: '7c9e6679-7425-40de-944b-e07fc1f90ae7' }),
+  session('2024-10-24', 'video', 90)
+]
+const exportedMedia = parseCSV(mediaToCSV(sessions))
+const reimportedMedia = mapCsvRows(exportedMedia.slice(1), {
+  collection: 'media',
+  mapping: guessColumnMapping(exportedMedia[0], 'media'),
+  dateFormat: 'YYYY-MM-DD'
+})
+check('exported media columns are all recognised', Object.values(guessColumnMapping(exportedMedia[0], 'media')).every(index => index >= 0))
+check('exported media survive a re-import unchanged', JSON.stringify(reimportedMedia.valid.map(row => row.entry)) === JSON.stringify(sessions))
+
+reportResults()
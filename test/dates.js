@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Manual test script for the user's local date and day rollover
+ * Run with: node test/dates.js
+ */
+
+import { getLocalDate, getTodayDate, setDateSettings, DEFAULT_DATE_SETTINGS } from '../lib/dates.js'
+import { check, reportResults } from './helpers/index.js'
+
+console.log('🧪 Testing Local Dates\n')
+
+const at = (iso) => new Date(iso)
+const RealDate = Date
+
+/**
+ * Runs a function with the clock stopped at an instant, so getTodayDate can be tested
+ * @param {string} iso - Instant to use as now
+ * @param {Function} run - Work to do while the clock is stopped
+ * @returns {*} What run returns
+ */
+function withNow(iso, run) {
+  const now = new RealDate(iso).getTime()
+  globalThis.Date = class extends RealDate {
+    constructor(...args) {
+      super(...(args.length > 0 ? args : [now]))
+    }
+
+    static now() {
+      return now
+    }
+  }
+  try {
+    return run()
+  } finally {
+    globalThis.Date = RealDate
+  }
+}
+
+// Midnight
+const utc = { timeZone: 'UTC', dayRolloverHour: 0 }
+check('the last second of a day is still that day', getLocalDate(at('2024-12-31T23:59:59Z'), utc) === '2024-12-31')
+check('midnight starts the next day, across years', getLocalDate(at('2025-01-01T00:00:00Z'), utc) === '2025-01-01')
+
+// Rollover hour
+const lateNights = { timeZone: 'UTC', dayRolloverHour: 4 }
+check('hours before the rollover count as the previous day', getLocalDate(at('2025-01-01T03:59:59Z'), lateNights) === '2024-12-31')
+check('the rollover hour starts the new day', getLocalDate(at('2025-01-01T04:00:00Z'), lateNights) === '2025-01-01')
+check('rolling back crosses into a leap day', getLocalDate(at('2024-03-01T02:00:00Z'), lateNights) === '2024-02-29')
+
+// Time zones
+check('time zones ahead of UTC reach the next day first', getLocalDate(at('2024-10-22T15:30:00Z'), { timeZone: 'Asia/Tokyo' }) === '2024-10-23')
+check('time zones behind UTC are still on the previous day', getLocalDate(at('2024-10-23T03:30:00Z'), { timeZone: 'America/Los_Angeles' }) === '2024-10-22')
+check('half-hour offsets change day on the local midnight',
+  getLocalDate(at('2024-10-22T18:29:00Z'), { timeZone: 'Asia/Kolkata' }) === '2024-10-22' &&
+  getLocalDate(at('2024-10-22T18:30:00Z'), { timeZone: 'Asia/Kolkata' }) === '2024-10-23')
+check('the rollover hour applies to local time, not UTC',
+  getLocalDate(at('2024-10-22T16:30:00Z'), { timeZone: 'Asia/Tokyo', dayRolloverHour: 3 }) === '2024-10-22' &&
+  getLocalDate(at('2024-10-22T18:30:00Z'), { timeZone: 'Asia/Tokyo', dayRolloverHour: 3 }) === '2024-10-23')
+
+// Daylight saving: New York springs forward on 2024-03-10 and falls back on 2024-11-03
+const newYork = { timeZone: 'America/New_York', dayRolloverHour: 0 }
+check('the skipped hour when clocks spring forward stays on the same day',
+  getLocalDate(at('2024-03-10T04:59:00Z'), newYork) === '2024-03-09' &&
+  getLocalDate(at('2024-03-10T06:59:00Z'), newYork) === '2024-03-10' &&
+  getLocalDate(at('2024-03-10T07:00:00Z'), newYork) === '2024-03-10')
+check('both 1:30s on the night clocks fall back are the same day',
+  getLocalDate(at('2024-11-03T05:30:00Z'), newYork) === '2024-11-03' &&
+  getLocalDate(at('2024-11-03T06:30:00Z'), newYork) === '2024-11-03')
+check('the rollover hour follows the shifted clock',
+  getLocalDate(at('2024-03-10T07:30:00Z'), { ...newYork, dayRolloverHour: 4 }) === '2024-03-09' &&
+  getLocalDate(at('2024-11-03T08:30:00Z'), { ...newYork, dayRolloverHour: 4 }) === '2024-11-02' &&
+  getLocalDate(at('2024-11-03T09:00:00Z'), { ...newYork, dayRolloverHour: 4 }) === '2024-11-03')
+check('southern hemisphere daylight saving is handled too', getLocalDate(at('2024-10-22T11:30:00Z'), { timeZone: 'Pacific/Auckland' }) === '2024-10-23')
+
+// Today uses the saved settings
+setDateSettings({ timeZone: 'Pacific/Auckland', dayRolloverHour: 0 })
+check('today is read in the saved time zone', withNow('2024-10-22T11:30:00Z', getTodayDate) === '2024-10-23')
+setDateSettings({ timeZone: 'Pacific/Auckland', dayRolloverHour: 3 })
+check('today honours the saved rollover hour', withNow('2024-10-22T11:30:00Z', getTodayDate) === '2024-10-22')
+setDateSettings({ timeZone: 'Not/AZone', dayRolloverHour: 24 })
+check('invalid settings fall back to the defaults',
+  withNow('2024-10-22T11:30:00Z', getTodayDate) === getLocalDate(at('2024-10-22T11:30:00Z'), DEFAULT_DATE_SETTINGS))
+setDateSettings(DEFAULT_DATE_SETTINGS)
+
+reportResults()
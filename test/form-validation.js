@@ -4,6 +4,8 @@
  */
 
 import { createHappinessEntry } from '../schemas/index.js'
+import { validateSampleData } from '../lib/happiness.js'
+import { check, reportResults } from './helpers/index.js'
 
 console.log('🧪 Testing Happiness Form Validation\n')
 
@@ -22,36 +24,37 @@ const testCases = [
   { happiness: 1, expected: 'invalid' }, // Missing date field
   { date: '2024-10-23', expected: 'invalid' }, // Missing happiness field
   { date: '2024-10-23', happiness: 1.5, expected: 'invalid' }, // Non-integer happiness
+  { date: '2024-02-31', happiness: 1, expected: 'invalid' }, // Day past end of month
+  { date: '2024-13-45', happiness: 1, expected: 'invalid' }, // Month and day out of range
+  { date: '2023-02-29', happiness: 1, expected: 'invalid' }, // Not a leap year
+  { date: '2024-02-29', happiness: 1, expected: 'valid' }, // Leap day
+  { date: '2999-01-01', happiness: 1, expected: 'invalid' }, // Future date
+  { date: '1899-12-31', happiness: 1, expected: 'invalid' }, // Before the earliest accepted date
+  { date: '2024-10-23', happiness: 1, notes: 'Long walk, **great** podcast', expected: 'valid' }, // Markdown notes
+  { date: '2024-10-23', happiness: 1, notes: 42, expected: 'invalid' }, // Notes must be text
+  { date: '2024-10-23', happiness: 1, notes: 'x'.repeat(10001), expected: 'invalid' }, // Notes too long
+  { date: '2024-10-23', happiness: 1, id: '550e8400-e29b-41d4-a716-446655440000', expected: 'valid' }, // Existing id kept
+  { date: '2024-10-23', happiness: 1, id: 'not-a-uuid', expected: 'invalid' }, // Malformed id
+  { date: '2024-10-23', happiness: 1, energy: 4, sleepQuality: 0, expected: 'valid' }, // Dimension scores
+  { date: '2024-10-23', happiness: 1, energy: 11, expected: 'invalid' }, // Dimension above the widest scale
+  { date: '2024-10-23', happiness: 1, focus: 2.5, expected: 'invalid' }, // Non-integer dimension
 ]
 
-let passed = 0
-let failed = 0
-
 testCases.forEach((testCase, index) => {
-  const result = createHappinessEntry(testCase.date, testCase.happiness)
+  const result = createHappinessEntry(testCase.date, testCase.happiness, { id: testCase.id, notes: testCase.notes, energy: testCase.energy, focus: testCase.focus, sleepQuality: testCase.sleepQuality })
   const isValid = result.success
   const expectedValid = testCase.expected === 'valid'
   
-  if (isValid === expectedValid) {
-    console.log(`✅ Test ${index + 1}: PASS`)
-    passed++
-  } else {
-    console.log(`❌ Test ${index + 1}: FAIL`)
+  if (!check(`Test ${index + 1}: ${testCase.expected}`, isValid === expectedValid)) {
     console.log(`   Input: ${JSON.stringify(testCase)}`)
     console.log(`   Expected: ${testCase.expected}`)
     console.log(`   Got: ${isValid ? 'valid' : 'invalid'}`)
     if (!isValid) {
       console.log(`   Errors: ${result.errors.join(', ')}`)
     }
-    failed++
   }
 })
 
-console.log(`\n📊 Results: ${passed} passed, ${failed} failed`)
+check('Sample data is valid', validateSampleData().allValid)
 
-if (failed === 0) {
-  console.log('🎉 All tests passed!')
-} else {
-  console.log('⚠️  Some tests failed')
-  process.exit(1)
-}
\ No newline at end of file
+reportResults()
\ No newline at end of file
@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Assertions and fixtures shared by the test scripts
+ * Each script imports check and reportResults, so its output and exit code
+ * look the same to `npm test` as every other script's.
+ */
+
+let passed = 0
+let failed = 0
+
+/**
+ * Records a single assertion
+ * @param {string} description - What is being checked
+ * @param {boolean} condition - Whether the check passed
+ * @returns {boolean} The condition, so callers can print extra detail on failure
+ */
+export function check(description, condition) {
+  if (condition) {
+    console.log(`✅ ${description}`)
+    passed++
+  } else {
+    console.log(`❌ ${description}`)
+    failed++
+  }
+  return condition
+}
+
+/**
+ * Prints the totals and exits with a failure code if any check failed
+ */
+export function reportResults() {
+  console.log(`\n📊 Results: ${passed} passed, ${failed} failed`)
+
+  if (failed === 0) {
+    console.log('🎉 All tests passed!')
+  } else {
+    console.log('⚠️  Some tests failed')
+    process.exit(1)
+  }
+}
+
+let fixtureCount = 0
+
+/**
+ * Builds a unique, valid UUID for a fixture
+ * @param {string} prefix - First eight hex digits, telling the kind of record apart
+ * @returns {string} UUID string
+ */
+function fixtureId(prefix) {
+  return `${prefix}-e29b-41d4-a716-${String(fixtureCount++).padStart(12, '0')}`
+}
+
+/**
+ * Builds a happiness check-in
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {number} happiness - Happiness level
+ * @param {Object} [extras] - Other fields, such as time or notes
+ * @returns {Object} Check-in with a fresh id
+ */
+export function checkIn(date, happiness, extras = {}) {
+  return { id: fixtureId('550e8400'), date, happiness, ...extras }
+}
+
+/**
+ * Builds a media session
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} type - Media type key
+ * @param {number} duration - Minutes
+ * @param {Object} [extras] - Other fields; title defaults to "Something"
+ * @returns {Object} Media entry with a fresh id
+ */
+export function session(date, type, duration, extras = {}) {
+  return { id: fixtureId('650e8400'), date, type, title: 'Something', duration, ...extras }
+}
+
+/**
+ * Minimal Web Storage stand-in backed by a Map
+ * @returns {Object} Storage-like object
+ */
+export function createFakeStorage() {
+  const items = new Map()
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key)
+  }
+}
@@ -0,0 +1,61 @@
+/**
+ * @fileoverview Manual test script for the media library catalog
+ * Run with: node test/media-library.js
+ */
+
+import { createMediaEntry, createCatalogItem, validateMedia } from '../schemas/index.js'
+import { linkSessionsToCatalog, syncSessionsWithCatalogItem, summarizeCatalog } from '../lib/catalog.js'
+import { mergeBackup } from '../lib/backup.js'
+import { check, reportResults } from './helpers/index.js'
+
+console.log('🧪 Testing Media Library\n')
+
+// Catalog items
+const gatsby = createCatalogItem('book', 'The Great Gatsby', { creator: 'F. Scott Fitzgerald', totalLength: 300 })
+check('catalog items are created with an id', gatsby.success && Boolean(gatsby.data.id))
+check('cover must be a web address', !createCatalogItem('book', 'The Great Gatsby', { cover: 'javascript:alert(1)' }).success)
+check('catalog items need a registered type', !createCatalogItem('vinyl', 'Abbey Road').success)
+
+// Linking sessions
+const sessions = [
+  createMediaEntry('2024-10-20', 'book', 'The Great Gatsby', 45).data,
+  createMediaEntry('2024-10-21', 'book', '  the great   gatsby ', 30).data,
+  createMediaEntry('2024-10-21', 'video', 'The Great Gatsby', 140).data,
+  createMediaEntry('2024-10-22', 'podcast', 'Serial Episode 1', 60).data
+]
+const { sessions: linked, created } = linkSessionsToCatalog(sessions, [gatsby.data])
+check('sessions match existing items regardless of case and spacing', linked[0].catalogId === gatsby.data.id && linked[1].catalogId === gatsby.data.id)
+check('the same title in another type is a separate item', linked[2].catalogId !== gatsby.data.id)
+check('missing titles are added to the catalog', created.length === 2)
+check('linked sessions still validate', linked.every(session => validateMedia(session).isValid))
+
+const relinked = linkSessionsToCatalog(linked, [gatsby.data, ...created])
+check('already linked sessions are left alone', relinked.created.length === 0 && relinked.linked.length === 0)
+
+// Renaming
+const renamed = syncSessionsWithCatalogItem({ ...gatsby.data, title: 'Gatsby' }, linked)
+check('renaming an item renames its sessions', renamed.length === 2 && renamed.every(session => session.title === 'Gatsby'))
+
+// Library summaries
+const happiness = [
+  { id: '550e8400-e29b-41d4-a716-446655440010', date: '2024-10-20', happiness: 2 },
+  { id: '550e8400-e29b-41d4-a716-446655440011', date: '2024-10-21', happiness: 1 },
+  { id: '550e8400-e29b-41d4-a716-446655440012', date: '2024-10-21', happiness: -1 }
+]
+const [summary] = summarizeCatalog([gatsby.data], linked, happiness)
+check('sessions and total time are counted per item', summary.sessionCount === 2 && summary.totalDuration === 75)
+check('date range covers the first and last session', summary.firstDate === '2024-10-20' && summary.lastDate === '2024-10-21')
+check('average happiness uses the daily means', summary.averageHappiness === 1 && summary.happinessDays === 2)
+
+const [unused] = summarizeCatalog([created[1]], [], happiness)
+check('items without sessions have no dates or average', unused.firstDate === null && unused.averageHappiness === null)
+
+// Backups
+const merged = mergeBackup(
+  { happiness: [], media: linked, catalog: [gatsby.data, ...created] },
+  { happiness: [], media: [] },
+  'merge'
+)
+check('imports without a catalog keep the current one', merged.catalog.length === 3)
+
+reportResults()
@@ -0,0 +1,52 @@
+/**
+ * @fileoverview Manual test script for live media timers
+ * Run with: node test/media-timers.js
+ */
+
+import { setDateSettings } from '../lib/dates.js'
+import {
+  startTimer, pauseTimer, resumeTimer, isTimerRunning, getElapsedMs,
+  splitTimerByDay, stopTimer, loadTimers, saveTimers
+} from '../lib/timers.js'
+import { check, reportResults, createFakeStorage } from './helpers/index.js'
+
+console.log('🧪 Testing Media Timers\n')
+
+const MINUTE = 60000
+setDateSettings({ timeZone: 'UTC', dayRolloverHour: 0 })
+
+// Starting
+const start = Date.UTC(2024, 9, 20, 23, 30)
+const started = startTimer('book', 'The Great Gatsby', start)
+check('timers start running', started.success && isTimerRunning(started.data))
+check('timers need a valid title', !startTimer('book', 'ab', start).success)
+
+// Pausing
+const paused = pauseTimer(started.data, start + 10 * MINUTE)
+const resumed = resumeTimer(paused, start + 25 * MINUTE)
+check('paused timers stop counting', !isTimerRunning(paused) && getElapsedMs(paused, start + 60 * MINUTE) === 10 * MINUTE)
+check('resumed timers leave out the pause', getElapsedMs(resumed, start + 45 * MINUTE) === 30 * MINUTE)
+
+// Crossing midnight
+const split = splitTimerByDay(resumed, start + 45 * MINUTE)
+check('time is split at midnight', split.length === 2 && split[0].date === '2024-10-20' && split[1].date === '2024-10-21')
+check('each day gets its own share', split[0].ms === 15 * MINUTE && split[1].ms === 15 * MINUTE)
+
+const stopped = stopTimer(resumed, start + 45 * MINUTE)
+check('stopping creates one entry per day', stopped.success && stopped.data.map(entry => entry.duration).join(',') === '15,15')
+
+setDateSettings({ timeZone: 'UTC', dayRolloverHour: 4 })
+check('the day rollover hour moves the split', splitTimerByDay(resumed, start + 45 * MINUTE).length === 1)
+setDateSettings({ timeZone: 'UTC', dayRolloverHour: 0 })
+
+check('timers under a minute create nothing', !stopTimer(started.data, start + 20000).success)
+
+// Persistence
+const fakeStorage = createFakeStorage()
+saveTimers([resumed, { id: 'broken' }], fakeStorage)
+const loaded = loadTimers(fakeStorage)
+check('running timers survive a reload', loaded.length === 1 && getElapsedMs(loaded[0], start + 45 * MINUTE) === 30 * MINUTE)
+fakeStorage.setItem('media-consumption-tracker-timers', 'not json')
+check('unreadable timers are ignored', loadTimers(fakeStorage).length === 0)
+
+reportResults()
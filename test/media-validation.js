@@ -3,7 +3,9 @@
  */
 
 import { createMediaEntry, validateMedia } from '../schemas/index.js'
-import { MEDIA_TYPES, formatDuration, SAMPLE_DATA, validateSampleData } from '../lib/media.js'
+import { formatDuration, getMediaDetailFields, suggestMediaTitles, SAMPLE_DATA, validateSampleData } from '../lib/media.js'
+import { DEFAULT_MEDIA_TYPES, SUGGESTED_MEDIA_TYPES, getMediaTypes, setMediaTypes, createMediaTypeKey, getMediaType } from '../lib/mediaTypes.js'
+import { check, reportResults } from './helpers/index.js'
 
 console.log('=== Media Schema Validation Tests ===\n')
 
@@ -53,8 +55,8 @@ invalidTests.forEach((test, idx) => {
 
 // Test 3: Media types
 console.log('\nTest 3: Media types')
-Object.entries(MEDIA_TYPES).forEach(([type, desc]) => {
-  console.log(`  ${type}: ${desc}`)
+getMediaTypes().forEach(({ key, label }) => {
+  console.log(`  ${key}: ${label}`)
 })
 
 // Test 4: Duration formatting
@@ -73,4 +75,55 @@ SAMPLE_DATA.forEach((entry, idx) => {
   console.log(`  ${idx + 1}. ${JSON.stringify(entry)} -> ${result.validation.isValid ? '✓' : '✗'}`)
 })
 
-console.log('\n=== Tests Complete ===')
+// Test 6: User-defined media types
+console.log('\nTest 6: User-defined media types')
+const game = SUGGESTED_MEDIA_TYPES.find(mediaType => mediaType.key === 'game')
+const customTypeTests = [
+  { registry: DEFAULT_MEDIA_TYPES, type: 'game', expected: false, label: 'Unregistered type is rejected' },
+  { registry: [...DEFAULT_MEDIA_TYPES, game], type: 'game', expected: true, label: 'Added type is accepted' },
+  { registry: [game], type: 'book', expected: false, label: 'Removed type is rejected' },
+  { registry: [...DEFAULT_MEDIA_TYPES, { key: 'Bad Key', label: 'Bad' }], type: 'Bad Key', expected: false, label: 'Malformed key is dropped' },
+]
+customTypeTests.forEach((test) => {
+  setMediaTypes(test.registry)
+  const result = createMediaEntry('2024-10-23', test.type, 'Celeste', 90)
+  check(test.label, result.success === test.expected)
+})
+setMediaTypes(DEFAULT_MEDIA_TYPES)
+check('Key from label', createMediaTypeKey('TV Series') === 'tv-series')
+check('Unregistered type shows as unknown', getMediaType('game').label === 'Unknown (game)')
+
+// Test 7: Type-specific details
+console.log('\nTest 7: Type-specific details')
+const detailTests = [
+  { type: 'book', details: { author: 'F. Scott Fitzgerald', pagesRead: 40 }, expected: true, label: 'Book details' },
+  { type: 'podcast', details: { show: 'Serial', episodeNumber: 1 }, expected: true, label: 'Podcast details' },
+  { type: 'book', details: { show: 'Serial' }, expected: false, label: 'Another type\'s field' },
+  { type: 'book', details: { pagesRead: 0 }, expected: false, label: 'Pages read below 1' },
+  { type: 'music', details: { artist: '' }, expected: false, label: 'Empty text' },
+  { type: 'game', details: { platform: 'Switch' }, registry: [...DEFAULT_MEDIA_TYPES, game], expected: false, label: 'Details on a type without any' },
+]
+detailTests.forEach((test) => {
+  setMediaTypes(test.registry ?? DEFAULT_MEDIA_TYPES)
+  const result = createMediaEntry('2024-10-23', test.type, 'Some title', 30, null, test.details)
+  check(test.label, result.success === test.expected)
+})
+setMediaTypes(DEFAULT_MEDIA_TYPES)
+check('Form fields from schema', getMediaDetailFields('book').map(field => field.key).join(',') === 'author,pagesRead')
+
+// Test 8: Title suggestions
+console.log('\nTest 8: Title suggestions')
+const history = [
+  { date: '2024-09-01', type: 'book', title: 'Siddhartha', duration: 30 },
+  { date: '2024-10-20', type: 'podcast', title: 'Serial', duration: 40 },
+  { date: '2024-10-22', type: 'podcast', title: 'serial ', duration: 55 },
+  { date: '2024-10-22', type: 'video', title: 'The Social Network', duration: 120 },
+]
+const suggest = (query) => suggestMediaTitles(query, history, { today: '2024-10-23' })
+check('Same title is suggested once', suggest('seri').length === 1)
+check('Latest spelling and duration are used', suggest('seri')[0].title === 'serial' && suggest('seri')[0].duration === 55)
+check('Frequent, recent titles rank above old ones', suggest('s').map(s => s.type).join(',') === 'podcast,video,book')
+check('Letters in order match loosely', suggest('scl ntw')[0]?.title === 'The Social Network')
+check('Unrelated text matches nothing', suggest('xyz').length === 0 && suggest('  ').length === 0)
+
+reportResults()
@@ -0,0 +1,69 @@
+/**
+ * @fileoverview Manual test script for Markdown journal notes and note search
+ * Run with: node test/notes.js
+ */
+
+import { parseMarkdown, parseInline, markdownToPlainText } from '../lib/markdown.js'
+import { entryMatchesSearch } from '../lib/happiness.js'
+import { check, reportResults, checkIn } from './helpers/index.js'
+
+console.log('🧪 Testing Notes\n')
+
+// Blocks
+const blocks = parseMarkdown([
+  '# Sunday',
+  '',
+  'Long walk',
+  'then **coffee**',
+  '',
+  '- park',
+  '- river',
+  '1. first',
+  '2) second',
+  '> quoted',
+  '> twice',
+  '```',
+  '**not bold**',
+  '```'
+].join('\r\n'))
+check('blocks are split into heading, paragraph, lists, quote and code', blocks.map(block => block.type).join() === 'heading,paragraph,list,list,blockquote,codeBlock')
+check('headings keep their level', blocks[0].level === 1 && blocks[0].children[0].text === 'Sunday')
+check('lines in a paragraph are joined with breaks', blocks[1].children.map(node => node.type).join() === 'text,break,text,strong')
+check('bullet and numbered lists are kept apart', !blocks[2].ordered && blocks[2].items.length === 2 && blocks[3].ordered && blocks[3].items.length === 2)
+check('quoted lines form one blockquote', blocks[4].children.length === 3)
+check('fenced code is left as written', blocks[5].text === '**not bold**')
+check('an unclosed fence runs to the end', parseMarkdown('```\nstill code')[0].text === 'still code')
+check('headings need a space after the hashes', parseMarkdown('#tag')[0].type === 'paragraph')
+check('empty notes have no blocks', parseMarkdown('').length === 0 && parseMarkdown(undefined).length === 0)
+
+// Inline
+const inline = parseInline('a `b` **c** *d* _e_ [f](https://example.com)')
+check('inline code, bold, italic and links are recognised', inline.filter(node => node.type !== 'text').map(node => node.type).join() === 'code,strong,em,em,link')
+check('emphasis can nest', parseInline('__bold *and italic*__')[0].children.some(node => node.type === 'em'))
+check('a lone asterisk is plain text', parseInline('5 * 3').every(node => node.type === 'text'))
+check('code is not parsed further', parseInline('`**x**`')[0].text === '**x**')
+
+// Link safety
+const hrefOf = (markdown) => parseInline(markdown).find(node => node.type === 'link')?.href
+check('http and https links are rendered', hrefOf('[a](http://example.com)') === 'http://example.com' && hrefOf('[a](https://example.com)') === 'https://example.com')
+check('mailto links are rendered', hrefOf('[me](mailto:me@example.com)') === 'mailto:me@example.com')
+check('javascript: links stay plain text', hrefOf('[x](javascript:alert(1))') === undefined && hrefOf('[x](JavaScript:alert)') === undefined)
+check('data: links stay plain text', hrefOf('[x](data:text/html;base64,PHNjcmlwdD4=)') === undefined)
+check('relative and protocol-relative links stay plain text', hrefOf('[x](/settings)') === undefined && hrefOf('[x](//evil.example)') === undefined)
+check('a rejected link keeps its original text', parseInline('[x](javascript:alert)')[0].text === '[x](javascript:alert)')
+
+// Plain text
+check('plain text drops the syntax', markdownToPlainText('# Hi\n\n- **one**\n- [two](https://example.com)') === 'Hi one two')
+
+// Search
+const entry = checkIn('2024-10-23', -1, { notes: 'Walking by the river, café after' })
+check('an empty query matches everything', entryMatchesSearch(entry, '  '))
+check('every word must match', entryMatchesSearch(entry, 'river walk') && !entryMatchesSearch(entry, 'river mountain'))
+check('words match from their start', entryMatchesSearch(entry, 'walk') && !entryMatchesSearch(entry, 'alking'))
+check('"happy" does not match "Unhappy"', !entryMatchesSearch(entry, 'happy') && entryMatchesSearch(entry, 'unhappy'))
+check('"happy" matches "Very Happy"', entryMatchesSearch(checkIn('2024-10-23', 2), 'happy'))
+check('search ignores case and handles accents', entryMatchesSearch(entry, 'CAFÉ'))
+check('dates match in part', entryMatchesSearch(entry, '2024-10') && entryMatchesSearch(entry, '10-23'))
+check('regular expression characters are taken literally', !entryMatchesSearch(entry, 'r.ver') && !entryMatchesSearch(entry, '('))
+
+reportResults()
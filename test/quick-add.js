@@ -0,0 +1,62 @@
+/**
+ * @fileoverview Manual test script for the natural-language quick add
+ * Run with: node test/quick-add.js
+ */
+
+import { parseQuickAdd } from '../lib/quickAdd.js'
+import { DEFAULT_MEDIA_TYPES, SUGGESTED_MEDIA_TYPES, setMediaTypes } from '../lib/mediaTypes.js'
+import { check, reportResults } from './helpers/index.js'
+
+console.log('🧪 Testing Quick Add\n')
+
+// 2024-10-23 is a Wednesday
+const options = { today: '2024-10-23', time: '09:30' }
+const parseOne = (text) => parseQuickAdd(text, options)[0]
+
+// Media phrases
+const inception = parseOne('watched Inception 2h10m yesterday')
+check('verbs pick the media type', inception.success && inception.data.type === 'video')
+check('hours and minutes become minutes', inception.data.duration === 130)
+check('relative dates are resolved', inception.data.date === '2024-10-22')
+check('the rest is the title', inception.data.title === 'Inception')
+
+const dune = parseOne('read Dune 45 min')
+check('dates default to today', dune.success && dune.data.date === '2024-10-23' && dune.data.duration === 45)
+
+check('numbers in titles are kept', parseOne('read 1984 1.5 hours 3 days ago').data.title === '1984')
+check('a type named after the verb wins', parseOne('listened to music Abbey Road 40m last wednesday').data.type === 'music')
+check('"last" weekday goes back a week', parseOne('listened to music Abbey Road 40m last wednesday').data.date === '2024-10-16')
+check('type names work without a verb', parseOne('podcast: Serial 55m').data.type === 'podcast')
+
+// Date words inside titles
+const fridayNightLights = parseOne('watched Friday Night Lights 45 min')
+check('weekdays inside a title stay in the title', fridayNightLights.data.title === 'Friday Night Lights' && fridayNightLights.data.date === '2024-10-23')
+check('a weekday at the end is still a date', parseOne('watched Friday Night Lights 45 min on monday').data?.date === '2024-10-21')
+check('a title ending in a weekday can be quoted', parseOne('read "Thursday" 20m').data?.title === 'Thursday' && parseOne('read "Thursday" 20m').data.date === '2024-10-23')
+const yesterdayOnceMore = parseOne('listened to music Yesterday Once More 4m')
+check('"yesterday" inside a title stays in the title', yesterdayOnceMore.data.title === 'Yesterday Once More' && yesterdayOnceMore.data.date === '2024-10-23')
+check('"today" inside a title stays in the title', parseOne('watched The Today Show 30m').data?.title === 'The Today Show')
+check('dates can start a phrase', parseOne('yesterday watched Inception 2h').data?.date === '2024-10-22')
+check('dates can come before the duration', parseOne('watched Inception yesterday 2h').data?.date === '2024-10-22')
+
+// Happiness phrases
+const mood = parseOne('mood +1')
+check('mood phrases become check-ins', mood.success && mood.kind === 'happiness' && mood.data.happiness === 1)
+check('check-ins for today get the current time', mood.data.time === '09:30' && parseOne('mood -1 yesterday').data.time === undefined)
+check('out of range moods are rejected', !parseOne('mood +3').success)
+
+// Problems
+const vague = parseOne('Dune')
+check('missing verb and duration are both reported', !vague.success && vague.errors.length === 2)
+check('verbs for unregistered types are not guessed', !parseOne('scrolled Instagram 20m').success)
+
+setMediaTypes([...DEFAULT_MEDIA_TYPES, ...SUGGESTED_MEDIA_TYPES])
+check('custom types can be named', parseOne('watched tv series Succession 55m').data?.type === 'tv-series')
+check('verbs use custom types', parseOne('played Zelda 1h').data?.type === 'game')
+setMediaTypes(DEFAULT_MEDIA_TYPES)
+
+// Several phrases
+const several = parseQuickAdd('read Dune 30m; mood -2\nwatched Alien 2h', options)
+check('phrases are split on semicolons and new lines', several.length === 3 && several.every(result => result.success))
+
+reportResults()
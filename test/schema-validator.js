@@ -0,0 +1,98 @@
+/**
+ * @fileoverview Manual test script for the JSON Schema validator
+ * Run with: node test/schema-validator.js
+ */
+
+import { validateSchema, pointerToLabel } from '../schemas/validator.js'
+import { validateMedia, getFieldErrors } from '../schemas/index.js'
+import { check, reportResults } from './helpers/index.js'
+
+console.log('🧪 Testing JSON Schema Validator\n')
+
+// Each case: schema, data, and the keywords expected to fail (empty for valid)
+const testCases = [
+  { name: 'number type', schema: { type: 'number' }, data: 1.5, expected: [] },
+  { name: 'integer rejects fractions', schema: { type: 'integer' }, data: 1.5, expected: ['type'] },
+  { name: 'boolean type', schema: { type: 'boolean' }, data: 'yes', expected: ['type'] },
+  { name: 'type list', schema: { type: ['string', 'null'] }, data: null, expected: [] },
+  { name: 'const', schema: { const: 'book' }, data: 'video', expected: ['const'] },
+  { name: 'enum of objects', schema: { enum: [{ a: 1 }] }, data: { a: 1 }, expected: [] },
+  { name: 'exclusiveMaximum', schema: { exclusiveMaximum: 2 }, data: 2, expected: ['exclusiveMaximum'] },
+  { name: 'multipleOf', schema: { multipleOf: 0.5 }, data: 1.25, expected: ['multipleOf'] },
+  { name: 'maxLength counts code points', schema: { maxLength: 1 }, data: '😀', expected: [] },
+  { name: 'date format', schema: { type: 'string', format: 'date' }, data: '23-10-2024', expected: ['format'] },
+  { name: 'uuid format', schema: { format: 'uuid' }, data: 'not-a-uuid', expected: ['format'] },
+  { name: 'unknown formats are annotations', schema: { format: 'color' }, data: 'red', expected: [] },
+  { name: 'array items', schema: { type: 'array', items: { type: 'integer' } }, data: [1, 'two'], expected: ['type'] },
+  { name: 'prefixItems', schema: { prefixItems: [{ type: 'string' }], items: { type: 'number' } }, data: ['a', 1, 2], expected: [] },
+  { name: 'minItems', schema: { minItems: 2 }, data: [1], expected: ['minItems'] },
+  { name: 'uniqueItems', schema: { uniqueItems: true }, data: [{ a: 1 }, { a: 1 }], expected: ['uniqueItems'] },
+  { name: 'contains', schema: { contains: { const: 3 } }, data: [1, 2], expected: ['contains'] },
+  {
+    name: 'nested objects',
+    schema: { type: 'object', properties: { details: { type: 'object', required: ['author'] } } },
+    data: { details: {} },
+    expected: ['required']
+  },
+  {
+    name: 'additionalProperties schema',
+    schema: { type: 'object', additionalProperties: { type: 'number' } },
+    data: { a: 1, b: 'x' },
+    expected: ['type']
+  },
+  {
+    name: 'patternProperties',
+    schema: { patternProperties: { '^x-': { type: 'string' } }, additionalProperties: false },
+    data: { 'x-note': 'ok', other: 1 },
+    expected: ['additionalProperties']
+  },
+  { name: 'dependentRequired', schema: { dependentRequired: { pages: ['author'] } }, data: { pages: 10 }, expected: ['dependentRequired'] },
+  { name: 'propertyNames', schema: { propertyNames: { pattern: '^[a-z]+$' } }, data: { Bad: 1 }, expected: ['propertyNames'] },
+  { name: 'allOf', schema: { allOf: [{ minimum: 0 }, { maximum: 10 }] }, data: 11, expected: ['maximum'] },
+  { name: 'anyOf', schema: { anyOf: [{ type: 'string' }, { type: 'number' }] }, data: true, expected: ['anyOf'] },
+  { name: 'oneOf matching two', schema: { oneOf: [{ minimum: 0 }, { maximum: 10 }] }, data: 5, expected: ['oneOf'] },
+  { name: 'not', schema: { not: { type: 'null' } }, data: null, expected: ['not'] },
+  {
+    name: 'if/then',
+    schema: { if: { properties: { type: { const: 'book' } } }, then: { required: ['author'] } },
+    data: { type: 'book' },
+    expected: ['required']
+  },
+  {
+    name: 'if/else',
+    schema: { if: { properties: { type: { const: 'book' } } }, then: { required: ['author'] }, else: { required: ['artist'] } },
+    data: { type: 'music', artist: 'The Beatles' },
+    expected: []
+  },
+  {
+    name: '$ref to $defs',
+    schema: { $defs: { level: { type: 'integer', minimum: -2 } }, properties: { happiness: { $ref: '#/$defs/level' } } },
+    data: { happiness: -3 },
+    expected: ['minimum']
+  },
+  { name: 'boolean schema false', schema: { properties: { id: false } }, data: { id: 1 }, expected: ['false'] }
+]
+
+testCases.forEach((testCase, index) => {
+  const keywords = validateSchema(testCase.data, testCase.schema).map(error => error.keyword)
+
+  if (!check(`Test ${index + 1}: ${testCase.name}`, keywords.join() === testCase.expected.join())) {
+    console.log(`   Expected keywords: [${testCase.expected.join(', ')}]`)
+    console.log(`   Got: [${keywords.join(', ')}]`)
+  }
+})
+
+// Instance paths and field grouping
+const nestedErrors = validateSchema(
+  { items: [{ title: 'ok' }, { title: 1 }] },
+  { properties: { items: { items: { properties: { title: { type: 'string' } } } } } }
+)
+check('Errors carry a JSON Pointer instance path',
+  nestedErrors[0]?.instancePath === '/items/1/title' && pointerToLabel(nestedErrors[0].instancePath) === 'items[1].title')
+
+const mediaResult = validateMedia({ id: '550e8400-e29b-41d4-a716-446655440000', date: '2024-10-23', type: 'book', title: 'AB' })
+const fieldErrors = getFieldErrors(mediaResult.details)
+check('Errors can be grouped by form field',
+  fieldErrors.title?.length === 1 && fieldErrors.duration?.[0] === 'Missing required field: duration')
+
+reportResults()
@@ -0,0 +1,189 @@
+/**
+ * @fileoverview Manual test script for the storage repository
+ * Run with: node test/storage-repository.js
+ */
+
+import {
+  createRepository,
+  createMemoryAdapter,
+  createLocalStorageAdapter,
+  migrateFromLocalStorage,
+  countRejectedRecords,
+  STORES
+} from '../lib/storage/index.js'
+import { MIGRATION_FLAG_KEY } from '../lib/storage/migrateFromLocalStorage.js'
+import { CURRENT_SCHEMA_VERSION } from '../schemas/migrations.js'
+import { check, reportResults, createFakeStorage, checkIn, session } from './helpers/index.js'
+
+console.log('🧪 Testing Storage Repository\n')
+
+const fakeStorage = createFakeStorage()
+const adapters = {
+  memory: createMemoryAdapter(),
+  localStorage: createLocalStorageAdapter({ storage: fakeStorage })
+}
+
+for (const [name, adapter] of Object.entries(adapters)) {
+  console.log(`\n--- ${name} adapter ---`)
+  const repository = createRepository(adapter)
+
+  await repository.happiness.put({ id: 'a0000000-0000-4000-8000-000000000001', date: '2024-10-22', time: '09:00', happiness: 1 })
+  await repository.happiness.put({ id: 'a0000000-0000-4000-8000-000000000002', date: '2024-10-23', happiness: 2 })
+  await repository.happiness.put({ id: 'a0000000-0000-4000-8000-000000000003', date: '2024-10-22', time: '20:00', happiness: -1 })
+  await repository.happiness.put({ id: 'a0000000-0000-4000-8000-000000000003', date: '2024-10-22', time: '21:00', happiness: -2 })
+
+  const happiness = await repository.happiness.list()
+  check('several check-ins can share a date', happiness.length === 3)
+  check('list returns newest first', happiness[0].date === '2024-10-23')
+  check('check-ins on the same day are latest first', happiness[1].time === '21:00')
+  check('put replaces the check-in with the same id', (await repository.happiness.get('a0000000-0000-4000-8000-000000000003'))?.happiness === -2)
+  check('queryByDate returns every check-in for the day', (await repository.happiness.queryByDate('2024-10-22')).length === 2)
+
+  await repository.media.putMany([
+    { id: '550e8400-e29b-41d4-a716-446655440000', date: '2024-10-22', type: 'book', title: 'Dune', duration: 45 },
+    { id: '550e8400-e29b-41d4-a716-446655440001', date: '2024-10-22', type: 'video', title: 'Inception', duration: 120 },
+    { id: '550e8400-e29b-41d4-a716-446655440002', date: '2024-10-23', type: 'music', title: 'Abbey Road', duration: 30 }
+  ])
+
+  const forDate = await repository.media.queryByDate('2024-10-22')
+  check('queryByDate returns only entries for that date', forDate.length === 2)
+
+  await repository.media.deleteMany(['550e8400-e29b-41d4-a716-446655440000'])
+  check('deleteMany removes entries by id', (await repository.media.list()).length === 2)
+
+  await repository.happiness.delete('a0000000-0000-4000-8000-000000000002')
+  check('delete removes a check-in by id', (await repository.happiness.get('a0000000-0000-4000-8000-000000000002')) === undefined)
+
+  const batchedCheckIn = checkIn('2024-10-24', 1)
+  const batchedSession = session('2024-10-24', 'book', 30)
+  await repository.batch((writes) => {
+    writes.put('happiness', batchedCheckIn)
+    writes.put('media', batchedSession)
+    writes.delete('media', '550e8400-e29b-41d4-a716-446655440001')
+  })
+  const mediaIds = (await repository.media.list()).map(media => media.id)
+  check('batch writes to several stores', Boolean(await repository.happiness.get(batchedCheckIn.id)) &&
+    mediaIds.includes(batchedSession.id) && !mediaIds.includes('550e8400-e29b-41d4-a716-446655440001'))
+
+  const unsavedCheckIn = checkIn('2024-10-25', 0)
+  try {
+    await repository.batch((writes) => {
+      writes.put('happiness', unsavedCheckIn)
+      writes.put('reviews', { id: 'not-a-store' })
+    })
+    check('a batch with a failing write is rejected', false)
+  } catch (error) {
+    check('a batch with a failing write is rejected', /Unknown store/.test(error.message))
+  }
+  check('earlier writes in a failed batch are not kept', (await repository.happiness.get(unsavedCheckIn.id)) === undefined)
+
+  await repository.batch((writes) => {
+    writes.clear('media')
+    writes.put('media', batchedSession)
+  })
+  check('clear in a batch empties a store before the writes after it', (await repository.media.list()).map(media => media.id).join() === batchedSession.id)
+}
+
+const storedHappiness = JSON.parse(fakeStorage.getItem(STORES.happiness.key))
+check('localStorage adapter writes a versioned envelope to the existing key',
+  storedHappiness.schemaVersion === CURRENT_SCHEMA_VERSION && Array.isArray(storedHappiness.entries) && Boolean(storedHappiness.createdAt))
+
+fakeStorage.setItem(STORES.media.key, '{not json')
+try {
+  await createRepository(adapters.localStorage).media.list()
+  check('corrupt data is reported instead of swallowed', false)
+} catch (error) {
+  check('corrupt data is reported instead of swallowed', error instanceof SyntaxError)
+}
+
+console.log('\n--- Batch rollback ---')
+const quotaStorage = createFakeStorage()
+const quotaRepository = createRepository(createLocalStorageAdapter({ storage: quotaStorage }))
+await quotaRepository.happiness.put(checkIn('2024-10-22', 1))
+const setItem = quotaStorage.setItem
+// The happiness store is written first, then the media write runs out of space
+quotaStorage.setItem = (key, value) => {
+  if (key === STORES.media.key) throw new Error('QuotaExceededError: storage is full')
+  return setItem(key, value)
+}
+try {
+  await quotaRepository.batch((writes) => {
+    writes.put('happiness', checkIn('2024-10-23', 2))
+    writes.put('media', session('2024-10-23', 'book', 45))
+  })
+  check('a batch is rejected when its second write fails', false)
+} catch (error) {
+  check('a batch is rejected when its second write fails', /QuotaExceededError/.test(error.message))
+}
+quotaStorage.setItem = setItem
+check('the first write of a failed batch is rolled back', (await quotaRepository.happiness.list()).length === 1)
+check('nothing from a failed batch reaches the second store', (await quotaRepository.media.list()).length === 0)
+
+console.log('\n--- localStorage migration ---')
+const legacyStorage = createFakeStorage()
+legacyStorage.setItem(STORES.happiness.key, JSON.stringify([
+  { date: '2024-10-22', happiness: 1 },
+  { date: '2024-10-23', happiness: 2 }
+]))
+legacyStorage.setItem(STORES.media.key, JSON.stringify([
+  { id: '550e8400-e29b-41d4-a716-446655440000', date: '2024-10-22', type: 'book', title: 'Dune', duration: 45 },
+  { id: 'not-a-uuid', date: '2024-10-22', type: 'book', title: 'Dune', duration: 45 }
+]))
+
+const target = createMemoryAdapter()
+const report = await migrateFromLocalStorage(legacyStorage, target)
+check('valid happiness entries are moved', (await target.getAll('happiness')).length === 2)
+check('legacy happiness entries are given ids', (await target.getAll('happiness')).every(entry => Boolean(entry.id)))
+check('invalid media entries are not committed', (await target.getAll('media')).length === 1)
+check('rejected records are reported', countRejectedRecords({ migration: report }) === 1)
+check('fully migrated legacy keys are removed', legacyStorage.getItem(STORES.happiness.key) === null)
+check('legacy keys with rejected records are kept', legacyStorage.getItem(STORES.media.key) !== null)
+check('migration is flagged as done', legacyStorage.getItem(MIGRATION_FLAG_KEY) !== null)
+
+const secondRun = await migrateFromLocalStorage(legacyStorage, target)
+check('migration only runs once', secondRun.migrated === false)
+
+const migrationTarget = createMemoryAdapter()
+const repositoryWithMigration = createRepository(migrationTarget, {
+  setup: () => migrateFromLocalStorage(createFakeStorage(), migrationTarget)
+})
+check('repository exposes the migration report', (await repositoryWithMigration.ready).migration.migrated === true)
+
+console.log('\n--- Schema upgrade on load ---')
+const unversionedStorage = createFakeStorage()
+unversionedStorage.setItem(STORES.happiness.key, JSON.stringify([
+  { date: '2024-10-22', happiness: 1 },
+  { date: '2024-10-23', happiness: 7 }
+]))
+const upgraded = createRepository(createLocalStorageAdapter({ storage: unversionedStorage }))
+const loadReport = await upgraded.ready
+check('bare arrays are read as schema version 0', loadReport.upgrade.happiness.fromVersion === 0)
+check('valid entries survive the upgrade', (await upgraded.happiness.list()).length === 1)
+check('invalid entries are reported instead of failing the load', countRejectedRecords(loadReport) === 1)
+
+const upgradedEnvelope = JSON.parse(unversionedStorage.getItem(STORES.happiness.key))
+check('upgraded data is rewritten at the current version', upgradedEnvelope.schemaVersion === CURRENT_SCHEMA_VERSION)
+check('rejected records are kept in the envelope', upgradedEnvelope.rejected.length === 1)
+
+const clockAdapter = createMemoryAdapter()
+await clockAdapter.put('happiness', { id: '550e8400-e29b-41d4-a716-446655440001', date: '2999-01-01', happiness: 1 })
+await clockAdapter.setMeta('happiness', { schemaVersion: CURRENT_SCHEMA_VERSION, createdAt: null })
+const clockRepository = createRepository(clockAdapter)
+check('stored entries outside the date bounds survive the upgrade', (await clockRepository.happiness.list()).length === 1)
+check('date bounds are not reported as rejections on load', countRejectedRecords(await clockRepository.ready) === 0)
+
+await clockAdapter.put('media', { id: '650e8400-e29b-41d4-a716-446655440001', date: '2024-10-22', type: 'game', title: 'Outer Wilds', duration: 90 })
+await clockAdapter.setMeta('media', { schemaVersion: CURRENT_SCHEMA_VERSION, createdAt: null })
+const typeRepository = createRepository(clockAdapter)
+check('stored entries of an unregistered media type survive the upgrade', (await typeRepository.media.list()).length === 1)
+
+const futureStorage = createFakeStorage()
+futureStorage.setItem(STORES.media.key, JSON.stringify({ schemaVersion: CURRENT_SCHEMA_VERSION + 1, createdAt: null, entries: [] }))
+try {
+  await createRepository(createLocalStorageAdapter({ storage: futureStorage })).ready
+  check('data from a newer app version is refused', false)
+} catch (error) {
+  check('data from a newer app version is refused', /newer version/.test(error.message))
+}
+
+reportResults()